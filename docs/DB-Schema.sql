@@ -93,7 +93,8 @@ CREATE TABLE public.app_user (
     auth_token character varying(255),
     auth_token_expires timestamp with time zone,
     updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
-    user_type character varying(50)
+    user_type character varying(50),
+    email_pick_reminders boolean DEFAULT true NOT NULL
 );
 
 
@@ -183,7 +184,27 @@ CREATE TABLE public.competition (
     created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
     organiser_id integer,
     invite_code character varying(20),
-    slug character varying(50)
+    slug character varying(50),
+    team_reset_mode character varying(20) DEFAULT 'EXHAUSTED'::character varying NOT NULL,
+    team_reset_rounds integer,
+    no_winner_rule character varying(20) DEFAULT 'NO_WINNER'::character varying NOT NULL,
+    rolled_over_to integer,
+    draw_policy character varying(20) DEFAULT 'LOSE'::character varying NOT NULL,
+    game_mode character varying(20) DEFAULT 'CLASSIC'::character varying NOT NULL,
+    pick_lock_mode character varying(20) DEFAULT 'ROUND'::character varying NOT NULL,
+    buyback_mode character varying(20) DEFAULT 'NONE'::character varying NOT NULL,
+    buyback_rounds integer,
+    buyback_lives integer DEFAULT 0 NOT NULL,
+    organisation_id integer,
+    activated_at timestamp with time zone,
+    activated_by integer,
+    entry_fee numeric(10,2),
+    buyback_fee numeric(10,2),
+    house_cut_percent numeric(5,2) DEFAULT 0 NOT NULL,
+    charity_percent numeric(5,2) DEFAULT 0 NOT NULL,
+    charity_name character varying(100),
+    payment_instructions text,
+    payment_url character varying(500)
 );
 
 
@@ -227,7 +248,13 @@ CREATE TABLE public.competition_user (
     lives_remaining integer DEFAULT 1,
     joined_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
     paid boolean DEFAULT false,
-    paid_date timestamp with time zone
+    paid_date timestamp with time zone,
+    paid_amount numeric(10,2),
+    teams_reset_round integer,
+    is_winner boolean DEFAULT false,
+    buyback_count integer DEFAULT 0 NOT NULL,
+    removed_at timestamp with time zone,
+    removed_by integer
 );
 
 
@@ -258,6 +285,370 @@ ALTER SEQUENCE public.competition_user_id_seq OWNER TO lmslocal_prod_user;
 ALTER SEQUENCE public.competition_user_id_seq OWNED BY public.competition_user.id;
 
 
+--
+-- Name: competition_organiser; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.competition_organiser (
+    id integer NOT NULL,
+    competition_id integer NOT NULL,
+    user_id integer NOT NULL,
+    role character varying(20) NOT NULL,
+    invited_by integer,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.competition_organiser OWNER TO lmslocal_prod_user;
+
+--
+-- Name: competition_organiser_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.competition_organiser_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.competition_organiser_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: competition_organiser_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.competition_organiser_id_seq OWNED BY public.competition_organiser.id;
+
+
+--
+-- Name: organisation; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.organisation (
+    id integer NOT NULL,
+    name character varying(100) NOT NULL,
+    logo_url character varying(500),
+    brand_colour character varying(7),
+    created_by integer,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.organisation OWNER TO lmslocal_prod_user;
+
+--
+-- Name: organisation_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.organisation_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.organisation_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: organisation_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.organisation_id_seq OWNED BY public.organisation.id;
+
+
+--
+-- Name: organisation_member; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.organisation_member (
+    id integer NOT NULL,
+    organisation_id integer NOT NULL,
+    user_id integer NOT NULL,
+    role character varying(20) NOT NULL,
+    added_by integer,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.organisation_member OWNER TO lmslocal_prod_user;
+
+--
+-- Name: organisation_member_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.organisation_member_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.organisation_member_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: organisation_member_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.organisation_member_id_seq OWNED BY public.organisation_member.id;
+
+
+--
+-- Name: subscription; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.subscription (
+    id integer NOT NULL,
+    user_id integer NOT NULL,
+    plan character varying(20) NOT NULL,
+    status character varying(20) DEFAULT 'ACTIVE'::character varying NOT NULL,
+    current_period_end timestamp with time zone NOT NULL,
+    provider character varying(20) NOT NULL,
+    provider_reference character varying(100),
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.subscription OWNER TO lmslocal_prod_user;
+
+--
+-- Name: subscription_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.subscription_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.subscription_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: subscription_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.subscription_id_seq OWNED BY public.subscription.id;
+
+
+--
+-- Name: plan_payment; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.plan_payment (
+    id integer NOT NULL,
+    user_id integer NOT NULL,
+    competition_id integer,
+    plan character varying(20) NOT NULL,
+    amount_pence integer NOT NULL,
+    currency character varying(3) DEFAULT 'GBP'::character varying NOT NULL,
+    provider character varying(20) NOT NULL,
+    provider_reference character varying(100),
+    status character varying(20) DEFAULT 'PENDING'::character varying NOT NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    paid_at timestamp with time zone
+);
+
+
+ALTER TABLE public.plan_payment OWNER TO lmslocal_prod_user;
+
+--
+-- Name: plan_payment_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.plan_payment_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.plan_payment_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: plan_payment_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.plan_payment_id_seq OWNED BY public.plan_payment.id;
+
+
+--
+-- Name: pot_ledger; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.pot_ledger (
+    id integer NOT NULL,
+    competition_id integer NOT NULL,
+    user_id integer,
+    entry_type character varying(20) NOT NULL,
+    amount numeric(10,2) NOT NULL,
+    note character varying(200),
+    created_by integer,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.pot_ledger OWNER TO lmslocal_prod_user;
+
+--
+-- Name: pot_ledger_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.pot_ledger_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.pot_ledger_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: pot_ledger_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.pot_ledger_id_seq OWNED BY public.pot_ledger.id;
+
+
+--
+-- Name: pick_reminder; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.pick_reminder (
+    id integer NOT NULL,
+    round_id integer NOT NULL,
+    user_id integer NOT NULL,
+    sent_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.pick_reminder OWNER TO lmslocal_prod_user;
+
+--
+-- Name: pick_reminder_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.pick_reminder_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.pick_reminder_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: pick_reminder_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.pick_reminder_id_seq OWNED BY public.pick_reminder.id;
+
+
+--
+-- Name: round_player_state; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.round_player_state (
+    id integer NOT NULL,
+    round_id integer NOT NULL,
+    user_id integer NOT NULL,
+    lives_remaining integer NOT NULL,
+    status character varying(20) NOT NULL,
+    lives_after integer,
+    status_after character varying(20),
+    adjusted boolean DEFAULT false NOT NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.round_player_state OWNER TO lmslocal_prod_user;
+
+--
+-- Name: round_player_state_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.round_player_state_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.round_player_state_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: round_player_state_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.round_player_state_id_seq OWNED BY public.round_player_state.id;
+
+
+--
+-- Name: scheduled_job; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.scheduled_job (
+    id integer NOT NULL,
+    job_type character varying(50) NOT NULL,
+    payload jsonb DEFAULT '{}'::jsonb NOT NULL,
+    status character varying(20) DEFAULT 'PENDING'::character varying NOT NULL,
+    run_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    attempts integer DEFAULT 0 NOT NULL,
+    max_attempts integer DEFAULT 3 NOT NULL,
+    dedupe_key character varying(100),
+    competition_id integer,
+    created_by integer,
+    locked_by character varying(100),
+    locked_at timestamp with time zone,
+    last_error text,
+    result jsonb,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    completed_at timestamp with time zone
+);
+
+
+ALTER TABLE public.scheduled_job OWNER TO lmslocal_prod_user;
+
+--
+-- Name: scheduled_job_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.scheduled_job_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.scheduled_job_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: scheduled_job_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.scheduled_job_id_seq OWNED BY public.scheduled_job.id;
+
+
 --
 -- TOC entry 228 (class 1259 OID 20769)
 -- Name: fixture; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
@@ -273,7 +664,9 @@ CREATE TABLE public.fixture (
     home_team_short character varying(20),
     away_team_short character varying(20),
     result character varying(100),
-    processed timestamp with time zone
+    processed timestamp with time zone,
+    home_score integer,
+    away_score integer
 );
 
 
@@ -403,7 +796,10 @@ CREATE TABLE public.round (
     round_number integer NOT NULL,
     lock_time timestamp with time zone,
     created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
-    no_pick_processed boolean DEFAULT false
+    no_pick_processed boolean DEFAULT false,
+    is_void boolean DEFAULT false,
+    auto_locked_at timestamp with time zone,
+    no_winner_resolution character varying(20)
 );
 
 
@@ -478,6 +874,84 @@ ALTER SEQUENCE public.team_id_seq OWNER TO lmslocal_prod_user;
 ALTER SEQUENCE public.team_id_seq OWNED BY public.team.id;
 
 
+--
+-- Name: team_alias; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE TABLE public.team_alias (
+    id integer NOT NULL,
+    team_id integer NOT NULL,
+    alias character varying(100) NOT NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.team_alias OWNER TO lmslocal_prod_user;
+
+--
+-- Name: team_alias_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.team_alias_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.team_alias_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: team_alias_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.team_alias_id_seq OWNED BY public.team_alias.id;
+
+
+--
+-- Name: pending_fixture; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
+-- Fixtures imported for later matchweeks, moved into a round when the organiser creates the next round
+--
+
+CREATE TABLE public.pending_fixture (
+    id integer NOT NULL,
+    competition_id integer NOT NULL,
+    matchweek integer NOT NULL,
+    home_team character varying(100) NOT NULL,
+    away_team character varying(100) NOT NULL,
+    home_team_short character varying(20) NOT NULL,
+    away_team_short character varying(20) NOT NULL,
+    kickoff_time timestamp with time zone NOT NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.pending_fixture OWNER TO lmslocal_prod_user;
+
+--
+-- Name: pending_fixture_id_seq; Type: SEQUENCE; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE SEQUENCE public.pending_fixture_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.pending_fixture_id_seq OWNER TO lmslocal_prod_user;
+
+--
+-- Name: pending_fixture_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER SEQUENCE public.pending_fixture_id_seq OWNED BY public.pending_fixture.id;
+
+
 --
 -- TOC entry 218 (class 1259 OID 20690)
 -- Name: team_list; Type: TABLE; Schema: public; Owner: lmslocal_prod_user
@@ -489,6 +963,7 @@ CREATE TABLE public.team_list (
     type character varying(50) NOT NULL,
     season character varying(20),
     organisation_id integer,
+    created_by integer,
     is_active boolean DEFAULT true,
     created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
     updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
@@ -610,6 +1085,83 @@ ALTER TABLE ONLY public.team ALTER COLUMN id SET DEFAULT nextval('public.team_id
 ALTER TABLE ONLY public.team_list ALTER COLUMN id SET DEFAULT nextval('public.team_list_id_seq'::regclass);
 
 
+--
+-- Name: team_alias id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.team_alias ALTER COLUMN id SET DEFAULT nextval('public.team_alias_id_seq'::regclass);
+
+
+--
+-- Name: pending_fixture id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pending_fixture ALTER COLUMN id SET DEFAULT nextval('public.pending_fixture_id_seq'::regclass);
+
+
+--
+-- Name: competition_organiser id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.competition_organiser ALTER COLUMN id SET DEFAULT nextval('public.competition_organiser_id_seq'::regclass);
+
+
+--
+-- Name: organisation id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.organisation ALTER COLUMN id SET DEFAULT nextval('public.organisation_id_seq'::regclass);
+
+
+--
+-- Name: organisation_member id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.organisation_member ALTER COLUMN id SET DEFAULT nextval('public.organisation_member_id_seq'::regclass);
+
+
+--
+-- Name: subscription id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.subscription ALTER COLUMN id SET DEFAULT nextval('public.subscription_id_seq'::regclass);
+
+
+--
+-- Name: plan_payment id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.plan_payment ALTER COLUMN id SET DEFAULT nextval('public.plan_payment_id_seq'::regclass);
+
+
+--
+-- Name: pot_ledger id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pot_ledger ALTER COLUMN id SET DEFAULT nextval('public.pot_ledger_id_seq'::regclass);
+
+
+--
+-- Name: pick_reminder id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pick_reminder ALTER COLUMN id SET DEFAULT nextval('public.pick_reminder_id_seq'::regclass);
+
+
+--
+-- Name: round_player_state id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.round_player_state ALTER COLUMN id SET DEFAULT nextval('public.round_player_state_id_seq'::regclass);
+
+
+--
+-- Name: scheduled_job id; Type: DEFAULT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.scheduled_job ALTER COLUMN id SET DEFAULT nextval('public.scheduled_job_id_seq'::regclass);
+
+
 --
 -- TOC entry 3397 (class 2606 OID 21004)
 -- Name: allowed_teams allowed_teams_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
@@ -718,6 +1270,158 @@ ALTER TABLE ONLY public.allowed_teams
     ADD CONSTRAINT unique_competition_user_team UNIQUE (competition_id, user_id, team_id);
 
 
+--
+-- Name: team_alias team_alias_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.team_alias
+    ADD CONSTRAINT team_alias_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: pending_fixture pending_fixture_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pending_fixture
+    ADD CONSTRAINT pending_fixture_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: competition_organiser competition_organiser_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.competition_organiser
+    ADD CONSTRAINT competition_organiser_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: competition_organiser unique_competition_organiser; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.competition_organiser
+    ADD CONSTRAINT unique_competition_organiser UNIQUE (competition_id, user_id);
+
+
+--
+-- Name: organisation organisation_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.organisation
+    ADD CONSTRAINT organisation_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: organisation_member organisation_member_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.organisation_member
+    ADD CONSTRAINT organisation_member_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: organisation_member unique_organisation_member; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.organisation_member
+    ADD CONSTRAINT unique_organisation_member UNIQUE (organisation_id, user_id);
+
+
+--
+-- Name: subscription subscription_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.subscription
+    ADD CONSTRAINT subscription_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: subscription unique_subscription_user; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.subscription
+    ADD CONSTRAINT unique_subscription_user UNIQUE (user_id);
+
+
+--
+-- Name: plan_payment plan_payment_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.plan_payment
+    ADD CONSTRAINT plan_payment_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: plan_payment unique_plan_payment_reference; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.plan_payment
+    ADD CONSTRAINT unique_plan_payment_reference UNIQUE (provider, provider_reference);
+
+
+--
+-- Name: pot_ledger pot_ledger_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pot_ledger
+    ADD CONSTRAINT pot_ledger_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: pick_reminder pick_reminder_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pick_reminder
+    ADD CONSTRAINT pick_reminder_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: pick_reminder unique_pick_reminder_round_user; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pick_reminder
+    ADD CONSTRAINT unique_pick_reminder_round_user UNIQUE (round_id, user_id);
+
+
+--
+-- Name: round_player_state round_player_state_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.round_player_state
+    ADD CONSTRAINT round_player_state_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: round_player_state unique_round_player_state_round_user; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.round_player_state
+    ADD CONSTRAINT unique_round_player_state_round_user UNIQUE (round_id, user_id);
+
+
+--
+-- Name: scheduled_job scheduled_job_pkey; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.scheduled_job
+    ADD CONSTRAINT scheduled_job_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: team_alias unique_team_alias; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.team_alias
+    ADD CONSTRAINT unique_team_alias UNIQUE (team_id, alias);
+
+
+--
+-- Name: pending_fixture unique_pending_fixture; Type: CONSTRAINT; Schema: public; Owner: lmslocal_prod_user
+--
+
+ALTER TABLE ONLY public.pending_fixture
+    ADD CONSTRAINT unique_pending_fixture UNIQUE (competition_id, matchweek, home_team_short, away_team_short);
+
+
 --
 -- TOC entry 3398 (class 1259 OID 21044)
 -- Name: idx_allowed_teams_comp_user; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
@@ -870,6 +1574,55 @@ CREATE INDEX idx_competition_created ON public.competition USING btree (created_
 CREATE INDEX idx_competition_organiser ON public.competition USING btree (organiser_id);
 
 
+--
+-- Name: idx_competition_organisation; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE INDEX idx_competition_organisation ON public.competition USING btree (organisation_id);
+
+
+--
+-- Name: idx_organisation_member_user; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE INDEX idx_organisation_member_user ON public.organisation_member USING btree (user_id);
+
+
+--
+-- Name: idx_plan_payment_user; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE INDEX idx_plan_payment_user ON public.plan_payment USING btree (user_id);
+
+
+--
+-- Name: idx_pot_ledger_competition; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE INDEX idx_pot_ledger_competition ON public.pot_ledger USING btree (competition_id);
+
+
+--
+-- Name: idx_scheduled_job_due; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE INDEX idx_scheduled_job_due ON public.scheduled_job USING btree (status, run_at);
+
+
+--
+-- Name: idx_scheduled_job_competition; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE INDEX idx_scheduled_job_competition ON public.scheduled_job USING btree (competition_id);
+
+
+--
+-- Name: idx_scheduled_job_active_key; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE UNIQUE INDEX idx_scheduled_job_active_key ON public.scheduled_job USING btree (dedupe_key) WHERE ((status)::text = ANY ((ARRAY['PENDING'::character varying, 'RUNNING'::character varying])::text[]));
+
+
 --
 -- TOC entry 3358 (class 1259 OID 20734)
 -- Name: idx_competition_status; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
@@ -1062,6 +1815,13 @@ CREATE INDEX idx_team_list_type ON public.team_list USING btree (type);
 CREATE INDEX idx_team_name ON public.team USING btree (name);
 
 
+--
+-- Name: idx_team_alias_team; Type: INDEX; Schema: public; Owner: lmslocal_prod_user
+--
+
+CREATE INDEX idx_team_alias_team ON public.team_alias USING btree (team_id);
+
+
 --
 -- TOC entry 2089 (class 826 OID 20641)
 -- Name: DEFAULT PRIVILEGES FOR SEQUENCES; Type: DEFAULT ACL; Schema: public; Owner: postgres
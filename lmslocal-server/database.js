@@ -110,7 +110,10 @@ function getPoolStatus() {
 }
 
 // Populate allowed teams for a user in a competition
-async function populateAllowedTeams(competition_id, user_id) {
+// Pass a transaction client to populate inside an open transaction (e.g. right after inserting the membership row)
+async function populateAllowedTeams(competition_id, user_id, client = null) {
+  const run = client ? (text, params) => client.query(text, params) : query;
+
   try {
     // Input validation
     if (!competition_id || !Number.isInteger(competition_id)) {
@@ -121,7 +124,7 @@ async function populateAllowedTeams(competition_id, user_id) {
     }
 
     // Check if user is already in this competition
-    const memberCheck = await query(`
+    const memberCheck = await run(`
       SELECT id FROM competition_user 
       WHERE competition_id = $1 AND user_id = $2
     `, [competition_id, user_id]);
@@ -131,7 +134,7 @@ async function populateAllowedTeams(competition_id, user_id) {
     }
 
     // Check if teams are already populated (avoid unnecessary work)
-    const existingCheck = await query(`
+    const existingCheck = await run(`
       SELECT COUNT(*) as count FROM allowed_teams 
       WHERE competition_id = $1 AND user_id = $2
     `, [competition_id, user_id]);
@@ -142,12 +145,26 @@ async function populateAllowedTeams(competition_id, user_id) {
     }
 
     // Give player all teams from the competition's team list
-    const result = await query(`
+    // When no_team_twice is enforced, teams the player has already used (and not had voided) since their last team reset stay excluded
+    const result = await run(`
       INSERT INTO allowed_teams (competition_id, user_id, team_id)
       SELECT $1, $2, t.id
       FROM team t
       JOIN competition c ON t.team_list_id = c.team_list_id
       WHERE c.id = $1 AND t.is_active = true
+        AND (
+          c.no_team_twice = false
+          OR NOT EXISTS (
+            SELECT 1 FROM pick p
+            JOIN round r ON p.round_id = r.id
+            JOIN competition_user cu ON cu.competition_id = r.competition_id AND cu.user_id = p.user_id
+            WHERE r.competition_id = $1
+              AND p.user_id = $2
+              AND p.team = t.short_name
+              AND p.outcome IS DISTINCT FROM 'VOID'
+              AND r.round_number >= COALESCE(cu.teams_reset_round, 0)
+          )
+        )
       ON CONFLICT (competition_id, user_id, team_id) DO NOTHING
       RETURNING team_id
     `, [competition_id, user_id]);
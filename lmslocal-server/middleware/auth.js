@@ -140,6 +140,19 @@ const cleanExpiredCache = () => {
   }
 };
 
+// Platform administrators - comma-separated email addresses in ADMIN_EMAILS (nobody when unset)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(email => email.length > 0);
+
+/**
+ * Check whether a user is a platform administrator
+ * @param {Object} user - req.user
+ * @returns {boolean} True if the user's email is listed in ADMIN_EMAILS
+ */
+const isAdmin = (user) => !!user?.email && ADMIN_EMAILS.includes(user.email.toLowerCase());
+
 /**
  * Admin-only authorization middleware
  * Use after verifyToken to ensure user has admin privileges
@@ -152,8 +165,13 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  // Add admin check logic here when user roles are implemented
-  // For now, all authenticated users can perform admin actions
+  if (!isAdmin(req.user)) {
+    return res.status(200).json({
+      return_code: "UNAUTHORIZED",
+      message: "Administrator access required"
+    });
+  }
+
   next();
 };
 
@@ -185,5 +203,6 @@ const getCacheStats = () => {
 module.exports = {
   verifyToken,
   requireAdmin,
+  isAdmin,
   getCacheStats
 };
\ No newline at end of file
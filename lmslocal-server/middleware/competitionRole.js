@@ -0,0 +1,246 @@
+/*
+=======================================================================================================================================
+Competition Role Middleware - Centralized organiser permission checks
+=======================================================================================================================================
+Purpose: Replace the inline `organiser_id !== user_id` checks in organiser routes with one role model per competition.
+         The competition owner (competition.organiser_id) has every permission. The owner can add helpers in the
+         competition_organiser table:
+           CO_ORGANISER - full control except managing helpers
+           RESULTS      - enter results and calculate rounds (e.g. bar staff)
+           PAYMENTS     - record player payments
+         Helpers are managed with invite-organiser / revoke-organiser.
+         Admins of the competition's organisation act as CO_ORGANISER on every competition in it.
+=======================================================================================================================================
+*/
+
+const { query } = require('../database');
+const { ORGANISATION_ADMIN_ROLES } = require('./organisationRole');
+
+// Roles that can be granted to helpers - OWNER is implicit and cannot be granted
+const HELPER_ROLES = ['CO_ORGANISER', 'RESULTS', 'PAYMENTS'];
+
+// Permissions each role holds
+//   view     - read organiser data (players, status, statistics)
+//   manage   - rounds, fixtures, players and picks
+//   results  - enter fixture results and calculate rounds
+//   payments - record player payments
+//   owner    - manage helpers and clone the competition
+// Role organisation admins get on the organisation's competitions
+const ORGANISATION_ADMIN_COMPETITION_ROLE = 'CO_ORGANISER';
+
+const ROLE_PERMISSIONS = {
+  OWNER: ['view', 'manage', 'results', 'payments', 'owner'],
+  CO_ORGANISER: ['view', 'manage', 'results', 'payments'],
+  RESULTS: ['view', 'results'],
+  PAYMENTS: ['view', 'payments']
+};
+
+const PERMISSION_MESSAGES = {
+  view: 'Only competition organisers can view this',
+  manage: 'Only the competition organiser or a co-organiser can do this',
+  results: 'You do not have permission to enter results for this competition',
+  payments: 'You do not have permission to manage payments for this competition',
+  owner: 'Only the competition owner can do this'
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string|null} role - OWNER, a helper role, or null for no role
+ * @param {string} permission - Permission from ROLE_PERMISSIONS
+ * @returns {boolean} True if the role grants the permission
+ */
+const hasPermission = (role, permission) => {
+  return !!role && !!ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+/**
+ * SQL condition: the user's role in the competition holds the permission
+ * Used by routes open to both players and organisers, where access is decided inside a query
+ * @param {string} c - Alias of the competition table
+ * @param {string} userParam - Placeholder holding the user ID (e.g. '$2')
+ * @param {string} permission - Permission from ROLE_PERMISSIONS
+ * @returns {string} SQL boolean expression
+ */
+const hasPermissionSql = (c, userParam, permission) => {
+  const roles = HELPER_ROLES.filter(role => hasPermission(role, permission)).map(role => `'${role}'`);
+  const organisationAdminClause = hasPermission(ORGANISATION_ADMIN_COMPETITION_ROLE, permission)
+    ? `
+    OR EXISTS (
+      SELECT 1 FROM organisation_member om
+      WHERE om.organisation_id = ${c}.organisation_id AND om.user_id = ${userParam}
+        AND om.role IN (${ORGANISATION_ADMIN_ROLES.map(role => `'${role}'`).join(', ')})
+    )`
+    : '';
+
+  return `(
+    ${c}.organiser_id = ${userParam}
+    OR EXISTS (
+      SELECT 1 FROM competition_organiser co
+      WHERE co.competition_id = ${c}.id AND co.user_id = ${userParam} AND co.role IN (${roles.join(', ')})
+    )${organisationAdminClause}
+  )`;
+};
+
+/**
+ * Get a user's role in a competition
+ * @param {number} competition_id - Competition to check
+ * @param {number} user_id - User to check
+ * @param {Object} client - Optional transaction client (defaults to the shared pool)
+ * @returns {Object|null} { role } (role null if the user has none), or null if the competition does not exist
+ */
+const getCompetitionRole = async (competition_id, user_id, client = null) => {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(`
+    SELECT c.organiser_id, co.role, om.role as organisation_role
+    FROM competition c
+    LEFT JOIN competition_organiser co ON co.competition_id = c.id AND co.user_id = $2
+    LEFT JOIN organisation_member om ON om.organisation_id = c.organisation_id AND om.user_id = $2
+    WHERE c.id = $1
+  `, [competition_id, user_id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  if (row.organiser_id === user_id) {
+    return { role: 'OWNER' };
+  }
+
+  // Organisation admins outrank any narrower helper role they were also given
+  if (ORGANISATION_ADMIN_ROLES.includes(row.organisation_role)) {
+    return { role: ORGANISATION_ADMIN_COMPETITION_ROLE };
+  }
+
+  return { role: row.role };
+};
+
+/**
+ * Parse an ID from the request body - some routes accept numeric strings
+ * @param {*} value - Raw body value
+ * @returns {number|null} Positive integer ID or null
+ */
+const toId = (value) => {
+  const id = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Find the competition a request targets from competition_id, round_id or fixture_id in the body
+ * Every ID given must belong to the same competition, so a permission on one competition never reaches another's rounds or fixtures
+ * @param {Object} body - Request body
+ * @returns {Object} { competition_id } or { error: { return_code, message } }
+ */
+const resolveCompetition = async (body) => {
+  const competition_id = toId(body?.competition_id);
+  const round_id = toId(body?.round_id);
+  const fixture_id = toId(body?.fixture_id);
+
+  if (!competition_id && !round_id && !fixture_id) {
+    return {
+      error: {
+        return_code: "VALIDATION_ERROR",
+        message: "A valid competition_id, round_id or fixture_id is required"
+      }
+    };
+  }
+
+  // Competition each given ID belongs to, most specific first
+  const owners = [];
+
+  if (fixture_id) {
+    const fixtureResult = await query(`
+      SELECT r.competition_id, r.id as round_id
+      FROM fixture f
+      JOIN round r ON f.round_id = r.id
+      WHERE f.id = $1
+    `, [fixture_id]);
+    if (fixtureResult.rows.length === 0) {
+      return { error: { return_code: "FIXTURE_NOT_FOUND", message: "Fixture not found" } };
+    }
+    if (round_id && fixtureResult.rows[0].round_id !== round_id) {
+      return { error: { return_code: "VALIDATION_ERROR", message: "Fixture does not belong to this round" } };
+    }
+    owners.push(fixtureResult.rows[0].competition_id);
+  }
+
+  if (round_id) {
+    const roundResult = await query('SELECT competition_id FROM round WHERE id = $1', [round_id]);
+    if (roundResult.rows.length === 0) {
+      return { error: { return_code: "ROUND_NOT_FOUND", message: "Round not found" } };
+    }
+    owners.push(roundResult.rows[0].competition_id);
+  }
+
+  if (competition_id) {
+    owners.push(competition_id);
+  }
+
+  if (owners.some(owner => owner !== owners[0])) {
+    return {
+      error: {
+        return_code: "VALIDATION_ERROR",
+        message: "Round or fixture does not belong to this competition"
+      }
+    };
+  }
+
+  return { competition_id: owners[0] };
+};
+
+/**
+ * Middleware factory - only lets users whose competition role holds the permission through
+ * Use after verifyToken. Sets req.competitionAccess = { competition_id, role } for the route.
+ * @param {string} permission - Permission from ROLE_PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+const requireCompetitionPermission = (permission) => async (req, res, next) => {
+  try {
+    const target = await resolveCompetition(req.body);
+    if (target.error) {
+      return res.status(200).json(target.error);
+    }
+
+    const access = await getCompetitionRole(target.competition_id, req.user.id);
+    if (!access) {
+      return res.status(200).json({
+        return_code: "COMPETITION_NOT_FOUND",
+        message: "Competition not found"
+      });
+    }
+
+    if (!hasPermission(access.role, permission)) {
+      return res.status(200).json({
+        return_code: "UNAUTHORIZED",
+        message: PERMISSION_MESSAGES[permission]
+      });
+    }
+
+    req.competitionAccess = { competition_id: target.competition_id, role: access.role };
+    next();
+
+  } catch (error) {
+    console.error('Competition role middleware error:', {
+      error: error.message,
+      user_id: req.user?.id,
+      route: req.baseUrl,
+      permission: permission
+    });
+
+    return res.status(200).json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to check competition permissions"
+    });
+  }
+};
+
+module.exports = {
+  HELPER_ROLES,
+  ROLE_PERMISSIONS,
+  ORGANISATION_ADMIN_COMPETITION_ROLE,
+  hasPermission,
+  hasPermissionSql,
+  getCompetitionRole,
+  requireCompetitionPermission
+};
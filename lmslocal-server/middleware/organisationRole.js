@@ -0,0 +1,103 @@
+/*
+=======================================================================================================================================
+Organisation Role Middleware - Membership checks for organisations (pubs, clubs, workplaces)
+=======================================================================================================================================
+Purpose: An organisation groups competitions, team lists and branding under one login. Members hold one role:
+           OWNER  - created the organisation, cannot be removed
+           ADMIN  - manage members and branding, and co-organise every competition in the organisation
+           MEMBER - create competitions under the organisation and use its team lists
+         Competition access for OWNER/ADMIN is granted in competitionRole.js.
+=======================================================================================================================================
+*/
+
+const { query } = require('../database');
+
+// Every organisation role, and the roles that can be granted by add-organisation-member
+const ORGANISATION_ROLES = ['OWNER', 'ADMIN', 'MEMBER'];
+const GRANTABLE_ORGANISATION_ROLES = ['ADMIN', 'MEMBER'];
+
+// Roles that run the organisation - they manage members and branding and see every competition
+const ORGANISATION_ADMIN_ROLES = ['OWNER', 'ADMIN'];
+
+/**
+ * Get a user's role in an organisation
+ * @param {number} organisation_id - Organisation to check
+ * @param {number} user_id - User to check
+ * @param {Object} client - Optional transaction client (defaults to the shared pool)
+ * @returns {Object|null} { role } (role null if the user is not a member), or null if the organisation does not exist
+ */
+const getOrganisationRole = async (organisation_id, user_id, client = null) => {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(`
+    SELECT om.role
+    FROM organisation o
+    LEFT JOIN organisation_member om ON om.organisation_id = o.id AND om.user_id = $2
+    WHERE o.id = $1
+  `, [organisation_id, user_id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return { role: result.rows[0].role };
+};
+
+/**
+ * Middleware factory - only lets members holding one of the roles through
+ * Use after verifyToken. Sets req.organisationAccess = { organisation_id, role } for the route.
+ * @param {Array} roles - Allowed roles from ORGANISATION_ROLES
+ * @returns {Function} Express middleware
+ */
+const requireOrganisationRole = (roles) => async (req, res, next) => {
+  try {
+    const organisation_id = req.body?.organisation_id;
+
+    if (!organisation_id || !Number.isInteger(organisation_id)) {
+      return res.status(200).json({
+        return_code: "VALIDATION_ERROR",
+        message: "Organisation ID is required and must be an integer"
+      });
+    }
+
+    const access = await getOrganisationRole(organisation_id, req.user.id);
+    if (!access) {
+      return res.status(200).json({
+        return_code: "ORGANISATION_NOT_FOUND",
+        message: "Organisation not found"
+      });
+    }
+
+    if (!roles.includes(access.role)) {
+      return res.status(200).json({
+        return_code: "UNAUTHORIZED",
+        message: access.role
+          ? "Only organisation admins can do this"
+          : "You are not a member of this organisation"
+      });
+    }
+
+    req.organisationAccess = { organisation_id, role: access.role };
+    next();
+
+  } catch (error) {
+    console.error('Organisation role middleware error:', {
+      error: error.message,
+      user_id: req.user?.id,
+      route: req.baseUrl
+    });
+
+    return res.status(200).json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to check organisation permissions"
+    });
+  }
+};
+
+module.exports = {
+  ORGANISATION_ROLES,
+  GRANTABLE_ORGANISATION_ROLES,
+  ORGANISATION_ADMIN_ROLES,
+  getOrganisationRole,
+  requireOrganisationRole
+};
@@ -4,6 +4,7 @@ API Route: add-fixtures-bulk
 =======================================================================================================================================
 Method: POST
 Purpose: Adds multiple fixtures to a round by replacing all existing fixtures with new ones (organiser only)
+         New kickoff times can move the round's lock, so the round's ROUND_LOCK background job is rescheduled too.
 =======================================================================================================================================
 Request Payload:
 {
@@ -52,9 +53,11 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { scheduleRoundLock } = require('../services/scheduledJobs');
 const router = express.Router();
 
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
   try {
     // Extract request parameters and authenticated user ID
     const { round_id, fixtures } = req.body;
@@ -94,13 +97,13 @@ router.post('/', verifyToken, async (req, res) => {
 
     // === AUTHORIZATION CHECK ===
     // Verify round exists and get competition ownership details
-    // This single query gets round info AND checks if user is the organiser
+    // Organiser permission is checked by requireCompetitionPermission before the route runs - the round must be in that competition
     const verifyResult = await query(`
-      SELECT c.organiser_id, c.name as competition_name, r.round_number, r.competition_id
+      SELECT c.organiser_id, c.name as competition_name, c.team_list_id, r.round_number, r.competition_id
       FROM competition c
       JOIN round r ON c.id = r.competition_id
-      WHERE r.id = $1
-    `, [roundIdInt]);
+      WHERE r.id = $1 AND r.competition_id = $2
+    `, [roundIdInt, req.competitionAccess.competition_id]);
 
     // Check if round exists in database
     if (verifyResult.rows.length === 0) {
@@ -110,23 +113,15 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
-    // Verify authenticated user is the competition organiser (only organisers can manage fixtures)
-    if (verifyResult.rows[0].organiser_id !== user_id) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Only the competition organiser can add fixtures"
-      });
-    }
-
     // === TEAM NAME RESOLUTION ===
     // Extract all unique team short names from fixtures to perform bulk lookup
     // This prevents N+1 queries by getting all team names in one query
     const allShortNames = [...new Set(fixtures.flatMap(f => [f.home_team, f.away_team]))];
     const teamLookupResult = await query(`
       SELECT name, short_name
-      FROM team 
-      WHERE short_name = ANY($1) AND is_active = true
-    `, [allShortNames]);
+      FROM team
+      WHERE short_name = ANY($1) AND team_list_id = $2 AND is_active = true
+    `, [allShortNames, verifyResult.rows[0].team_list_id]);
     
     // Create team short_name -> full_name lookup map for efficient conversion
     // Frontend sends "ARS" but database stores full name "Arsenal"
@@ -177,6 +172,9 @@ router.post('/', verifyToken, async (req, res) => {
         user_id,
         `Created all fixtures in Round ${verifyResult.rows[0].round_number} with ${fixtures.length} new fixtures`
       ]);
+
+      // Step 4: Move the round's lock job to the lock time the new kickoffs give
+      await scheduleRoundLock(client, roundIdInt, verifyResult.rows[0].competition_id, user_id);
     });
 
     // === POST-TRANSACTION VERIFICATION ===
@@ -37,6 +37,7 @@ Return Codes:
 "UNAUTHORIZED"
 "COMPETITION_NOT_FOUND"
 "COMPETITION_CLOSED"
+"PLAYER_LIMIT_REACHED"  - Free competition already has its maximum players and has not been activated
 "SERVER_ERROR"
 =======================================================================================================================================
 */
@@ -44,9 +45,11 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { assertRoomForPlayer } = require('../services/planService');
 const router = express.Router();
 
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
   try {
     // Extract request parameters and authenticated user ID
     const { competition_id, display_name, email } = req.body;
@@ -117,14 +120,6 @@ router.post('/', verifyToken, async (req, res) => {
 
     const competition = competitionResult.rows[0];
 
-    // Verify requesting user is the competition organizer
-    if (competition.organiser_id !== admin_id) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Only the competition organiser can add offline players"
-      });
-    }
-
     // Check if competition is still accepting new players
     // invite_code being null indicates competition is closed to new members
     if (!competition.invite_code) {
@@ -139,6 +134,9 @@ router.post('/', verifyToken, async (req, res) => {
     let newPlayer = null;
 
     await transaction(async (client) => {
+      // Free competitions take a limited number of players until the organiser activates them
+      await assertRoomForPlayer(client, competition_id);
+
       // Step 1: Create the managed user account
       // is_managed = true indicates this is an admin-controlled player (like "Old Bill")
       // created_by_user_id tracks which admin created this managed player
@@ -209,6 +207,14 @@ router.post('/', verifyToken, async (req, res) => {
     });
 
   } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
     // === ERROR HANDLING ===
     // Log detailed error for debugging but return generic message to client for security
     console.error('Add offline player error:', error);
@@ -0,0 +1,152 @@
+/*
+=======================================================================================================================================
+API Route: add-organisation-member
+=======================================================================================================================================
+Method: POST
+Purpose: Allow organisation admins to add an existing account to the organisation, or change a member's role.
+         Admins co-organise every competition in the organisation; members can create competitions under it.
+=======================================================================================================================================
+Request Payload:
+{
+  "organisation_id": 12,              // integer, required - Organisation to add the member to
+  "email": "sam@example.com",         // string, required - Email of an existing LMS Local account
+  "role": "MEMBER"                    // string, required - "ADMIN" or "MEMBER"
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Sam Smith added as MEMBER",  // string, success confirmation message
+  "member": {
+    "user_id": 789,                   // integer, member's user ID
+    "display_name": "Sam Smith",      // string, member's display name
+    "email": "sam@example.com",       // string, member's email
+    "role": "MEMBER",                 // string, member's role
+    "created_at": "2025-08-28T12:00:00Z" // string, ISO datetime the member was first added
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"       - Missing or invalid parameters, unknown role, or an attempt to change the owner's role
+"UNAUTHORIZED"           - Invalid JWT token or user is not an organisation admin
+"ORGANISATION_NOT_FOUND" - Organisation does not exist in database
+"USER_NOT_FOUND"         - No account exists for this email
+"SERVER_ERROR"           - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const {
+  ORGANISATION_ADMIN_ROLES,
+  GRANTABLE_ORGANISATION_ROLES,
+  requireOrganisationRole
+} = require('../middleware/organisationRole');
+const router = express.Router();
+
+// POST endpoint - organisation admins only
+router.post('/', verifyToken, requireOrganisationRole(ORGANISATION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const { organisation_id, email, role } = req.body;
+    const admin_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input (organisation_id already checked by requireOrganisationRole)
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Email is required"
+      });
+    }
+
+    if (!GRANTABLE_ORGANISATION_ROLES.includes(role)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Role must be one of: ${GRANTABLE_ORGANISATION_ROLES.join(', ')}`
+      });
+    }
+
+    // STEP 2: Look up the account and add or update the membership atomically
+    const member = await transaction(async (client) => {
+      const userResult = await client.query(`
+        SELECT u.id, u.display_name, u.email, om.role as current_role
+        FROM app_user u
+        LEFT JOIN organisation_member om ON om.user_id = u.id AND om.organisation_id = $2
+        WHERE LOWER(u.email) = LOWER($1)
+      `, [email.trim(), organisation_id]);
+
+      if (userResult.rows.length === 0) {
+        throw {
+          return_code: "USER_NOT_FOUND",
+          message: "No LMS Local account found for this email - ask them to register first"
+        };
+      }
+
+      const user = userResult.rows[0];
+
+      // The owner's role is fixed - otherwise an admin could demote the person who created the organisation
+      if (user.current_role === 'OWNER') {
+        throw {
+          return_code: "VALIDATION_ERROR",
+          message: "The organisation owner's role cannot be changed"
+        };
+      }
+
+      const memberResult = await client.query(`
+        INSERT INTO organisation_member (organisation_id, user_id, role, added_by, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (organisation_id, user_id)
+        DO UPDATE SET role = EXCLUDED.role
+        RETURNING role, created_at
+      `, [organisation_id, user.id, role, admin_id]);
+
+      return {
+        user_id: user.id,
+        display_name: user.display_name,
+        email: user.email,
+        role: memberResult.rows[0].role,
+        created_at: memberResult.rows[0].created_at
+      };
+    });
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: `${member.display_name} added as ${member.role}`,
+      member: member
+    });
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Add organisation member error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      organisation_id: req.body?.organisation_id,
+      role: req.body?.role,
+      admin_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to add organisation member"
+    });
+  }
+});
+
+module.exports = router;
@@ -26,7 +26,8 @@ Success Response (ALWAYS HTTP 200):
     "fixture_id": 123,                 // integer, fixture ID for this team (null if no fixture)
     "was_updated": false,              // boolean, true if existing pick was updated, false if new pick created
     "set_by_admin": true               // boolean, indicates this pick was set by admin override
-  }
+  },
+  "round_locked": false                // boolean, true if every active player has now picked and the round locked early
 }
 
 Error Response (ALWAYS HTTP 200):
@@ -43,7 +44,7 @@ Return Codes:
 "PLAYER_NOT_IN_COMPETITION" - Specified player is not participating in this competition
 "PLAYER_ELIMINATED"     - Cannot set pick for eliminated player
 "NO_CURRENT_ROUND"      - Competition has no active round to set picks for
-"ROUND_LOCKED"          - Cannot set picks after round lock time has passed
+"ROUND_LOCKED"          - Cannot set picks after round lock time has passed or every player has picked
 "TEAM_NOT_ALLOWED"      - Team is not available for this player (already used or not in competition)
 "TEAM_NOT_FOUND"        - Team name does not exist in database
 "NO_FIXTURE_FOUND"      - No fixture exists for this team in current round
@@ -54,10 +55,13 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { effectiveLockTimeSql, lockRoundForPicks, lockRoundIfAllPicked } = require('../utils/roundLock');
+const { usedTeamSql } = require('../services/resultsService');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication, validation and atomic transaction safety
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
   try {
     const { competition_id, user_id, team } = req.body;
     const admin_id = req.user.id; // Set by verifyToken middleware
@@ -97,10 +101,12 @@ router.post('/', verifyToken, async (req, res) => {
             c.id as competition_id,
             c.name as competition_name,
             c.organiser_id,
+            c.no_team_twice,
+            c.game_mode,
             -- Get current round info (latest round by round_number)
             r.id as current_round_id,
             r.round_number as current_round_number,
-            r.lock_time as current_round_lock_time,
+            ${effectiveLockTimeSql('r')} as current_round_lock_time, -- Earliest lock trigger (lock time or everyone picked)
             -- Get current time for lock calculation
             NOW() as current_time
           FROM competition c
@@ -110,6 +116,7 @@ router.post('/', verifyToken, async (req, res) => {
               id,
               round_number,
               lock_time,
+              auto_locked_at,
               ROW_NUMBER() OVER (PARTITION BY competition_id ORDER BY round_number DESC) as rn
             FROM round
           ) r ON c.id = r.competition_id AND r.rn = 1
@@ -123,27 +130,33 @@ router.post('/', verifyToken, async (req, res) => {
             u.display_name as player_name
           FROM competition_user cu
           INNER JOIN app_user u ON cu.user_id = u.id
-          WHERE cu.competition_id = $1 AND cu.user_id = $2
+          WHERE cu.competition_id = $1 AND cu.user_id = $2 AND cu.removed_at IS NULL
+        ),
+        fixture_data AS (
+          -- Get fixture for this team in current round, and the team the pick uses up (the opponent in LOSER mode)
+          SELECT
+            f.id as fixture_id,
+            ${usedTeamSql({ team: '$3', homeTeam: 'f.home_team', awayTeam: 'f.away_team', gameMode: 'cd.game_mode' })} as used_team_name
+          FROM fixture f
+          INNER JOIN competition_data cd ON f.round_id = cd.current_round_id
+          WHERE (f.home_team = $3 OR f.away_team = $3)
         ),
         team_data AS (
-          -- Get team info and verify it's allowed for this player
+          -- Get team info and verify the team the pick uses up is allowed for this player
+          -- Without a fixture yet the picked team itself is checked
           SELECT 
             t.id as team_id,
             t.name as team_name,
             t.short_name as team_short,
             at.id as allowed_team_id
           FROM team t
-          LEFT JOIN allowed_teams at ON t.id = at.team_id 
+          LEFT JOIN team used_t ON used_t.team_list_id = t.team_list_id
+            AND used_t.name = COALESCE((SELECT used_team_name FROM fixture_data LIMIT 1), t.name)
+          LEFT JOIN allowed_teams at ON used_t.id = at.team_id 
             AND at.competition_id = $1 
             AND at.user_id = $2
           WHERE t.name = $3
-        ),
-        fixture_data AS (
-          -- Get fixture for this team in current round
-          SELECT f.id as fixture_id
-          FROM fixture f
-          INNER JOIN competition_data cd ON f.round_id = cd.current_round_id
-          WHERE (f.home_team = $3 OR f.away_team = $3)
+            AND t.team_list_id = (SELECT team_list_id FROM competition WHERE id = $1)
         ),
         existing_pick_data AS (
           -- Check if player already has a pick for current round
@@ -181,14 +194,6 @@ router.post('/', verifyToken, async (req, res) => {
 
       const data = mainResult.rows[0];
 
-      // Verify user authorization - only competition organiser can set picks for players
-      if (data.organiser_id !== admin_id) {
-        throw {
-          return_code: "UNAUTHORIZED",
-          message: "Only the competition organiser can set picks for players"
-        };
-      }
-
       // Check if player is participating in this competition
       if (!data.player_name) {
         throw {
@@ -233,8 +238,8 @@ router.post('/', verifyToken, async (req, res) => {
         };
       }
 
-      // Check if team is allowed for this player (hasn't been used before)
-      if (!data.allowed_team_id) {
+      // Check if team is allowed for this player (hasn't been used before) - only when teams can't be reused
+      if (data.no_team_twice && !data.allowed_team_id) {
         throw {
           return_code: "TEAM_NOT_ALLOWED",
           message: "Team is not available for this player (may have been used in previous round)"
@@ -251,6 +256,9 @@ router.post('/', verifyToken, async (req, res) => {
         });
       }
 
+      // Serialise picks for this round so the last-pick round lock below sees every committed pick
+      await lockRoundForPicks(client, data.current_round_id);
+
       // Determine if we're updating existing pick or creating new one
       const wasUpdated = !!data.existing_pick_id;
       let pickResult;
@@ -310,6 +318,9 @@ router.post('/', verifyToken, async (req, res) => {
         auditDetails
       ]);
 
+      // Lock the round early if this pick completed the set for all active players
+      const roundLocked = await lockRoundIfAllPicked(client, data.current_round_id, competition_id, admin_id);
+
       // Return comprehensive pick information for frontend display
       return {
         return_code: "SUCCESS",
@@ -324,7 +335,8 @@ router.post('/', verifyToken, async (req, res) => {
           fixture_id: data.fixture_id,
           was_updated: wasUpdated,
           set_by_admin: true
-        }
+        },
+        round_locked: roundLocked
       };
     });
 
@@ -0,0 +1,287 @@
+/*
+=======================================================================================================================================
+API Route: buy-back-player
+=======================================================================================================================================
+Method: POST
+Purpose: Allow competition organiser to re-enter an eliminated player under the competition's buy-back rule, recording the payment,
+         restoring their allowed teams and writing a full audit trail (rules in services/buybackService.js). The fee is added
+         to the prize pot as a BUYBACK ledger entry.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition ID the player is re-entering
+  "player_id": 456,                   // integer, required - Eliminated player ID
+  "paid_amount": 5.00                 // number, optional - Buy-back fee paid, added to the player's recorded payment
+                                      //   (defaults to the competition buy-back fee)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Kate Smith has bought back in",  // string, success confirmation message
+  "player": {
+    "id": 456,                        // integer, re-entered player ID
+    "name": "Kate Smith",             // string, player display name
+    "status": "active",               // string, player status after re-entry
+    "lives_remaining": 1,             // integer, lives granted by the buy-back rule
+    "buyback_count": 1,               // integer, number of times the player has bought back in
+    "paid": true,                     // boolean, payment status after re-entry (true once the fees recorded cover entry + buy-backs)
+    "paid_amount": 15.00,             // number, total recorded payment (null if no amount recorded)
+    "teams_restored": 20              // integer, allowed teams restored (0 when teams can be reused)
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id, player_id or paid_amount
+"UNAUTHORIZED"          - Invalid JWT token or user is not competition organiser
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"PLAYER_NOT_FOUND"      - Player is not a member of this competition
+"BUYBACK_NOT_ALLOWED"   - Buy-backs disabled, player not eliminated, window closed or already used
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { buybackBlockedReason } = require('../services/buybackService');
+const { recordLedgerEntry, calculateOwed } = require('../services/prizePotService');
+const router = express.Router();
+
+// POST endpoint with organiser authorization and atomic transaction safety for player re-entry
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id, player_id, paid_amount } = req.body;
+    const admin_id = req.user.id; // Set by verifyToken middleware
+    const admin_email = req.user.email; // For audit trail
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    if (!player_id || !Number.isInteger(player_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Player ID is required and must be an integer"
+      });
+    }
+
+    if (paid_amount !== undefined && paid_amount !== null && (typeof paid_amount !== 'number' || paid_amount < 0)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Payment amount must be a positive number if provided"
+      });
+    }
+
+    // STEP 2: Re-enter the player atomically - status, lives, payment, teams and audit succeed or fail together
+    const transactionResult = await transaction(async (client) => {
+
+      // Get competition rule, organiser and the player's membership in one query
+      const validationResult = await client.query(`
+        SELECT
+          c.id as competition_id,
+          c.name as competition_name,
+          c.organiser_id,
+          c.status as competition_status,
+          c.team_list_id,
+          c.no_team_twice,
+          c.buyback_mode,
+          c.buyback_rounds,
+          c.buyback_lives,
+          c.buyback_fee,
+          c.entry_fee,
+          (SELECT MAX(round_number) FROM round WHERE competition_id = c.id) as current_round,
+          cu.user_id as player_user_id,
+          cu.status as player_status,
+          cu.buyback_count,
+          cu.paid_amount,
+          u.display_name as player_name
+        FROM competition c
+        LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $2 AND cu.removed_at IS NULL
+        LEFT JOIN app_user u ON cu.user_id = u.id
+        WHERE c.id = $1
+      `, [competition_id, player_id]);
+
+      // Check if competition exists
+      if (validationResult.rows.length === 0) {
+        throw {
+          return_code: "COMPETITION_NOT_FOUND",
+          message: "Competition not found or does not exist"
+        };
+      }
+
+      const data = validationResult.rows[0];
+
+      // Check if player exists in this competition
+      if (!data.player_user_id) {
+        throw {
+          return_code: "PLAYER_NOT_FOUND",
+          message: "Player not found in this competition"
+        };
+      }
+
+      // Apply the competition's buy-back rule
+      const blockedReason = buybackBlockedReason(data);
+      if (blockedReason) {
+        throw {
+          return_code: "BUYBACK_NOT_ALLOWED",
+          message: blockedReason
+        };
+      }
+
+      // Fee taken - the amount sent, otherwise the competition's buy-back fee
+      const feePaid = paid_amount ?? (data.buyback_fee === null ? null : parseFloat(data.buyback_fee));
+
+      // With a fee taken, the player is paid up only if it covers everything owed - entry fee plus every buy-back
+      const paidUp = feePaid === null ? null : calculateOwed(data, {
+        buyback_count: data.buyback_count + 1,
+        paid_amount: (parseFloat(data.paid_amount) || 0) + feePaid
+      }).owes === 0;
+
+      // Re-enter the player and record the payment against their membership
+      // The fee is added to anything already paid (entry fee + buy-back); with no fee taken the payment fields are left alone
+      // Only updates a player who is still OUT, so a double-click cannot buy back twice
+      const updateResult = await client.query(`
+        UPDATE competition_user
+        SET
+          status = 'active',
+          lives_remaining = $3,
+          buyback_count = buyback_count + 1,
+          paid = CASE WHEN $4::numeric IS NULL THEN paid ELSE $7::boolean END,
+          paid_amount = CASE WHEN $4::numeric IS NULL THEN paid_amount ELSE COALESCE(paid_amount, 0) + $4::numeric END,
+          paid_date = CASE WHEN $4::numeric IS NULL THEN paid_date ELSE NOW() END,
+          teams_reset_round = CASE WHEN $5::boolean THEN $6::integer ELSE teams_reset_round END
+        WHERE competition_id = $1 AND user_id = $2 AND status = 'OUT'
+        RETURNING status, lives_remaining, buyback_count, paid, paid_amount
+      `, [
+        competition_id,
+        player_id,
+        data.buyback_lives,
+        feePaid,
+        data.no_team_twice && !!data.team_list_id,
+        data.current_round,
+        paidUp
+      ]);
+
+      if (updateResult.rows.length === 0) {
+        throw {
+          return_code: "BUYBACK_NOT_ALLOWED",
+          message: "Only eliminated players can buy back in"
+        };
+      }
+
+      // Restore allowed teams as for a fresh entry - earlier picks no longer count against no team twice
+      // A team picked in the current round (the one that knocked them out) stays used
+      let teamsRestored = 0;
+      if (data.no_team_twice && data.team_list_id) {
+        await client.query(`
+          DELETE FROM allowed_teams
+          WHERE competition_id = $1 AND user_id = $2
+        `, [competition_id, player_id]);
+
+        const teamsResult = await client.query(`
+          INSERT INTO allowed_teams (competition_id, user_id, team_id, created_at)
+          SELECT $1, $2, t.id, NOW()
+          FROM team t
+          WHERE t.team_list_id = $3 AND t.is_active = true
+            AND NOT EXISTS (
+              SELECT 1 FROM pick p
+              INNER JOIN round r ON p.round_id = r.id
+              WHERE r.competition_id = $1 AND r.round_number >= $4 AND p.user_id = $2 AND p.team = t.short_name
+            )
+        `, [competition_id, player_id, data.team_list_id, data.current_round]);
+
+        teamsRestored = teamsResult.rowCount || 0;
+      }
+
+      const updated = updateResult.rows[0];
+
+      // Add the fee to the prize pot
+      await recordLedgerEntry(client, {
+        competition_id: competition_id,
+        user_id: player_id,
+        entry_type: 'BUYBACK',
+        amount: feePaid,
+        note: `Buy-back ${updated.buyback_count}`,
+        created_by: admin_id
+      });
+
+      // Audit trail for the re-entry and the payment taken
+      const auditDetails = {
+        action: 'PLAYER_BOUGHT_BACK',
+        player: data.player_name,
+        competition: data.competition_name,
+        rule: data.buyback_mode,
+        round: data.current_round,
+        buyback_number: updated.buyback_count,
+        lives_granted: updated.lives_remaining,
+        amount: feePaid,
+        teams_restored: teamsRestored,
+        admin_id: admin_id,
+        admin_email: admin_email
+      };
+
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+        VALUES ($1, $2, 'Player Bought Back', $3, NOW())
+      `, [competition_id, player_id, JSON.stringify(auditDetails)]);
+
+      return {
+        return_code: "SUCCESS",
+        message: `${data.player_name} has bought back in`,
+        player: {
+          id: player_id,
+          name: data.player_name,
+          status: updated.status,
+          lives_remaining: updated.lives_remaining,
+          buyback_count: updated.buyback_count,
+          paid: updated.paid,
+          paid_amount: updated.paid_amount,
+          teams_restored: teamsRestored
+        }
+      };
+    });
+
+    // Return transaction result with HTTP 200 status as per API standards
+    return res.json(transactionResult);
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Buy back player error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      player_id: req.body?.player_id,
+      admin_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to buy player back in"
+    });
+  }
+});
+
+module.exports = router;
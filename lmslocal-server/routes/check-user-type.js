@@ -64,7 +64,7 @@ router.post('/', verifyToken, async (req, res) => {
     );
     
     const participatingResult = await query(
-      'SELECT COUNT(*) as count FROM competition_user WHERE user_id = $1',
+      'SELECT COUNT(*) as count FROM competition_user WHERE user_id = $1 AND removed_at IS NULL',
       [user_id]
     );
 
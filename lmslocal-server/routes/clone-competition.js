@@ -0,0 +1,205 @@
+/*
+=======================================================================================================================================
+API Route: clone-competition
+=======================================================================================================================================
+Method: POST
+Purpose: "Clone & Restart" - creates a new competition with an existing competition's settings (team list, lives, no team twice,
+         team reset and no-winner rules, description, logo) and a fresh invite code and slug.
+         Previous participants can be left out, invited by email, or pre-enrolled with fresh allowed_teams.
+         Managed offline players cannot accept an email invite, so with "invite" they (and the organiser, if they played) are enrolled.
+         The new competition is not activated, so enrolling more than the free player limit is refused - use "invite" instead.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,                       // integer, required - Competition to clone
+  "name": "Premier League LMS - Round 2",      // string, optional - New competition name (default: same name as source)
+  "participants": "enrol"                      // string, optional - "none" (default), "invite" or "enrol"
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Competition cloned successfully",
+  "competition": {
+    "id": 124,                                 // integer, new competition ID
+    "name": "Premier League LMS - Round 2",    // string, new competition name
+    "status": "LOCKED",                        // string, competition status
+    "team_list_id": 1,                         // integer, team list copied from source
+    "lives_per_player": 1,                     // integer, lives copied from source
+    "no_team_twice": true,                     // boolean, rule copied from source
+    "invite_code": "4567",                     // string, fresh 4-digit invite code
+    "slug": "premier-league-lms-round-2-4567", // string, fresh slug
+    "cloned_from": 123                         // integer, source competition ID
+  },
+  "players_enrolled": 38,                      // integer, previous participants added to the new competition
+  "invites_sent": 0                            // integer, invite emails sent successfully
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"       // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"
+"COMPETITION_NOT_FOUND"
+"UNAUTHORIZED"
+"PLAYER_LIMIT_REACHED"  - More players to enrol than a free competition allows
+"SERVER_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query, transaction } = require('../database');
+const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { cloneCompetition } = require('../services/competitionService');
+const { FREE_PLAYER_LIMIT } = require('../services/planService');
+const { sendCompetitionInvite } = require('../services/emailService');
+const router = express.Router();
+
+const PARTICIPANT_OPTIONS = ['none', 'invite', 'enrol'];
+
+router.post('/', verifyToken, requireCompetitionPermission('owner'), async (req, res) => {
+  try {
+    const { competition_id, name, participants = 'none' } = req.body;
+    const user_id = req.user.id;
+
+    // === INPUT VALIDATION ===
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be a number"
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 200)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Name must be a non-empty string of 200 characters or less"
+      });
+    }
+
+    if (!PARTICIPANT_OPTIONS.includes(participants)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Participants must be one of: ${PARTICIPANT_OPTIONS.join(', ')}`
+      });
+    }
+
+    // === SOURCE COMPETITION AND PARTICIPANTS ===
+    // One query gets the source competition, organiser name and every previous participant
+    const sourceResult = await query(`
+      SELECT
+        c.id,
+        c.name,
+        c.organiser_id,
+        organiser.display_name as organiser_name,
+        cu.user_id,
+        u.display_name,
+        u.email,
+        u.is_managed
+      FROM competition c
+      INNER JOIN app_user organiser ON organiser.id = c.organiser_id
+      LEFT JOIN competition_user cu ON cu.competition_id = c.id AND cu.removed_at IS NULL
+      LEFT JOIN app_user u ON u.id = cu.user_id
+      WHERE c.id = $1
+    `, [competition_id]);
+
+    if (sourceResult.rows.length === 0) {
+      return res.json({
+        return_code: "COMPETITION_NOT_FOUND",
+        message: "Competition not found"
+      });
+    }
+
+    const source = sourceResult.rows[0];
+
+    const previousPlayers = sourceResult.rows.filter(row => row.user_id !== null);
+
+    // Decide who is enrolled straight away and who gets an email invite
+    let enrolIds = [];
+    let invitees = [];
+    if (participants === 'enrol') {
+      enrolIds = previousPlayers.map(player => player.user_id);
+    } else if (participants === 'invite') {
+      const canBeInvited = (player) => !player.is_managed && player.email && player.user_id !== user_id;
+      enrolIds = previousPlayers.filter(player => !canBeInvited(player)).map(player => player.user_id);
+      invitees = previousPlayers.filter(canBeInvited);
+    }
+
+    // === ATOMIC CLONE ===
+    const competition = await transaction(async (client) => {
+      const newCompetition = await cloneCompetition(client, competition_id, {
+        name: name ? name.trim() : source.name,
+        organiser_id: user_id,
+        player_ids: enrolIds
+      });
+
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details)
+        VALUES ($1, $2, 'Competition Created', $3)
+      `, [
+        newCompetition.id,
+        user_id,
+        `Cloned from "${source.name}" (competition ${competition_id}) with ${newCompetition.players_enrolled} players enrolled` +
+          (invitees.length > 0 ? ` and ${invitees.length} invited` : '')
+      ]);
+
+      return newCompetition;
+    });
+
+    // === INVITE EMAILS ===
+    // Sent after commit so a mail failure never undoes the clone - failures are logged by the email service
+    let invitesSent = 0;
+    for (const player of invitees) {
+      const result = await sendCompetitionInvite(
+        player.email,
+        player.display_name,
+        competition.name,
+        competition.invite_code,
+        source.organiser_name
+      );
+      if (result.success) {
+        invitesSent++;
+      }
+    }
+
+    res.json({
+      return_code: "SUCCESS",
+      message: "Competition cloned successfully",
+      competition: {
+        id: competition.id,
+        name: competition.name,
+        status: competition.status,
+        team_list_id: competition.team_list_id,
+        lives_per_player: competition.lives_per_player,
+        no_team_twice: competition.no_team_twice,
+        invite_code: competition.invite_code,
+        slug: competition.slug,
+        cloned_from: competition_id
+      },
+      players_enrolled: competition.players_enrolled,
+      invites_sent: invitesSent
+    });
+
+  } catch (error) {
+    // Too many players to enrol into the new (free) competition
+    if (error.return_code === 'PLAYER_LIMIT_REACHED') {
+      return res.json({
+        return_code: error.return_code,
+        message: `Free competitions are limited to ${FREE_PLAYER_LIMIT} players until activated - clone with participants "invite" instead and players can rejoin with the new invite code`
+      });
+    }
+
+    console.error('Clone competition error:', error);
+    res.json({
+      return_code: "SERVER_ERROR",
+      message: "Internal server error"
+    });
+  }
+});
+
+module.exports = router;
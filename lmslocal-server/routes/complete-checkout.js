@@ -0,0 +1,178 @@
+/*
+=======================================================================================================================================
+API Route: complete-checkout
+=======================================================================================================================================
+Method: POST
+Purpose: Called when the user returns from the payment provider's checkout. Asks the provider whether the payment went through
+         and, if it did, activates the competition or starts/extends the monthly subscription. Safe to call more than once -
+         a payment is only ever applied once.
+=======================================================================================================================================
+Request Payload:
+{
+  "provider_reference": "fake_17_9f2c..." // string, required - Reference from the checkout link
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Competition activated",     // string, success confirmation message
+  "payment": {
+    "id": 17,                         // integer, plan payment ID
+    "plan": "COMPETITION",            // string, plan paid for
+    "competition_id": 123,            // integer, activated competition (null for MONTHLY)
+    "amount_pence": 3900,             // integer, amount in pence
+    "status": "PAID",                 // string, PAID
+    "paid_at": "2025-08-28T12:00:00Z" // string, ISO datetime the payment was applied
+  },
+  "subscription_until": null          // string, ISO datetime the subscription now runs to (MONTHLY only)
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing provider_reference
+"UNAUTHORIZED"          - Invalid JWT token
+"PAYMENT_NOT_FOUND"     - No payment with this reference for the user
+"PAYMENT_PENDING"       - Provider has not confirmed the payment yet
+"PAYMENT_FAILED"        - Provider reports the payment failed
+"PAYMENTS_UNAVAILABLE"  - The provider that took the payment is not configured
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { applyPaidPayment } = require('../services/planService');
+const { getPaymentProvider } = require('../services/paymentProvider');
+const router = express.Router();
+
+// POST endpoint - only the user who started the checkout can complete it
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { provider_reference } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input
+    if (!provider_reference || typeof provider_reference !== 'string') {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Payment reference is required"
+      });
+    }
+
+    // STEP 2: Confirm with the provider and apply the payment atomically
+    const result = await transaction(async (client) => {
+      // Lock the payment so a double submit cannot apply it twice
+      const paymentResult = await client.query(`
+        SELECT id, user_id, competition_id, plan, amount_pence, provider, provider_reference, status, paid_at
+        FROM plan_payment
+        WHERE provider_reference = $1 AND user_id = $2
+        FOR UPDATE
+      `, [provider_reference, user_id]);
+
+      if (paymentResult.rows.length === 0) {
+        throw {
+          return_code: "PAYMENT_NOT_FOUND",
+          message: "Payment not found"
+        };
+      }
+
+      const payment = paymentResult.rows[0];
+
+      // Already applied - report success again without re-applying
+      if (payment.status === 'PAID') {
+        return { payment, subscription_until: null, already_applied: true };
+      }
+
+      const provider = getPaymentProvider();
+      if (!provider || provider.name !== payment.provider) {
+        throw {
+          return_code: "PAYMENTS_UNAVAILABLE",
+          message: "Payments are not available at the moment - please try again later"
+        };
+      }
+
+      const status = await provider.getPaymentStatus(payment.provider_reference);
+
+      if (status === 'PENDING') {
+        throw {
+          return_code: "PAYMENT_PENDING",
+          message: "Your payment has not been confirmed yet - please try again in a moment"
+        };
+      }
+
+      if (status !== 'PAID') {
+        await client.query(`
+          UPDATE plan_payment SET status = 'FAILED' WHERE id = $1
+        `, [payment.id]);
+
+        return { failed: true };
+      }
+
+      const paidResult = await client.query(`
+        UPDATE plan_payment SET status = 'PAID', paid_at = NOW()
+        WHERE id = $1
+        RETURNING id, user_id, competition_id, plan, amount_pence, provider, provider_reference, status, paid_at
+      `, [payment.id]);
+
+      const paidPayment = paidResult.rows[0];
+      const applied = await applyPaidPayment(client, paidPayment);
+
+      return { payment: paidPayment, subscription_until: applied.subscription_until, already_applied: false };
+    });
+
+    // A failed payment is recorded, so it is returned outside the transaction rather than thrown
+    if (result.failed) {
+      return res.json({
+        return_code: "PAYMENT_FAILED",
+        message: "Your payment did not go through - no changes were made"
+      });
+    }
+
+    const { payment } = result;
+    return res.json({
+      return_code: "SUCCESS",
+      message: payment.plan === 'COMPETITION' ? "Competition activated" : "Monthly subscription active",
+      payment: {
+        id: payment.id,
+        plan: payment.plan,
+        competition_id: payment.competition_id,
+        amount_pence: payment.amount_pence,
+        status: payment.status,
+        paid_at: payment.paid_at
+      },
+      subscription_until: result.subscription_until
+    });
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Complete checkout error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to complete payment"
+    });
+  }
+});
+
+module.exports = router;
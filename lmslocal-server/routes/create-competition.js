@@ -12,7 +12,22 @@ Request Payload:
   "team_list_id": 1,                           // integer, required - ID of team list to use
   "lives_per_player": 1,                       // integer, optional - Number of lives per player (default: 1)
   "no_team_twice": true,                       // boolean, optional - Prevent team reuse (default: true)
-  "organiser_joins_as_player": true            // boolean, optional - Add organiser as player (default: false)
+  "team_reset_mode": "EXHAUSTED",              // string, optional - When used-up teams come back: "EXHAUSTED" (default) or "EVERY_N_ROUNDS"
+  "team_reset_rounds": 10,                     // integer, required for EVERY_N_ROUNDS - Rounds between team resets
+  "no_winner_rule": "NO_WINNER",               // string, optional - When the last players all go out together:
+                                               //   "NO_WINNER" (default), "REINSTATE", "JOINT_WINNERS" or "ROLLOVER"
+  "draw_policy": "LOSE",                       // string, optional - Picking a team that draws: "LOSE" (default, same as a loss),
+                                               //   "SURVIVE" (no life lost) or "LOSE_LIFE" (costs a life, but never the last one)
+  "game_mode": "CLASSIC",                      // string, optional - "CLASSIC" (default, pick a winner) or "LOSER" (pick a team to lose)
+  "pick_lock_mode": "ROUND",                   // string, optional - "ROUND" (default, all picks lock together) or "FIXTURE"
+                                               //   (each pick locks at its own fixture's kickoff)
+  "buyback_mode": "NONE",                      // string, optional - Eliminated players re-entering: "NONE" (default),
+                                               //   "FIRST_N_ROUNDS" (within the first buyback_rounds rounds) or "ONCE" (once per player)
+  "buyback_rounds": 3,                         // integer, required for FIRST_N_ROUNDS - Rounds during which buy-backs are open
+  "buyback_lives": 0,                          // integer, optional - Lives a re-entering player gets (default: 0)
+  "organiser_joins_as_player": true,           // boolean, optional - Add organiser as player (default: false)
+  "organisation_id": 12                        // integer, optional - Organisation to create the competition under (caller must
+                                               //   be a member); unlocks the organisation's own team lists
 }
 
 Success Response (ALWAYS HTTP 200):
@@ -27,7 +42,17 @@ Success Response (ALWAYS HTTP 200):
     "team_list_id": 1,                         // integer, associated team list ID
     "lives_per_player": 1,                     // integer, lives per player
     "no_team_twice": true,                     // boolean, team reuse prevention
+    "team_reset_mode": "EXHAUSTED",            // string, team reset rule
+    "team_reset_rounds": null,                 // integer, rounds between resets (EVERY_N_ROUNDS only)
+    "no_winner_rule": "NO_WINNER",             // string, rule applied when all remaining players go out together
+    "draw_policy": "LOSE",                     // string, how a drawn pick is treated
+    "game_mode": "CLASSIC",                    // string, "CLASSIC" or "LOSER"
+    "pick_lock_mode": "ROUND",                 // string, "ROUND" or "FIXTURE"
+    "buyback_mode": "NONE",                    // string, buy-back rule for eliminated players
+    "buyback_rounds": null,                    // integer, rounds buy-backs stay open (FIRST_N_ROUNDS only)
+    "buyback_lives": 0,                        // integer, lives given on re-entry
     "invite_code": "4567",                     // string, 4-digit invite code
+    "organisation_id": 12,                     // integer, owning organisation (null if none)
     "created_at": "2025-01-01T12:00:00.000Z",  // string, ISO datetime when created
     "organiser_id": 456                        // integer, organiser user ID
   }
@@ -50,11 +75,20 @@ Return Codes:
 const express = require('express');
 const { transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { TEAM_RESET_MODES } = require('../services/teamResetService');
+const { NO_WINNER_RULES, DRAW_POLICIES, GAME_MODES } = require('../services/resultsService');
+const { PICK_LOCK_MODES } = require('../utils/roundLock');
+const { BUYBACK_MODES } = require('../services/buybackService');
+const { generateInviteCode } = require('../services/competitionService');
+const { getOrganisationRole } = require('../middleware/organisationRole');
 const router = express.Router();
 
 router.post('/', verifyToken, async (req, res) => {
   try {
-    const { name, description, team_list_id, lives_per_player, no_team_twice, organiser_joins_as_player } = req.body;
+    const { name, description, team_list_id, lives_per_player, no_team_twice, organiser_joins_as_player,
+            team_reset_mode = 'EXHAUSTED', team_reset_rounds, no_winner_rule = 'NO_WINNER',
+            draw_policy = 'LOSE', game_mode = 'CLASSIC', pick_lock_mode = 'ROUND',
+            buyback_mode = 'NONE', buyback_rounds, buyback_lives = 0, organisation_id = null } = req.body;
     const organiser_id = req.user.id;
 
     // Basic validation
@@ -72,46 +106,110 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
+    if (!TEAM_RESET_MODES.includes(team_reset_mode)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Team reset mode must be one of: ${TEAM_RESET_MODES.join(', ')}`
+      });
+    }
+
+    if (team_reset_mode === 'EVERY_N_ROUNDS' && (!Number.isInteger(team_reset_rounds) || team_reset_rounds < 1)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Rounds between team resets must be a whole number of at least 1"
+      });
+    }
+
+    if (!NO_WINNER_RULES.includes(no_winner_rule)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `No-winner rule must be one of: ${NO_WINNER_RULES.join(', ')}`
+      });
+    }
+
+    if (!DRAW_POLICIES.includes(draw_policy)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Draw policy must be one of: ${DRAW_POLICIES.join(', ')}`
+      });
+    }
+
+    if (!GAME_MODES.includes(game_mode)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Game mode must be one of: ${GAME_MODES.join(', ')}`
+      });
+    }
+
+    if (!PICK_LOCK_MODES.includes(pick_lock_mode)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Pick lock mode must be one of: ${PICK_LOCK_MODES.join(', ')}`
+      });
+    }
+
+    if (!BUYBACK_MODES.includes(buyback_mode)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Buy-back rule must be one of: ${BUYBACK_MODES.join(', ')}`
+      });
+    }
+
+    if (buyback_mode === 'FIRST_N_ROUNDS' && (!Number.isInteger(buyback_rounds) || buyback_rounds < 1)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Buy-back rounds must be a whole number of at least 1"
+      });
+    }
+
+    if (!Number.isInteger(buyback_lives) || buyback_lives < 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Buy-back lives must be a whole number of 0 or more"
+      });
+    }
+
+    if (organisation_id !== null && !Number.isInteger(organisation_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Organisation ID must be a number"
+      });
+    }
+
     // Execute all operations in a single atomic transaction
     const result = await transaction(async (client) => {
 
+      // 0. Competitions can only be created under an organisation the organiser belongs to
+      if (organisation_id !== null) {
+        const organisationAccess = await getOrganisationRole(organisation_id, organiser_id, client);
+        if (!organisationAccess) {
+          throw new Error('VALIDATION_ERROR: Organisation not found');
+        }
+        if (!organisationAccess.role) {
+          throw new Error('VALIDATION_ERROR: You are not a member of this organisation');
+        }
+      }
+
       // 1. Validate team_list exists and is accessible (with row lock)
+      // Shared lists have no organisation or creator; personal lists can only be used by their creator, and
+      // organisation lists only by that organisation's competitions
       const teamListResult = await client.query(`
         SELECT id, name 
         FROM team_list 
         WHERE id = $1 AND is_active = true 
+          AND (
+            (organisation_id IS NULL AND (created_by IS NULL OR created_by = $3))
+            OR organisation_id = $2
+          )
         FOR UPDATE
-      `, [team_list_id]);
+      `, [team_list_id, organisation_id, organiser_id]);
 
       if (teamListResult.rows.length === 0) {
         throw new Error('VALIDATION_ERROR: Invalid team list selected');
       }
 
       // 2. Generate unique invite code atomically (prevents race conditions)
-      let inviteCode = '';
-      let attempts = 0;
-      const maxAttempts = 100;
-
-      while (attempts < maxAttempts) {
-        // Generate 4-digit random number
-        inviteCode = Math.floor(1000 + Math.random() * 9000).toString();
-
-        // Check if this code already exists within the same transaction
-        const existingCodeResult = await client.query(
-          'SELECT id FROM competition WHERE invite_code = $1',
-          [inviteCode]
-        );
-
-        if (existingCodeResult.rows.length === 0) {
-          break; // Found unique code
-        }
-        
-        attempts++;
-      }
-
-      if (attempts >= maxAttempts) {
-        throw new Error('SERVER_ERROR: Unable to generate unique invite code after multiple attempts');
-      }
+      const inviteCode = await generateInviteCode(client);
 
       // 3. Create the competition with generated invite code
       const competitionResult = await client.query(`
@@ -124,9 +222,19 @@ router.post('/', verifyToken, async (req, res) => {
           no_team_twice, 
           organiser_id,
           invite_code,
+          team_reset_mode,
+          team_reset_rounds,
+          no_winner_rule,
+          draw_policy,
+          game_mode,
+          pick_lock_mode,
+          buyback_mode,
+          buyback_rounds,
+          buyback_lives,
+          organisation_id,
           created_at
         )
-        VALUES ($1, $2, $3, 'LOCKED', $4, $5, $6, $7, CURRENT_TIMESTAMP)
+        VALUES ($1, $2, $3, 'LOCKED', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, CURRENT_TIMESTAMP)
         RETURNING *
       `, [
         name.trim(),
@@ -135,7 +243,17 @@ router.post('/', verifyToken, async (req, res) => {
         lives_per_player || 1,
         no_team_twice !== false, // Default to true
         organiser_id,
-        inviteCode
+        inviteCode,
+        team_reset_mode,
+        team_reset_mode === 'EVERY_N_ROUNDS' ? team_reset_rounds : null,
+        no_winner_rule,
+        draw_policy,
+        game_mode,
+        pick_lock_mode,
+        buyback_mode,
+        buyback_mode === 'FIRST_N_ROUNDS' ? buyback_rounds : null,
+        buyback_lives,
+        organisation_id
       ]);
 
       const competition = competitionResult.rows[0];
@@ -225,7 +343,17 @@ router.post('/', verifyToken, async (req, res) => {
         team_list_id: result.competition.team_list_id,
         lives_per_player: result.competition.lives_per_player,
         no_team_twice: result.competition.no_team_twice,
+        team_reset_mode: result.competition.team_reset_mode,
+        team_reset_rounds: result.competition.team_reset_rounds,
+        no_winner_rule: result.competition.no_winner_rule,
+        draw_policy: result.competition.draw_policy,
+        game_mode: result.competition.game_mode,
+        pick_lock_mode: result.competition.pick_lock_mode,
+        buyback_mode: result.competition.buyback_mode,
+        buyback_rounds: result.competition.buyback_rounds,
+        buyback_lives: result.competition.buyback_lives,
         invite_code: result.competition.invite_code,
+        organisation_id: result.competition.organisation_id,
         created_at: result.competition.created_at,
         organiser_id: result.competition.organiser_id
       }
@@ -0,0 +1,113 @@
+/*
+=======================================================================================================================================
+API Route: create-organisation
+=======================================================================================================================================
+Method: POST
+Purpose: Create an organisation (pub, club or workplace) that groups competitions, team lists and branding under one login.
+         The creator becomes the organisation OWNER.
+=======================================================================================================================================
+Request Payload:
+{
+  "name": "The Red Lion Group",       // string, required - Organisation name (max 100 characters)
+  "logo_url": "https://...",          // string, optional - http(s) link to the organisation's logo
+  "brand_colour": "#B91C1C"           // string, optional - #RRGGBB colour used to brand competition pages
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Organisation created successfully",  // string, success confirmation message
+  "organisation": {
+    "id": 12,                         // integer, new organisation ID
+    "name": "The Red Lion Group",     // string, organisation name
+    "logo_url": "https://...",        // string, logo link (null if not set)
+    "brand_colour": "#B91C1C",        // string, brand colour (null if not set)
+    "role": "OWNER",                  // string, caller's role in the organisation
+    "created_at": "2025-08-28T12:00:00Z" // string, ISO datetime when created
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing name or invalid branding
+"UNAUTHORIZED"          - Invalid JWT token
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { validateOrganisationDetails } = require('../services/organisationService');
+const router = express.Router();
+
+// POST endpoint - any signed-in user can start an organisation
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { name, logo_url = null, brand_colour = null } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate name and branding (name is required on create)
+    const validationError = validateOrganisationDetails({ name: name || '', logo_url, brand_colour });
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    // STEP 2: Create the organisation and its owner membership atomically
+    const organisation = await transaction(async (client) => {
+      const organisationResult = await client.query(`
+        INSERT INTO organisation (name, logo_url, brand_colour, created_by, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, NOW(), NOW())
+        RETURNING id, name, logo_url, brand_colour, created_at
+      `, [name.trim(), logo_url, brand_colour, user_id]);
+
+      const created = organisationResult.rows[0];
+
+      await client.query(`
+        INSERT INTO organisation_member (organisation_id, user_id, role, added_by, created_at)
+        VALUES ($1, $2, 'OWNER', $2, NOW())
+      `, [created.id, user_id]);
+
+      return created;
+    });
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: "Organisation created successfully",
+      organisation: {
+        id: organisation.id,
+        name: organisation.name,
+        logo_url: organisation.logo_url,
+        brand_colour: organisation.brand_colour,
+        role: 'OWNER',
+        created_at: organisation.created_at
+      }
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Create organisation error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to create organisation"
+    });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,15 @@ API Route: create-round
 =======================================================================================================================================
 Method: POST
 Purpose: Creates a new round for a specific competition (organiser only)
+         Schedules the round's ROUND_LOCK background job (services/scheduledJobs.js), which closes registration when
+         Round 1 locks and then calculates the round automatically once every result is in.
+         Fixtures imported ahead of time (import-fixtures with create_rounds) for the next matchweek are added to the round.
 =======================================================================================================================================
 Request Payload:
 {
   "competition_id": 123,                 // integer, required - ID of the competition
-  "lock_time": "2025-08-25T14:00:00Z"    // string, required - ISO datetime when picks lock
+  "lock_time": "2025-08-25T14:00:00Z"    // string, optional - ISO datetime when picks lock. If omitted the round locks
+                                         //   LOCK_OFFSET_MINUTES (default 60) before its first fixture kicks off
 }
 
 Success Response (ALWAYS HTTP 200):
@@ -18,9 +22,11 @@ Success Response (ALWAYS HTTP 200):
   "round": {
     "id": 1,                            // integer, unique round ID
     "round_number": 1,                  // integer, sequential round number
-    "lock_time": "2025-08-25T14:00:00Z", // string, ISO datetime when picks lock
+    "lock_time": "2025-08-25T14:00:00Z", // string, ISO datetime when picks lock (null if derived from first kickoff)
     "status": "LOCKED",                 // string, round status
-    "created_at": "2025-08-23T10:00:00Z" // string, ISO datetime when round created
+    "created_at": "2025-08-23T10:00:00Z", // string, ISO datetime when round created
+    "matchweek": 3,                     // integer, imported matchweek whose fixtures were added (null if none were waiting)
+    "fixture_count": 10                 // integer, imported fixtures added to the round (0 if none were waiting)
   }
 }
 
@@ -42,9 +48,11 @@ Return Codes:
 const express = require('express');
 const { transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { createNextRound } = require('../services/roundService');
 const router = express.Router();
 
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
   try {
     const { competition_id, lock_time } = req.body;
     const user_id = req.user.id;
@@ -57,10 +65,11 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
-    if (!lock_time) {
+    // Lock time is optional - without one the round locks ahead of its earliest fixture kickoff
+    if (lock_time !== undefined && lock_time !== null && (typeof lock_time !== 'string' || isNaN(Date.parse(lock_time)))) {
       return res.json({
         return_code: "VALIDATION_ERROR", 
-        message: "Lock time is required"
+        message: "Lock time must be a valid ISO datetime"
       });
     }
 
@@ -69,7 +78,7 @@ router.post('/', verifyToken, async (req, res) => {
       
       // 1. Verify competition exists, get organiser and team list (with row lock to prevent race conditions)
       const competitionResult = await client.query(`
-        SELECT organiser_id, name, team_list_id 
+        SELECT id, organiser_id, name, team_list_id
         FROM competition 
         WHERE id = $1 
         FOR UPDATE
@@ -81,93 +90,12 @@ router.post('/', verifyToken, async (req, res) => {
 
       const competition = competitionResult.rows[0];
 
-      // 2. Verify user is the organiser
-      if (competition.organiser_id !== user_id) {
-        throw new Error('UNAUTHORIZED');
-      }
-
-      // 3. Create round with atomic round number generation (prevents race conditions)
-      const roundResult = await client.query(`
-        INSERT INTO round (
-          competition_id,
-          round_number,
-          lock_time,
-          created_at
-        )
-        SELECT 
-          $1,
-          COALESCE(MAX(r.round_number), 0) + 1,
-          $2,
-          CURRENT_TIMESTAMP
-        FROM competition c
-        LEFT JOIN round r ON r.competition_id = c.id
-        WHERE c.id = $1
-        GROUP BY c.id
-        RETURNING *
-      `, [competition_id, lock_time]);
-
-      const round = roundResult.rows[0];
-
-      // 4. Create audit log entry (same transaction ensures consistency)
-      await client.query(`
-        INSERT INTO audit_log (competition_id, user_id, action, details)
-        VALUES ($1, $2, 'Round Created', $3)
-      `, [
-        competition_id,
-        user_id,
-        `Created Round ${round.round_number} for "${competition.name}" with lock time ${lock_time}`
-      ]);
-
-      // 5. Auto-reset teams for players with no remaining teams (atomic with round creation)
-      if (competition.team_list_id) {
-        
-        // Insert all active teams for players who have zero allowed_teams
-        const teamResetResult = await client.query(`
-          INSERT INTO allowed_teams (competition_id, user_id, team_id, created_at)
-          SELECT $1, cu.user_id, t.id, NOW()
-          FROM competition_user cu
-          CROSS JOIN team t
-          WHERE cu.competition_id = $1 
-          AND cu.status = 'active'
-          AND t.team_list_id = $2
-          AND t.is_active = true
-          AND NOT EXISTS (
-            SELECT 1 FROM allowed_teams at 
-            WHERE at.competition_id = $1 AND at.user_id = cu.user_id
-          )
-          RETURNING user_id
-        `, [competition_id, competition.team_list_id]);
-
-        // Log team resets for affected players
-        if (teamResetResult.rows.length > 0) {
-          const uniqueUserIds = [...new Set(teamResetResult.rows.map(row => row.user_id))];
-          
-          for (const userId of uniqueUserIds) {
-            // Get user display name for audit log
-            const userResult = await client.query(
-              'SELECT display_name FROM app_user WHERE id = $1',
-              [userId]
-            );
-            
-            const displayName = userResult.rows[0]?.display_name || `User ${userId}`;
-            
-            await client.query(`
-              INSERT INTO audit_log (competition_id, user_id, action, details)
-              VALUES ($1, $2, 'Teams Auto-Reset', $3)
-            `, [
-              competition_id,
-              userId,
-              `Teams automatically reset for ${displayName} at start of Round ${round.round_number}`
-            ]);
-          }
-
-          console.log(`Auto-reset teams for ${uniqueUserIds.length} players in competition ${competition_id} for Round ${round.round_number}`);
-        }
-      }
+      // 2. Create the round - next round number, imported fixtures for the next matchweek, lock job and team resets
+      const created = await createNextRound(client, competition, lock_time, user_id);
 
       // Return all data needed for response
       return {
-        round,
+        ...created,
         competition_name: competition.name
       };
     });
@@ -181,7 +109,9 @@ router.post('/', verifyToken, async (req, res) => {
         round_number: result.round.round_number,
         lock_time: result.round.lock_time,
         status: result.round.status,
-        created_at: result.round.created_at
+        created_at: result.round.created_at,
+        matchweek: result.matchweek,
+        fixture_count: result.fixture_count
       }
     });
 
@@ -196,13 +126,6 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
     
-    if (error.message === 'UNAUTHORIZED') {
-      return res.json({
-        return_code: "UNAUTHORIZED", 
-        message: "Only the competition organiser can create rounds"
-      });
-    }
-
     // Database or unexpected errors
     res.json({
       return_code: "SERVER_ERROR",
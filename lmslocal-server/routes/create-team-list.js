@@ -0,0 +1,124 @@
+/*
+=======================================================================================================================================
+API Route: create-team-list
+=======================================================================================================================================
+Method: POST
+Purpose: Create a custom team list (e.g. a rugby or Championship list). Without organisation_id the list is personal to the
+         creator; with organisation_id it joins the organisation's shared library (organisation admins only).
+=======================================================================================================================================
+Request Payload:
+{
+  "name": "Championship 2025/26",     // string, required - Team list name (max 100 characters)
+  "type": "football",                 // string, required - Sport type (max 50 characters)
+  "season": "2025/26",                // string, optional - Season label (max 20 characters)
+  "organisation_id": 12               // integer, optional - Organisation library to add the list to
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Team list created successfully",  // string, success confirmation message
+  "team_list": {
+    "id": 7,                          // integer, new team list ID
+    "name": "Championship 2025/26",   // string, team list name
+    "type": "football",               // string, sport type
+    "season": "2025/26",              // string, season label (null if not set)
+    "organisation_id": 12,            // integer, owning organisation (null for personal lists)
+    "is_active": true,                // boolean, always true for a new list
+    "created_at": "2025-08-28T12:00:00Z" // string, ISO datetime when created
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"       - Missing or invalid name, type, season or organisation_id
+"UNAUTHORIZED"           - Invalid JWT token or user is not an admin of the organisation
+"ORGANISATION_NOT_FOUND" - Organisation does not exist in database
+"SERVER_ERROR"           - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { ORGANISATION_ADMIN_ROLES, getOrganisationRole } = require('../middleware/organisationRole');
+const { validateTeamListFields } = require('../services/teamListService');
+const router = express.Router();
+
+// POST endpoint - any signed-in user can create a personal list; organisation lists need organisation admin
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { name, type, season = null, organisation_id = null } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input (name and type are required on create)
+    const validationError = validateTeamListFields({ name: name || '', type: type || '', season });
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    if (organisation_id !== null && !Number.isInteger(organisation_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Organisation ID must be an integer"
+      });
+    }
+
+    // STEP 2: Organisation lists can only be added by the organisation's admins
+    if (organisation_id !== null) {
+      const access = await getOrganisationRole(organisation_id, user_id);
+      if (!access) {
+        return res.json({
+          return_code: "ORGANISATION_NOT_FOUND",
+          message: "Organisation not found"
+        });
+      }
+      if (!ORGANISATION_ADMIN_ROLES.includes(access.role)) {
+        return res.json({
+          return_code: "UNAUTHORIZED",
+          message: "Only organisation admins can add team lists to the organisation"
+        });
+      }
+    }
+
+    // STEP 3: Create the list - the creator is recorded for personal lists so only they see and edit it
+    const result = await query(`
+      INSERT INTO team_list (name, type, season, organisation_id, created_by, is_active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, true, NOW(), NOW())
+      RETURNING id, name, type, season, organisation_id, is_active, created_at
+    `, [name.trim(), type.trim(), season ? season.trim() : null, organisation_id, user_id]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: "Team list created successfully",
+      team_list: result.rows[0]
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Create team list error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      organisation_id: req.body?.organisation_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to create team list"
+    });
+  }
+});
+
+module.exports = router;
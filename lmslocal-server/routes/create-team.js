@@ -0,0 +1,129 @@
+/*
+=======================================================================================================================================
+API Route: create-team
+=======================================================================================================================================
+Method: POST
+Purpose: Add a team to a custom team list. Short codes must be unique across all active teams because fixtures and picks
+         refer to teams by short code.
+=======================================================================================================================================
+Request Payload:
+{
+  "team_list_id": 7,                  // integer, required - Team list to add the team to
+  "name": "Sheffield Wednesday",      // string, required - Full team name (max 100 characters)
+  "short_name": "SHW",                // string, required - 2-10 letters or digits, stored upper case
+  "logo_url": "https://...",          // string, optional - http(s) link to the team badge
+  "sort_order": 0                     // integer, optional - Display order within the list (default: 0, then by name)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Sheffield Wednesday added",  // string, success confirmation message
+  "team": {
+    "id": 301,                        // integer, new team ID
+    "team_list_id": 7,                // integer, team list ID
+    "name": "Sheffield Wednesday",    // string, full team name
+    "short_name": "SHW",              // string, short code
+    "logo_url": null,                 // string, badge link (null if not set)
+    "sort_order": 0,                  // integer, display order
+    "is_active": true                 // boolean, always true for a new team
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid fields
+"UNAUTHORIZED"          - Invalid JWT token or user cannot edit this list
+"TEAM_LIST_NOT_FOUND"   - Team list does not exist in database
+"DUPLICATE_SHORT_NAME"  - Another active team in the same list already uses the short code
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { validateTeamFields, loadTeamListForEdit, assertShortNameAvailable } = require('../services/teamListService');
+const router = express.Router();
+
+// POST endpoint - list owner or organisation admin only (checked in loadTeamListForEdit)
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { team_list_id, name, short_name, logo_url = null, sort_order = 0 } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input (name and short_name are required on create)
+    if (!team_list_id || !Number.isInteger(team_list_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Team list ID is required and must be an integer"
+      });
+    }
+
+    const validationError = validateTeamFields({ name: name || '', short_name: short_name || '', logo_url, sort_order });
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    const shortName = short_name.trim().toUpperCase();
+
+    // STEP 2: Check ownership and short code, then insert atomically
+    const team = await transaction(async (client) => {
+      await loadTeamListForEdit(client, team_list_id, user_id);
+      await assertShortNameAvailable(client, team_list_id, shortName);
+
+      const result = await client.query(`
+        INSERT INTO team (team_list_id, name, short_name, logo_url, sort_order, is_active, created_at)
+        VALUES ($1, $2, $3, $4, $5, true, NOW())
+        RETURNING id, team_list_id, name, short_name, logo_url, sort_order, is_active
+      `, [team_list_id, name.trim(), shortName, logo_url, sort_order]);
+
+      await client.query(`
+        UPDATE team_list SET updated_at = NOW() WHERE id = $1
+      `, [team_list_id]);
+
+      return result.rows[0];
+    });
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: `${team.name} added`,
+      team: team
+    });
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Create team error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      team_list_id: req.body?.team_list_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to add team"
+    });
+  }
+});
+
+module.exports = router;
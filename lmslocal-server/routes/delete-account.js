@@ -209,6 +209,9 @@ router.post('/', verifyToken, async (req, res) => {
           // Delete all fixtures in this competition
           await client.query('DELETE FROM fixture WHERE round_id IN (SELECT id FROM round WHERE competition_id = $1)', [competitionId]);
           
+          // Delete player state recorded for rounds in this competition
+          await client.query('DELETE FROM round_player_state WHERE round_id IN (SELECT id FROM round WHERE competition_id = $1)', [competitionId]);
+          
           // Delete all rounds in this competition
           await client.query('DELETE FROM round WHERE competition_id = $1', [competitionId]);
           
@@ -247,6 +250,8 @@ router.post('/', verifyToken, async (req, res) => {
       deletionCounts.competition_memberships = deleteCompetitionUserResult.rowCount || 0;
 
       const deleteProgressResult = await client.query('DELETE FROM player_progress WHERE player_id = $1', [user_id]);
+
+      await client.query('DELETE FROM round_player_state WHERE user_id = $1', [user_id]);
       deletionCounts.progress_records = deleteProgressResult.rowCount || 0;
 
       const deleteActivitiesResult = await client.query('DELETE FROM user_activity WHERE user_id = $1', [user_id]);
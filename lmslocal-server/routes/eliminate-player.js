@@ -0,0 +1,153 @@
+/*
+=======================================================================================================================================
+API Route: eliminate-player
+=======================================================================================================================================
+Method: POST
+Purpose: Allow competition organiser to manually mark a player OUT (lives set to 0) without deleting their picks or history,
+         with a mandatory reason recorded in the audit log. Reverse with reinstate-player.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition ID the player belongs to
+  "player_id": 456,                   // integer, required - Player ID to eliminate
+  "reason": "Entry fee not paid"      // string, required - Why the player was eliminated (max 500 characters)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Kate Smith has been eliminated",  // string, success confirmation message
+  "player": {
+    "id": 456,                        // integer, eliminated player ID
+    "name": "Kate Smith",             // string, player display name
+    "status": "OUT",                  // string, player status after the change
+    "lives_remaining": 0,             // integer, lives after the change
+    "previous_lives": 1               // integer, lives before the change
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id, player_id or reason
+"UNAUTHORIZED"          - Invalid JWT token or user is not competition organiser
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"PLAYER_NOT_FOUND"      - Player is not a member of this competition
+"ALREADY_OUT"           - Player is already eliminated
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { validateReason, loadPlayerForAdmin, auditPlayerChange } = require('../services/playerAdminService');
+const router = express.Router();
+
+// POST endpoint with organiser authorization and atomic transaction safety for manual eliminations
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id, player_id, reason } = req.body;
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    if (!player_id || !Number.isInteger(player_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Player ID is required and must be an integer"
+      });
+    }
+
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: reasonError
+      });
+    }
+
+    // STEP 2: Mark the player OUT and write the audit entry atomically
+    // Picks, allowed teams and progress are kept so the player can be reinstated later
+    const transactionResult = await transaction(async (client) => {
+      const player = await loadPlayerForAdmin(client, competition_id, player_id);
+
+      if (player.status === 'OUT') {
+        throw {
+          return_code: "ALREADY_OUT",
+          message: `${player.player_name} is already eliminated`
+        };
+      }
+
+      await client.query(`
+        UPDATE competition_user
+        SET status = 'OUT', lives_remaining = 0
+        WHERE competition_id = $1 AND user_id = $2
+      `, [competition_id, player_id]);
+
+      await auditPlayerChange(client, {
+        competition_id,
+        player_id,
+        action: 'Player Eliminated',
+        player,
+        previous: { status: player.status, lives_remaining: player.lives_remaining },
+        updated: { status: 'OUT', lives_remaining: 0 },
+        reason,
+        admin: req.user
+      });
+
+      return {
+        return_code: "SUCCESS",
+        message: `${player.player_name} has been eliminated`,
+        player: {
+          id: player_id,
+          name: player.player_name,
+          status: 'OUT',
+          lives_remaining: 0,
+          previous_lives: player.lives_remaining
+        }
+      };
+    });
+
+    // Return transaction result with HTTP 200 status as per API standards
+    return res.json(transactionResult);
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Eliminate player error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      player_id: req.body?.player_id,
+      admin_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to eliminate player"
+    });
+  }
+});
+
+module.exports = router;
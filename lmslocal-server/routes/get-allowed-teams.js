@@ -4,6 +4,11 @@ API Route: get-allowed-teams
 =======================================================================================================================================
 Method: POST
 Purpose: Retrieves teams that user is allowed to pick in current round with fixture availability validation and automatic reset
+         Resets follow competition.team_reset_mode (see services/teamResetService.js)
+         When competition.no_team_twice is false every team in the team list stays available, so allowed_teams is not consulted
+         In FIXTURE lock mode teams whose fixture has already kicked off are left out - they can no longer be picked
+         In LOSER (pick the loser) mode allowed_teams holds the teams a player can still back, so the pickable team is the
+         other team in an allowed team's fixture (see usedTeamSql in services/resultsService.js)
 =======================================================================================================================================
 Request Payload:
 {
@@ -14,14 +19,14 @@ Request Payload:
 Success Response (ALWAYS HTTP 200):
 {
   "return_code": "SUCCESS",
-  "allowed_teams": [                           // array, teams user can pick that have fixtures
+  "allowed_teams": [                           // array, teams user can pick that have fixtures (not yet kicked off in FIXTURE mode)
     {
       "team_id": 1,                            // integer, unique team identifier
       "name": "Arsenal",                       // string, full team name for display
       "short_name": "ARS"                      // string, abbreviated team name for compact UI
     }
   ],
-  "teams_reset": false,                        // boolean, true if teams were automatically reset
+  "teams_reset": false,                        // boolean, true if teams were automatically reset (on exhaustion or on schedule)
   "reset_message": null                        // string, message about reset action (null if no reset)
 }
 
@@ -44,7 +49,66 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { hasPermissionSql } = require('../middleware/competitionRole');
+const { applyTeamReset } = require('../services/teamResetService');
+const { usedTeamSql } = require('../services/resultsService');
 const router = express.Router();
+
+/**
+ * Fetch a user's allowed teams that have a fixture in the current round (used after a reset)
+ * @param {number} competition_id - Competition to fetch for
+ * @param {number} user_id - User whose allowed teams are returned
+ * @returns {Array} Allowed teams in API response format
+ */
+const fetchAllowedTeams = async (competition_id, user_id) => {
+  const resetResult = await query(`
+    SELECT 
+      t.id as team_id,                  -- Team database ID
+      t.name,                           -- Full team name for display
+      t.short_name                      -- Abbreviated team name for compact UI
+    FROM competition c
+    
+    -- === LATEST ROUND SUBQUERY (CONSISTENT WITH MAIN QUERY) ===
+    LEFT JOIN (
+      SELECT r.competition_id,
+             r.id as round_id,
+             ROW_NUMBER() OVER (PARTITION BY r.competition_id ORDER BY r.round_number DESC) as rn
+      FROM round r
+    ) latest_round ON c.id = latest_round.competition_id AND latest_round.rn = 1
+    
+    -- === ALLOWED TEAMS JOIN (POST-RESET) ===
+    INNER JOIN allowed_teams at ON c.id = at.competition_id AND at.user_id = $2
+    INNER JOIN team used_team ON at.team_id = used_team.id AND used_team.is_active = true
+    
+    -- === FIXTURE AVAILABILITY JOIN ===
+    INNER JOIN fixture f ON latest_round.round_id = f.round_id 
+                         AND (f.home_team = used_team.name OR f.away_team = used_team.name)
+    
+    -- === PICKABLE TEAM (THE OPPONENT IN LOSER MODE) ===
+    INNER JOIN team t ON t.team_list_id = c.team_list_id AND t.is_active = true
+                      AND t.name = ${usedTeamSql({ team: 'used_team.name', homeTeam: 'f.home_team', awayTeam: 'f.away_team', gameMode: 'c.game_mode' })}
+    
+    WHERE c.id = $1
+      AND NOT (c.pick_lock_mode = 'FIXTURE' AND f.kickoff_time <= CURRENT_TIMESTAMP) -- Kicked-off fixtures are locked
+    ORDER BY t.name ASC                 -- Alphabetical order for consistent UI
+  `, [competition_id, user_id]);
+
+  return resetResult.rows.map(row => ({
+    team_id: row.team_id,               // For database operations and pick submission
+    name: row.name,                     // Full team name for detailed displays
+    short_name: row.short_name          // Abbreviated name for space-constrained UI
+  }));
+};
+
+/**
+ * Player-facing message explaining why their teams were reset
+ * @param {string} team_reset_mode - competition.team_reset_mode
+ * @returns {string} Reset notification
+ */
+const resetMessage = (team_reset_mode) => team_reset_mode === 'EVERY_N_ROUNDS'
+  ? "Scheduled team reset! All teams are now available again."
+  : "You ran out of teams! All teams have been reset and are now available again.";
+
 router.post('/', verifyToken, async (req, res) => {
   try {
     // Extract request parameters and authenticated user ID
@@ -75,13 +139,15 @@ router.post('/', verifyToken, async (req, res) => {
         c.id as competition_id,           -- Competition identifier for validation
         c.organiser_id,                   -- Competition organiser (for admin permission check)
         c.name as competition_name,       -- Competition name for audit purposes
+        c.no_team_twice,                  -- Teams are only reset when they get used up
+        c.team_reset_mode,                -- EXHAUSTED or EVERY_N_ROUNDS (scheduled reset check)
         
         -- === CURRENT ROUND INFO ===
         latest_round.round_id,            -- Current round ID for fixture matching
         latest_round.round_number,        -- Current round number for display
         
         -- === ALLOWED TEAMS WITH FIXTURE AVAILABILITY ===
-        at.team_id,                       -- Team database ID
+        t.id as team_id,                  -- Team database ID
         t.name,                           -- Full team name for display
         t.short_name,                     -- Abbreviated team name for compact UI
         
@@ -103,27 +169,41 @@ router.post('/', verifyToken, async (req, res) => {
         FROM round r
       ) latest_round ON c.id = latest_round.competition_id AND latest_round.rn = 1 -- Only latest round
       
+      -- === TARGET USER MEMBERSHIP ===
+      -- Required for "any team, any week" competitions where allowed_teams is not consulted
+      LEFT JOIN competition_user member ON c.id = member.competition_id AND member.user_id = $3 AND member.removed_at IS NULL
+      
       -- === ALLOWED TEAMS JOIN (TARGET USER SPECIFIC) ===
-      -- Get teams this specific user is allowed to pick
-      LEFT JOIN allowed_teams at ON c.id = at.competition_id AND at.user_id = $2
+      -- Get teams this specific user is allowed to pick (only used when no team twice is enforced)
+      LEFT JOIN allowed_teams at ON c.id = at.competition_id AND at.user_id = $3 AND c.no_team_twice = true
       
-      -- === TEAM DETAILS JOIN ===
-      -- Get full team information for display purposes
-      LEFT JOIN team t ON at.team_id = t.id AND t.is_active = true
+      -- === USABLE TEAMS JOIN ===
+      -- Teams the user can still use up
+      -- No team twice: the user's remaining allowed teams. Otherwise: every team in the competition's team list
+      LEFT JOIN team used_team ON used_team.is_active = true
+                               AND (
+                                 used_team.id = at.team_id
+                                 OR (c.no_team_twice = false AND member.user_id IS NOT NULL AND used_team.team_list_id = c.team_list_id)
+                               )
       
       -- === FIXTURE AVAILABILITY JOIN ===
       -- Check if team has a fixture in the current round (required for picking)
       LEFT JOIN fixture f ON latest_round.round_id = f.round_id 
-                          AND (f.home_team = t.name OR f.away_team = t.name)
+                          AND (f.home_team = used_team.name OR f.away_team = used_team.name)
+      
+      -- === TEAM DETAILS JOIN ===
+      -- Team to pick for full display information - the usable team itself, or the other team in its fixture in LOSER mode
+      LEFT JOIN team t ON t.team_list_id = c.team_list_id AND t.is_active = true
+                       AND t.name = ${usedTeamSql({ team: 'used_team.name', homeTeam: 'f.home_team', awayTeam: 'f.away_team', gameMode: 'c.game_mode' })}
       
       WHERE c.id = $1                     -- Filter to requested competition only
         AND (
           $3 = $2 OR                      -- User requesting own teams
-          c.organiser_id = $2             -- OR authenticated user is organiser (admin feature)
+          ${hasPermissionSql('c', '$2', 'manage')} -- OR authenticated user is organiser (admin feature)
         )
-        AND at.team_id IS NOT NULL        -- Only include teams user is allowed to pick
-        AND t.id IS NOT NULL              -- Only include valid active teams
+        AND t.id IS NOT NULL              -- Only include teams user is allowed to pick (valid and active)
         AND f.id IS NOT NULL              -- Only include teams with fixtures in current round
+        AND NOT (c.pick_lock_mode = 'FIXTURE' AND f.kickoff_time <= CURRENT_TIMESTAMP) -- FIXTURE mode: not yet kicked off
       
       ORDER BY t.name ASC                 -- Alphabetical order for consistent UI
     `, [competition_id, authenticated_user_id, target_user_id]);
@@ -135,14 +215,16 @@ router.post('/', verifyToken, async (req, res) => {
       const validationResult = await query(`
         SELECT 
           c.id as competition_id,
-          c.organiser_id,
+          ${hasPermissionSql('c', '$3', 'manage')} as can_manage,
           c.team_list_id,
+          c.no_team_twice,
+          c.team_reset_mode,
           c.name as competition_name,
           cu.user_id as is_participant,
           latest_round.round_id,
           latest_round.round_number
         FROM competition c
-        LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $2
+        LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $2 AND cu.removed_at IS NULL
         LEFT JOIN (
           SELECT r.competition_id,
                  r.id as round_id,
@@ -151,7 +233,7 @@ router.post('/', verifyToken, async (req, res) => {
           FROM round r
         ) latest_round ON c.id = latest_round.competition_id AND latest_round.rn = 1
         WHERE c.id = $1
-      `, [competition_id, target_user_id]);
+      `, [competition_id, target_user_id, authenticated_user_id]);
 
       if (validationResult.rows.length === 0) {
         return res.json({
@@ -164,7 +246,7 @@ router.post('/', verifyToken, async (req, res) => {
 
       // Competition exists but user lacks permission (admin requesting other user's teams)
       if (requested_user_id && requested_user_id !== authenticated_user_id && 
-          validation.organiser_id !== authenticated_user_id) {
+          !validation.can_manage) {
         return res.json({
           return_code: "UNAUTHORIZED",
           message: "Only competition organiser can view other players' allowed teams"
@@ -180,100 +262,20 @@ router.post('/', verifyToken, async (req, res) => {
       }
 
       // === AUTO-RESET LOGIC ===
-      // User has permission but no allowed teams - trigger automatic reset
-      let teamsReset = false;
-      let resetMessage = null;
-
-      if (validation.team_list_id && validation.round_id) {
-        await transaction(async (client) => {
-          // Step 1: Delete current allowed_teams for this user and competition (cleanup)
-          await client.query(`
-            DELETE FROM allowed_teams 
-            WHERE competition_id = $1 AND user_id = $2
-          `, [competition_id, target_user_id]);
-
-          // Step 2: Insert all active teams from the competition's team list (full reset)
-          await client.query(`
-            INSERT INTO allowed_teams (competition_id, user_id, team_id, created_at)
-            SELECT $1, $2, t.id, NOW()
-            FROM team t
-            WHERE t.team_list_id = $3 AND t.is_active = true
-          `, [competition_id, target_user_id, validation.team_list_id]);
-
-          // Step 3: Add audit log for auto-reset event (compliance and debugging)
-          await client.query(`
-            INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
-            VALUES ($1, $2, 'Teams Auto-Reset', $3, NOW())
-          `, [
-            competition_id, 
-            target_user_id, 
-            `Player ran out of available teams - automatically reset to all teams in round ${validation.round_number}`
-          ]);
-        });
-
-        teamsReset = true;
-        resetMessage = "You ran out of teams! All teams have been reset and are now available again.";
-
-        // === RE-FETCH ALLOWED TEAMS AFTER RESET ===
-        // Run the main query again to get the freshly reset teams with fixture availability
-        const resetResult = await query(`
-          SELECT 
-            -- === ALLOWED TEAMS WITH FIXTURE AVAILABILITY (POST-RESET) ===
-            at.team_id,                       -- Team database ID
-            t.name,                           -- Full team name for display
-            t.short_name,                     -- Abbreviated team name for compact UI
-            
-            -- === FIXTURE AVAILABILITY CHECK ===
-            CASE 
-              WHEN f.id IS NOT NULL THEN true -- Team has fixture in current round
-              ELSE false                       -- Team has no fixture (shouldn't be pickable)
-            END as has_fixture
-            
-          FROM competition c
-          
-          -- === LATEST ROUND SUBQUERY (CONSISTENT WITH MAIN QUERY) ===
-          LEFT JOIN (
-            SELECT r.competition_id,
-                   r.id as round_id,
-                   r.round_number,
-                   ROW_NUMBER() OVER (PARTITION BY r.competition_id ORDER BY r.round_number DESC) as rn
-            FROM round r
-          ) latest_round ON c.id = latest_round.competition_id AND latest_round.rn = 1
-          
-          -- === ALLOWED TEAMS JOIN (POST-RESET) ===
-          LEFT JOIN allowed_teams at ON c.id = at.competition_id AND at.user_id = $2
-          
-          -- === TEAM DETAILS JOIN ===
-          LEFT JOIN team t ON at.team_id = t.id AND t.is_active = true
-          
-          -- === FIXTURE AVAILABILITY JOIN ===
-          LEFT JOIN fixture f ON latest_round.round_id = f.round_id 
-                              AND (f.home_team = t.name OR f.away_team = t.name)
-          
-          WHERE c.id = $1
-            AND at.team_id IS NOT NULL        -- Only include teams user is allowed to pick
-            AND t.id IS NOT NULL              -- Only include valid active teams
-            AND f.id IS NOT NULL              -- Only include teams with fixtures in current round
-          
-          ORDER BY t.name ASC                 -- Alphabetical order for consistent UI
-        `, [competition_id, target_user_id]);
-
-        // Transform reset results into API response format
-        const allowedTeams = resetResult.rows.map(row => ({
-          team_id: row.team_id,               // For database operations and pick submission
-          name: row.name,                     // Full team name for detailed displays
-          short_name: row.short_name          // Abbreviated name for space-constrained UI
-        }));
+      // User has permission but no pickable teams - apply the competition's reset rule (reset-on-exhaustion by default)
+      // "Any team, any week" competitions never run out, so the service leaves them alone
+      const teamsReset = await transaction(async (client) => applyTeamReset(client, competition_id, target_user_id));
 
+      if (teamsReset) {
         return res.json({
           return_code: "SUCCESS",
-          allowed_teams: allowedTeams,        // Freshly reset teams with fixtures
-          teams_reset: teamsReset,            // Indicate reset occurred
-          reset_message: resetMessage         // User-friendly reset notification
+          allowed_teams: await fetchAllowedTeams(competition_id, target_user_id), // Freshly reset teams with fixtures
+          teams_reset: true,                  // Indicate reset occurred
+          reset_message: resetMessage(validation.team_reset_mode) // User-friendly reset notification
         });
       }
 
-      // No auto-reset possible (no team list or round) - return empty result
+      // No reset due (no team list or round, already picked, or teams can be reused) - return empty result
       return res.json({
         return_code: "SUCCESS",
         allowed_teams: [],
@@ -282,6 +284,22 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
+    // === SCHEDULED RESET CHECK ===
+    // Reset-every-N-rounds competitions can be due a reset while the player still has teams left
+    const firstRow = result.rows[0];
+    if (firstRow.no_team_twice && firstRow.team_reset_mode === 'EVERY_N_ROUNDS') {
+      const teamsReset = await transaction(async (client) => applyTeamReset(client, competition_id, target_user_id));
+
+      if (teamsReset) {
+        return res.json({
+          return_code: "SUCCESS",
+          allowed_teams: await fetchAllowedTeams(competition_id, target_user_id),
+          teams_reset: true,
+          reset_message: resetMessage(firstRow.team_reset_mode)
+        });
+      }
+    }
+
     // === SUCCESS RESPONSE (NORMAL FLOW - NO RESET NEEDED) ===
     // Transform database results into clean API response format
     // Only return teams that have fixtures in current round (already filtered in query)
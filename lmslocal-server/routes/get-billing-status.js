@@ -0,0 +1,147 @@
+/*
+=======================================================================================================================================
+API Route: get-billing-status
+=======================================================================================================================================
+Method: POST
+Purpose: Return the pricing plans, the user's monthly subscription and - when competition_id is sent - whether that competition
+         is still on the free player allowance or has been activated
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123               // integer, optional - Competition to report activation for (organisers only)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "payments_available": true,         // boolean, false when no payment provider is configured
+  "free_player_limit": 5,             // integer, players allowed before a competition needs activating
+  "plans": [
+    {
+      "code": "COMPETITION",          // string, COMPETITION or MONTHLY
+      "name": "Single competition",   // string, plan name
+      "description": "Unlimited players for one competition", // string, plan summary
+      "amount_pence": 3900,           // integer, price in pence
+      "interval": null                // string, 'month' for subscriptions, null for one-off payments
+    }
+  ],
+  "subscription": {                   // object, null if the user has never subscribed
+    "plan": "MONTHLY",                // string, subscription plan
+    "status": "ACTIVE",               // string, subscription status
+    "current_period_end": "2025-09-28T12:00:00Z", // string, ISO datetime the paid period ends
+    "is_current": true                // boolean, true while the subscription unlocks competitions
+  },
+  "activation": {                     // object, only when competition_id is sent
+    "competition_id": 123,            // integer, competition ID
+    "player_count": 5,                // integer, players in the competition (removed players excluded)
+    "free_player_limit": 5,           // integer, free allowance
+    "is_activated": false,            // boolean, true once unlimited players are allowed
+    "activated_via": null,            // string, COMPETITION (one-off payment), MONTHLY (owner's subscription) or null
+    "activated_at": null,             // string, ISO datetime of the one-off activation (null if none)
+    "needs_activation": true,         // boolean, true when new players are being refused
+    "can_activate": true              // boolean, true for the competition owner (who pays)
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - competition_id is not an integer
+"UNAUTHORIZED"          - Invalid JWT token or user is not an organiser of the competition
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { getCompetitionRole, hasPermission } = require('../middleware/competitionRole');
+const { PLANS, FREE_PLAYER_LIMIT, getActivationState } = require('../services/planService');
+const { getPaymentProvider } = require('../services/paymentProvider');
+const router = express.Router();
+
+// POST endpoint - any signed-in user; competition activation only for that competition's organisers
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { competition_id } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    if (competition_id !== undefined && !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID must be an integer"
+      });
+    }
+
+    // STEP 1: Competition activation - organisers only
+    let activation;
+    if (competition_id !== undefined) {
+      const access = await getCompetitionRole(competition_id, user_id);
+      if (!access) {
+        return res.json({
+          return_code: "COMPETITION_NOT_FOUND",
+          message: "Competition not found"
+        });
+      }
+      if (!hasPermission(access.role, 'view')) {
+        return res.json({
+          return_code: "UNAUTHORIZED",
+          message: "Only competition organisers can view this"
+        });
+      }
+
+      const state = await getActivationState(competition_id);
+      activation = {
+        competition_id: state.competition_id,
+        player_count: state.player_count,
+        free_player_limit: state.free_player_limit,
+        is_activated: state.is_activated,
+        activated_via: state.activated_via,
+        activated_at: state.activated_at,
+        needs_activation: state.needs_activation,
+        can_activate: hasPermission(access.role, 'owner')
+      };
+    }
+
+    // STEP 2: The user's own subscription
+    const subscriptionResult = await query(`
+      SELECT plan, status, current_period_end,
+             (status = 'ACTIVE' AND current_period_end > NOW()) as is_current
+      FROM subscription
+      WHERE user_id = $1
+    `, [user_id]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      payments_available: getPaymentProvider() !== null,
+      free_player_limit: FREE_PLAYER_LIMIT,
+      plans: Object.values(PLANS),
+      subscription: subscriptionResult.rows[0] || null,
+      ...(activation ? { activation } : {})
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Get billing status error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to load billing status"
+    });
+  }
+});
+
+module.exports = router;
@@ -55,6 +55,7 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { hasPermissionSql } = require('../middleware/competitionRole');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication, authorization and detailed fixture information
@@ -86,10 +87,10 @@ router.post('/', verifyToken, async (req, res) => {
           c.organiser_id,
           -- Check if user has access (either organiser or participant)
           CASE 
-            WHEN c.organiser_id = $2 THEN 'organiser'
+            WHEN ${hasPermissionSql('c', '$2', 'view')} THEN 'organiser'
             WHEN EXISTS (
               SELECT 1 FROM competition_user cu 
-              WHERE cu.competition_id = c.id AND cu.user_id = $2
+              WHERE cu.competition_id = c.id AND cu.user_id = $2 AND cu.removed_at IS NULL
             ) THEN 'participant'
             ELSE 'no_access'
           END as user_access_level
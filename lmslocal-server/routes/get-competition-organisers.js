@@ -0,0 +1,106 @@
+/*
+=======================================================================================================================================
+API Route: get-competition-organisers
+=======================================================================================================================================
+Method: POST
+Purpose: List the owner and helpers of a competition, with the caller's own role
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123               // integer, required - Competition to list organisers for
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "your_role": "OWNER",               // string, caller's role: "OWNER", "CO_ORGANISER", "RESULTS" or "PAYMENTS"
+  "organisers": [                     // array, owner first, then helpers in the order they were added
+    {
+      "user_id": 789,                 // integer, organiser's user ID
+      "display_name": "Sam Smith",    // string, organiser's display name
+      "email": "sam@example.com",     // string, organiser's email
+      "role": "RESULTS",              // string, organiser's role in this competition
+      "created_at": "2025-08-28T12:00:00Z" // string, ISO datetime the helper was added (null for the owner)
+    }
+  ]
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id parameter
+"UNAUTHORIZED"          - Invalid JWT token or user is not an organiser of this competition
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const router = express.Router();
+
+// POST endpoint - any organiser role can see who else helps run the competition
+router.post('/', verifyToken, requireCompetitionPermission('view'), async (req, res) => {
+  try {
+    const { competition_id } = req.body;
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    // STEP 2: Owner from competition.organiser_id plus every helper row
+    const result = await query(`
+      SELECT u.id as user_id, u.display_name, u.email, 'OWNER' as role, NULL::timestamptz as created_at, 0 as sort_order
+      FROM competition c
+      INNER JOIN app_user u ON c.organiser_id = u.id
+      WHERE c.id = $1
+      UNION ALL
+      SELECT u.id, u.display_name, u.email, co.role, co.created_at, 1
+      FROM competition_organiser co
+      INNER JOIN app_user u ON co.user_id = u.id
+      WHERE co.competition_id = $1
+      ORDER BY sort_order, created_at
+    `, [competition_id]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      your_role: req.competitionAccess.role, // Set by requireCompetitionPermission
+      organisers: result.rows.map(row => ({
+        user_id: row.user_id,
+        display_name: row.display_name,
+        email: row.email,
+        role: row.role,
+        created_at: row.created_at
+      }))
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Get competition organisers error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to retrieve competition organisers"
+    });
+  }
+});
+
+module.exports = router;
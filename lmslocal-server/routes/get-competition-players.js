@@ -21,7 +21,10 @@ Success Response (ALWAYS HTTP 200):
     "eliminated_count": 2,                // integer, number of eliminated players
     "invite_code": "1234",                // string, competition join code
     "current_round": 3,                   // integer, current round number
-    "total_rounds": 10                    // integer, total rounds created
+    "total_rounds": 10,                   // integer, total rounds created
+    "buyback_mode": "ONCE",               // string, buy-back rule: "NONE", "FIRST_N_ROUNDS" or "ONCE"
+    "buyback_rounds": null,               // integer, rounds buy-backs stay open (FIRST_N_ROUNDS only)
+    "buyback_lives": 0                    // integer, lives a re-entering player gets
   },
   "players": [
     {
@@ -37,7 +40,21 @@ Success Response (ALWAYS HTTP 200):
       "total_picks": 2,                   // integer, total picks made by player
       "successful_picks": 1,              // integer, number of winning picks
       "pick_success_rate": 50.0,          // number, percentage of successful picks
-      "last_pick_date": "2025-01-15T14:00:00Z" // string, ISO datetime of most recent pick
+      "last_pick_date": "2025-01-15T14:00:00Z", // string, ISO datetime of most recent pick
+      "buyback_count": 0,                 // integer, times the player has bought back in
+      "can_buy_back": false               // boolean, eliminated player the buy-back rule currently allows back in
+    }
+  ],
+  "removed_players": [
+    {
+      "id": 789,                          // integer, removed player user ID
+      "display_name": "Dave Jones",       // string, player's display name
+      "email": "dave@example.com",        // string, player's email address
+      "status": "active",                 // string, player status when removed: 'active' or 'eliminated'
+      "lives_remaining": 1,               // integer, lives the player will have if restored
+      "removed_at": "2025-01-20T09:00:00Z", // string, ISO datetime when player was removed
+      "restore_until": "2025-02-19T09:00:00Z", // string, ISO datetime the restore window closes
+      "can_restore": true                 // boolean, restore window still open
     }
   ]
 }
@@ -60,10 +77,13 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database'); // Use central database with destructured import
 const { verifyToken } = require('../middleware/auth'); // Use correct auth middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { buybackBlockedReason } = require('../services/buybackService');
+const { restoreDeadline } = require('../services/playerAdminService');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication and data validation
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('view'), async (req, res) => {
   try {
     const { competition_id } = req.body;
     const user_id = req.user.id; // Set by verifyToken middleware
@@ -84,6 +104,10 @@ router.post('/', verifyToken, async (req, res) => {
         c.name,
         c.organiser_id,
         c.invite_code,
+        c.status,
+        c.buyback_mode,
+        c.buyback_rounds,
+        c.buyback_lives,
         -- Get current round number from latest round
         (SELECT MAX(round_number) FROM round WHERE competition_id = c.id) as current_round,
         -- Get total rounds count
@@ -102,14 +126,6 @@ router.post('/', verifyToken, async (req, res) => {
 
     const competitionData = competitionResult.rows[0];
 
-    // Verify user authorization - only competition organiser can access
-    if (competitionData.organiser_id !== user_id) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Only the competition organiser can view players"
-      });
-    }
-
     // STEP 2: Get player statistics for the competition
     // Separate query to get player counts to avoid complex JOIN issues
     const playerStatsResult = await query(`
@@ -118,7 +134,7 @@ router.post('/', verifyToken, async (req, res) => {
         COUNT(CASE WHEN status = 'active' THEN 1 END) as active_players,
         COUNT(CASE WHEN status = 'OUT' THEN 1 END) as eliminated_players
       FROM competition_user
-      WHERE competition_id = $1
+      WHERE competition_id = $1 AND removed_at IS NULL
     `, [competition_id]);
 
     const playerStats = playerStatsResult.rows[0] || { total_players: 0, active_players: 0, eliminated_players: 0 };
@@ -136,6 +152,7 @@ router.post('/', verifyToken, async (req, res) => {
         cu.joined_at,
         cu.paid,
         cu.paid_date,
+        cu.buyback_count,
         -- Get pick statistics for each player
         pick_stats.total_picks,
         pick_stats.successful_picks,
@@ -164,10 +181,25 @@ router.post('/', verifyToken, async (req, res) => {
         WHERE r.competition_id = $1
         GROUP BY p.user_id
       ) pick_stats ON u.id = pick_stats.user_id
-      WHERE cu.competition_id = $1
+      WHERE cu.competition_id = $1 AND cu.removed_at IS NULL
       ORDER BY cu.joined_at ASC
     `, [competition_id]);
 
+    // STEP 4: Get players the organiser removed, so they can be restored from the players page
+    const removedResult = await query(`
+      SELECT 
+        u.id as player_id,
+        u.display_name,
+        u.email,
+        cu.status,
+        cu.lives_remaining,
+        cu.removed_at
+      FROM competition_user cu
+      INNER JOIN app_user u ON cu.user_id = u.id
+      WHERE cu.competition_id = $1 AND cu.removed_at IS NOT NULL
+      ORDER BY cu.removed_at DESC
+    `, [competition_id]);
+
     // Build competition object with retrieved data
     const competition = {
       id: competitionData.id,
@@ -177,7 +209,10 @@ router.post('/', verifyToken, async (req, res) => {
       eliminated_count: parseInt(playerStats.eliminated_players) || 0,
       invite_code: competitionData.invite_code,
       current_round: competitionData.current_round || 0,
-      total_rounds: parseInt(competitionData.total_rounds) || 0
+      total_rounds: parseInt(competitionData.total_rounds) || 0,
+      buyback_mode: competitionData.buyback_mode,
+      buyback_rounds: competitionData.buyback_rounds,
+      buyback_lives: competitionData.buyback_lives
     };
 
     // Build players array from query results
@@ -194,14 +229,40 @@ router.post('/', verifyToken, async (req, res) => {
       total_picks: parseInt(row.total_picks) || 0,
       successful_picks: parseInt(row.successful_picks) || 0,
       pick_success_rate: parseFloat(row.pick_success_rate) || 0,
-      last_pick_date: row.last_pick_date
+      last_pick_date: row.last_pick_date,
+      buyback_count: row.buyback_count || 0,
+      // Same rule check buy-back-player applies, so the UI only offers buy-backs that will succeed
+      can_buy_back: !buybackBlockedReason({
+        buyback_mode: competitionData.buyback_mode,
+        buyback_rounds: competitionData.buyback_rounds,
+        competition_status: competitionData.status,
+        current_round: competitionData.current_round,
+        player_status: row.status,
+        buyback_count: row.buyback_count
+      })
     }));
 
+    const now = new Date();
+    const removedPlayers = removedResult.rows.map(row => {
+      const restoreUntil = restoreDeadline(row.removed_at);
+      return {
+        id: row.player_id,
+        display_name: row.display_name,
+        email: row.email,
+        status: row.status === 'OUT' ? 'eliminated' : 'active',
+        lives_remaining: row.lives_remaining || 0,
+        removed_at: row.removed_at,
+        restore_until: restoreUntil,
+        can_restore: restoreUntil > now
+      };
+    });
+
     // Return success response with competition and player data
     return res.json({
       return_code: "SUCCESS",
       competition: competition,
-      players: players
+      players: players,
+      removed_players: removedPlayers
     });
 
   } catch (error) {
@@ -18,10 +18,27 @@ Success Response (ALWAYS HTTP 200):
     "name": "Premier League LMS",         // string, competition name for display
     "current_round": 3,                   // integer, current round number
     "total_rounds": 10,                   // integer, total rounds created
-    "is_locked": true,                    // boolean, whether current round is locked
-    "current_round_lock_time": "2025-08-31T15:00:00Z", // string, ISO datetime when round locks
+    "is_locked": true,                    // boolean, whether current round is locked (every fixture kicked off in FIXTURE mode)
+    "current_round_lock_time": "2025-08-31T15:00:00Z", // string, ISO datetime when round locks (last kickoff in FIXTURE mode)
+    "pick_lock_mode": "ROUND",            // string, "ROUND" or "FIXTURE" - FIXTURE reveals each pick as its fixture kicks off
     "active_players": 8,                  // integer, number of active players remaining
-    "total_players": 15                   // integer, total players in competition
+    "total_players": 15,                  // integer, total players in competition
+    "game_mode": "CLASSIC"                // string, "CLASSIC" or "LOSER" - in LOSER mode a 'win' means the picked team lost
+  },
+  "prize_pot": {                          // object, null when there is no entry fee and nothing has been collected
+    "entry_fee": 10.00,                   // number, entry fee (null if free)
+    "pot": 160.00,                        // number, everything collected plus any pot rolled over into this competition
+    "rolled_in": 0,                       // number, prize fund carried over from competitions with no winner
+    "prize_fund": 112.00,                 // number, pot after the house cut and charity share
+    "charity": 32.00,                     // number, charity share
+    "charity_name": "Air Ambulance",      // string, charity name (null if not set)
+    "winners": [                          // array, empty until the competition has a winner
+      {
+        "user_id": 456,                   // integer, winner user ID
+        "display_name": "Kate Smith",     // string, winner display name
+        "payout": 112.00                  // number, winner's share (joint winners split it equally)
+      }
+    ]
   },
   "players": [
     {
@@ -33,7 +50,9 @@ Success Response (ALWAYS HTTP 200):
         "team": "CHE",                    // string, picked team short name
         "team_full_name": "Chelsea",      // string, full team name for display
         "fixture": "Chelsea vs Arsenal",  // string, fixture description
-        "outcome": "pending"              // string, pick outcome: 'pending', 'WIN', 'LOSE', 'NO_PICK'
+        "score": "Chelsea 2-1 Arsenal",   // string, final score once entered, otherwise null
+        "outcome": "pending",             // string, pick outcome: 'pending', 'WIN', 'LOSE', 'DRAW', 'NO_PICK', 'VOID'
+        "is_revealed": true               // boolean, pick is locked and visible to everyone (round locked, or fixture kicked off)
       },
       "history": [                        // array, previous rounds history
         {
@@ -41,7 +60,10 @@ Success Response (ALWAYS HTTP 200):
           "pick_team": "MAN",             // string, team picked
           "pick_team_full_name": "Manchester United", // string, full team name
           "fixture": "Manchester United vs Liverpool", // string, fixture description
-          "pick_result": "win",           // string, result: 'win', 'loss', 'no_pick', 'pending'
+          "home_score": 2,                // integer, home goals, or null if no score entered
+          "away_score": 1,                // integer, away goals, or null if no score entered
+          "score": "Manchester United 2-1 Liverpool", // string, final score, or null if no score entered
+          "pick_result": "win",           // string, result: 'win', 'loss', 'draw' (survived), 'no_pick', 'void', 'pending'
           "lock_time": "2025-08-24T15:00:00Z" // string, ISO datetime when round locked
         }
       ]
@@ -67,6 +89,10 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { hasPermissionSql } = require('../middleware/competitionRole');
+const { pickDeadlineSql, arePicksClosedSql, isFixtureLockedSql } = require('../utils/roundLock');
+const { scoreLine } = require('../utils/fixtureResult');
+const { getPotSummary } = require('../services/prizePotService');
 const router = express.Router();
 
 router.post('/', verifyToken, async (req, res) => {
@@ -93,6 +119,8 @@ router.post('/', verifyToken, async (req, res) => {
         c.id as competition_id,                   -- Competition identifier for validation
         c.name as competition_name,               -- Competition name for display
         c.invite_code,                            -- Join code for reference
+        c.game_mode,                              -- CLASSIC or LOSER (pick the loser) - flips result labels
+        c.pick_lock_mode,                         -- ROUND or FIXTURE (picks revealed per fixture at kickoff)
         
         -- === COMPETITION STATISTICS ===
         comp_stats.total_players,                 -- Total number of players
@@ -101,11 +129,12 @@ router.post('/', verifyToken, async (req, res) => {
         -- === CURRENT ROUND INFO ===
         latest_round.current_round,               -- Current round number
         latest_round.current_round_lock_time,     -- When current round locks
+        latest_round.current_round_is_locked,     -- Lock time passed or every active player has picked
         round_stats.total_rounds,                 -- Total rounds created
         
         -- === USER ACCESS VALIDATION ===
         user_access.user_id as has_access,        -- Non-null if user is participant
-        c.organiser_id,                           -- Competition organizer ID
+        ${hasPermissionSql('c', '$2', 'view')} as is_organizer, -- Owner or helper
         
         -- === PLAYER DETAILS ===
         u.id as player_id,                        -- Player's user ID
@@ -122,6 +151,7 @@ router.post('/', verifyToken, async (req, res) => {
                COUNT(*) as total_players,                                    -- Total players who joined
                COUNT(*) FILTER (WHERE status = 'active') as active_players  -- Active players remaining
         FROM competition_user
+        WHERE removed_at IS NULL                                             -- Removed players are hidden
         GROUP BY competition_id
       ) comp_stats ON c.id = comp_stats.competition_id
       
@@ -130,9 +160,11 @@ router.post('/', verifyToken, async (req, res) => {
       LEFT JOIN (
         SELECT r.competition_id,
                r.round_number as current_round,                             -- Current round number
-               r.lock_time as current_round_lock_time,                      -- When round locks
+               ${pickDeadlineSql('r', 'lock_c')} as current_round_lock_time,    -- When round locks (earliest lock trigger)
+               ${arePicksClosedSql('r', 'lock_c')} as current_round_is_locked,  -- Effective lock status
                ROW_NUMBER() OVER (PARTITION BY r.competition_id ORDER BY r.round_number DESC) as rn
         FROM round r
+        INNER JOIN competition lock_c ON lock_c.id = r.competition_id
       ) latest_round ON c.id = latest_round.competition_id AND latest_round.rn = 1
       
       -- === TOTAL ROUNDS COUNT ===
@@ -146,10 +178,11 @@ router.post('/', verifyToken, async (req, res) => {
       -- === USER ACCESS VALIDATION ===
       -- Check if authenticated user is participant in this competition
       LEFT JOIN competition_user user_access ON c.id = user_access.competition_id AND user_access.user_id = $2
+                                               AND user_access.removed_at IS NULL
       
       -- === ALL PLAYERS DATA ===
       -- Get all players in competition with their status
-      LEFT JOIN competition_user cu ON c.id = cu.competition_id
+      LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.removed_at IS NULL
       LEFT JOIN app_user u ON cu.user_id = u.id
       
       WHERE c.id = $1  -- Filter to requested competition only
@@ -172,7 +205,7 @@ router.post('/', verifyToken, async (req, res) => {
     
     // Verify user has access (either participant or organizer)
     const isParticipant = !!firstRow.has_access;
-    const isOrganizer = firstRow.organiser_id === user_id;
+    const isOrganizer = !!firstRow.is_organizer;
     
     if (!isParticipant && !isOrganizer) {
       return res.json({
@@ -183,8 +216,7 @@ router.post('/', verifyToken, async (req, res) => {
 
     // === COMPETITION DATA PREPARATION ===
     // Build comprehensive competition overview
-    const now = new Date();
-    const isLocked = firstRow.current_round_lock_time && now >= new Date(firstRow.current_round_lock_time);
+    const isLocked = !!firstRow.current_round_is_locked;
     
     const competition = {
       id: firstRow.competition_id,               // Competition identifier
@@ -194,7 +226,9 @@ router.post('/', verifyToken, async (req, res) => {
       is_locked: isLocked,                       // Whether current round is locked
       current_round_lock_time: firstRow.current_round_lock_time, // Lock time
       active_players: firstRow.active_players || 0,    // Active players count
-      total_players: firstRow.total_players || 0       // Total players count
+      total_players: firstRow.total_players || 0,      // Total players count
+      game_mode: firstRow.game_mode,             // Outcomes are survival based - the UI labels them per mode
+      pick_lock_mode: firstRow.pick_lock_mode    // FIXTURE: check each current_pick.is_revealed
     };
 
     // === EXTRACT PLAYER DATA ===
@@ -221,11 +255,15 @@ router.post('/', verifyToken, async (req, res) => {
           f.home_team,                            -- Home team in fixture
           f.away_team,                            -- Away team in fixture
           f.home_team_short,                      -- Home team short name
-          f.away_team_short                       -- Away team short name
+          f.away_team_short,                      -- Away team short name
+          f.home_score,                           -- Final home goals (null until entered)
+          f.away_score,                           -- Final away goals (null until entered)
+          ${isFixtureLockedSql('f', 'r', 'c')} as is_revealed -- Round locked, or this fixture kicked off in FIXTURE mode
         FROM pick p
-        LEFT JOIN team t ON t.short_name = p.team AND t.is_active = true
+        LEFT JOIN team t ON t.short_name = p.team AND t.team_list_id = (SELECT team_list_id FROM competition WHERE id = $1) AND t.is_active = true
         LEFT JOIN fixture f ON p.fixture_id = f.id
         LEFT JOIN round r ON p.round_id = r.id
+        LEFT JOIN competition c ON r.competition_id = c.id
         WHERE r.competition_id = $1 
           AND r.round_number = $2
           AND p.user_id = ANY($3)                 -- Get picks for all players at once
@@ -253,11 +291,13 @@ router.post('/', verifyToken, async (req, res) => {
           -- === FIXTURE INFO ===
           f.home_team,                            -- Home team in fixture
           f.away_team,                            -- Away team in fixture
-          f.result as fixture_result              -- Fixture result
+          f.result as fixture_result,             -- Fixture result
+          f.home_score,                           -- Final home goals (null if only a result was entered)
+          f.away_score                            -- Final away goals (null if only a result was entered)
           
         FROM round r
         LEFT JOIN pick p ON p.round_id = r.id AND p.user_id = ANY($3) -- Get picks for all players
-        LEFT JOIN team t ON t.short_name = p.team AND t.is_active = true
+        LEFT JOIN team t ON t.short_name = p.team AND t.team_list_id = (SELECT team_list_id FROM competition WHERE id = $1) AND t.is_active = true
         LEFT JOIN fixture f ON p.fixture_id = f.id
         WHERE r.competition_id = $1 
           AND r.round_number < $2                 -- Only completed rounds
@@ -296,7 +336,9 @@ router.post('/', verifyToken, async (req, res) => {
           fixture: currentPick.home_team && currentPick.away_team 
             ? `${currentPick.home_team} vs ${currentPick.away_team}` 
             : null,                               // Human-readable fixture
-          outcome: currentPick.outcome || 'pending' // Pick outcome status
+          score: scoreLine(currentPick),          // "Chelsea 2-1 Arsenal" once the score is in
+          outcome: currentPick.outcome || 'pending', // Pick outcome status
+          is_revealed: !!currentPick.is_revealed || isLocked // Locked picks are visible to everyone
         };
       } else {
         player.current_pick = null;               // No pick exists for this player
@@ -311,18 +353,39 @@ router.post('/', verifyToken, async (req, res) => {
         fixture: round.home_team && round.away_team 
           ? `${round.home_team} vs ${round.away_team}` 
           : null,                                 // Human-readable fixture
+        home_score: round.home_score,             // Final score for goal-difference style displays
+        away_score: round.away_score,
+        score: scoreLine(round),                  // "Arsenal 2-1 Chelsea", null if no score entered
         pick_result: round.outcome === 'WIN' ? 'win' : 
                     round.outcome === 'LOSE' ? 'loss' : 
-                    round.outcome === 'NO_PICK' ? 'no_pick' : 'pending', // Standardized result
+                    round.outcome === 'DRAW' ? 'draw' :
+                    round.outcome === 'NO_PICK' ? 'no_pick' :
+                    round.outcome === 'VOID' ? 'void' : 'pending', // Standardized result
         lock_time: round.lock_time                // When round locked
       }));
     });
 
+    // === PRIZE POT ===
+    // Only shown for competitions that take money - free competitions have nothing to display
+    const potSummary = await getPotSummary(competition_id);
+    const prizePot = potSummary && (potSummary.settings.entry_fee !== null || potSummary.totals.pot !== 0)
+      ? {
+          entry_fee: potSummary.settings.entry_fee,
+          pot: potSummary.totals.pot,
+          rolled_in: potSummary.totals.rolled_in,
+          prize_fund: potSummary.totals.prize_fund,
+          charity: potSummary.totals.charity,
+          charity_name: potSummary.settings.charity_name,
+          winners: potSummary.winners
+        }
+      : null;
+
     // === SUCCESS RESPONSE ===
     // Return comprehensive standings data with optimal performance
     res.json({
       return_code: "SUCCESS",
       competition: competition,      // Competition overview with statistics
+      prize_pot: prizePot,           // Pot and payouts (null for free competitions)
       players: players              // Complete player data with picks and history
     });
 
@@ -16,7 +16,9 @@ Success Response (ALWAYS HTTP 200):
   "current_round": {
     "id": 17,                            // integer, current round ID
     "round_number": 2,                   // integer, round number
-    "lock_time": "2025-08-30T18:00:00Z", // string, ISO datetime when round locks
+    "lock_time": "2025-08-30T18:00:00Z", // string, ISO datetime of organiser-set lock (null if relying on kickoff)
+    "effective_lock_time": "2025-08-30T14:00:00Z", // string, ISO datetime picks actually lock (earliest lock trigger)
+    "is_locked": false,                  // boolean, whether picks are currently locked
     "calculated": true                   // boolean, true if round results processed
   },
   "fixture_count": 5,                    // integer, number of fixtures in current round
@@ -29,7 +31,9 @@ Success Response (ALWAYS HTTP 200):
     "display_name": "John Smith",        // string, winner's display name
     "email": "john@example.com",         // string, winner's email
     "joined_at": "2025-01-01T12:00:00Z"  // string, ISO datetime when winner joined
-  }
+  },
+  "winners": ["John Smith"],             // array, display names of recorded winners (joint winners share the win)
+  "rolled_over_to": null                 // integer, new competition ID if the competition rolled over (null otherwise)
 }
 
 Error Response (ALWAYS HTTP 200):
@@ -50,16 +54,17 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
 const { logApiCall } = require('../utils/apiLogger');
+const { effectiveLockTimeSql, isRoundLockedSql } = require('../utils/roundLock');
 const router = express.Router();
 
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('view'), async (req, res) => {
   // Log API call if enabled
   logApiCall('get-competition-status');
   
   try {
     const { competition_id } = req.body;
-    const user_id = req.user.id;
 
     // Validate required input parameters
     if (!competition_id || !Number.isInteger(competition_id)) {
@@ -82,6 +87,8 @@ router.post('/', verifyToken, async (req, res) => {
         r.round_id,
         r.round_number,
         r.lock_time,
+        r.effective_lock_time,
+        r.is_locked,
         
         -- Fixture metrics for current round
         COALESCE(fc.fixture_count, 0) as fixture_count,
@@ -95,15 +102,24 @@ router.post('/', verifyToken, async (req, res) => {
         -- Winner details (only when exactly 1 active player and competition started)
         w.winner_name,
         w.winner_email,
-        w.winner_joined
+        w.winner_joined,
+        
+        -- Recorded winners (single or joint) and the competition a no-winner rollover started
+        (SELECT COALESCE(json_agg(u.display_name ORDER BY u.display_name), '[]'::json)
+         FROM competition_user wcu
+         INNER JOIN app_user u ON wcu.user_id = u.id
+         WHERE wcu.competition_id = c.id AND wcu.is_winner = true AND wcu.removed_at IS NULL) as winner_names,
+        c.rolled_over_to
         
       FROM competition c
       
       -- Get current round (latest by round_number) using window function to avoid LIMIT in JOIN
       LEFT JOIN (
         SELECT competition_id, id as round_id, round_number, lock_time,
+               ${effectiveLockTimeSql('rnd')} as effective_lock_time,
+               ${isRoundLockedSql('rnd')} as is_locked,
                ROW_NUMBER() OVER (PARTITION BY competition_id ORDER BY round_number DESC) as rn
-        FROM round
+        FROM round rnd
       ) r ON c.id = r.competition_id AND r.rn = 1
       
       -- Get fixture counts and calculation status for current round
@@ -122,6 +138,7 @@ router.post('/', verifyToken, async (req, res) => {
                COUNT(CASE WHEN status = 'OUT' THEN 1 END) as players_out,
                COUNT(*) as total_players
         FROM competition_user
+        WHERE removed_at IS NULL
         GROUP BY competition_id
       ) pc ON c.id = pc.competition_id
       
@@ -133,7 +150,7 @@ router.post('/', verifyToken, async (req, res) => {
                cu.joined_at as winner_joined
         FROM competition_user cu
         INNER JOIN app_user u ON cu.user_id = u.id
-        WHERE cu.status = 'active'
+        WHERE cu.status = 'active' AND cu.removed_at IS NULL
       ) w ON c.id = w.competition_id 
          AND pc.players_active = 1 
          AND c.invite_code IS NULL
@@ -152,14 +169,6 @@ router.post('/', verifyToken, async (req, res) => {
 
     const data = result.rows[0];
 
-    // Verify user is the organiser (authorization check)
-    if (data.organiser_id !== user_id) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Only the competition organiser can access this information"
-      });
-    }
-
     // Parse numeric values to ensure correct types
     const fixtureCount = parseInt(data.fixture_count);
     const calculatedCount = parseInt(data.calculated_fixtures);
@@ -187,6 +196,8 @@ router.post('/', verifyToken, async (req, res) => {
         id: data.round_id,
         round_number: data.round_number,
         lock_time: data.lock_time,
+        effective_lock_time: data.effective_lock_time,
+        is_locked: data.is_locked,
         calculated: roundCalculated
       };
     }
@@ -201,7 +212,9 @@ router.post('/', verifyToken, async (req, res) => {
       players_out: playersOut,
       total_players: totalPlayers,
       round_calculated: roundCalculated,
-      winner: winner // null if no winner yet
+      winner: winner, // null if no winner yet
+      winners: data.winner_names, // display names of recorded winners (several when joint winners were declared)
+      rolled_over_to: data.rolled_over_to // new competition ID if everyone went out and the pot rolled over
     });
 
   } catch (error) {
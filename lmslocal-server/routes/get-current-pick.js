@@ -47,6 +47,7 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { hasPermissionSql } = require('../middleware/competitionRole');
 const router = express.Router();
 router.post('/', verifyToken, async (req, res) => {
   try {
@@ -76,7 +77,7 @@ router.post('/', verifyToken, async (req, res) => {
       SELECT 
         -- === AUTHORIZATION INFO ===
         c.id as competition_id,               -- Competition identifier for validation
-        c.organiser_id,                       -- Competition organiser (for admin permission check)
+        ${hasPermissionSql('c', '$2', 'manage')} as can_manage, -- Owner or co-organiser (admin permission check)
         c.name as competition_name,           -- Competition name for audit purposes
         r.round_number,                       -- Round number for display context
         
@@ -94,7 +95,7 @@ router.post('/', verifyToken, async (req, res) => {
         -- === USER ACCESS VALIDATION ===
         CASE 
           WHEN cu.user_id IS NOT NULL THEN true -- User participates in competition
-          WHEN c.organiser_id = $2 THEN true     -- User is organiser (admin access)
+          WHEN ${hasPermissionSql('c', '$2', 'view')} THEN true -- User is organiser or helper (admin access)
           ELSE false                             -- User has no access
         END as has_access
         
@@ -106,6 +107,7 @@ router.post('/', verifyToken, async (req, res) => {
       LEFT JOIN competition_user cu ON c.id = cu.competition_id 
                                     AND cu.user_id = $2 
                                     AND cu.user_id = $3  -- Only check access for authenticated user
+                                    AND cu.removed_at IS NULL
       
       -- === PICK DATA (TARGET USER SPECIFIC) ===
       -- Get pick made by target user (could be different from authenticated user for admin feature)
@@ -113,7 +115,7 @@ router.post('/', verifyToken, async (req, res) => {
       
       -- === TEAM DETAILS ===
       -- Get full team name for display purposes
-      LEFT JOIN team t ON p.team = t.short_name AND t.is_active = true
+      LEFT JOIN team t ON p.team = t.short_name AND t.team_list_id = c.team_list_id AND t.is_active = true
       
       -- === FIXTURE CONTEXT ===
       -- Get complete fixture information for the picked team
@@ -144,7 +146,7 @@ router.post('/', verifyToken, async (req, res) => {
     // === ADMIN PERMISSION CHECK ===
     // If requesting another user's pick, verify admin permissions
     if (requested_user_id && requested_user_id !== authenticated_user_id) {
-      if (roundData.organiser_id !== authenticated_user_id) {
+      if (!roundData.can_manage) {
         return res.json({
           return_code: "UNAUTHORIZED",
           message: "Only competition organiser can view other players' picks"
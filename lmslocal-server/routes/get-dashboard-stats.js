@@ -4,10 +4,12 @@ API Route: get-dashboard-stats
 =======================================================================================================================================
 Method: POST
 Purpose: Retrieves comprehensive dashboard statistics for a competition including player status, pick completion, and round information.
+         Send organisation_id instead for a roll-up across every competition in an organisation (organisation admins only).
 =======================================================================================================================================
 Request Payload:
 {
-  "competition_id": 123                // integer, required - Competition ID to get stats for
+  "competition_id": 123,               // integer, required unless organisation_id is sent - Competition ID to get stats for
+  "organisation_id": 12                // integer, optional - Organisation ID for the roll-up instead of a single competition
 }
 
 Success Response:
@@ -37,11 +39,42 @@ Success Response:
     }
   }
 }
+
+Organisation Roll-up Response:
+{
+  "return_code": "SUCCESS",
+  "data": {
+    "organisation": { "id": 12, "name": "The Red Lion Group" },
+    "totals": {
+      "competitions": 6,                 // integer, competitions in the organisation
+      "total_players": 180,              // integer, players across all competitions
+      "still_active": 95,                // integer, players still in across all competitions
+      "eliminated": 85,                  // integer, eliminated players across all competitions
+      "picks_made": 70,                  // integer, current-round picks made across all competitions
+      "picks_required": 95,              // integer, current-round picks needed across all competitions
+      "missing_picks_count": 25          // integer, current-round picks still missing
+    },
+    "competitions": [                    // array, one entry per competition, newest first
+      {
+        "competition_id": 123,           // integer, competition ID
+        "name": "Red Lion LMS",          // string, competition name
+        "status": "UNLOCKED",            // string, competition status
+        "current_round": { ... },        // object, same shape as competition_info.current_round (null if no rounds)
+        "still_active": 24,              // integer, players still in
+        "eliminated": 16,                // integer, eliminated players
+        "picks_made": 18,                // integer, current-round picks made
+        "missing_picks_count": 6         // integer, current-round picks still missing
+      }
+    ]
+  }
+}
 =======================================================================================================================================
 Return Codes:
 "SUCCESS"
 "MISSING_FIELDS"
+"VALIDATION_ERROR"
 "COMPETITION_NOT_FOUND"
+"ORGANISATION_NOT_FOUND"
 "UNAUTHORIZED"
 "SERVER_ERROR"
 =======================================================================================================================================
@@ -50,21 +83,133 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { ORGANISATION_ADMIN_ROLES, requireOrganisationRole } = require('../middleware/organisationRole');
+const { effectiveLockTimeSql, isRoundLockedSql } = require('../utils/roundLock');
 const { logApiCall } = require('../utils/apiLogger');
 
 const router = express.Router();
 
+/**
+ * Organisation roll-up needs organisation admin; a single competition needs view permission on it
+ */
+const requireDashboardAccess = (req, res, next) => {
+  if (req.body?.organisation_id !== undefined) {
+    return requireOrganisationRole(ORGANISATION_ADMIN_ROLES)(req, res, next);
+  }
+  return requireCompetitionPermission('view')(req, res, next);
+};
+
+/**
+ * Aggregate player and pick statistics across every competition in an organisation
+ * @param {number} organisationId - Organisation to roll up
+ * @returns {Object} { organisation, totals, competitions }
+ */
+const getOrganisationStats = async (organisationId) => {
+  // One row per competition - current round is the latest round, picks only count players still in the competition
+  const result = await query(`
+    WITH current_round AS (
+      SELECT DISTINCT ON (r.competition_id)
+        r.competition_id, r.id, r.round_number,
+        ${effectiveLockTimeSql('r')} as lock_time,
+        ${isRoundLockedSql('r')} as is_locked
+      FROM round r
+      INNER JOIN competition rc ON rc.id = r.competition_id
+      WHERE rc.organisation_id = $1
+      ORDER BY r.competition_id, r.round_number DESC
+    )
+    SELECT
+      c.id, c.name, c.status, o.name as organisation_name,
+      COUNT(cu.id) FILTER (WHERE cu.status = 'active') as still_active,
+      COUNT(cu.id) FILTER (WHERE cu.status = 'OUT') as eliminated,
+      cr.id as round_id, cr.round_number, cr.lock_time, cr.is_locked,
+      (SELECT COUNT(*)
+       FROM pick p
+       JOIN competition_user pcu ON pcu.competition_id = c.id AND pcu.user_id = p.user_id AND pcu.removed_at IS NULL
+       WHERE p.round_id = cr.id) as picks_made
+    FROM competition c
+    INNER JOIN organisation o ON o.id = c.organisation_id
+    LEFT JOIN competition_user cu ON cu.competition_id = c.id AND cu.removed_at IS NULL
+    LEFT JOIN current_round cr ON cr.competition_id = c.id
+    WHERE c.organisation_id = $1
+    GROUP BY c.id, o.name, cr.id, cr.round_number, cr.lock_time, cr.is_locked
+    ORDER BY c.created_at DESC
+  `, [organisationId]);
+
+  const totals = {
+    competitions: 0,
+    total_players: 0,
+    still_active: 0,
+    eliminated: 0,
+    picks_made: 0,
+    picks_required: 0,
+    missing_picks_count: 0
+  };
+
+  const competitions = result.rows.map(row => {
+    const stillActive = parseInt(row.still_active) || 0;
+    const eliminated = parseInt(row.eliminated) || 0;
+    const picksMade = parseInt(row.picks_made) || 0;
+    const missingPicks = row.round_id ? Math.max(0, stillActive - picksMade) : 0;
+
+    totals.competitions++;
+    totals.total_players += stillActive + eliminated;
+    totals.still_active += stillActive;
+    totals.eliminated += eliminated;
+    totals.picks_made += picksMade;
+    totals.picks_required += row.round_id ? stillActive : 0;
+    totals.missing_picks_count += missingPicks;
+
+    return {
+      competition_id: row.id,
+      name: row.name,
+      status: row.status,
+      current_round: row.round_id ? {
+        round_id: row.round_id,
+        round_number: row.round_number,
+        lock_time: row.lock_time,
+        is_locked: row.is_locked
+      } : null,
+      still_active: stillActive,
+      eliminated: eliminated,
+      picks_made: picksMade,
+      missing_picks_count: missingPicks
+    };
+  });
+
+  // Organisation name comes from the competition rows; fall back to a lookup when it has no competitions yet
+  let organisationName = result.rows[0]?.organisation_name;
+  if (!organisationName) {
+    const organisationResult = await query('SELECT name FROM organisation WHERE id = $1', [organisationId]);
+    organisationName = organisationResult.rows[0]?.name;
+  }
+
+  return {
+    organisation: { id: organisationId, name: organisationName },
+    totals,
+    competitions
+  };
+};
+
 /**
  * POST /get-dashboard-stats
- * Retrieves comprehensive dashboard statistics for a competition
+ * Retrieves comprehensive dashboard statistics for a competition, or a roll-up for an organisation
  */
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireDashboardAccess, async (req, res) => {
   // Log API call if enabled
   logApiCall('get-dashboard-stats');
   
   try {
     // Extract and validate request data
-    const { competition_id } = req.body;
+    const { competition_id, organisation_id } = req.body;
+
+    // Organisation roll-up (organisation_id already validated by requireOrganisationRole)
+    if (organisation_id !== undefined) {
+      return res.status(200).json({
+        return_code: 'SUCCESS',
+        data: await getOrganisationStats(organisation_id)
+      });
+    }
 
     // Validate required fields
     if (!competition_id) {
@@ -99,20 +244,11 @@ router.post('/', verifyToken, async (req, res) => {
 
       const competition = competitionResult.rows[0];
 
-      // Verify user is the organiser (basic authorization)
-      if (competition.organiser_id !== req.user.id) {
-        return { error: 'UNAUTHORIZED' };
-      }
-
       // 2. Get current round information
       const currentRoundResult = await client.query(
-        `SELECT id, round_number, lock_time,
-                CASE 
-                  WHEN lock_time IS NULL THEN false
-                  WHEN lock_time <= NOW() THEN true
-                  ELSE false
-                END as is_locked
-         FROM round 
+        `SELECT r.id, r.round_number, ${effectiveLockTimeSql('r')} as lock_time,
+                ${isRoundLockedSql('r')} as is_locked
+         FROM round r
          WHERE competition_id = $1 
          ORDER BY round_number DESC 
          LIMIT 1`,
@@ -139,7 +275,7 @@ router.post('/', verifyToken, async (req, res) => {
            COUNT(*) FILTER (WHERE status = 'active') as still_active,
            COUNT(*) FILTER (WHERE status = 'OUT') as eliminated
          FROM competition_user
-         WHERE competition_id = $1`,
+         WHERE competition_id = $1 AND removed_at IS NULL`,
         [competitionId]
       );
 
@@ -162,8 +298,9 @@ router.post('/', verifyToken, async (req, res) => {
         const pickStatusResult = await client.query(
           `SELECT COUNT(*) as picks_made
            FROM pick p
-           WHERE p.round_id = $1`,
-          [currentRound.round_id]
+           JOIN competition_user cu ON cu.competition_id = $2 AND cu.user_id = p.user_id
+           WHERE p.round_id = $1 AND cu.removed_at IS NULL`,
+          [currentRound.round_id, competitionId]
         );
         
         picksMade = parseInt(pickStatusResult.rows[0].picks_made) || 0;
@@ -202,12 +339,6 @@ router.post('/', verifyToken, async (req, res) => {
           message: 'Competition not found'
         });
       }
-      if (result.error === 'UNAUTHORIZED') {
-        return res.status(200).json({
-          return_code: 'UNAUTHORIZED',
-          message: 'You do not have permission to access this competition'
-        });
-      }
     }
 
     // Return success response
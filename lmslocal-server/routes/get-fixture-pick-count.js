@@ -76,7 +76,10 @@ router.post('/', verifyToken, async (req, res) => {
         COUNT(*) as pick_count
       FROM pick p
       JOIN fixture f ON p.fixture_id = f.id
+      JOIN round r ON f.round_id = r.id
+      JOIN competition_user cu ON cu.competition_id = r.competition_id AND cu.user_id = p.user_id
       WHERE f.round_id = $1
+        AND cu.removed_at IS NULL -- Picks of removed players are hidden until they are restored
       GROUP BY 
         CASE 
           WHEN p.team = 'home' THEN f.home_team_short
@@ -21,7 +21,9 @@ Success Response (ALWAYS HTTP 200):
       "home_team_short": "ARS",                // string, abbreviated home team name
       "away_team_short": "CHE",                // string, abbreviated away team name
       "kickoff_time": "2025-08-25T15:00:00Z", // string, ISO datetime for fixture kickoff
-      "result": "ARS"                          // string, winning team short name, "DRAW", or null if pending
+      "result": "ARS",                         // string, winning team short name, "DRAW", or null if pending
+      "home_score": 2,                         // integer, home goals, or null if no score entered
+      "away_score": 1                          // integer, away goals, or null if no score entered
     }
   ]
 }
@@ -44,6 +46,7 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { hasPermissionSql } = require('../middleware/competitionRole');
 const router = express.Router();
 
 router.post('/', verifyToken, async (req, res) => {
@@ -69,10 +72,10 @@ router.post('/', verifyToken, async (req, res) => {
       FROM competition c
       JOIN round r ON c.id = r.competition_id
       WHERE r.id = $1 AND (
-        c.organiser_id = $2 OR  -- User is the organiser
+        ${hasPermissionSql('c', '$2', 'view')} OR  -- User is an organiser or helper
         EXISTS (                -- OR user is a participant
           SELECT 1 FROM competition_user cu 
-          WHERE cu.competition_id = c.id AND cu.user_id = $2
+          WHERE cu.competition_id = c.id AND cu.user_id = $2 AND cu.removed_at IS NULL
         )
       )
     `, [round_id, user_id]);
@@ -94,6 +97,8 @@ router.post('/', verifyToken, async (req, res) => {
         f.id,                     -- Unique fixture identifier for database operations
         f.kickoff_time,           -- ISO datetime when fixture kicks off
         f.result,                 -- Winner: team short name (e.g., "ARS"), "DRAW", or null if pending
+        f.home_score,             -- Final home goals, null if only a result was entered
+        f.away_score,             -- Final away goals, null if only a result was entered
         f.home_team,              -- Full home team name for display (e.g., "Arsenal")
         f.away_team,              -- Full away team name for display (e.g., "Chelsea")
         f.home_team_short,        -- Abbreviated home team name for compact UI (e.g., "ARS")
@@ -115,7 +120,9 @@ router.post('/', verifyToken, async (req, res) => {
         home_team_short: row.home_team_short,  // Short name for space-constrained UI
         away_team_short: row.away_team_short,  // Short name for space-constrained UI
         kickoff_time: row.kickoff_time,        // ISO datetime for scheduling
-        result: row.result                     // Winner short name, "DRAW", or null if pending
+        result: row.result,                    // Winner short name, "DRAW", or null if pending
+        home_score: row.home_score,            // Final score for display ("Arsenal 2-1 Chelsea")
+        away_score: row.away_score
       }))
     });
 
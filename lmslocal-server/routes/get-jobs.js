@@ -0,0 +1,135 @@
+/*
+=======================================================================================================================================
+API Route: get-jobs
+=======================================================================================================================================
+Method: POST
+Purpose: Background job history - what the scheduler has run, is waiting to run, and what failed (with the error).
+         With competition_id: that competition's jobs (round locks, result calculation) for organisers with manage permission.
+         Without: every job, including reminders and clean-up, for platform administrators (ADMIN_EMAILS).
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, optional - Only this competition's jobs (omit for every job - admins only)
+  "status": "FAILED",                 // string, optional - PENDING, RUNNING, COMPLETED or FAILED
+  "job_type": "ROUND_RESULTS",        // string, optional - Only jobs of this type
+  "limit": 100                        // integer, optional - Most jobs to return (default 100, max 500)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "jobs": [
+    {
+      "id": 42,                       // integer, job ID
+      "job_type": "ROUND_RESULTS",    // string, what the job does
+      "payload": { "round_id": 7 },   // object, job input
+      "status": "PENDING",            // string, PENDING, RUNNING, COMPLETED or FAILED
+      "run_at": "2025-08-25T16:00:00Z", // string, ISO datetime the job is (or was last) due
+      "attempts": 0,                  // integer, attempts made so far (reset while a job is waiting)
+      "max_attempts": 3,              // integer, attempts before the job is given up on
+      "competition_id": 123,          // integer, competition the job belongs to (null for platform jobs)
+      "competition_name": "Office LMS", // string, competition name (null for platform jobs)
+      "locked_by": null,              // string, server instance running the job (null unless RUNNING)
+      "last_error": null,             // string, error from the last failed attempt
+      "result": { "waiting": "3 of 10 results outstanding" }, // object, summary of the last run
+      "created_at": "2025-08-23T10:00:00Z", // string, ISO datetime the job was scheduled
+      "completed_at": null,           // string, ISO datetime the job finished (null if not finished)
+      "created_by_name": "Jane"       // string, user whose change scheduled the job (null for recurring jobs)
+    }
+  ],
+  "counts": { "PENDING": 3, "RUNNING": 0, "COMPLETED": 40, "FAILED": 1 } // object, jobs per status (ignores status/job_type filters)
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Invalid competition_id, status, job_type or limit
+"UNAUTHORIZED"          - Invalid JWT token, no manage permission for the competition, or not an administrator
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { JOB_STATUSES, getJobHistory, canManageJobs } = require('../services/jobService');
+const { JOB_HANDLERS } = require('../services/scheduledJobs');
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// POST endpoint - competition organisers (their competition) and platform administrators (everything)
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { competition_id = null, status = null, job_type = null, limit = DEFAULT_LIMIT } = req.body;
+
+    // STEP 1: Validate input
+    if (competition_id !== null && !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID must be an integer"
+      });
+    }
+
+    if (status !== null && !JOB_STATUSES.includes(status)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Status must be one of: ${JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    if (job_type !== null && !JOB_HANDLERS[job_type]) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Job type must be one of: ${Object.keys(JOB_HANDLERS).join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Limit must be an integer between 1 and ${MAX_LIMIT}`
+      });
+    }
+
+    // STEP 2: Check access - competition managers for their competition, administrators for everything
+    if (!(await canManageJobs(req.user, competition_id))) {
+      return res.json({
+        return_code: "UNAUTHORIZED",
+        message: competition_id ? "You do not have permission to view this competition's jobs" : "Administrator access required"
+      });
+    }
+
+    // STEP 3: Load history
+    const history = await getJobHistory({ competition_id, status, job_type, limit });
+
+    return res.json({
+      return_code: "SUCCESS",
+      jobs: history.jobs,
+      counts: history.counts
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Get jobs error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to load jobs"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/*
+=======================================================================================================================================
+API Route: get-organisation-members
+=======================================================================================================================================
+Method: POST
+Purpose: List the members of an organisation with their roles
+=======================================================================================================================================
+Request Payload:
+{
+  "organisation_id": 12               // integer, required - Organisation to list members for
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "your_role": "ADMIN",               // string, caller's role in the organisation
+  "members": [                        // array, owner first, then admins, then members, by name
+    {
+      "user_id": 789,                 // integer, member's user ID
+      "display_name": "Sam Smith",    // string, member's display name
+      "email": "sam@example.com",     // string, member's email
+      "role": "MEMBER",               // string, "OWNER", "ADMIN" or "MEMBER"
+      "created_at": "2025-08-28T12:00:00Z" // string, ISO datetime the member was added
+    }
+  ]
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"       - Missing or invalid organisation_id parameter
+"UNAUTHORIZED"           - Invalid JWT token or user is not a member of the organisation
+"ORGANISATION_NOT_FOUND" - Organisation does not exist in database
+"SERVER_ERROR"           - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { ORGANISATION_ROLES, requireOrganisationRole } = require('../middleware/organisationRole');
+const router = express.Router();
+
+// POST endpoint - any member can see who else is in the organisation
+router.post('/', verifyToken, requireOrganisationRole(ORGANISATION_ROLES), async (req, res) => {
+  try {
+    const { organisation_id } = req.body;
+
+    const result = await query(`
+      SELECT u.id as user_id, u.display_name, u.email, om.role, om.created_at
+      FROM organisation_member om
+      INNER JOIN app_user u ON om.user_id = u.id
+      WHERE om.organisation_id = $1
+      ORDER BY array_position(ARRAY['OWNER', 'ADMIN', 'MEMBER']::varchar[], om.role), u.display_name
+    `, [organisation_id]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      your_role: req.organisationAccess.role, // Set by requireOrganisationRole
+      members: result.rows
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Get organisation members error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      organisation_id: req.body?.organisation_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to retrieve organisation members"
+    });
+  }
+});
+
+module.exports = router;
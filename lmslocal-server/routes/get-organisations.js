@@ -0,0 +1,98 @@
+/*
+=======================================================================================================================================
+API Route: get-organisations
+=======================================================================================================================================
+Method: POST
+Purpose: List the organisations the user belongs to, with their role, branding and competition/member counts
+=======================================================================================================================================
+Request Payload:
+{}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "organisations": [                  // array, user's organisations sorted by name
+    {
+      "id": 12,                       // integer, organisation ID
+      "name": "The Red Lion Group",   // string, organisation name
+      "logo_url": "https://...",      // string, logo link (null if not set)
+      "brand_colour": "#B91C1C",      // string, brand colour (null if not set)
+      "role": "ADMIN",                // string, user's role: "OWNER", "ADMIN" or "MEMBER"
+      "competition_count": 6,         // integer, competitions created under the organisation
+      "member_count": 4,              // integer, organisation members
+      "team_list_count": 2            // integer, active team lists owned by the organisation
+    }
+  ]
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"UNAUTHORIZED"          - Invalid JWT token
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const router = express.Router();
+
+// POST endpoint - returns only organisations the caller is a member of
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // Counts come from correlated subqueries - a user belongs to a handful of organisations at most
+    const result = await query(`
+      SELECT
+        o.id,
+        o.name,
+        o.logo_url,
+        o.brand_colour,
+        om.role,
+        (SELECT COUNT(*) FROM competition c WHERE c.organisation_id = o.id) as competition_count,
+        (SELECT COUNT(*) FROM organisation_member m WHERE m.organisation_id = o.id) as member_count,
+        (SELECT COUNT(*) FROM team_list tl WHERE tl.organisation_id = o.id AND tl.is_active = true) as team_list_count
+      FROM organisation o
+      INNER JOIN organisation_member om ON om.organisation_id = o.id AND om.user_id = $1
+      ORDER BY o.name ASC
+    `, [user_id]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      organisations: result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        logo_url: row.logo_url,
+        brand_colour: row.brand_colour,
+        role: row.role,
+        competition_count: parseInt(row.competition_count) || 0,
+        member_count: parseInt(row.member_count) || 0,
+        team_list_count: parseInt(row.team_list_count) || 0
+      }))
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Get organisations error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to retrieve organisations"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/*
+=======================================================================================================================================
+API Route: get-payment-details
+=======================================================================================================================================
+Method: POST
+Purpose: Show players how to pay the organiser - payment instructions, payment link and a QR code for the link - along with
+         their own payment status. LMSLocal does not collect fees; these are the organiser's own details.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123               // integer, required - Competition to load payment details for
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "payment": {
+    "payment_instructions": "Sort code 12-34-56, account 12345678, ref your name", // string, organiser's instructions (null if not set)
+    "payment_url": "https://paypal.me/example",  // string, organiser's payment link (null if not set)
+    "qr_code": "data:image/png;base64,...",      // string, QR code image for payment_url (null if no link)
+    "entry_fee": 10.00,               // number, entry fee (null if free)
+    "buyback_fee": 5.00               // number, buy-back fee (null if not charged)
+  },
+  "my_payment": {                     // object, the requesting user's payment status (null if they are not a player)
+    "paid": false,                    // boolean, organiser has marked the player as paid
+    "paid_amount": null,              // number, amount recorded as paid (null if none)
+    "paid_date": null,                // string, ISO datetime marked paid (null if unpaid)
+    "amount_due": 10.00               // number, entry and buy-back fees still owed
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id
+"UNAUTHORIZED"          - Invalid JWT token or user is not a player or organiser of the competition
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { getCompetitionRole, hasPermission } = require('../middleware/competitionRole');
+const { getPaymentDetails } = require('../services/paymentDetailsService');
+const router = express.Router();
+
+// POST endpoint - players of the competition and its organisers
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { competition_id } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    // STEP 2: Load details and check the user belongs to the competition
+    const details = await getPaymentDetails(competition_id, user_id);
+    if (!details) {
+      return res.json({
+        return_code: "COMPETITION_NOT_FOUND",
+        message: "Competition not found"
+      });
+    }
+
+    if (!details.is_member) {
+      const access = await getCompetitionRole(competition_id, user_id);
+      if (!hasPermission(access?.role, 'view')) {
+        return res.json({
+          return_code: "UNAUTHORIZED",
+          message: "You are not part of this competition"
+        });
+      }
+    }
+
+    return res.json({
+      return_code: "SUCCESS",
+      payment: details.payment,
+      my_payment: details.my_payment
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Get payment details error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to load payment details"
+    });
+  }
+});
+
+module.exports = router;
@@ -40,10 +40,11 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database'); // Use central database with destructured import
 const { verifyToken } = require('../middleware/auth'); // Use correct auth middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication and data validation
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('view'), async (req, res) => {
   try {
     const { competition_id } = req.body;
     const user_id = req.user.id; // Set by verifyToken middleware
@@ -88,16 +89,19 @@ router.post('/', verifyToken, async (req, res) => {
       
       -- Count picks for current round (only if current round exists)
       LEFT JOIN (
-        SELECT round_id, COUNT(*) as players_with_picks
-        FROM pick
-        GROUP BY round_id
+        SELECT p.round_id, COUNT(*) as players_with_picks
+        FROM pick p
+        JOIN round r ON p.round_id = r.id
+        JOIN competition_user cu ON cu.competition_id = r.competition_id AND cu.user_id = p.user_id
+        WHERE cu.removed_at IS NULL -- Removed players are hidden from pick counts
+        GROUP BY p.round_id
       ) ps ON cr.round_id = ps.round_id
       
       -- Count total active players in competition (from competition_user table)
       LEFT JOIN (
         SELECT competition_id, COUNT(*) as total_active_players
         FROM competition_user
-        WHERE status = 'active'
+        WHERE status = 'active' AND removed_at IS NULL
         GROUP BY competition_id
       ) ap ON c.id = ap.competition_id
       
@@ -114,14 +118,6 @@ router.post('/', verifyToken, async (req, res) => {
 
     const data = result.rows[0];
 
-    // Verify user authorization - only competition organiser can access statistics
-    if (data.organiser_id !== user_id) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Only the competition organiser can access pick statistics"
-      });
-    }
-
     // Parse and validate numeric values to ensure correct data types
     const playersWithPicks = parseInt(data.players_with_picks) || 0;
     const totalActivePlayers = parseInt(data.total_active_players) || 0;
@@ -4,6 +4,7 @@ API Route: get-player-current-round
 =======================================================================================================================================
 Method: POST
 Purpose: Get current round information, fixtures, and player's pick for a competition with optimized single-query performance
+         In FIXTURE lock mode the round stays open until its last kickoff and each fixture reports its own lock state
 =======================================================================================================================================
 Request Payload:
 {
@@ -16,8 +17,9 @@ Success Response (ALWAYS HTTP 200):
   "current_round": {
     "id": 1,                           // integer, round database ID
     "round_number": 1,                 // integer, human-readable round number
-    "lock_time": "2025-08-26T14:00:00Z", // string, ISO datetime when picks lock
-    "is_locked": false,                // boolean, whether picks are currently locked
+    "lock_time": "2025-08-26T14:00:00Z", // string, ISO datetime when picks lock (last kickoff in FIXTURE mode)
+    "is_locked": false,                // boolean, whether picks are currently locked (every fixture locked in FIXTURE mode)
+    "pick_lock_mode": "ROUND",         // string, "ROUND" (one lock for the round) or "FIXTURE" (each pick locks at kickoff)
     "fixtures": [                      // array, all fixtures for this round
       {
         "id": 16,                      // integer, fixture database ID
@@ -25,13 +27,15 @@ Success Response (ALWAYS HTTP 200):
         "away_team": "Aston Villa",    // string, away team full name
         "home_team_short": "ARS",      // string, home team short code
         "away_team_short": "AVL",      // string, away team short code
-        "kickoff_time": "2025-08-26T15:00:00Z" // string, ISO datetime of kickoff
+        "kickoff_time": "2025-08-26T15:00:00Z", // string, ISO datetime of kickoff
+        "is_locked": false             // boolean, whether this fixture can no longer be picked
       }
     ]
   },
   "player_pick": {                     // object, player's pick for current round (null if no pick)
     "team": "ARS",                     // string, team short code player picked
     "fixture_id": 16,                  // integer, fixture ID player picked from
+    "is_locked": false,                // boolean, whether the pick can no longer be changed or removed
     "created_at": "2025-08-25T10:00:00Z" // string, ISO datetime when pick was made
   },
   "competition": {
@@ -61,6 +65,7 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { pickDeadlineSql, arePicksClosedSql, isFixtureLockedSql } = require('../utils/roundLock');
 const router = express.Router();
 // POST endpoint with comprehensive authentication and optimized single-query data retrieval
 router.post('/', verifyToken, async (req, res) => {
@@ -86,7 +91,8 @@ router.post('/', verifyToken, async (req, res) => {
         SELECT 
           r.id as round_id,
           r.round_number,
-          r.lock_time,
+          ${pickDeadlineSql('r', 'c')} as lock_time, -- Effective lock (organiser lock, first kickoff offset, all picked or last kickoff)
+          ${arePicksClosedSql('r', 'c')} as is_locked,
           r.competition_id
         FROM competition c
         INNER JOIN round r ON c.id = r.competition_id
@@ -100,6 +106,7 @@ router.post('/', verifyToken, async (req, res) => {
         c.name as competition_name,
         c.status as competition_status,
         c.slug as competition_slug,
+        c.pick_lock_mode,
         
         -- User membership verification
         cu.status as user_status,
@@ -109,6 +116,7 @@ router.post('/', verifyToken, async (req, res) => {
         crc.round_id,
         crc.round_number,
         crc.lock_time,
+        crc.is_locked,
         
         -- Current time for lock calculation
         NOW() as current_time,
@@ -120,7 +128,7 @@ router.post('/', verifyToken, async (req, res) => {
         
       FROM competition c
       -- Verify user membership in competition (INNER JOIN ensures user is member)
-      INNER JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $2
+      INNER JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $2 AND cu.removed_at IS NULL
       -- Get current round info (LEFT JOIN allows competitions with no rounds)
       LEFT JOIN current_round_cte crc ON c.id = crc.competition_id
       -- Get player's pick for current round (LEFT JOIN allows no pick made yet)
@@ -169,27 +177,30 @@ router.post('/', verifyToken, async (req, res) => {
     // This is acceptable as it's only 1 additional query vs the original 5 queries
     const fixturesQuery = `
       SELECT 
-        id,
-        home_team,
-        away_team,
-        home_team_short,
-        away_team_short,
-        kickoff_time
-      FROM fixture
-      WHERE round_id = $1
-      ORDER BY kickoff_time ASC
+        f.id,
+        f.home_team,
+        f.away_team,
+        f.home_team_short,
+        f.away_team_short,
+        f.kickoff_time,
+        ${isFixtureLockedSql('f', 'r', 'c')} as is_locked -- Round lock, or this fixture's kickoff in FIXTURE mode
+      FROM fixture f
+      INNER JOIN round r ON f.round_id = r.id
+      INNER JOIN competition c ON r.competition_id = c.id
+      WHERE f.round_id = $1
+      ORDER BY f.kickoff_time ASC
     `;
     const fixturesResult = await query(fixturesQuery, [mainData.round_id]);
 
-    // Calculate if round is locked based on current time vs lock time
-    const now = new Date(mainData.current_time);
-    const lockTime = new Date(mainData.lock_time);
-    const isLocked = now >= lockTime;
+    // Round is locked once lock time passes or every active player has picked (calculated in SQL)
+    // In FIXTURE mode it stays open until the last fixture kicks off
+    const isLocked = mainData.is_locked;
 
     // Build player pick object (null if no pick made)
     const playerPick = mainData.player_pick_team ? {
       team: mainData.player_pick_team,
       fixture_id: mainData.player_pick_fixture_id,
+      is_locked: !!fixturesResult.rows.find(fixture => fixture.id === mainData.player_pick_fixture_id)?.is_locked || isLocked,
       created_at: mainData.player_pick_created_at
     } : null;
 
@@ -201,6 +212,7 @@ router.post('/', verifyToken, async (req, res) => {
         round_number: mainData.round_number,
         lock_time: mainData.lock_time,
         is_locked: isLocked,
+        pick_lock_mode: mainData.pick_lock_mode,
         fixtures: fixturesResult.rows
       },
       player_pick: playerPick,
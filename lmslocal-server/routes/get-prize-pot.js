@@ -0,0 +1,167 @@
+/*
+=======================================================================================================================================
+API Route: get-prize-pot
+=======================================================================================================================================
+Method: POST
+Purpose: Organiser report for a competition's money: the prize pot (entries, buy-backs, rollover, house cut, charity share),
+         each winner's payout, who still owes what against the entry and buy-back fees, and the pot ledger
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123               // integer, required - Competition to report on
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "settings": {
+    "entry_fee": 10.00,               // number, entry fee (null if free)
+    "buyback_fee": 5.00,              // number, buy-back fee (null if not charged)
+    "house_cut_percent": 10,          // number, house cut percentage
+    "charity_percent": 20,            // number, charity share percentage
+    "charity_name": "Air Ambulance"   // string, charity name (null if not set)
+  },
+  "totals": {
+    "entries": 150.00,                // number, entry fees collected
+    "buybacks": 20.00,                // number, buy-back fees collected
+    "corrections": -10.00,            // number, net corrections (refunds and amount changes)
+    "collected": 160.00,              // number, money collected in this competition
+    "rolled_in": 0,                   // number, prize fund carried over from competitions that rolled over into this one
+    "pot": 160.00,                    // number, collected plus rolled in
+    "house_cut": 16.00,               // number, kept by the house
+    "charity": 32.00,                 // number, given to charity
+    "prize_fund": 112.00              // number, paid out to the winner(s)
+  },
+  "winners": [                        // array, empty until the competition has a winner
+    {
+      "user_id": 456,                 // integer, winner user ID
+      "display_name": "Kate Smith",   // string, winner display name
+      "payout": 56.00                 // number, winner's share of the prize fund (joint winners split it equally)
+    }
+  ],
+  "rolled_over_to": null,             // integer, competition this pot rolled over into (null if none)
+  "players": [                        // array, who owes what, players still owing first
+    {
+      "user_id": 789,                 // integer, player user ID
+      "display_name": "Dave Jones",   // string, player display name
+      "status": "active",             // string, player status
+      "buyback_count": 1,             // integer, times the player bought back in
+      "expected": 15.00,              // number, entry fee plus buy-back fees due
+      "paid": 10.00,                  // number, amount recorded as paid
+      "owes": 5.00                    // number, amount still owed (0 when paid up)
+    }
+  ],
+  "outstanding": {
+    "players_owing": 1,               // integer, players who still owe money
+    "total_owed": 5.00                // number, total still owed
+  },
+  "ledger": [                         // array, most recent 100 pot ledger entries, newest first
+    {
+      "id": 31,                       // integer, ledger entry ID
+      "entry_type": "BUYBACK",        // string, ENTRY, BUYBACK or CORRECTION
+      "amount": 5.00,                 // number, amount (negative for corrections that reduce the pot)
+      "player_name": "Dave Jones",    // string, player the entry relates to (null if none)
+      "note": "Buy-back 1",           // string, description (null if none)
+      "created_at": "2025-08-28T12:00:00Z" // string, ISO datetime recorded
+    }
+  ]
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id
+"UNAUTHORIZED"          - Invalid JWT token or user has no payments permission for this competition
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { fromPence, calculateOwed, getPotSummary } = require('../services/prizePotService');
+const router = express.Router();
+
+// POST endpoint - organisers and helpers with the payments permission
+router.post('/', verifyToken, requireCompetitionPermission('payments'), async (req, res) => {
+  try {
+    const competition_id = req.competitionAccess.competition_id; // Set by requireCompetitionPermission
+
+    // STEP 1: Pot totals and payouts
+    const summary = await getPotSummary(competition_id);
+
+    // STEP 2: Who owes what - every entry fee plus a buy-back fee per re-entry, against what has been recorded as paid
+    const playersResult = await query(`
+      SELECT cu.user_id, u.display_name, cu.status, cu.buyback_count, cu.paid_amount
+      FROM competition_user cu
+      INNER JOIN app_user u ON cu.user_id = u.id
+      WHERE cu.competition_id = $1 AND cu.removed_at IS NULL
+    `, [competition_id]);
+
+    let totalOwedPence = 0;
+
+    const players = playersResult.rows.map(player => {
+      const owed = calculateOwed(summary.settings, player);
+      totalOwedPence += owed.owes;
+
+      return {
+        user_id: player.user_id,
+        display_name: player.display_name,
+        status: player.status,
+        buyback_count: player.buyback_count || 0,
+        expected: fromPence(owed.expected),
+        paid: fromPence(owed.paid),
+        owes: fromPence(owed.owes)
+      };
+    }).sort((a, b) => b.owes - a.owes || a.display_name.localeCompare(b.display_name));
+
+    // STEP 3: Recent ledger entries
+    const ledgerResult = await query(`
+      SELECT pl.id, pl.entry_type, pl.amount, u.display_name as player_name, pl.note, pl.created_at
+      FROM pot_ledger pl
+      LEFT JOIN app_user u ON pl.user_id = u.id
+      WHERE pl.competition_id = $1
+      ORDER BY pl.created_at DESC, pl.id DESC
+      LIMIT 100
+    `, [competition_id]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      ...summary,
+      players: players,
+      outstanding: {
+        players_owing: players.filter(player => player.owes > 0).length,
+        total_owed: fromPence(totalOwedPence)
+      },
+      ledger: ledgerResult.rows.map(entry => ({
+        ...entry,
+        amount: parseFloat(entry.amount)
+      }))
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Get prize pot error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to load prize pot"
+    });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,8 @@ Success Response (ALWAYS HTTP 200):
   "return_code": "SUCCESS",
   "round_data": {
     "round_number": 2,                     // number, round number
+    "is_void": false,                      // boolean, true if the whole round was voided
+    "game_mode": "CLASSIC",                // string, "CLASSIC" or "LOSER" - in LOSER mode the player wins when their team loses
     "fixtures": [                          // array, all fixtures for this round
       {
         "id": 456,
@@ -22,11 +24,14 @@ Success Response (ALWAYS HTTP 200):
         "away_team": "Chelsea", 
         "home_team_short": "ARS",
         "away_team_short": "CHE",
-        "result": "ARS"                    // team_short that won, "DRAW", or null
+        "result": "ARS",                   // team_short that won, "DRAW", "POSTPONED", "VOID", or null
+        "home_score": 2,                   // number, home goals, or null if no score entered
+        "away_score": 1,                   // number, away goals, or null if no score entered
+        "score_line": "Arsenal 2-1 Chelsea" // string, display score, or null if no score entered
       }
     ],
     "player_pick": "ARS",                  // string, team short player picked, or null
-    "player_outcome": "won",               // "won", "lost", "no_pick", or null
+    "player_outcome": "won",               // "won", "lost", "draw" (survived under the draw policy), "no_pick", "void", or null
     "pick_counts": {                       // object, pick counts by team short name
       "ARS": 12,
       "CHE": 8
@@ -52,6 +57,8 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { scoreLine } = require('../utils/fixtureResult');
+const { VOID_RESULTS, pickOutcomeSql } = require('../services/resultsService');
 const router = express.Router();
 
 router.post('/', verifyToken, async (req, res) => {
@@ -70,9 +77,10 @@ router.post('/', verifyToken, async (req, res) => {
     const user_id = req.user.id;
     // Get round info
     const roundQuery = `
-      SELECT round_number, competition_id
-      FROM round
-      WHERE id = $1
+      SELECT r.round_number, r.competition_id, r.is_void, c.game_mode
+      FROM round r
+      JOIN competition c ON c.id = r.competition_id
+      WHERE r.id = $1
     `;
     const roundResult = await query(roundQuery, [round_id]);
 
@@ -83,11 +91,11 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
-    const { round_number, competition_id } = roundResult.rows[0];
+    const { round_number, competition_id, is_void, game_mode } = roundResult.rows[0];
 
     // Get all fixtures for this round
     const fixturesQuery = `
-      SELECT id, home_team, away_team, home_team_short, away_team_short, result
+      SELECT id, home_team, away_team, home_team_short, away_team_short, result, home_score, away_score
       FROM fixture
       WHERE round_id = $1
       ORDER BY home_team, away_team
@@ -95,31 +103,40 @@ router.post('/', verifyToken, async (req, res) => {
     const fixturesResult = await query(fixturesQuery, [round_id]);
 
     // Get player's pick for this round
+    // Picks whose result is in but not yet calculated get the outcome calculate-results will give them (game mode, draw policy)
     const playerPickQuery = `
-      SELECT team
-      FROM pick
-      WHERE round_id = $1 AND user_id = $2
+      SELECT p.team, p.outcome,
+        CASE WHEN f.result IS NOT NULL OR r.is_void THEN ${pickOutcomeSql({
+          team: 'p.team',
+          result: 'f.result',
+          roundVoid: 'r.is_void',
+          voidResults: '$3',
+          drawPolicy: 'c.draw_policy',
+          gameMode: 'c.game_mode',
+          livesRemaining: 'cu.lives_remaining'
+        })} END as derived_outcome
+      FROM pick p
+      JOIN round r ON r.id = p.round_id
+      JOIN competition c ON c.id = r.competition_id
+      LEFT JOIN fixture f ON f.id = p.fixture_id
+      LEFT JOIN competition_user cu ON cu.competition_id = r.competition_id AND cu.user_id = p.user_id
+      WHERE p.round_id = $1 AND p.user_id = $2
     `;
-    const playerPickResult = await query(playerPickQuery, [round_id, user_id]);
+    const playerPickResult = await query(playerPickQuery, [round_id, user_id, VOID_RESULTS]);
     const player_pick = playerPickResult.rows.length > 0 ? playerPickResult.rows[0].team : null;
+    const pick_outcome = playerPickResult.rows.length > 0
+      ? playerPickResult.rows[0].outcome || playerPickResult.rows[0].derived_outcome
+      : null;
 
-    // Determine player outcome (simplified for now)
+    // Determine player outcome from the calculated outcome, or the derived one while the round awaits calculation
     let player_outcome = null;
-    if (player_pick) {
-      // TODO: This logic may need refinement based on your pick outcome calculation
-      const playerFixture = fixturesResult.rows.find(f => 
-        f.home_team_short === player_pick || f.away_team_short === player_pick
-      );
-      if (playerFixture && playerFixture.result) {
-        if (playerFixture.result === player_pick) {
-          player_outcome = "won";
-        } else if (playerFixture.result === "DRAW") {
-          player_outcome = "lost"; // or "draw" if you handle draws differently
-        } else {
-          player_outcome = "lost";
-        }
-      }
-    } else {
+    if (is_void || pick_outcome === 'VOID') {
+      // Voided round or postponed/void fixture - player survived and got the team back
+      player_outcome = "void";
+    } else if (pick_outcome === 'WIN' || pick_outcome === 'LOSE' || pick_outcome === 'DRAW') {
+      // Outcome already reflects the competition's game mode and draw policy
+      player_outcome = { WIN: "won", LOSE: "lost", DRAW: "draw" }[pick_outcome];
+    } else if (!player_pick) {
       player_outcome = "no_pick";
     }
 
@@ -134,7 +151,10 @@ router.post('/', verifyToken, async (req, res) => {
         COUNT(*) as pick_count
       FROM pick p
       JOIN fixture f ON p.fixture_id = f.id
+      JOIN round r ON f.round_id = r.id
+      JOIN competition_user cu ON cu.competition_id = r.competition_id AND cu.user_id = p.user_id
       WHERE f.round_id = $1
+        AND cu.removed_at IS NULL -- Picks of removed players are hidden until they are restored
       GROUP BY 
         CASE 
           WHEN p.team = 'home' THEN f.home_team_short
@@ -154,7 +174,9 @@ router.post('/', verifyToken, async (req, res) => {
       return_code: "SUCCESS",
       round_data: {
         round_number: round_number,
-        fixtures: fixturesResult.rows,
+        is_void: is_void,
+        game_mode: game_mode,
+        fixtures: fixturesResult.rows.map(fixture => ({ ...fixture, score_line: scoreLine(fixture) })),
         player_pick: player_pick,
         player_outcome: player_outcome,
         pick_counts: pick_counts
@@ -22,12 +22,14 @@ Success Response (ALWAYS HTTP 200):
     {
       "id": 456,                       // integer, round database ID
       "round_number": 3,               // integer, human-readable round number
-      "lock_time": "2025-08-25T15:00:00Z", // string, ISO datetime when picks lock
+      "lock_time": "2025-08-25T15:00:00Z", // string, ISO datetime of organiser-set lock (null if relying on kickoff)
+      "effective_lock_time": "2025-08-25T14:00:00Z", // string, ISO datetime picks actually lock (earliest lock trigger)
       "is_locked": true,               // boolean, whether round is currently locked
       "fixture_count": 10,             // integer, number of fixtures in this round
       "completed_fixtures": 8,         // integer, number of fixtures with results set
       "created_at": "2025-08-20T10:00:00Z", // string, ISO datetime when round was created
-      "status": "COMPLETE"             // string, calculated status: "UPCOMING", "ACTIVE", "LOCKED", "COMPLETE"
+      "is_void": false,                // boolean, true if the organiser voided the whole round
+      "status": "COMPLETE"             // string, calculated status: "UPCOMING", "ACTIVE", "LOCKED", "COMPLETE", "VOID"
     }
   ],
   "summary": {
@@ -56,6 +58,8 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { hasPermissionSql } = require('../middleware/competitionRole');
+const { effectiveLockTimeSql, isRoundLockedSql } = require('../utils/roundLock');
 const router = express.Router();
 // POST endpoint with comprehensive authentication, authorization and enhanced round information
 router.post('/', verifyToken, async (req, res) => {
@@ -83,10 +87,10 @@ router.post('/', verifyToken, async (req, res) => {
           c.organiser_id,
           -- Determine user access level for authorization and frontend context
           CASE 
-            WHEN c.organiser_id = $2 THEN 'organiser'  -- Full admin access
+            WHEN ${hasPermissionSql('c', '$2', 'view')} THEN 'organiser'  -- Owner or helper (admin access)
             WHEN EXISTS (
               SELECT 1 FROM competition_user cu 
-              WHERE cu.competition_id = c.id AND cu.user_id = $2
+              WHERE cu.competition_id = c.id AND cu.user_id = $2 AND cu.removed_at IS NULL
             ) THEN 'participant'  -- Player access
             ELSE 'no_access'  -- No access to this competition
           END as user_access_level
@@ -100,6 +104,9 @@ router.post('/', verifyToken, async (req, res) => {
           r.round_number,
           r.lock_time,
           r.created_at,
+          r.is_void,
+          ${effectiveLockTimeSql('r')} as effective_lock_time,
+          ${isRoundLockedSql('r')} as is_locked,
           -- Get current server time for lock status calculation
           NOW() as current_time,
           -- Count total fixtures in this round
@@ -110,7 +117,7 @@ router.post('/', verifyToken, async (req, res) => {
         -- LEFT JOIN to include rounds even if they have no fixtures yet
         LEFT JOIN fixture f ON r.id = f.round_id
         WHERE r.competition_id = $1
-        GROUP BY r.id, r.round_number, r.lock_time, r.created_at
+        GROUP BY r.id, r.round_number, r.lock_time, r.created_at, r.is_void, r.auto_locked_at
       )
       SELECT 
         ca.competition_id,
@@ -121,6 +128,9 @@ router.post('/', verifyToken, async (req, res) => {
         rd.round_number,
         rd.lock_time,
         rd.created_at,
+        rd.is_void,
+        rd.effective_lock_time,
+        rd.is_locked,
         rd.current_time,
         rd.fixture_count,
         rd.completed_fixtures
@@ -165,10 +175,8 @@ router.post('/', verifyToken, async (req, res) => {
 
       totalRounds++;
       
-      // Calculate if round is currently locked based on server time vs lock time
-      const now = new Date(row.current_time);
-      const lockTime = new Date(row.lock_time);
-      const isLocked = row.lock_time && now >= lockTime;
+      // Round is locked once lock time passes or every active player has picked (calculated in SQL)
+      const isLocked = row.is_locked;
       
       // Calculate round status based on timing and fixture completion
       // Business Logic: Round lifecycle = UPCOMING → ACTIVE → LOCKED → COMPLETE
@@ -176,7 +184,10 @@ router.post('/', verifyToken, async (req, res) => {
       const fixtureCount = parseInt(row.fixture_count) || 0;
       const completedFixtures = parseInt(row.completed_fixtures) || 0;
       
-      if (completedFixtures === fixtureCount && fixtureCount > 0) {
+      if (row.is_void) {
+        status = 'VOID';      // Organiser voided the round - no outcomes count
+        completedRounds++;
+      } else if (completedFixtures === fixtureCount && fixtureCount > 0) {
         status = 'COMPLETE';  // All fixtures have results
         completedRounds++;
       } else if (isLocked) {
@@ -193,10 +204,12 @@ router.post('/', verifyToken, async (req, res) => {
         id: row.round_id,
         round_number: row.round_number,
         lock_time: row.lock_time,
+        effective_lock_time: row.effective_lock_time,
         is_locked: isLocked,
         fixture_count: fixtureCount,
         completed_fixtures: completedFixtures,
         created_at: row.created_at,
+        is_void: row.is_void,
         status: status
       });
     });
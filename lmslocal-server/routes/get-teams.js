@@ -7,7 +7,8 @@ Purpose: Retrieves all active teams for a specific team list or all active teams
 =======================================================================================================================================
 Request Payload:
 {
-  "team_list_id": 1                        // integer, optional - ID of specific team list to filter by
+  "team_list_id": 1,                       // integer, optional - ID of specific team list to filter by
+  "include_archived": true                 // boolean, optional - Also return archived teams of the list (default: false)
 }
 
 Success Response (ALWAYS HTTP 200):
@@ -17,7 +18,10 @@ Success Response (ALWAYS HTTP 200):
     {
       "id": 1,                             // integer, unique team ID
       "name": "Arsenal",                   // string, full team name
-      "short_name": "ARS"                  // string, abbreviated team name for UI display
+      "short_name": "ARS",                 // string, abbreviated team name for UI display
+      "logo_url": null,                    // string, team badge link (null if not set)
+      "sort_order": 0,                     // integer, display order within the list
+      "is_active": true                    // boolean, false for archived teams (only returned with include_archived)
     }
   ]
 }
@@ -48,6 +52,7 @@ router.post('/', verifyToken, async (req, res) => {
   try {
     // Extract optional team list filter from request payload
     const { team_list_id } = req.body;
+    const include_archived = req.body.include_archived === true;
 
     // === TEAM RETRIEVAL LOGIC ===
     // Support two modes: filtered by team list OR all teams (backwards compatibility)
@@ -61,11 +66,14 @@ router.post('/', verifyToken, async (req, res) => {
         SELECT 
           id,                    -- Unique team identifier for database operations
           name,                  -- Full team name for display (e.g., "Arsenal Football Club")
-          short_name             -- Abbreviated name for UI space constraints (e.g., "ARS")
+          short_name,            -- Abbreviated name for UI space constraints (e.g., "ARS")
+          logo_url,              -- Optional badge for custom lists
+          sort_order,            -- Organiser-chosen display order
+          is_active              -- False for archived teams (team list management screen only)
         FROM team
-        WHERE team_list_id = $1 AND is_active = true
-        ORDER BY name ASC      -- Alphabetical ordering for consistent user experience
-      `, [team_list_id]);
+        WHERE team_list_id = $1 AND ($2 OR is_active = true)
+        ORDER BY sort_order ASC, name ASC  -- Organiser order first, then alphabetical
+      `, [team_list_id, include_archived]);
     } else {
       // === UNFILTERED MODE: Get all active teams ===
       // Backwards compatibility mode for existing API consumers
@@ -74,7 +82,10 @@ router.post('/', verifyToken, async (req, res) => {
         SELECT 
           id,                    -- Unique team identifier for database operations
           name,                  -- Full team name for display purposes
-          short_name             -- Abbreviated name for compact UI display
+          short_name,            -- Abbreviated name for compact UI display
+          logo_url,              -- Optional badge for custom lists
+          sort_order,            -- Organiser-chosen display order
+          is_active              -- Always true in this mode
         FROM team
         WHERE is_active = true   -- Only return teams that are currently active (not archived)
         ORDER BY name ASC      -- Consistent alphabetical sorting
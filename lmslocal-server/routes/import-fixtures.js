@@ -0,0 +1,474 @@
+/*
+=======================================================================================================================================
+API Route: import-fixtures
+=======================================================================================================================================
+Method: POST
+Purpose: Imports a fixture list from a CSV or JSON file in a common open format (football-data.co.uk CSV, football-data.org or
+         openfootball JSON, or plain date/home/away/matchweek rows). Team names are mapped onto the competition's team list by
+         exact name/short name, team_alias entries, then fuzzy matching (utils/teamMatcher.js).
+         Unmatched names are reported and nothing is written - the organiser supplies "aliases" for them and imports again.
+         Fixtures go into an existing round, or with create_rounds every matchweek is stored in pending_fixture and only the
+         next round is created, taking the earliest matchweek. Each later round created (create-round) takes the next
+         pending matchweek, so rounds still go live one at a time.
+         Dates without a UTC offset (e.g. "16/08/2024" + "20:00") are treated as UTC; a missing time defaults to 15:00.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,                       // integer, required - Competition to import fixtures into
+  "format": "csv",                             // string, required - "csv" or "json"
+  "data": "Date,Time,HomeTeam,AwayTeam\n...",  // string (CSV/JSON text) or array/object (parsed JSON), required
+  "round_id": 45,                              // integer, optional - Add every fixture to this existing round
+  "create_rounds": false,                      // boolean, optional - Create the next round from the earliest matchweek and keep
+                                               //   later matchweeks for the following rounds (needs a matchweek column)
+  "aliases": { "Spurs": "TOT" },               // object, optional - Feed name -> team short name, saved to team_alias
+  "dry_run": false                             // boolean, optional - Only report matches, write nothing (default false)
+}
+One of round_id or create_rounds=true is required.
+
+Accepted columns/keys (case-insensitive):
+  date:      date, utcDate, kickoff, kickoff_time, datetime   (ISO 8601 or DD/MM/YYYY)
+  time:      time                                              (HH:MM, optional)
+  home:      home, home_team, HomeTeam, team1, homeTeam.name
+  away:      away, away_team, AwayTeam, team2, awayTeam.name
+  matchweek: matchweek, matchday, gameweek, round, wk          (first number is used, e.g. "Matchweek 3" -> 3)
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "dry_run": false,                            // boolean, true if nothing was written
+  "team_matches": [                            // array, how each feed name was matched
+    { "name": "Man Utd", "team_short": "MUN", "team_name": "Manchester United", "method": "fuzzy", "score": 1 }
+  ],
+  "unmatched": [],                             // array, feed names with no team (always empty on a real import)
+  "fixtures_imported": 10,                     // integer, fixtures written to the round or kept for later rounds (0 on dry run)
+  "fixtures_skipped": 0,                       // integer, fixtures already stored (same matchweek/round, home and away team)
+  "rounds_created": [                          // array, the one new round when create_rounds=true
+    { "id": 46, "round_number": 2, "matchweek": 1, "fixture_count": 10 }
+  ],
+  "pending_matchweeks": [                      // array, imported matchweeks waiting for a round to be created
+    { "matchweek": 2, "fixture_count": 10 }
+  ]
+}
+
+Unmatched Response (ALWAYS HTTP 200):
+{
+  "return_code": "UNMATCHED_TEAMS",
+  "message": "2 team names could not be matched - add aliases and import again",
+  "unmatched": ["Wolves", "Man"],              // array, feed names with no team
+  "team_matches": [...]                        // array, names that did match
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"
+"UNAUTHORIZED"
+"COMPETITION_NOT_FOUND"
+"ROUND_NOT_FOUND"
+"UNMATCHED_TEAMS"
+"SERVER_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query, transaction } = require('../database');
+const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { parseCsv } = require('../utils/csvParser');
+const { createTeamMatcher } = require('../utils/teamMatcher');
+const { createNextRound } = require('../services/roundService');
+const { scheduleRoundLock } = require('../services/scheduledJobs');
+const router = express.Router();
+
+// Column/key names accepted for each field, compared case-insensitively
+const FIELD_KEYS = {
+  date: ['date', 'utcdate', 'kickoff', 'kickoff_time', 'datetime'],
+  time: ['time'],
+  home: ['home', 'home_team', 'hometeam', 'team1'],
+  away: ['away', 'away_team', 'awayteam', 'team2'],
+  matchweek: ['matchweek', 'matchday', 'gameweek', 'round', 'wk']
+};
+
+const MAX_FIXTURES = 1000;
+
+/**
+ * Read a field from a feed record using any of its accepted keys
+ * Team objects (football-data.org: { name, shortName }) are reduced to their name
+ * @param {Object} record - Raw CSV/JSON record
+ * @param {string} field - Key of FIELD_KEYS
+ * @returns {string|null} Field value or null
+ */
+const readField = (record, field) => {
+  const key = Object.keys(record).find(k => FIELD_KEYS[field].includes(k.toLowerCase()));
+  if (key === undefined || record[key] === null || record[key] === '') return null;
+
+  const value = record[key];
+  if (typeof value === 'object') return value.name || value.shortName || null;
+  return String(value).trim();
+};
+
+/**
+ * Build a kickoff Date from feed date/time values
+ * @param {string} date - ISO 8601 datetime/date or DD/MM/YY(YY)
+ * @param {string|null} time - Optional HH:MM
+ * @returns {Date|null} Kickoff or null if unparseable
+ */
+const parseKickoff = (date, time) => {
+  const clock = time && /^\d{1,2}:\d{2}$/.test(time) ? time.padStart(5, '0') : '15:00';
+
+  let iso = date;
+  const ukDate = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(date);
+  if (ukDate) {
+    const year = ukDate[3].length === 2 ? `20${ukDate[3]}` : ukDate[3];
+    iso = `${year}-${ukDate[2].padStart(2, '0')}-${ukDate[1].padStart(2, '0')}T${clock}:00Z`;
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    iso = `${date}T${clock}:00Z`;
+  } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2})?$/.test(date)) {
+    iso = `${date.replace(' ', 'T')}Z`; // No offset given - treat as UTC
+  }
+
+  const kickoff = new Date(iso);
+  return isNaN(kickoff.getTime()) ? null : kickoff;
+};
+
+/**
+ * Turn the uploaded file into fixture rows
+ * @param {string} format - "csv" or "json"
+ * @param {string|Object|Array} data - File contents
+ * @returns {Object} { rows: [{ line, home, away, kickoff, matchweek }], errors: [string] }
+ */
+const parseFixtureFile = (format, data) => {
+  let records;
+  if (format === 'csv') {
+    records = parseCsv(String(data));
+  } else {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    records = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.matches) ? parsed.matches : null);
+    if (!records) {
+      throw { return_code: "VALIDATION_ERROR", message: "JSON must be an array of fixtures or an object with a \"matches\" array" };
+    }
+  }
+
+  const rows = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const line = index + 1;
+    const date = readField(record, 'date');
+    const home = readField(record, 'home');
+    const away = readField(record, 'away');
+    const matchweekValue = readField(record, 'matchweek');
+
+    if (!date || !home || !away) {
+      errors.push(`Fixture ${line}: date, home and away are required`);
+      return;
+    }
+
+    const kickoff = parseKickoff(date, readField(record, 'time'));
+    if (!kickoff) {
+      errors.push(`Fixture ${line}: unrecognised date "${date}"`);
+      return;
+    }
+
+    const matchweekDigits = matchweekValue ? /\d+/.exec(matchweekValue) : null;
+    rows.push({ line, home, away, kickoff, matchweek: matchweekDigits ? parseInt(matchweekDigits[0], 10) : null });
+  });
+
+  return { rows, errors };
+};
+
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id, format, data, round_id, create_rounds = false, aliases = {}, dry_run = false } = req.body;
+    const user_id = req.user.id;
+
+    // === INPUT VALIDATION ===
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be a number"
+      });
+    }
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Format must be 'csv' or 'json'"
+      });
+    }
+
+    if (data === undefined || data === null || data === '') {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Fixture data is required"
+      });
+    }
+
+    if (round_id !== undefined && !Number.isInteger(round_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Round ID must be a number"
+      });
+    }
+
+    if ((round_id === undefined) === (create_rounds !== true)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Provide either round_id or create_rounds=true"
+      });
+    }
+
+    if (typeof aliases !== 'object' || Array.isArray(aliases) ||
+        Object.entries(aliases).some(([name, short]) => !name.trim() || name.length > 100 || typeof short !== 'string')) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Aliases must map feed team names (max 100 characters) to team short names"
+      });
+    }
+
+    // === PARSE FILE ===
+    let parsed;
+    try {
+      parsed = parseFixtureFile(format, data);
+    } catch (parseError) {
+      if (parseError.return_code) throw parseError;
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Could not read ${format.toUpperCase()} data: ${parseError.message}`
+      });
+    }
+
+    if (parsed.errors.length > 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: parsed.errors.slice(0, 5).join('; ') + (parsed.errors.length > 5 ? ` (and ${parsed.errors.length - 5} more)` : '')
+      });
+    }
+
+    const fixtures = parsed.rows;
+    if (fixtures.length === 0 || fixtures.length > MAX_FIXTURES) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `File must contain between 1 and ${MAX_FIXTURES} fixtures`
+      });
+    }
+
+    if (create_rounds && fixtures.some(fixture => fixture.matchweek === null)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Every fixture needs a matchweek to create rounds"
+      });
+    }
+
+    // === COMPETITION, TEAMS AND ALIASES ===
+    const competitionResult = await query(`
+      SELECT id, name, organiser_id, team_list_id
+      FROM competition
+      WHERE id = $1
+    `, [competition_id]);
+
+    if (competitionResult.rows.length === 0) {
+      return res.json({
+        return_code: "COMPETITION_NOT_FOUND",
+        message: "Competition not found"
+      });
+    }
+
+    const competition = competitionResult.rows[0];
+
+    if (round_id !== undefined) {
+      const roundResult = await query('SELECT id FROM round WHERE id = $1 AND competition_id = $2', [round_id, competition_id]);
+      if (roundResult.rows.length === 0) {
+        return res.json({
+          return_code: "ROUND_NOT_FOUND",
+          message: "Round not found in this competition"
+        });
+      }
+    }
+
+    const teamsResult = await query(`
+      SELECT t.id, t.name, t.short_name, ta.alias
+      FROM team t
+      LEFT JOIN team_alias ta ON ta.team_id = t.id
+      WHERE t.team_list_id = $1 AND t.is_active = true
+    `, [competition.team_list_id]);
+
+    const teams = [...new Map(teamsResult.rows.map(row => [row.id, { id: row.id, name: row.name, short_name: row.short_name }])).values()];
+    const storedAliases = teamsResult.rows.filter(row => row.alias).map(row => ({ team_id: row.id, alias: row.alias }));
+
+    // Aliases supplied with this request must point at a team in the list
+    const newAliases = [];
+    for (const [alias, shortName] of Object.entries(aliases)) {
+      const team = teams.find(t => t.short_name && t.short_name.toLowerCase() === shortName.trim().toLowerCase());
+      if (!team) {
+        return res.json({
+          return_code: "VALIDATION_ERROR",
+          message: `Alias "${alias}": no team with short name "${shortName}" in this competition's team list`
+        });
+      }
+      newAliases.push({ team_id: team.id, alias: alias.trim() });
+    }
+
+    // === TEAM MATCHING ===
+    const match = createTeamMatcher(teams, [...storedAliases, ...newAliases]);
+    const names = [...new Set(fixtures.flatMap(fixture => [fixture.home, fixture.away]))];
+    const matches = new Map();
+    const unmatched = [];
+
+    names.forEach(name => {
+      const result = match(name);
+      if (result) {
+        matches.set(name, result);
+      } else {
+        unmatched.push(name);
+      }
+    });
+
+    const teamMatches = [...matches.entries()].map(([name, result]) => ({
+      name,
+      team_short: result.team.short_name,
+      team_name: result.team.name,
+      method: result.method,
+      score: result.score
+    }));
+
+    if (unmatched.length > 0 && !dry_run) {
+      return res.json({
+        return_code: "UNMATCHED_TEAMS",
+        message: `${unmatched.length} team name${unmatched.length === 1 ? '' : 's'} could not be matched - add aliases and import again`,
+        unmatched,
+        team_matches: teamMatches
+      });
+    }
+
+    if (dry_run) {
+      return res.json({
+        return_code: "SUCCESS",
+        dry_run: true,
+        team_matches: teamMatches,
+        unmatched,
+        fixtures_imported: 0,
+        fixtures_skipped: 0,
+        rounds_created: [],
+        pending_matchweeks: []
+      });
+    }
+
+    // === ATOMIC IMPORT ===
+    const outcome = await transaction(async (client) => {
+      // Step 1: Remember the organiser's aliases for future imports
+      for (const { team_id, alias } of newAliases) {
+        await client.query(`
+          INSERT INTO team_alias (team_id, alias)
+          VALUES ($1, $2)
+          ON CONFLICT (team_id, alias) DO NOTHING
+        `, [team_id, alias]);
+      }
+
+      // Step 2: Write the fixtures
+      let imported = 0;
+      let roundsCreated = [];
+
+      if (create_rounds) {
+        // Every matchweek is stored as pending, then only the next round is created - it takes the earliest pending
+        // matchweek and later matchweeks wait until the organiser creates the following rounds (services/roundService.js)
+        const lockedResult = await client.query('SELECT id, name, team_list_id FROM competition WHERE id = $1 FOR UPDATE', [competition_id]);
+
+        for (const fixture of fixtures) {
+          const home = matches.get(fixture.home).team;
+          const away = matches.get(fixture.away).team;
+
+          const stagedResult = await client.query(`
+            INSERT INTO pending_fixture (competition_id, matchweek, home_team, away_team, home_team_short, away_team_short, kickoff_time, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+            ON CONFLICT (competition_id, matchweek, home_team_short, away_team_short) DO NOTHING
+          `, [competition_id, fixture.matchweek, home.name, away.name, home.short_name, away.short_name, fixture.kickoff.toISOString()]);
+
+          imported += stagedResult.rowCount;
+        }
+
+        const created = await createNextRound(client, lockedResult.rows[0], null, user_id);
+        roundsCreated = [{
+          id: created.round.id,
+          round_number: created.round.round_number,
+          matchweek: created.matchweek,
+          fixture_count: created.fixture_count
+        }];
+      } else {
+        // Add every fixture to the existing round, skipping any it already has
+        for (const fixture of fixtures) {
+          const home = matches.get(fixture.home).team;
+          const away = matches.get(fixture.away).team;
+
+          const insertResult = await client.query(`
+            INSERT INTO fixture (round_id, home_team, away_team, home_team_short, away_team_short, kickoff_time, created_at)
+            SELECT $1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP
+            WHERE NOT EXISTS (
+              SELECT 1 FROM fixture
+              WHERE round_id = $1 AND home_team_short = $4 AND away_team_short = $5
+            )
+          `, [round_id, home.name, away.name, home.short_name, away.short_name, fixture.kickoff.toISOString()]);
+
+          imported += insertResult.rowCount;
+        }
+
+        // Move the round's lock job to the lock time the new kickoffs give
+        await scheduleRoundLock(client, round_id, competition_id, user_id);
+      }
+
+      // Step 3: Matchweeks still waiting for a round
+      const pendingResult = await client.query(`
+        SELECT matchweek, COUNT(*) as fixture_count
+        FROM pending_fixture
+        WHERE competition_id = $1
+        GROUP BY matchweek
+        ORDER BY matchweek
+      `, [competition_id]);
+
+      const pendingMatchweeks = pendingResult.rows.map(row => ({
+        matchweek: row.matchweek,
+        fixture_count: parseInt(row.fixture_count)
+      }));
+
+      // Step 4: Audit trail
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details)
+        VALUES ($1, $2, 'Fixtures Imported', $3)
+      `, [
+        competition_id,
+        user_id,
+        `Imported ${imported} fixtures from ${format.toUpperCase()}` +
+          (create_rounds ? `, Round ${roundsCreated[0].round_number} created with ${roundsCreated[0].fixture_count} of them` : ` into round ${round_id}`) +
+          (newAliases.length > 0 ? `, saved ${newAliases.length} team aliases` : '')
+      ]);
+
+      return { imported, roundsCreated, pendingMatchweeks };
+    });
+
+    res.json({
+      return_code: "SUCCESS",
+      dry_run: false,
+      team_matches: teamMatches,
+      unmatched: [],
+      fixtures_imported: outcome.imported,
+      fixtures_skipped: fixtures.length - outcome.imported,
+      rounds_created: outcome.roundsCreated,
+      pending_matchweeks: outcome.pendingMatchweeks
+    });
+
+  } catch (error) {
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    console.error('Import fixtures error:', error);
+    res.json({
+      return_code: "SERVER_ERROR",
+      message: "Internal server error"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+/*
+=======================================================================================================================================
+API Route: invite-organiser
+=======================================================================================================================================
+Method: POST
+Purpose: Allow the competition owner to add a helper (co-organiser, results-only or payments-only) to their competition.
+         Inviting an existing helper again changes their role.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition to add the helper to
+  "email": "helper@example.com",      // string, required - Email of an existing LMS Local account
+  "role": "RESULTS"                   // string, required - "CO_ORGANISER", "RESULTS" or "PAYMENTS"
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Sam Smith added as RESULTS helper",  // string, success confirmation message
+  "organiser": {
+    "user_id": 789,                   // integer, helper's user ID
+    "display_name": "Sam Smith",      // string, helper's display name
+    "email": "helper@example.com",    // string, helper's email
+    "role": "RESULTS",                // string, helper's role in this competition
+    "created_at": "2025-08-28T12:00:00Z" // string, ISO datetime the helper was first added
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid parameters, unknown role, or the owner inviting themselves
+"UNAUTHORIZED"          - Invalid JWT token or user is not the competition owner
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"USER_NOT_FOUND"        - No account exists for this email
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { HELPER_ROLES, requireCompetitionPermission } = require('../middleware/competitionRole');
+const router = express.Router();
+
+// POST endpoint - owner only, helpers cannot add other helpers
+router.post('/', verifyToken, requireCompetitionPermission('owner'), async (req, res) => {
+  try {
+    const { competition_id, email, role } = req.body;
+    const owner_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Email is required"
+      });
+    }
+
+    if (!HELPER_ROLES.includes(role)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Role must be one of: ${HELPER_ROLES.join(', ')}`
+      });
+    }
+
+    // STEP 2: Look up the account and add or update the helper row atomically with its audit entry
+    const transactionResult = await transaction(async (client) => {
+      // Helpers must already have an account - they sign in normally and see the competition in their dashboard
+      const userResult = await client.query(`
+        SELECT id, display_name, email
+        FROM app_user
+        WHERE LOWER(email) = LOWER($1)
+      `, [email.trim()]);
+
+      if (userResult.rows.length === 0) {
+        throw {
+          return_code: "USER_NOT_FOUND",
+          message: "No LMS Local account found for this email - ask them to register first"
+        };
+      }
+
+      const helper = userResult.rows[0];
+
+      // The owner already holds every permission
+      if (helper.id === owner_id) {
+        throw {
+          return_code: "VALIDATION_ERROR",
+          message: "You are already the owner of this competition"
+        };
+      }
+
+      // Re-inviting an existing helper changes their role rather than failing
+      const organiserResult = await client.query(`
+        INSERT INTO competition_organiser (competition_id, user_id, role, invited_by, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (competition_id, user_id)
+        DO UPDATE SET role = EXCLUDED.role, invited_by = EXCLUDED.invited_by
+        RETURNING role, created_at
+      `, [competition_id, helper.id, role, owner_id]);
+
+      const organiser = organiserResult.rows[0];
+
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+        VALUES ($1, $2, 'Organiser Invited', $3, NOW())
+      `, [competition_id, owner_id, JSON.stringify({
+        helper_id: helper.id,
+        helper_email: helper.email,
+        role: role
+      })]);
+
+      return {
+        return_code: "SUCCESS",
+        message: `${helper.display_name} added as ${role} helper`,
+        organiser: {
+          user_id: helper.id,
+          display_name: helper.display_name,
+          email: helper.email,
+          role: organiser.role,
+          created_at: organiser.created_at
+        }
+      };
+    });
+
+    // Return transaction result with HTTP 200 status as per API standards
+    return res.json(transactionResult);
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Invite organiser error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      role: req.body?.role,
+      owner_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to add organiser"
+    });
+  }
+});
+
+module.exports = router;
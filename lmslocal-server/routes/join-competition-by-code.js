@@ -38,6 +38,8 @@ Return Codes:
 "COMPETITION_NOT_FOUND" - Competition does not exist with provided code
 "COMPETITION_STARTED"   - Cannot join after round 1 has started
 "ALREADY_JOINED"        - User is already a member of this competition
+"PLAYER_REMOVED"        - User was removed by the organiser (only the organiser can restore them)
+"PLAYER_LIMIT_REACHED"  - Free competition already has its maximum players and has not been activated
 "SERVER_ERROR"          - Database error or unexpected server failure
 =======================================================================================================================================
 */
@@ -45,6 +47,7 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { assertRoomForPlayer } = require('../services/planService');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication, validation and atomic transaction safety for competition joining
@@ -97,7 +100,8 @@ router.post('/', verifyToken, async (req, res) => {
             cu.id as membership_id,
             cu.status as membership_status,
             cu.lives_remaining,
-            cu.joined_at
+            cu.joined_at,
+            cu.removed_at
           FROM competition_user cu
           INNER JOIN competition_data cd ON cu.competition_id = cd.competition_id
           WHERE cu.user_id = $2
@@ -107,7 +111,8 @@ router.post('/', verifyToken, async (req, res) => {
           mc.membership_id,
           mc.membership_status,
           mc.lives_remaining as current_lives,
-          mc.joined_at as member_since
+          mc.joined_at as member_since,
+          mc.removed_at
         FROM competition_data cd
         LEFT JOIN membership_check mc ON true
       `;
@@ -134,6 +139,14 @@ router.post('/', verifyToken, async (req, res) => {
         };
       }
 
+      // A removed player's membership is kept for restoring - they cannot rejoin on their own
+      if (data.membership_id && data.removed_at) {
+        throw {
+          return_code: "PLAYER_REMOVED",
+          message: "You were removed from this competition - please contact the organiser"
+        };
+      }
+
       // Check if user is already a member of this competition
       if (data.membership_id) {
         // User is already a member - return success with existing membership info
@@ -153,6 +166,9 @@ router.post('/', verifyToken, async (req, res) => {
         };
       }
 
+      // Free competitions take a limited number of players until the organiser activates them
+      await assertRoomForPlayer(client, data.competition_id);
+
       // Join user to competition with atomic operation
       const joinQuery = `
         INSERT INTO competition_user (competition_id, user_id, status, lives_remaining, joined_at)
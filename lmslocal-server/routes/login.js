@@ -20,6 +20,7 @@ Success Response (ALWAYS HTTP 200):
     "email": "user@example.com",            // string, user email address
     "display_name": "John Doe",             // string, user display name
     "email_verified": true,                 // boolean, email verification status
+    "email_pick_reminders": true,           // boolean, whether pick reminder emails are wanted
     "last_login": "2025-01-15T10:30:00Z"    // string, ISO datetime of this login
   },
   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...", // string, JWT authentication token (30 day expiry)
@@ -116,6 +117,7 @@ router.post('/', async (req, res) => {
           password_hash,
           email_verified,
           is_managed,
+          email_pick_reminders,
           created_at,
           last_active_at,
           -- Account status checks
@@ -282,6 +284,7 @@ router.post('/', async (req, res) => {
           email: user.email,
           display_name: user.display_name,
           email_verified: user.email_verified,
+          email_pick_reminders: user.email_pick_reminders,
           last_login: updatedLastLogin
         },
         token: token,
@@ -3,10 +3,13 @@
 API Route: mycompetitions
 =======================================================================================================================================
 Method: POST
-Purpose: Retrieves all competitions where user is organiser or participant with comprehensive competition details
+Purpose: Retrieves all competitions where user is organiser or participant with comprehensive competition details.
+         Admins of an organisation see every competition in it.
 =======================================================================================================================================
 Request Payload:
-{}
+{
+  "organisation_id": 12                       // integer, optional - Only return competitions in this organisation
+}
 
 Success Response (ALWAYS HTTP 200):
 {
@@ -19,6 +22,12 @@ Success Response (ALWAYS HTTP 200):
       "status": "LOCKED",                      // string, competition status
       "lives_per_player": 1,                   // integer, lives per player
       "no_team_twice": true,                   // boolean, team reuse prevention
+      "draw_policy": "LOSE",                   // string, drawn picks: "LOSE", "SURVIVE" or "LOSE_LIFE"
+      "game_mode": "CLASSIC",                  // string, "CLASSIC" (pick a winner) or "LOSER" (pick a team to lose)
+      "pick_lock_mode": "ROUND",               // string, "ROUND" (picks lock together) or "FIXTURE" (each locks at kickoff)
+      "buyback_mode": "NONE",                  // string, buy-back rule: "NONE", "FIRST_N_ROUNDS" or "ONCE"
+      "buyback_rounds": null,                  // integer, rounds buy-backs stay open (FIRST_N_ROUNDS only)
+      "buyback_lives": 0,                      // integer, lives a re-entering player gets
       "invite_code": "4567",                   // string, 4-digit invite code
       "slug": "10001",                         // string, competition slug
       "team_list_id": 1,                       // integer, associated team list ID
@@ -26,7 +35,14 @@ Success Response (ALWAYS HTTP 200):
       "player_count": 15,                      // integer, number of players
       "created_at": "2025-01-01T12:00:00Z",    // string, ISO datetime when created
       "current_round": 3,                      // integer, current round number (null if none)
-      "is_organiser": true                     // boolean, true if user is organiser
+      "is_organiser": true,                    // boolean, true if user is the owner or a helper (organiser view)
+      "organiser_role": "OWNER",               // string, "OWNER", "CO_ORGANISER", "RESULTS", "PAYMENTS" or null for players
+      "organisation": {                        // object, owning organisation and its branding (null if none)
+        "id": 12,                              // integer, organisation ID
+        "name": "The Red Lion Group",          // string, organisation name
+        "logo_url": "https://...",             // string, organisation logo (null if not set)
+        "brand_colour": "#B91C1C"              // string, organisation brand colour (null if not set)
+      }
     }
   ]
 }
@@ -48,6 +64,8 @@ const express = require('express');
 const { query } = require('../database');
 const { verifyToken } = require('../middleware/auth');
 const { logApiCall } = require('../utils/apiLogger');
+const { ORGANISATION_ADMIN_ROLES } = require('../middleware/organisationRole');
+const { ORGANISATION_ADMIN_COMPETITION_ROLE } = require('../middleware/competitionRole');
 const router = express.Router();
 
 
@@ -57,6 +75,7 @@ router.post('/', verifyToken, async (req, res) => {
   
   try {
     const user_id = req.user.id;
+    const organisation_id = Number.isInteger(req.body?.organisation_id) ? req.body.organisation_id : null;
 
     // Get all competitions where user is either organiser or participant
     // Uses single query with LEFT JOINs to eliminate N+1 query problems
@@ -69,11 +88,23 @@ router.post('/', verifyToken, async (req, res) => {
         c.status,
         c.lives_per_player,
         c.no_team_twice,
+        c.draw_policy,
+        c.game_mode,
+        c.pick_lock_mode,
+        c.buyback_mode,
+        c.buyback_rounds,
+        c.buyback_lives,
         c.invite_code,
         c.slug,
         c.created_at,
         c.team_list_id,
         c.organiser_id,
+        helper.role as helper_role,
+        org_admin.user_id as org_admin_id,
+        c.organisation_id,
+        o.name as organisation_name,
+        o.logo_url as organisation_logo_url,
+        o.brand_colour as organisation_brand_colour,
         tl.name as team_list_name,
         -- Use LEFT JOIN with GROUP BY to get player count in single query (not N+1 subquery)
         COALESCE(pc.player_count, 0) as player_count,
@@ -82,11 +113,18 @@ router.post('/', verifyToken, async (req, res) => {
       FROM competition c
       -- Join team list for team list name
       JOIN team_list tl ON c.team_list_id = tl.id
+      -- User's helper role, if the owner has made them a co-organiser or helper
+      LEFT JOIN competition_organiser helper ON helper.competition_id = c.id AND helper.user_id = $1
+      -- Owning organisation for branding, and the user's admin membership of it
+      LEFT JOIN organisation o ON o.id = c.organisation_id
+      LEFT JOIN organisation_member org_admin ON org_admin.organisation_id = c.organisation_id
+                                              AND org_admin.user_id = $1
+                                              AND org_admin.role = ANY($3::varchar[])
       -- LEFT JOIN aggregated active player counts to avoid N+1 queries
       LEFT JOIN (
         SELECT competition_id, COUNT(*) as player_count
         FROM competition_user 
-        WHERE status != 'OUT'
+        WHERE status != 'OUT' AND removed_at IS NULL
         GROUP BY competition_id
       ) pc ON c.id = pc.competition_id
       -- LEFT JOIN aggregated round info to avoid N+1 queries
@@ -98,31 +136,56 @@ router.post('/', verifyToken, async (req, res) => {
       WHERE (
         -- Include competitions where user is the organiser
         c.organiser_id = $1 OR 
+        -- Include competitions where user helps the organiser
+        helper.user_id IS NOT NULL OR
+        -- Include every competition in organisations the user runs
+        org_admin.user_id IS NOT NULL OR
         -- Include competitions where user is a participant (uses EXISTS for performance)
-        EXISTS (SELECT 1 FROM competition_user cu WHERE cu.competition_id = c.id AND cu.user_id = $1)
+        EXISTS (SELECT 1 FROM competition_user cu WHERE cu.competition_id = c.id AND cu.user_id = $1 AND cu.removed_at IS NULL)
       )
+      -- Optional organisation filter
+      AND ($2::integer IS NULL OR c.organisation_id = $2)
       ORDER BY c.created_at DESC
-    `, [user_id]);
+    `, [user_id, organisation_id, ORGANISATION_ADMIN_ROLES]);
 
     // Transform database results into clean API response format
     res.json({
       return_code: "SUCCESS",
-      competitions: result.rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        description: row.description,
-        status: row.status,
-        lives_per_player: row.lives_per_player,
-        no_team_twice: row.no_team_twice,
-        invite_code: row.invite_code,
-        slug: row.slug,
-        team_list_id: row.team_list_id,
-        team_list_name: row.team_list_name,
-        player_count: parseInt(row.player_count), // Ensure integer type
-        created_at: row.created_at,
-        current_round: row.current_round, // null if no rounds created yet
-        is_organiser: row.organiser_id === user_id // Boolean flag for frontend filtering
-      }))
+      competitions: result.rows.map(row => {
+        const organiserRole = row.organiser_id === user_id ? 'OWNER'
+          : row.org_admin_id ? ORGANISATION_ADMIN_COMPETITION_ROLE
+          : row.helper_role;
+
+        return {
+          id: row.id,
+          name: row.name,
+          description: row.description,
+          status: row.status,
+          lives_per_player: row.lives_per_player,
+          no_team_twice: row.no_team_twice,
+          draw_policy: row.draw_policy,
+          game_mode: row.game_mode,
+          pick_lock_mode: row.pick_lock_mode,
+          buyback_mode: row.buyback_mode,
+          buyback_rounds: row.buyback_rounds,
+          buyback_lives: row.buyback_lives,
+          invite_code: row.invite_code,
+          slug: row.slug,
+          team_list_id: row.team_list_id,
+          team_list_name: row.team_list_name,
+          player_count: parseInt(row.player_count), // Ensure integer type
+          created_at: row.created_at,
+          current_round: row.current_round, // null if no rounds created yet
+          is_organiser: !!organiserRole, // Boolean flag for frontend filtering
+          organiser_role: organiserRole,
+          organisation: row.organisation_id ? {
+            id: row.organisation_id,
+            name: row.organisation_name,
+            logo_url: row.organisation_logo_url,
+            brand_colour: row.organisation_brand_colour
+          } : null
+        };
+      })
     });
 
   } catch (error) {
@@ -60,6 +60,7 @@ Return Codes:
 const express = require('express');
 const { query } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { pickDeadlineSql, arePicksClosedSql } = require('../utils/roundLock');
 const router = express.Router();
 
 router.post('/', verifyToken, async (req, res) => {
@@ -91,6 +92,7 @@ router.post('/', verifyToken, async (req, res) => {
         latest_round.round_id as current_round_id,       -- Current round database ID
         latest_round.round_number as current_round,      -- Current round number for display
         latest_round.lock_time as current_round_lock_time, -- When picks lock for current round
+        latest_round.is_locked as current_round_is_locked, -- Lock time passed or every active player has picked
         latest_round.fixture_count,                      -- Number of fixtures in current round
         
         -- === ROUND TOTALS ===
@@ -108,7 +110,7 @@ router.post('/', verifyToken, async (req, res) => {
         winner_info.winner_joined_at       -- When winner joined competition
         
       FROM competition c
-      INNER JOIN competition_user cu ON c.id = cu.competition_id
+      INNER JOIN competition_user cu ON c.id = cu.competition_id AND cu.removed_at IS NULL -- Hidden once removed by the organiser
       
       -- === PLAYER STATISTICS SUBQUERY (PREVENTS N+1) ===
       -- Gets active/total player counts for all competitions in one go
@@ -117,6 +119,7 @@ router.post('/', verifyToken, async (req, res) => {
                COUNT(*) FILTER (WHERE status = 'active') as active_count, -- Active players remaining
                COUNT(*) as total_count                                    -- Total players who joined
         FROM competition_user
+        WHERE removed_at IS NULL                                          -- Removed players are hidden
         GROUP BY competition_id
       ) player_stats ON c.id = player_stats.competition_id
       
@@ -126,10 +129,12 @@ router.post('/', verifyToken, async (req, res) => {
         SELECT r.competition_id,
                r.id as round_id,                                          -- Round database ID
                r.round_number,                                            -- Round number for display
-               r.lock_time,                                               -- When picks lock
+               ${pickDeadlineSql('r', 'lock_c')} as lock_time,            -- When picks lock (last kickoff in FIXTURE mode)
+               ${arePicksClosedSql('r', 'lock_c')} as is_locked,          -- Effective lock status
                COALESCE(f_count.fixture_count, 0) as fixture_count,       -- Fixtures in this round
                ROW_NUMBER() OVER (PARTITION BY r.competition_id ORDER BY r.round_number DESC) as rn -- Latest round selector
         FROM round r
+        INNER JOIN competition lock_c ON lock_c.id = r.competition_id
         LEFT JOIN (
           SELECT round_id, COUNT(*) as fixture_count                     -- Fixture count per round
           FROM fixture
@@ -152,7 +157,9 @@ router.post('/', verifyToken, async (req, res) => {
                f.home_team, f.away_team                                   -- Fixture details
         FROM pick p
         JOIN fixture f ON p.fixture_id = f.id                            -- Get fixture info
-        JOIN team t ON t.short_name = p.team                             -- Get full team name
+        JOIN round pr ON p.round_id = pr.id                              -- Pick's competition...
+        JOIN competition pc ON pr.competition_id = pc.id                 -- ...whose team list names the team
+        JOIN team t ON t.short_name = p.team AND t.team_list_id = pc.team_list_id -- Get full team name
         WHERE p.user_id = $1                                              -- Only this user's picks
       ) current_pick ON latest_round.round_id = current_pick.round_id AND current_pick.user_id = $1
       
@@ -163,7 +170,7 @@ router.post('/', verifyToken, async (req, res) => {
                u.email as winner_email, cu.joined_at as winner_joined_at  -- Winner's details
         FROM competition_user cu
         INNER JOIN app_user u ON cu.user_id = u.id                       -- Get user details
-        WHERE cu.status = 'active'                                        -- Only active players
+        WHERE cu.status = 'active' AND cu.removed_at IS NULL              -- Only active players
       ) winner_info ON c.id = winner_info.competition_id                  -- Match competition
                     AND player_stats.active_count = 1                     -- Exactly 1 active player
                     AND c.invite_code IS NULL                              -- Competition closed to new players
@@ -177,8 +184,7 @@ router.post('/', verifyToken, async (req, res) => {
     // All business logic is processed here to avoid additional database queries
     const competitions = result.rows.map(row => {
       // Calculate time-based status
-      const now = new Date();
-      const isLocked = row.current_round_lock_time && now >= new Date(row.current_round_lock_time);
+      const isLocked = !!row.current_round_is_locked;
       
       // Determine pick requirements and status
       const fixturesExist = parseInt(row.fixture_count) > 0;     // Are there fixtures to pick from?
@@ -259,7 +265,8 @@ router.post('/', verifyToken, async (req, res) => {
           END as pick_result
         FROM round r
         LEFT JOIN pick p ON p.round_id = r.id AND p.user_id = $1   -- User's pick for this round
-        LEFT JOIN team t ON t.short_name = p.team                  -- Full team name
+        LEFT JOIN team t ON t.short_name = p.team                  -- Full team name from the competition's team list
+          AND t.team_list_id = (SELECT team_list_id FROM competition WHERE id = r.competition_id)
         LEFT JOIN fixture f ON f.id = p.fixture_id                 -- Fixture details
         CROSS JOIN competition_user cu                              -- User's competition status
         WHERE r.competition_id = ANY($2)                           -- Only user's competitions
@@ -0,0 +1,158 @@
+/*
+=======================================================================================================================================
+API Route: reinstate-player
+=======================================================================================================================================
+Method: POST
+Purpose: Allow competition organiser to bring an eliminated player back into the competition (e.g. after a disputed result),
+         with a mandatory reason recorded in the audit log. Picks and allowed teams are untouched, so used teams stay used.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition ID the player belongs to
+  "player_id": 456,                   // integer, required - Eliminated player ID to reinstate
+  "lives_remaining": 0,               // integer, optional - Lives after reinstatement (default: 0)
+  "reason": "Result was corrected"    // string, required - Why the player was reinstated (max 500 characters)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Kate Smith has been reinstated",  // string, success confirmation message
+  "player": {
+    "id": 456,                        // integer, reinstated player ID
+    "name": "Kate Smith",             // string, player display name
+    "status": "active",               // string, player status after the change
+    "lives_remaining": 0              // integer, lives after the change
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id, player_id, lives_remaining or reason
+"UNAUTHORIZED"          - Invalid JWT token or user is not competition organiser
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"PLAYER_NOT_FOUND"      - Player is not a member of this competition
+"NOT_ELIMINATED"        - Player is still active
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { validateReason, loadPlayerForAdmin, auditPlayerChange } = require('../services/playerAdminService');
+const router = express.Router();
+
+// POST endpoint with organiser authorization and atomic transaction safety for reinstating players
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id, player_id, lives_remaining = 0, reason } = req.body;
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    if (!player_id || !Number.isInteger(player_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Player ID is required and must be an integer"
+      });
+    }
+
+    if (!Number.isInteger(lives_remaining) || lives_remaining < 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Lives remaining must be a whole number of 0 or more"
+      });
+    }
+
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: reasonError
+      });
+    }
+
+    // STEP 2: Reinstate the player and write the audit entry atomically
+    const transactionResult = await transaction(async (client) => {
+      const player = await loadPlayerForAdmin(client, competition_id, player_id);
+
+      if (player.status !== 'OUT') {
+        throw {
+          return_code: "NOT_ELIMINATED",
+          message: `${player.player_name} is still in the competition`
+        };
+      }
+
+      await client.query(`
+        UPDATE competition_user
+        SET status = 'active', lives_remaining = $3
+        WHERE competition_id = $1 AND user_id = $2
+      `, [competition_id, player_id, lives_remaining]);
+
+      await auditPlayerChange(client, {
+        competition_id,
+        player_id,
+        action: 'Player Reinstated',
+        player,
+        previous: { status: player.status, lives_remaining: player.lives_remaining },
+        updated: { status: 'active', lives_remaining },
+        reason,
+        admin: req.user
+      });
+
+      return {
+        return_code: "SUCCESS",
+        message: `${player.player_name} has been reinstated`,
+        player: {
+          id: player_id,
+          name: player.player_name,
+          status: 'active',
+          lives_remaining: lives_remaining
+        }
+      };
+    });
+
+    // Return transaction result with HTTP 200 status as per API standards
+    return res.json(transactionResult);
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Reinstate player error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      player_id: req.body?.player_id,
+      admin_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to reinstate player"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+/*
+=======================================================================================================================================
+API Route: remove-organisation-member
+=======================================================================================================================================
+Method: POST
+Purpose: Allow organisation admins to remove a member. Competitions the member created stay in the organisation and
+         remain theirs to run; they simply lose access to the organisation's other competitions and team lists.
+=======================================================================================================================================
+Request Payload:
+{
+  "organisation_id": 12,              // integer, required - Organisation to remove the member from
+  "user_id": 789                      // integer, required - Member's user ID
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Sam Smith removed from the organisation"  // string, success confirmation message
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"       - Missing or invalid parameters, or an attempt to remove the owner
+"UNAUTHORIZED"           - Invalid JWT token or user is not an organisation admin
+"ORGANISATION_NOT_FOUND" - Organisation does not exist in database
+"MEMBER_NOT_FOUND"       - User is not a member of the organisation
+"SERVER_ERROR"           - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { ORGANISATION_ADMIN_ROLES, requireOrganisationRole } = require('../middleware/organisationRole');
+const router = express.Router();
+
+// POST endpoint - organisation admins only
+router.post('/', verifyToken, requireOrganisationRole(ORGANISATION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const { organisation_id, user_id } = req.body;
+
+    // STEP 1: Validate input (organisation_id already checked by requireOrganisationRole)
+    if (!user_id || !Number.isInteger(user_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "User ID is required and must be an integer"
+      });
+    }
+
+    // STEP 2: Delete the membership - the owner row is never matched so it cannot be removed
+    const result = await query(`
+      WITH target AS (
+        SELECT om.id, om.role, u.display_name
+        FROM organisation_member om
+        INNER JOIN app_user u ON om.user_id = u.id
+        WHERE om.organisation_id = $1 AND om.user_id = $2
+      ),
+      deleted AS (
+        DELETE FROM organisation_member
+        WHERE id IN (SELECT id FROM target WHERE role <> 'OWNER')
+        RETURNING id
+      )
+      SELECT target.role, target.display_name, EXISTS (SELECT 1 FROM deleted) as was_deleted
+      FROM target
+    `, [organisation_id, user_id]);
+
+    if (result.rows.length === 0) {
+      return res.json({
+        return_code: "MEMBER_NOT_FOUND",
+        message: "This user is not a member of the organisation"
+      });
+    }
+
+    const member = result.rows[0];
+
+    if (!member.was_deleted) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "The organisation owner cannot be removed"
+      });
+    }
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: `${member.display_name} removed from the organisation`
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Remove organisation member error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      organisation_id: req.body?.organisation_id,
+      user_id: req.body?.user_id,
+      admin_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to remove organisation member"
+    });
+  }
+});
+
+module.exports = router;
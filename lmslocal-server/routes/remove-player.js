@@ -3,7 +3,8 @@
 API Route: remove-player
 =======================================================================================================================================
 Method: POST
-Purpose: Allow competition organiser to completely remove player and all associated data with atomic transaction safety and comprehensive audit logging
+Purpose: Allow competition organiser to remove a player with a soft delete - picks, allowed teams and progress are kept so the
+         player can be restored with restore-player within REMOVED_PLAYER_RESTORE_DAYS (services/playerAdminService.js)
 =======================================================================================================================================
 Request Payload:
 {
@@ -18,13 +19,9 @@ Success Response (ALWAYS HTTP 200):
   "removed_player": {
     "id": 456,                        // integer, removed player ID
     "name": "John Smith",             // string, removed player display name
-    "email": "john@example.com"       // string, removed player email
-  },
-  "removed_data": {
-    "picks_deleted": 5,               // integer, number of picks deleted
-    "allowed_teams_deleted": 20,      // integer, number of allowed team entries deleted
-    "progress_deleted": 3,            // integer, number of progress records deleted
-    "total_records_deleted": 29       // integer, total records removed
+    "email": "john@example.com",      // string, removed player email
+    "removed_at": "2025-01-20T09:00:00Z", // string, ISO datetime when player was removed
+    "restore_until": "2025-02-19T09:00:00Z" // string, ISO datetime the restore window closes
   },
   "competition": {
     "id": 123,                        // integer, competition ID
@@ -52,10 +49,12 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { restoreDeadline } = require('../services/playerAdminService');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication, validation and atomic transaction safety for player removal
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
   try {
     const { competition_id, player_id } = req.body;
     const admin_id = req.user.id; // Set by verifyToken middleware
@@ -78,7 +77,7 @@ router.post('/', verifyToken, async (req, res) => {
 
     // STEP 2: Use transaction wrapper to ensure atomic operations
     // This ensures that either ALL database operations succeed or ALL are rolled back
-    // Critical for player removal where all associated data must be consistently removed
+    // Keeps the removal and its audit entry consistent
     const transactionResult = await transaction(async (client) => {
       
       // Single comprehensive query to get competition info, verify authorization, and get player data
@@ -94,7 +93,7 @@ router.post('/', verifyToken, async (req, res) => {
             -- Count remaining players for response context
             COUNT(cu_all.user_id) as total_players
           FROM competition c
-          LEFT JOIN competition_user cu_all ON c.id = cu_all.competition_id
+          LEFT JOIN competition_user cu_all ON c.id = cu_all.competition_id AND cu_all.removed_at IS NULL
           WHERE c.id = $1
           GROUP BY c.id, c.name, c.organiser_id
         ),
@@ -109,7 +108,7 @@ router.post('/', verifyToken, async (req, res) => {
             cu.joined_at
           FROM competition_user cu
           INNER JOIN app_user u ON cu.user_id = u.id
-          WHERE cu.competition_id = $1 AND cu.user_id = $2
+          WHERE cu.competition_id = $1 AND cu.user_id = $2 AND cu.removed_at IS NULL
         )
         SELECT 
           cd.competition_id,
@@ -138,61 +137,33 @@ router.post('/', verifyToken, async (req, res) => {
 
       const data = validationResult.rows[0];
 
-      // Verify user authorization - only competition organiser can remove players
-      if (data.organiser_id !== admin_id) {
+      // Check if player exists in this competition
+      if (!data.player_user_id) {
         throw {
-          return_code: "UNAUTHORIZED",
-          message: "Only the competition organiser can remove players"
+          return_code: "PLAYER_NOT_FOUND",
+          message: "Player not found in this competition"
         };
       }
 
-      // Check if player exists in this competition
-      if (!data.player_user_id) {
+      // STEP 3: Soft delete - mark the membership removed and keep all picks, allowed teams and progress
+      // Removed players are hidden from standings, player lists and pick counts until restored (see restore-player)
+      const removeResult = await client.query(`
+        UPDATE competition_user
+        SET removed_at = NOW(), removed_by = $3
+        WHERE user_id = $1 AND competition_id = $2 AND removed_at IS NULL
+        RETURNING removed_at
+      `, [player_id, competition_id, admin_id]);
+
+      // Already removed (e.g. double-click) - nothing left to hide
+      if (removeResult.rows.length === 0) {
         throw {
           return_code: "PLAYER_NOT_FOUND",
           message: "Player not found in this competition"
         };
       }
 
-      // STEP 3: Atomic removal of all player-related data with detailed tracking
-      // Order is important: remove dependent records first, then parent records
-      
-      // 1. Delete all picks for this player in this competition (cascade through all rounds)
-      const picksDeleteQuery = `
-        DELETE FROM pick 
-        WHERE user_id = $1 AND round_id IN (
-          SELECT id FROM round WHERE competition_id = $2
-        )
-      `;
-      const picksResult = await client.query(picksDeleteQuery, [player_id, competition_id]);
-
-      // 2. Delete allowed teams for this player in this competition
-      const allowedTeamsDeleteQuery = `
-        DELETE FROM allowed_teams 
-        WHERE user_id = $1 AND competition_id = $2
-      `;
-      const allowedTeamsResult = await client.query(allowedTeamsDeleteQuery, [player_id, competition_id]);
-
-      // 3. Delete player progress records for this competition
-      const progressDeleteQuery = `
-        DELETE FROM player_progress 
-        WHERE player_id = $1 AND competition_id = $2
-      `;
-      const progressResult = await client.query(progressDeleteQuery, [player_id, competition_id]);
-
-      // 4. Finally, remove the player from competition membership
-      const membershipDeleteQuery = `
-        DELETE FROM competition_user 
-        WHERE user_id = $1 AND competition_id = $2
-      `;
-      const membershipResult = await client.query(membershipDeleteQuery, [player_id, competition_id]);
-
-      // Calculate total records removed for audit purposes
-      const totalRecordsDeleted = 
-        (picksResult.rowCount || 0) + 
-        (allowedTeamsResult.rowCount || 0) + 
-        (progressResult.rowCount || 0) + 
-        (membershipResult.rowCount || 0);
+      const removedAt = removeResult.rows[0].removed_at;
+      const restoreUntil = restoreDeadline(removedAt);
 
       // STEP 4: Create comprehensive audit log entry within the same transaction
       // This ensures audit trail is consistent with the actual data changes
@@ -203,19 +174,14 @@ router.post('/', verifyToken, async (req, res) => {
           name: data.player_name,
           email: data.player_email,
           status: data.player_status,
+          lives_remaining: data.lives_remaining,
           joined_at: data.joined_at
         },
         competition: {
           id: data.competition_id,
           name: data.competition_name
         },
-        records_deleted: {
-          picks: picksResult.rowCount || 0,
-          allowed_teams: allowedTeamsResult.rowCount || 0,
-          progress: progressResult.rowCount || 0,
-          membership: membershipResult.rowCount || 0,
-          total: totalRecordsDeleted
-        },
+        restore_until: restoreUntil,
         admin_id: admin_id,
         admin_email: admin_email
       };
@@ -232,20 +198,16 @@ router.post('/', verifyToken, async (req, res) => {
         JSON.stringify(auditDetails)
       ]);
 
-      // Return comprehensive removal information for frontend display
+      // Return removal information for frontend display
       return {
         return_code: "SUCCESS",
         message: `Player "${data.player_name}" removed successfully`,
         removed_player: {
           id: data.player_user_id,
           name: data.player_name,
-          email: data.player_email
-        },
-        removed_data: {
-          picks_deleted: picksResult.rowCount || 0,
-          allowed_teams_deleted: allowedTeamsResult.rowCount || 0,
-          progress_deleted: progressResult.rowCount || 0,
-          total_records_deleted: totalRecordsDeleted
+          email: data.player_email,
+          removed_at: removedAt,
+          restore_until: restoreUntil
         },
         competition: {
           id: data.competition_id,
@@ -0,0 +1,184 @@
+/*
+=======================================================================================================================================
+API Route: restore-player
+=======================================================================================================================================
+Method: POST
+Purpose: Allow competition organiser to undo remove-player within the restore window, bringing the player back with their picks,
+         allowed teams, status and lives exactly as they were when removed
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition ID the player was removed from
+  "player_id": 456                    // integer, required - Removed player ID to restore
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Player \"Dave Jones\" restored successfully",  // string, success confirmation message
+  "player": {
+    "id": 456,                        // integer, restored player ID
+    "name": "Dave Jones",             // string, player display name
+    "status": "active",               // string, player status (as it was when removed)
+    "lives_remaining": 1              // integer, player lives (as they were when removed)
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id or player_id parameters
+"UNAUTHORIZED"          - Invalid JWT token or user is not competition organiser
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"PLAYER_NOT_FOUND"      - Player was not removed from this competition
+"RESTORE_WINDOW_EXPIRED" - Player was removed too long ago to be restored
+"PLAYER_LIMIT_REACHED"  - Free competition already has its maximum players and has not been activated
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { REMOVED_PLAYER_RESTORE_DAYS, restoreDeadline } = require('../services/playerAdminService');
+const { assertRoomForPlayer } = require('../services/planService');
+const router = express.Router();
+
+// POST endpoint with organiser authorization and atomic transaction safety for restoring removed players
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id, player_id } = req.body;
+    const admin_id = req.user.id; // Set by verifyToken middleware
+    const admin_email = req.user.email; // For audit trail
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    if (!player_id || !Number.isInteger(player_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Player ID is required and must be an integer"
+      });
+    }
+
+    // STEP 2: Restore the membership and write the audit entry atomically
+    const transactionResult = await transaction(async (client) => {
+      const competitionResult = await client.query(`
+        SELECT id, name, organiser_id
+        FROM competition
+        WHERE id = $1
+      `, [competition_id]);
+
+      if (competitionResult.rows.length === 0) {
+        throw {
+          return_code: "COMPETITION_NOT_FOUND",
+          message: "Competition not found or does not exist"
+        };
+      }
+
+      const competition = competitionResult.rows[0];
+
+      const playerResult = await client.query(`
+        SELECT cu.status, cu.lives_remaining, cu.removed_at, u.display_name as player_name
+        FROM competition_user cu
+        INNER JOIN app_user u ON cu.user_id = u.id
+        WHERE cu.competition_id = $1 AND cu.user_id = $2 AND cu.removed_at IS NOT NULL
+        FOR UPDATE OF cu
+      `, [competition_id, player_id]);
+
+      if (playerResult.rows.length === 0) {
+        throw {
+          return_code: "PLAYER_NOT_FOUND",
+          message: "Player has not been removed from this competition"
+        };
+      }
+
+      const player = playerResult.rows[0];
+
+      if (restoreDeadline(player.removed_at) <= new Date()) {
+        throw {
+          return_code: "RESTORE_WINDOW_EXPIRED",
+          message: `Removed players can only be restored within ${REMOVED_PLAYER_RESTORE_DAYS} days`
+        };
+      }
+
+      // A restored player takes up a place again - free competitions may have filled up since the removal
+      await assertRoomForPlayer(client, competition_id);
+
+      // Picks, allowed teams and progress were never deleted - clearing the flag brings everything back
+      await client.query(`
+        UPDATE competition_user
+        SET removed_at = NULL, removed_by = NULL
+        WHERE competition_id = $1 AND user_id = $2
+      `, [competition_id, player_id]);
+
+      const auditDetails = {
+        action: 'PLAYER_RESTORED',
+        player: player.player_name,
+        competition: competition.name,
+        removed_at: player.removed_at,
+        status: player.status,
+        lives_remaining: player.lives_remaining,
+        admin_id: admin_id,
+        admin_email: admin_email
+      };
+
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+        VALUES ($1, $2, 'PLAYER_RESTORED', $3, NOW())
+      `, [competition_id, player_id, JSON.stringify(auditDetails)]);
+
+      return {
+        return_code: "SUCCESS",
+        message: `Player "${player.player_name}" restored successfully`,
+        player: {
+          id: player_id,
+          name: player.player_name,
+          status: player.status,
+          lives_remaining: player.lives_remaining
+        }
+      };
+    });
+
+    // Return transaction result with HTTP 200 status as per API standards
+    return res.json(transactionResult);
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Restore player error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      player_id: req.body?.player_id,
+      admin_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to restore player"
+    });
+  }
+});
+
+module.exports = router;
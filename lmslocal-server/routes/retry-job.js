@@ -0,0 +1,123 @@
+/*
+=======================================================================================================================================
+API Route: retry-job
+=======================================================================================================================================
+Method: POST
+Purpose: Queue a FAILED background job to run again straight away with a fresh set of attempts - e.g. after fixing the data
+         that made a result calculation fail. Competition jobs can be retried by organisers with manage permission,
+         platform jobs (reminders, clean-up) by administrators only.
+=======================================================================================================================================
+Request Payload:
+{
+  "job_id": 42                        // integer, required - Failed job to retry
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Job queued to run again",
+  "job": {
+    "id": 42,                         // integer, job ID
+    "run_at": "2025-08-25T16:00:00Z"  // string, ISO datetime the job will run
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid job_id
+"UNAUTHORIZED"          - Invalid JWT token, no manage permission for the job's competition, or not an administrator
+"JOB_NOT_FOUND"         - Job does not exist
+"JOB_NOT_FAILED"        - Only FAILED jobs can be retried
+"JOB_ALREADY_SCHEDULED" - A newer job for the same round or recurring task is already queued
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { retryJob, canManageJobs } = require('../services/jobService');
+const router = express.Router();
+
+// POST endpoint - competition organisers (their competition's jobs) and platform administrators
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { job_id } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input
+    if (!job_id || !Number.isInteger(job_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Job ID is required and must be an integer"
+      });
+    }
+
+    // STEP 2: Find the job and check access to it
+    const jobResult = await query('SELECT id, job_type, competition_id FROM scheduled_job WHERE id = $1', [job_id]);
+    if (jobResult.rows.length === 0) {
+      return res.json({
+        return_code: "JOB_NOT_FOUND",
+        message: "Job not found"
+      });
+    }
+
+    const job = jobResult.rows[0];
+
+    if (!(await canManageJobs(req.user, job.competition_id))) {
+      return res.json({
+        return_code: "UNAUTHORIZED",
+        message: "You do not have permission to retry this job"
+      });
+    }
+
+    // STEP 3: Re-queue it
+    const retried = await retryJob(job_id);
+
+    // Competition jobs are recorded in the competition's audit trail
+    if (job.competition_id) {
+      await query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+        VALUES ($1, $2, 'Job Retried', $3, NOW())
+      `, [job.competition_id, user_id, `Retried failed ${job.job_type} job #${job.id}`]);
+    }
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: "Job queued to run again",
+      job: retried
+    });
+
+  } catch (error) {
+    // Business rule errors thrown by retryJob
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Retry job error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      job_id: req.body?.job_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to retry job"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+/*
+=======================================================================================================================================
+API Route: revoke-organiser
+=======================================================================================================================================
+Method: POST
+Purpose: Allow the competition owner to remove a helper's access to their competition
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition to remove the helper from
+  "user_id": 789                      // integer, required - Helper's user ID
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Sam Smith no longer has access to this competition"  // string, success confirmation message
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id or user_id parameters
+"UNAUTHORIZED"          - Invalid JWT token or user is not the competition owner
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"HELPER_NOT_FOUND"      - User is not a helper on this competition
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const router = express.Router();
+
+// POST endpoint - owner only
+router.post('/', verifyToken, requireCompetitionPermission('owner'), async (req, res) => {
+  try {
+    const { competition_id, user_id } = req.body;
+    const owner_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    if (!user_id || !Number.isInteger(user_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "User ID is required and must be an integer"
+      });
+    }
+
+    // STEP 2: Delete the helper row and write the audit entry atomically
+    const transactionResult = await transaction(async (client) => {
+      const deleteResult = await client.query(`
+        DELETE FROM competition_organiser co
+        USING app_user u
+        WHERE co.user_id = u.id AND co.competition_id = $1 AND co.user_id = $2
+        RETURNING co.role, u.display_name, u.email
+      `, [competition_id, user_id]);
+
+      if (deleteResult.rows.length === 0) {
+        throw {
+          return_code: "HELPER_NOT_FOUND",
+          message: "This user is not a helper on this competition"
+        };
+      }
+
+      const helper = deleteResult.rows[0];
+
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+        VALUES ($1, $2, 'Organiser Revoked', $3, NOW())
+      `, [competition_id, owner_id, JSON.stringify({
+        helper_id: user_id,
+        helper_email: helper.email,
+        role: helper.role
+      })]);
+
+      return {
+        return_code: "SUCCESS",
+        message: `${helper.display_name} no longer has access to this competition`
+      };
+    });
+
+    // Return transaction result with HTTP 200 status as per API standards
+    return res.json(transactionResult);
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Revoke organiser error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.body?.user_id,
+      owner_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to remove organiser"
+    });
+  }
+});
+
+module.exports = router;
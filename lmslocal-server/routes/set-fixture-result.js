@@ -4,11 +4,14 @@ API Route: set-fixture-result
 =======================================================================================================================================
 Method: POST
 Purpose: Set match result for a fixture with organiser authorization and atomic transaction safety
+         The final score can be given instead of (or as well as) a result - the result is derived from the score and both are stored.
 =======================================================================================================================================
 Request Payload:
 {
   "fixture_id": 16,                    // integer, required - ID of fixture to set result for
-  "result": "home_win"                 // string, required - Result: "home_win", "away_win", or "draw"
+  "result": "home_win",                // string, required unless scores given - "home_win", "away_win", "draw", "postponed" or "void"
+  "home_score": 2,                     // integer, optional - Home goals (requires away_score)
+  "away_score": 1                      // integer, optional - Away goals (requires home_score)
 }
 
 Success Response (ALWAYS HTTP 200):
@@ -21,11 +24,14 @@ Success Response (ALWAYS HTTP 200):
     "away_team": "Aston Villa",        // string, away team full name  
     "home_team_short": "ARS",          // string, home team short code
     "away_team_short": "AVL",          // string, away team short code
-    "result": "ARS",                   // string, winning team short code or "DRAW"
+    "result": "ARS",                   // string, winning team short code, "DRAW", "POSTPONED" or "VOID"
+    "home_score": 2,                   // integer, home goals (null if no score entered, or postponed/void)
+    "away_score": 1,                   // integer, away goals (null if no score entered, or postponed/void)
     "kickoff_time": "2025-08-26T15:00:00Z", // string, ISO datetime of kickoff
     "round_number": 1,                 // integer, round this fixture belongs to
     "competition_name": "Premier League"  // string, competition name for context
-  }
+  },
+  "requires_recalculation": false      // boolean, true if fixture was already processed - call calculate-results with recalculate=true
 }
 
 Error Response (ALWAYS HTTP 200):
@@ -38,8 +44,8 @@ Return Codes:
 "SUCCESS"
 "VALIDATION_ERROR"      - Missing or invalid fixture_id or result parameters
 "FIXTURE_NOT_FOUND"     - Fixture does not exist in database
-"UNAUTHORIZED"          - Invalid JWT token or user is not competition organiser
-"ROUND_NOT_LOCKED"      - Cannot set results before round lock time
+"UNAUTHORIZED"          - Invalid JWT token or user has no results permission for this competition
+"ROUND_NOT_LOCKED"      - Cannot set results before round lock time (postponed/void may be set any time)
 "RESULT_ALREADY_SET"    - Fixture result has already been set (if business rules require)
 "SERVER_ERROR"          - Database error or unexpected server failure
 =======================================================================================================================================
@@ -48,11 +54,15 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { effectiveLockTimeSql, isRoundLockedSql } = require('../utils/roundLock');
+const { RESULT_OPTIONS, scoreToResult, parseGoals, toStoredResult, isVoidResult } = require('../utils/fixtureResult');
 const router = express.Router();
 // POST endpoint with comprehensive authentication, validation and atomic transaction safety
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('results'), async (req, res) => {
   try {
-    const { fixture_id, result } = req.body;
+    const { fixture_id, home_score, away_score } = req.body;
+    let { result } = req.body;
     const user_id = req.user.id; // Set by verifyToken middleware
 
     // STEP 1: Validate required input parameters with strict type checking
@@ -63,10 +73,33 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
-    if (!result || typeof result !== 'string' || !['home_win', 'away_win', 'draw'].includes(result)) {
+    // Scores are optional but must come as a pair of whole numbers
+    const hasScore = (home_score !== undefined && home_score !== null) || (away_score !== undefined && away_score !== null);
+    const homeGoals = parseGoals(home_score);
+    const awayGoals = parseGoals(away_score);
+    if (hasScore && (typeof home_score !== 'number' || typeof away_score !== 'number' || homeGoals === null || awayGoals === null)) {
       return res.json({
         return_code: "VALIDATION_ERROR",
-        message: "Result is required and must be one of: 'home_win', 'away_win', 'draw'"
+        message: "Home and away scores must both be whole numbers between 0 and 99"
+      });
+    }
+
+    if (hasScore) {
+      // The score decides the result - a contradicting result is almost certainly a typo
+      const scoreResult = scoreToResult(homeGoals, awayGoals);
+      if (result !== undefined && result !== scoreResult) {
+        return res.json({
+          return_code: "VALIDATION_ERROR",
+          message: `Result '${result}' does not match the score ${homeGoals}-${awayGoals}`
+        });
+      }
+      result = scoreResult;
+    }
+
+    if (!result || typeof result !== 'string' || !RESULT_OPTIONS.includes(result)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Result is required and must be one of: 'home_win', 'away_win', 'draw', 'postponed', 'void'"
       });
     }
 
@@ -74,7 +107,7 @@ router.post('/', verifyToken, async (req, res) => {
     // This ensures that either ALL database operations succeed or ALL are rolled back
     const transactionResult = await transaction(async (client) => {
       
-      // Get fixture details, verify existence, and check organiser authorization in single query
+      // Get fixture details and verify it belongs to the competition requireCompetitionPermission checked results permission on
       // This optimized query joins all necessary tables to avoid N+1 query problems
       const fixtureQuery = `
         SELECT 
@@ -85,10 +118,12 @@ router.post('/', verifyToken, async (req, res) => {
           f.away_team_short,
           f.kickoff_time,
           f.result as current_result,
+          f.processed,
           f.round_id,
           r.competition_id,
           r.round_number,
-          r.lock_time,
+          ${effectiveLockTimeSql('r')} as lock_time,
+          ${isRoundLockedSql('r')} as is_round_locked,
           c.organiser_id,
           c.name as competition_name,
           -- Get current time for lock calculation
@@ -96,10 +131,10 @@ router.post('/', verifyToken, async (req, res) => {
         FROM fixture f
         INNER JOIN round r ON f.round_id = r.id
         INNER JOIN competition c ON r.competition_id = c.id
-        WHERE f.id = $1
+        WHERE f.id = $1 AND r.competition_id = $2
       `;
 
-      const fixtureResult = await client.query(fixtureQuery, [fixture_id]);
+      const fixtureResult = await client.query(fixtureQuery, [fixture_id, req.competitionAccess.competition_id]);
 
       // Check if fixture exists
       if (fixtureResult.rows.length === 0) {
@@ -111,47 +146,38 @@ router.post('/', verifyToken, async (req, res) => {
 
       const fixture = fixtureResult.rows[0];
 
-      // Verify user authorization - only competition organiser can set fixture results
-      if (fixture.organiser_id !== user_id) {
-        throw {
-          return_code: "UNAUTHORIZED",
-          message: "Only the competition organiser can set fixture results"
-        };
-      }
-
-      // Business rule: Can only set results after round lock time (when picks are closed)
+      // Business rule: Can only set results after the round locks (when picks are closed)
       // This prevents results being set before all players have made their picks
-      const now = new Date(fixture.current_time);
-      const lockTime = new Date(fixture.lock_time);
-      
-      if (now < lockTime) {
+      // Postponed/abandoned matches can be flagged as soon as they are known, even before the round locks
+      if (!isVoidResult(result) && !fixture.is_round_locked) {
         throw {
           return_code: "ROUND_NOT_LOCKED",
-          message: `Cannot set fixture results before round lock time. Round locks at ${lockTime.toISOString()}`
+          message: `Cannot set fixture results before round lock time. Round locks at ${new Date(fixture.lock_time).toISOString()}`
         };
       }
 
       // Convert human-readable result to database storage format
       // Database stores winning team short code or "DRAW" for consistency with pick logic
-      let resultString;
-      if (result === 'home_win') {
-        resultString = fixture.home_team_short; // Store winning team short code (e.g., "ARS")
-      } else if (result === 'away_win') {
-        resultString = fixture.away_team_short; // Store winning team short code (e.g., "CHE")
-      } else { // result === 'draw'
-        resultString = 'DRAW'; // Store literal "DRAW" string
-      }
+      const resultString = toStoredResult(result, fixture);
 
-      // Update fixture with result using atomic transaction
+      // Update fixture with result (and score, when given) using atomic transaction
+      // A result without a score clears any previously stored score so the two can never disagree
       const updateQuery = `
         UPDATE fixture 
         SET 
-          result = $1
+          result = $1,
+          home_score = $3,
+          away_score = $4
         WHERE id = $2
         RETURNING *
       `;
       
-      const updateResult = await client.query(updateQuery, [resultString, fixture_id]);
+      const updateResult = await client.query(updateQuery, [
+        resultString,
+        fixture_id,
+        hasScore ? homeGoals : null,
+        hasScore ? awayGoals : null
+      ]);
       const updatedFixture = updateResult.rows[0];
 
       // Log the administrative action for audit trail (optional - only if audit_log table exists)
@@ -162,7 +188,7 @@ router.post('/', verifyToken, async (req, res) => {
           VALUES ($1, $2, $3, $4, NOW())
         `;
         
-        const auditDetails = `Set result for ${fixture.home_team} vs ${fixture.away_team} in Round ${fixture.round_number}: ${resultString}`;
+        const auditDetails = `Set result for ${fixture.home_team} vs ${fixture.away_team} in Round ${fixture.round_number}: ${resultString}${hasScore ? ` (${homeGoals}-${awayGoals})` : ''}`;
         
         await client.query(auditQuery, [
           fixture.competition_id,
@@ -181,10 +207,15 @@ router.post('/', verifyToken, async (req, res) => {
         });
       }
 
+      // Changing a result after calculation leaves outcomes and lives stale until the round is recalculated
+      const requiresRecalculation = fixture.processed !== null && fixture.current_result !== resultString;
+
       // Return comprehensive fixture information for frontend display
       return {
         return_code: "SUCCESS",
-        message: "Fixture result set successfully",
+        message: requiresRecalculation
+          ? "Fixture result updated - round results must be recalculated to apply the change"
+          : "Fixture result set successfully",
         fixture: {
           id: updatedFixture.id,
           home_team: updatedFixture.home_team,
@@ -192,10 +223,13 @@ router.post('/', verifyToken, async (req, res) => {
           home_team_short: updatedFixture.home_team_short,
           away_team_short: updatedFixture.away_team_short,
           result: updatedFixture.result,
+          home_score: updatedFixture.home_score,
+          away_score: updatedFixture.away_score,
           kickoff_time: updatedFixture.kickoff_time,
           round_number: fixture.round_number,
           competition_name: fixture.competition_name
-        }
+        },
+        requires_recalculation: requiresRecalculation
       };
     });
 
@@ -4,6 +4,7 @@ API Route: set-pick
 =======================================================================================================================================
 Method: POST
 Purpose: Creates or updates a player's pick for a round with comprehensive validation and atomic transaction safety
+         Picks lock with the round, or at each fixture's kickoff when competition.pick_lock_mode is FIXTURE
 =======================================================================================================================================
 Request Payload:
 {
@@ -23,7 +24,8 @@ Success Response (ALWAYS HTTP 200):
     "fixture_id": 24,                          // integer, fixture ID containing the pick
     "fixture": "Chelsea v Arsenal",            // string, fixture description for display
     "created_at": "2025-08-25T21:00:00Z"       // string, ISO datetime when pick was made
-  }
+  },
+  "round_locked": false                        // boolean, true if this was the last active player's pick and the round locked early
 }
 
 Error Response (ALWAYS HTTP 200):
@@ -40,14 +42,20 @@ Return Codes:
 "INVALID_TEAM"
 "TEAM_NOT_ALLOWED"
 "ROUND_LOCKED"
+"FIXTURE_LOCKED"
+"FIXTURE_VOID"
 "TEAM_ALREADY_PICKED"
 "SERVER_ERROR"
 =======================================================================================================================================
 */
 
 const express = require('express');
-const { query, transaction } = require('../database');
+const { transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { hasPermissionSql } = require('../middleware/competitionRole');
+const { isFixtureLockedSql, lockRoundForPicks, lockRoundIfAllPicked } = require('../utils/roundLock');
+const { applyTeamReset } = require('../services/teamResetService');
+const { usedTeamSql } = require('../services/resultsService');
 const router = express.Router();
 router.post('/', verifyToken, async (req, res) => {
   try {
@@ -83,7 +91,15 @@ router.post('/', verifyToken, async (req, res) => {
     // 6. Existing pick check for changes
     // 7. Old team ID lookup for restoration
     // Now performs all validation in ONE efficient query with comprehensive business logic
-    const validationResult = await query(`
+    // Runs inside the pick transaction (and again after a team reset, which changes the allowed teams)
+    // No team twice checks the team the pick uses up - the selected team, or its opponent in LOSER (pick the loser) mode
+    const usedTeamIdSql = usedTeamSql({
+      team: `CASE WHEN $2 = 'home' THEN home_team.id ELSE away_team.id END`,
+      homeTeam: 'home_team.id',
+      awayTeam: 'away_team.id',
+      gameMode: 'c.game_mode'
+    });
+    const validationSql = `
       SELECT 
         -- === FIXTURE AND COMPETITION INFO ===
         f.id as fixture_id,                           -- Fixture identifier for validation
@@ -95,8 +111,13 @@ router.post('/', verifyToken, async (req, res) => {
         r.competition_id,                             -- Competition ID for validation
         r.lock_time,                                  -- Round lock time for timing validation
         r.round_number,                               -- Round number for audit logging
+        r.is_void as is_round_void,                   -- Voided rounds take no further picks
+        f.result as fixture_result,                   -- POSTPONED/VOID fixtures cannot be picked
         c.organiser_id,                               -- Competition organiser (for admin permission check)
         c.name as competition_name,                   -- Competition name for audit purposes
+        c.no_team_twice,                              -- false = "any team, any week" (teams stay available after use)
+        c.pick_lock_mode,                             -- ROUND (one lock per round) or FIXTURE (each pick locks at kickoff)
+        c.game_mode,                                  -- CLASSIC or LOSER (the opponent is the team used up)
         
         -- === TEAM VALIDATION INFO ===
         CASE WHEN $2 = 'home' THEN f.home_team_short ELSE f.away_team_short END as selected_team_short, -- Team user is trying to pick
@@ -104,6 +125,7 @@ router.post('/', verifyToken, async (req, res) => {
         home_team.id as home_team_id,                 -- Home team database ID
         away_team.id as away_team_id,                 -- Away team database ID
         CASE WHEN $2 = 'home' THEN home_team.id ELSE away_team.id END as selected_team_id,              -- Selected team database ID
+        ${usedTeamIdSql} as used_team_id, -- Team this pick uses up under no team twice
         
         -- === USER AUTHORIZATION AND STATUS ===
         cu.status as user_status,                     -- User's status in competition ('active', 'OUT', etc.)
@@ -113,16 +135,18 @@ router.post('/', verifyToken, async (req, res) => {
         -- === EXISTING PICK INFO (FOR CHANGE HANDLING) ===
         existing_pick.team as existing_pick_team,     -- Current pick team short code (if exists)
         existing_pick.id as existing_pick_id,         -- Current pick ID (if exists) 
-        existing_team.id as existing_team_id,         -- Current pick team database ID (for restoration)
+        existing_team.id as existing_team_id,         -- Current pick team database ID
         existing_team.name as existing_team_full,     -- Current pick full team name (for display)
+        existing_used_team.id as existing_used_team_id, -- Team the current pick used up (for restoration)
+        ${isFixtureLockedSql('existing_fixture', 'r', 'c')} as is_existing_pick_locked, -- Current pick's fixture has kicked off (FIXTURE mode)
         
         -- === PREVIOUS PICK VALIDATION (NO TEAM TWICE RULE) ===
         prev_picks.pick_count,                        -- Count of times this team was picked before (should be 0)
         
         -- === AUTHORIZATION FLAGS ===
-        CASE WHEN c.organiser_id = $3 THEN true ELSE false END as is_admin,                      -- User is competition organiser
+        ${hasPermissionSql('c', '$3', 'manage')} as is_admin,                                   -- User is competition owner or co-organiser
         CASE WHEN $4 = $3 THEN true ELSE false END as is_own_pick,                               -- User is setting own pick
-        CASE WHEN CURRENT_TIMESTAMP >= r.lock_time THEN true ELSE false END as is_round_locked   -- Round is locked for picks
+        ${isFixtureLockedSql('f', 'r', 'c')} as is_pick_locked -- Round lock, or this fixture's kickoff in FIXTURE mode
         
       FROM fixture f
       INNER JOIN round r ON f.round_id = r.id
@@ -130,115 +154,141 @@ router.post('/', verifyToken, async (req, res) => {
       
       -- === TEAM DETAILS FOR BOTH HOME AND AWAY ===
       -- Get full team information for validation and display
-      LEFT JOIN team home_team ON home_team.short_name = f.home_team_short AND home_team.is_active = true
-      LEFT JOIN team away_team ON away_team.short_name = f.away_team_short AND away_team.is_active = true
+      LEFT JOIN team home_team ON home_team.short_name = f.home_team_short AND home_team.team_list_id = c.team_list_id AND home_team.is_active = true
+      LEFT JOIN team away_team ON away_team.short_name = f.away_team_short AND away_team.team_list_id = c.team_list_id AND away_team.is_active = true
       
       -- === USER COMPETITION MEMBERSHIP ===
       -- Verify user is member of this competition
-      LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $4
+      LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $4 AND cu.removed_at IS NULL
       
       -- === ALLOWED TEAMS CHECK ===
       -- Check if selected team is in user's allowed teams (admins can override)
       LEFT JOIN allowed_teams at ON c.id = at.competition_id 
                                  AND at.user_id = $4 
-                                 AND at.team_id = CASE WHEN $2 = 'home' THEN home_team.id ELSE away_team.id END
+                                 AND at.team_id = ${usedTeamIdSql}
       
       -- === EXISTING PICK CHECK (FOR CHANGES) ===
       -- Get user's current pick for this round if it exists
       LEFT JOIN pick existing_pick ON r.id = existing_pick.round_id AND existing_pick.user_id = $4
-      LEFT JOIN team existing_team ON existing_team.short_name = existing_pick.team AND existing_team.is_active = true
+      LEFT JOIN team existing_team ON existing_team.short_name = existing_pick.team AND existing_team.team_list_id = c.team_list_id AND existing_team.is_active = true
+      LEFT JOIN fixture existing_fixture ON existing_fixture.id = existing_pick.fixture_id
+      LEFT JOIN team existing_used_team ON existing_used_team.short_name = ${usedTeamSql({
+        team: 'existing_pick.team',
+        homeTeam: 'existing_fixture.home_team_short',
+        awayTeam: 'existing_fixture.away_team_short',
+        gameMode: 'c.game_mode'
+      })} AND existing_used_team.team_list_id = c.team_list_id AND existing_used_team.is_active = true
       
       -- === PREVIOUS PICKS VALIDATION (NO TEAM TWICE RULE) ===
-      -- Count how many times user has picked this team before in this competition
-      LEFT JOIN (
-        SELECT p.user_id, p.team, COUNT(*) as pick_count
+      -- Count how many times user has used up this pick's team before in this competition
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) as pick_count
         FROM pick p
         INNER JOIN round prev_r ON p.round_id = prev_r.id
-        WHERE prev_r.competition_id = (SELECT competition_id FROM round WHERE id = (SELECT round_id FROM fixture WHERE id = $1))
+        INNER JOIN competition_user reset_cu ON reset_cu.competition_id = prev_r.competition_id AND reset_cu.user_id = p.user_id
+        LEFT JOIN fixture prev_f ON prev_f.id = p.fixture_id
+        WHERE prev_r.competition_id = c.id
               AND p.user_id = $4
-              AND p.team = CASE WHEN $2 = 'home' 
-                               THEN (SELECT home_team_short FROM fixture WHERE id = $1) 
-                               ELSE (SELECT away_team_short FROM fixture WHERE id = $1) 
-                          END
-        GROUP BY p.user_id, p.team
-      ) prev_picks ON prev_picks.user_id = $4
+              AND p.outcome IS DISTINCT FROM 'VOID'  -- Voided picks hand the team back
+              AND prev_r.round_number >= COALESCE(reset_cu.teams_reset_round, 0)  -- Picks before a team reset no longer count
+              AND ${usedTeamSql({
+                team: 'p.team',
+                homeTeam: 'prev_f.home_team_short',
+                awayTeam: 'prev_f.away_team_short',
+                gameMode: 'c.game_mode'
+              })} = ${usedTeamSql({
+                team: `CASE WHEN $2 = 'home' THEN f.home_team_short ELSE f.away_team_short END`,
+                homeTeam: 'f.home_team_short',
+                awayTeam: 'f.away_team_short',
+                gameMode: 'c.game_mode'
+              })}
+      ) prev_picks ON true
       
       WHERE f.id = $1  -- Filter to requested fixture only
-    `, [fixture_id, team, authenticated_user_id, target_user_id]);
+    `;
+    const validationParams = [fixture_id, team, authenticated_user_id, target_user_id];
 
-    // === COMPREHENSIVE VALIDATION CHECKS ===
-    // Check if fixture exists and all validation data is available
-    if (validationResult.rows.length === 0) {
-      return res.json({
-        return_code: "FIXTURE_NOT_FOUND",
-        message: "Fixture not found"
-      });
-    }
+    // === ATOMIC TRANSACTION EXECUTION ===
+    // Validation, team reset and all database writes run in a single transaction to ensure data consistency
+    // If any check fails or any operation fails, all changes are rolled back automatically
+    let savedPick = null;
+    let roundLocked = false;
+    let validation = null;
+    await transaction(async (client) => {
+      // Serialise picks for this round before reading any pick state, so the last-pick round lock sees every pick
+      const fixtureRound = await client.query('SELECT round_id FROM fixture WHERE id = $1', [fixture_id]);
+      if (fixtureRound.rows.length === 0) {
+        throw { return_code: "FIXTURE_NOT_FOUND", message: "Fixture not found" };
+      }
+      await lockRoundForPicks(client, fixtureRound.rows[0].round_id);
 
-    const validation = validationResult.rows[0];
+      // === COMPREHENSIVE VALIDATION CHECKS ===
+      let validationResult = await client.query(validationSql, validationParams);
 
-    // Extract key validation data for business logic
-    const competition_id = validation.competition_id;
-    const round_id = validation.round_id;
-    const selected_team_short = validation.selected_team_short;
-    const selected_team_full = validation.selected_team_full;
-    const selected_team_id = validation.selected_team_id;
-    const is_admin = validation.is_admin;
-    const is_own_pick = validation.is_own_pick;
+      // Check if fixture exists and all validation data is available
+      if (validationResult.rows.length === 0) {
+        throw { return_code: "FIXTURE_NOT_FOUND", message: "Fixture not found" };
+      }
 
-    // Verify selected team exists in database
-    if (!selected_team_id) {
-      return res.json({
-        return_code: "INVALID_TEAM",
-        message: "Selected team not found in database"
-      });
-    }
+      validation = validationResult.rows[0];
 
-    // Authorization: Players can only set own picks, admins can set any pick
-    if (!is_admin && !is_own_pick) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "You can only set your own pick unless you are the competition organiser"
-      });
-    }
+      // Verify selected team exists in database
+      if (!validation.selected_team_id) {
+        throw { return_code: "INVALID_TEAM", message: "Selected team not found in database" };
+      }
 
-    // Verify target user is member of this competition
-    if (!validation.is_member) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Target user is not part of this competition"
-      });
-    }
+      // Authorization: Players can only set own picks, admins can set any pick
+      if (!validation.is_admin && !validation.is_own_pick) {
+        throw { return_code: "UNAUTHORIZED", message: "You can only set your own pick unless you are the competition organiser" };
+      }
 
-    // Check if team is allowed for non-admin users
-    if (!is_admin && !validation.is_team_allowed) {
-      return res.json({
-        return_code: "TEAM_NOT_ALLOWED",
-        message: "You are not allowed to pick this team"
-      });
-    }
+      // Verify target user is member of this competition
+      if (!validation.is_member) {
+        throw { return_code: "UNAUTHORIZED", message: "Target user is not part of this competition" };
+      }
 
-    // Check round lock status (admins can override)
-    if (!is_admin && validation.is_round_locked) {
-      return res.json({
-        return_code: "ROUND_LOCKED",
-        message: "This round is locked and picks cannot be changed"
-      });
-    }
+      // Check lock status (admins can override)
+      if (!validation.is_admin && validation.is_pick_locked) {
+        throw validation.pick_lock_mode === 'FIXTURE'
+          ? { return_code: "FIXTURE_LOCKED", message: "This fixture has kicked off and can no longer be picked" }
+          : { return_code: "ROUND_LOCKED", message: "This round is locked and picks cannot be changed" };
+      }
 
-    // Check no team twice rule
-    if (validation.pick_count > 0) {
-      return res.json({
-        return_code: "TEAM_ALREADY_PICKED",
-        message: "You have already picked this team in a previous round"
-      });
-    }
+      // Per-fixture deadlines: a pick whose fixture has already kicked off cannot be swapped for a later game
+      if (!validation.is_admin && validation.existing_pick_id && validation.is_existing_pick_locked) {
+        throw { return_code: "FIXTURE_LOCKED", message: "Your current pick has already kicked off and cannot be changed" };
+      }
+
+      // Postponed/void fixtures and voided rounds cannot take picks
+      if (validation.is_round_void || ['POSTPONED', 'VOID'].includes(validation.fixture_result)) {
+        throw { return_code: "FIXTURE_VOID", message: "This fixture has been postponed or voided and cannot be picked" };
+      }
+
+      // === TEAM POOL RESET ===
+      // Apply the competition's reset rule before the team checks, so a player who has run out of teams can still pick
+      // Rolled back with the rest of the transaction if the pick is rejected
+      if (await applyTeamReset(client, validation.competition_id, target_user_id)) {
+        validationResult = await client.query(validationSql, validationParams);
+        validation = validationResult.rows[0];
+      }
+
+      // Check if team is allowed for non-admin users (every team stays allowed when teams can be reused)
+      if (!validation.is_admin && validation.no_team_twice && !validation.is_team_allowed) {
+        throw { return_code: "TEAM_NOT_ALLOWED", message: "You are not allowed to pick this team" };
+      }
+
+      // Check no team twice rule (only when the competition enforces it)
+      if (validation.no_team_twice && validation.pick_count > 0) {
+        throw { return_code: "TEAM_ALREADY_PICKED", message: "You have already picked this team in a previous round" };
+      }
+
+      // Extract key validation data for business logic
+      const competition_id = validation.competition_id;
+      const round_id = validation.round_id;
+      const selected_team_short = validation.selected_team_short;
+      const is_admin = validation.is_admin;
+      const is_own_pick = validation.is_own_pick;
 
-    // === ATOMIC TRANSACTION EXECUTION ===
-    // Execute all database operations in single transaction to ensure data consistency
-    // If any operation fails, all changes are rolled back automatically
-    let savedPick = null;
-    await transaction(async (client) => {
       // Step 1: Insert or update the pick with complete fixture context
       const pickResult = await client.query(`
         INSERT INTO pick (round_id, user_id, team, fixture_id, created_at)
@@ -251,21 +301,22 @@ router.post('/', verifyToken, async (req, res) => {
       savedPick = pickResult.rows[0]; // Store pick data outside transaction scope
 
       // Step 2: Handle allowed_teams changes (unless admin - they can override rules)
-      if (!is_admin) {
-        // If this was a pick change, restore the old team to allowed_teams
-        if (validation.existing_team_id) {
+      // Teams are only used up when the competition enforces no team twice
+      if (!is_admin && validation.no_team_twice) {
+        // If this was a pick change, restore the team the old pick used up to allowed_teams
+        if (validation.existing_used_team_id) {
           await client.query(`
             INSERT INTO allowed_teams (competition_id, user_id, team_id)
             VALUES ($1, $2, $3)
             ON CONFLICT (competition_id, user_id, team_id) DO NOTHING
-          `, [competition_id, target_user_id, validation.existing_team_id]);
+          `, [competition_id, target_user_id, validation.existing_used_team_id]);
         }
 
-        // Remove the newly picked team from allowed_teams
+        // Remove the team this pick uses up from allowed_teams
         await client.query(`
           DELETE FROM allowed_teams 
           WHERE competition_id = $1 AND user_id = $2 AND team_id = $3
-        `, [competition_id, target_user_id, selected_team_id]);
+        `, [competition_id, target_user_id, validation.used_team_id]);
       }
 
       // Step 3: Add comprehensive audit log for administrative tracking
@@ -280,6 +331,9 @@ router.post('/', verifyToken, async (req, res) => {
         INSERT INTO audit_log (competition_id, user_id, action, details)
         VALUES ($1, $2, $3, $4)
       `, [competition_id, authenticated_user_id, actionType, logDetails]);
+
+      // Step 4: Lock the round early if this was the last active player to pick (not in FIXTURE lock mode)
+      roundLocked = await lockRoundIfAllPicked(client, round_id, competition_id, authenticated_user_id);
     });
 
     // === SUCCESS RESPONSE ===
@@ -289,15 +343,24 @@ router.post('/', verifyToken, async (req, res) => {
       message: "Pick saved successfully",
       pick: {
         id: savedPick.id,                             // Pick database ID for future operations
-        team: selected_team_short,                    // Short team name for API consistency  
-        team_full_name: selected_team_full,           // Full team name for rich display
+        team: validation.selected_team_short,         // Short team name for API consistency
+        team_full_name: validation.selected_team_full, // Full team name for rich display
         fixture_id: fixture_id,                       // Fixture ID for context
         fixture: `${validation.home_team} v ${validation.away_team}`, // Human-readable fixture description
         created_at: savedPick.created_at              // ISO datetime when pick was created/updated
-      }
+      },
+      round_locked: roundLocked                       // Everyone has picked - picks are now visible
     });
 
   } catch (error) {
+    // Validation failures thrown inside the transaction
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
     // === ERROR HANDLING ===
     // Log detailed error for debugging but return generic message to client for security
     console.error('Set pick error:', error);
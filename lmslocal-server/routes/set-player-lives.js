@@ -0,0 +1,166 @@
+/*
+=======================================================================================================================================
+API Route: set-player-lives
+=======================================================================================================================================
+Method: POST
+Purpose: Allow competition organiser to manually set a player's remaining lives (e.g. to settle a dispute), with a mandatory
+         reason recorded in the audit log. Status follows the new lives: 0 marks an active player OUT, and giving an OUT player
+         lives brings them back in (the same status changes eliminate-player / reinstate-player make).
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition ID the player belongs to
+  "player_id": 456,                   // integer, required - Player ID to update
+  "lives_remaining": 2,               // integer, required - New number of remaining lives (0 or more)
+  "reason": "Pick lost to app outage" // string, required - Why the change was made (max 500 characters)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Lives updated for Kate Smith",  // string, success confirmation message
+  "player": {
+    "id": 456,                        // integer, updated player ID
+    "name": "Kate Smith",             // string, player display name
+    "status": "active",               // string, player status after the change ('OUT' with 0 lives, otherwise 'active')
+    "previous_status": "OUT",         // string, player status before the change
+    "previous_lives": 1,              // integer, lives before the change
+    "lives_remaining": 2              // integer, lives after the change
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing or invalid competition_id, player_id, lives_remaining or reason
+"UNAUTHORIZED"          - Invalid JWT token or user is not competition organiser
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"PLAYER_NOT_FOUND"      - Player is not a member of this competition
+"LIVES_UNCHANGED"       - Player already has the requested number of lives
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { validateReason, loadPlayerForAdmin, auditPlayerChange } = require('../services/playerAdminService');
+const router = express.Router();
+
+// POST endpoint with organiser authorization and atomic transaction safety for lives adjustments
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id, player_id, lives_remaining, reason } = req.body;
+
+    // STEP 1: Validate required input parameters with strict type checking
+    if (!competition_id || !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required and must be an integer"
+      });
+    }
+
+    if (!player_id || !Number.isInteger(player_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Player ID is required and must be an integer"
+      });
+    }
+
+    if (!Number.isInteger(lives_remaining) || lives_remaining < 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Lives remaining must be a whole number of 0 or more"
+      });
+    }
+
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: reasonError
+      });
+    }
+
+    // STEP 2: Update lives and write the audit entry atomically
+    const transactionResult = await transaction(async (client) => {
+      const player = await loadPlayerForAdmin(client, competition_id, player_id);
+
+      if (player.lives_remaining === lives_remaining) {
+        throw {
+          return_code: "LIVES_UNCHANGED",
+          message: `${player.player_name} already has ${lives_remaining} ${lives_remaining === 1 ? 'life' : 'lives'}`
+        };
+      }
+
+      // A player with no lives left is out, and one given lives is back in
+      const status = lives_remaining === 0 ? 'OUT' : player.status === 'OUT' ? 'active' : player.status;
+
+      await client.query(`
+        UPDATE competition_user
+        SET lives_remaining = $3, status = $4
+        WHERE competition_id = $1 AND user_id = $2
+      `, [competition_id, player_id, lives_remaining, status]);
+
+      await auditPlayerChange(client, {
+        competition_id,
+        player_id,
+        action: 'Player Lives Set',
+        player,
+        previous: { status: player.status, lives_remaining: player.lives_remaining },
+        updated: { status, lives_remaining },
+        reason,
+        admin: req.user
+      });
+
+      return {
+        return_code: "SUCCESS",
+        message: `Lives updated for ${player.player_name}`,
+        player: {
+          id: player_id,
+          name: player.player_name,
+          status: status,
+          previous_status: player.status,
+          previous_lives: player.lives_remaining,
+          lives_remaining: lives_remaining
+        }
+      };
+    });
+
+    // Return transaction result with HTTP 200 status as per API standards
+    return res.json(transactionResult);
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Set player lives error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      player_id: req.body?.player_id,
+      admin_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to update player lives"
+    });
+  }
+});
+
+module.exports = router;
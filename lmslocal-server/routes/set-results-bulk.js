@@ -0,0 +1,415 @@
+/*
+=======================================================================================================================================
+API Route: set-results-bulk
+=======================================================================================================================================
+Method: POST
+Purpose: Sets the results for a whole round in one request - from a list (results screen) or an uploaded CSV of final scores.
+         Every line is validated against the round's fixtures first; if any line is invalid nothing is written and all errors
+         are returned together. Valid results are applied in one transaction, optionally followed by calculate-results.
+         Lines identify a fixture by fixture_id or by home/away team name (full name, short code or close spelling).
+         When a line has a score it is stored on the fixture and the result derived from it; a bare result clears any stored score.
+=======================================================================================================================================
+Request Payload:
+{
+  "round_id": 45,                              // integer, required - Round the results belong to
+  "results": [                                 // array, required unless csv given
+    { "fixture_id": 16, "result": "home_win" },                    // result: home_win, away_win, draw, postponed, void (or H/A/D)
+    { "home_team": "Arsenal", "away_team": "Chelsea", "home_score": 2, "away_score": 1 }  // or a final score
+  ],
+  "csv": "HomeTeam,AwayTeam,FTHG,FTAG\n...",   // string, optional - CSV instead of results (see columns below)
+  "calculate": false                           // boolean, optional - run calculate-results after saving (default false)
+}
+
+Accepted CSV columns (case-insensitive):
+  fixture:   fixture_id, or home (home, home_team, HomeTeam) + away (away, away_team, AwayTeam)
+  result:    result, FTR                                  (home_win/away_win/draw/postponed/void or H/A/D/P/V)
+  score:     home_score + away_score, FTHG + FTAG, or score ("2-1")
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "10 results saved",
+  "fixtures": [                                // array, fixtures updated by this request
+    { "id": 16, "home_team": "Arsenal", "away_team": "Chelsea", "result": "ARS", "home_score": 2, "away_score": 1, "changed": true }
+  ],
+  "results_saved": 10,                         // integer, fixtures whose result was set or changed
+  "requires_recalculation": false,             // boolean, a changed fixture was already calculated (recalculation needed)
+  "calculation": {                             // object, only when calculate=true
+    "return_code": "SUCCESS",                  // string, calculation outcome (results stay saved if this fails)
+    "message": "Pick outcomes calculated successfully",
+    "results": { ... }                         // object, same statistics as calculate-results
+  }
+}
+
+Validation Response (ALWAYS HTTP 200):
+{
+  "return_code": "VALIDATION_ERROR",
+  "message": "2 result lines are invalid - nothing was saved",
+  "errors": [ { "line": 3, "message": "No fixture Arsenal v Spurs in this round" } ]
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing/invalid payload or one or more invalid result lines (see errors)
+"ROUND_NOT_FOUND"       - Round does not exist
+"UNAUTHORIZED"          - User has no results permission for this competition
+"ROUND_NOT_LOCKED"      - Win/draw results cannot be set before the round locks (postponed/void may be set any time)
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query, transaction } = require('../database');
+const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { effectiveLockTimeSql, isRoundLockedSql } = require('../utils/roundLock');
+const { normaliseResult, scoreToResult, parseGoals, toStoredResult, isVoidResult, scoreLine } = require('../utils/fixtureResult');
+const { parseCsv } = require('../utils/csvParser');
+const { createTeamMatcher } = require('../utils/teamMatcher');
+const { calculateRoundResults, rollbackRoundResults } = require('../services/resultsService');
+const router = express.Router();
+
+// Column/key names accepted for each field, compared case-insensitively
+const FIELD_KEYS = {
+  fixture_id: ['fixture_id'],
+  home: ['home', 'home_team', 'hometeam'],
+  away: ['away', 'away_team', 'awayteam'],
+  result: ['result', 'ftr'],
+  home_score: ['home_score', 'fthg'],
+  away_score: ['away_score', 'ftag'],
+  score: ['score']
+};
+
+const MAX_LINES = 100;
+
+/**
+ * Read a field from a result line using any of its accepted keys
+ * @param {Object} line - Result line (request object or CSV record)
+ * @param {string} field - Key of FIELD_KEYS
+ * @returns {*} Field value or null
+ */
+const readField = (line, field) => {
+  const key = Object.keys(line).find(k => FIELD_KEYS[field].includes(k.toLowerCase()));
+  return key === undefined || line[key] === '' ? null : line[key];
+};
+
+/**
+ * Work out the result option and score for one line from its result and score fields
+ * @param {Object} line - Result line
+ * @returns {Object} { result, home_score, away_score } (scores null when not given) or { error }
+ */
+const resolveLineResult = (line) => {
+  const resultValue = readField(line, 'result');
+  const hasScore = ['home_score', 'away_score', 'score'].some(field => {
+    const value = readField(line, field);
+    return value !== null && value !== undefined;
+  });
+
+  let result = null;
+  if (resultValue !== null && resultValue !== undefined) {
+    result = normaliseResult(String(resultValue));
+    if (!result) return { error: `Unrecognised result "${resultValue}"` };
+    if (!hasScore) return { result, home_score: null, away_score: null };
+  }
+
+  let homeScore = parseGoals(readField(line, 'home_score'));
+  let awayScore = parseGoals(readField(line, 'away_score'));
+
+  const score = readField(line, 'score');
+  if (score !== null && score !== undefined) {
+    const match = /^\s*(\d+)\s*[-:]\s*(\d+)\s*$/.exec(String(score));
+    if (!match) return { error: `Unrecognised score "${score}"` };
+    homeScore = parseGoals(match[1]);
+    awayScore = parseGoals(match[2]);
+  }
+
+  if (homeScore === null || awayScore === null) {
+    return { error: hasScore ? 'Home and away scores must be whole numbers' : 'A result or a home and away score is required' };
+  }
+
+  // The score decides the result - a contradicting result column is almost certainly a typo
+  const scoreResult = scoreToResult(homeScore, awayScore);
+  if (result && result !== scoreResult) {
+    return { error: `Result "${resultValue}" does not match the score ${homeScore}-${awayScore}` };
+  }
+
+  return { result: scoreResult, home_score: homeScore, away_score: awayScore };
+};
+
+router.post('/', verifyToken, requireCompetitionPermission('results'), async (req, res) => {
+  try {
+    const { round_id, results, csv, calculate = false } = req.body;
+    const user_id = req.user.id;
+
+    // === INPUT VALIDATION ===
+    if (!round_id || !Number.isInteger(round_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Round ID is required and must be a number"
+      });
+    }
+
+    if ((results === undefined) === (csv === undefined)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Provide either a results list or csv"
+      });
+    }
+
+    if (typeof calculate !== 'boolean') {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Calculate must be a boolean"
+      });
+    }
+
+    let lines;
+    if (csv !== undefined) {
+      if (typeof csv !== 'string' || !csv.trim()) {
+        return res.json({
+          return_code: "VALIDATION_ERROR",
+          message: "CSV must be a non-empty string"
+        });
+      }
+      lines = parseCsv(csv);
+    } else {
+      if (!Array.isArray(results) || results.some(line => !line || typeof line !== 'object')) {
+        return res.json({
+          return_code: "VALIDATION_ERROR",
+          message: "Results must be an array of result objects"
+        });
+      }
+      lines = results;
+    }
+
+    if (lines.length === 0 || lines.length > MAX_LINES) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Between 1 and ${MAX_LINES} results are required`
+      });
+    }
+
+    // === ROUND, PERMISSIONS AND FIXTURES ===
+    const fixturesResult = await query(`
+      SELECT
+        r.id as round_id,
+        r.round_number,
+        r.competition_id,
+        ${effectiveLockTimeSql('r')} as lock_time,
+        ${isRoundLockedSql('r')} as is_round_locked,
+        c.organiser_id,
+        f.id,
+        f.home_team,
+        f.away_team,
+        f.home_team_short,
+        f.away_team_short,
+        f.result,
+        f.home_score,
+        f.away_score,
+        f.processed
+      FROM round r
+      INNER JOIN competition c ON c.id = r.competition_id
+      LEFT JOIN fixture f ON f.round_id = r.id
+      WHERE r.id = $1 AND r.competition_id = $2
+      ORDER BY f.kickoff_time, f.id
+    `, [round_id, req.competitionAccess.competition_id]);
+
+    if (fixturesResult.rows.length === 0) {
+      return res.json({
+        return_code: "ROUND_NOT_FOUND",
+        message: "Round not found"
+      });
+    }
+
+    const round = fixturesResult.rows[0];
+
+    const fixtures = fixturesResult.rows.filter(row => row.id !== null);
+
+    // Teams playing this round, keyed by short code, for matching names typed or exported by a results feed
+    const teams = [...new Map(fixtures.flatMap(fixture => [
+      [fixture.home_team_short, { id: fixture.home_team_short, name: fixture.home_team, short_name: fixture.home_team_short }],
+      [fixture.away_team_short, { id: fixture.away_team_short, name: fixture.away_team, short_name: fixture.away_team_short }]
+    ])).values()];
+    const matchTeam = createTeamMatcher(teams);
+
+    // === VALIDATE EVERY LINE BEFORE WRITING ANYTHING ===
+    const errors = [];
+    const updates = new Map(); // fixture id -> { fixture, result }
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+      let fixture;
+
+      const fixtureId = readField(line, 'fixture_id');
+      if (fixtureId !== null && fixtureId !== undefined) {
+        fixture = fixtures.find(f => f.id === parseInt(fixtureId, 10));
+        if (!fixture) {
+          errors.push({ line: lineNumber, message: `Fixture ${fixtureId} is not in this round` });
+          return;
+        }
+      } else {
+        const homeName = readField(line, 'home');
+        const awayName = readField(line, 'away');
+        if (!homeName || !awayName) {
+          errors.push({ line: lineNumber, message: 'fixture_id or home and away team are required' });
+          return;
+        }
+
+        const home = matchTeam(String(homeName));
+        const away = matchTeam(String(awayName));
+        fixture = home && away && fixtures.find(f => f.home_team_short === home.team.short_name && f.away_team_short === away.team.short_name);
+        if (!fixture) {
+          errors.push({ line: lineNumber, message: `No fixture ${homeName} v ${awayName} in this round` });
+          return;
+        }
+      }
+
+      const { result, home_score, away_score, error } = resolveLineResult(line);
+      if (error) {
+        errors.push({ line: lineNumber, message: error });
+        return;
+      }
+
+      if (updates.has(fixture.id)) {
+        errors.push({ line: lineNumber, message: `${fixture.home_team} v ${fixture.away_team} appears more than once` });
+        return;
+      }
+
+      updates.set(fixture.id, { fixture, result, home_score, away_score });
+    });
+
+    if (errors.length > 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `${errors.length} result line${errors.length === 1 ? ' is' : 's are'} invalid - nothing was saved`,
+        errors
+      });
+    }
+
+    // Same business rule as set-fixture-result: only postponed/void before the round locks
+    if (!round.is_round_locked && [...updates.values()].some(update => !isVoidResult(update.result))) {
+      return res.json({
+        return_code: "ROUND_NOT_LOCKED",
+        message: `Cannot set fixture results before round lock time. Round locks at ${new Date(round.lock_time).toISOString()}`
+      });
+    }
+
+    // === APPLY ALL RESULTS ATOMICALLY ===
+    const saved = await transaction(async (client) => {
+      const savedFixtures = [];
+
+      for (const { fixture, result, home_score, away_score } of updates.values()) {
+        const resultString = toStoredResult(result, fixture);
+        const resultChanged = fixture.result !== resultString;
+        const changed = resultChanged || fixture.home_score !== home_score || fixture.away_score !== away_score;
+
+        if (changed) {
+          await client.query(`
+            UPDATE fixture SET result = $1, home_score = $2, away_score = $3 WHERE id = $4
+          `, [resultString, home_score, away_score, fixture.id]);
+        }
+
+        savedFixtures.push({
+          id: fixture.id,
+          home_team: fixture.home_team,
+          away_team: fixture.away_team,
+          result: resultString,
+          home_score,
+          away_score,
+          changed,
+          // Changing a calculated result leaves outcomes and lives stale until the round is recalculated (a score alone does not)
+          needs_recalculation: resultChanged && fixture.processed !== null
+        });
+      }
+
+      const changedFixtures = savedFixtures.filter(fixture => fixture.changed);
+      if (changedFixtures.length > 0) {
+        await client.query(`
+          INSERT INTO audit_log (competition_id, user_id, action, details)
+          VALUES ($1, $2, 'FIXTURE_RESULTS_BULK_SET', $3)
+        `, [
+          round.competition_id,
+          user_id,
+          `Set ${changedFixtures.length} results in Round ${round.round_number}: ` +
+            changedFixtures.map(fixture => scoreLine(fixture) || `${fixture.home_team} v ${fixture.away_team} ${fixture.result}`).join(', ')
+        ]);
+      }
+
+      return savedFixtures;
+    });
+
+    const resultsSaved = saved.filter(fixture => fixture.changed).length;
+    const requiresRecalculation = saved.some(fixture => fixture.needs_recalculation);
+
+    // === OPTIONAL RESULT CALCULATION ===
+    // Separate transaction - saved results are kept even if the calculation is refused (e.g. a later round is already processed)
+    let calculation;
+    if (calculate) {
+      try {
+        const stats = await transaction(async (client) => {
+          if (requiresRecalculation) {
+            await rollbackRoundResults(client, round_id);
+          }
+
+          const roundStats = await calculateRoundResults(client, round_id, user_id);
+
+          await client.query(`
+            INSERT INTO audit_log (competition_id, user_id, action, details)
+            VALUES ($1, $2, $3, $4)
+          `, [
+            round.competition_id,
+            user_id,
+            requiresRecalculation ? 'Results Recalculated' : 'Results Calculated',
+            `${requiresRecalculation ? 'Recalculated' : 'Calculated'} outcomes for Round ${round.round_number} after bulk result entry: ` +
+              `${roundStats.processed} picks processed, ${roundStats.activePlayers} players remaining`
+          ]);
+
+          return roundStats;
+        });
+
+        calculation = {
+          return_code: "SUCCESS",
+          message: stats.competitionComplete
+            ? "Results calculated - Competition completed!"
+            : requiresRecalculation ? "Round results recalculated successfully" : "Pick outcomes calculated successfully",
+          results: stats
+        };
+      } catch (calculationError) {
+        if (!calculationError.return_code) {
+          console.error('Bulk results calculation error:', calculationError);
+        }
+        calculation = {
+          return_code: calculationError.return_code || "SERVER_ERROR",
+          message: calculationError.return_code ? calculationError.message : "Results saved but calculation failed"
+        };
+      }
+    }
+
+    res.json({
+      return_code: "SUCCESS",
+      message: `${resultsSaved} result${resultsSaved === 1 ? '' : 's'} saved`,
+      fixtures: saved.map(({ id, home_team, away_team, result, home_score, away_score, changed }) => ({
+        id, home_team, away_team, result, home_score, away_score, changed
+      })),
+      results_saved: resultsSaved,
+      requires_recalculation: requiresRecalculation && !(calculation && calculation.return_code === 'SUCCESS'),
+      ...(calculation && { calculation })
+    });
+
+  } catch (error) {
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    console.error('Set results bulk error:', error);
+    res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to set fixture results"
+    });
+  }
+});
+
+module.exports = router;
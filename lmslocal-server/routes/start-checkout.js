@@ -0,0 +1,160 @@
+/*
+=======================================================================================================================================
+API Route: start-checkout
+=======================================================================================================================================
+Method: POST
+Purpose: Start paying for a plan - either activating one competition (£39) or a monthly subscription (£19/month) that unlocks
+         every competition the user owns. Records a pending plan_payment and returns the payment provider's checkout link;
+         complete-checkout applies the payment once the provider confirms it.
+=======================================================================================================================================
+Request Payload:
+{
+  "plan": "COMPETITION",              // string, required - COMPETITION or MONTHLY
+  "competition_id": 123               // integer, required for COMPETITION - Competition to activate (owner only)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "payment": {
+    "id": 17,                         // integer, plan payment ID
+    "plan": "COMPETITION",            // string, plan being paid for
+    "amount_pence": 3900,             // integer, amount in pence
+    "currency": "GBP",                // string, currency code
+    "status": "PENDING"               // string, always PENDING until complete-checkout
+  },
+  "checkout_url": "https://..."       // string, page where the user completes the payment
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Unknown plan or missing competition_id for COMPETITION
+"UNAUTHORIZED"          - Invalid JWT token or user does not own the competition
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"ALREADY_ACTIVATED"     - Competition is already activated or covered by a current subscription
+"PAYMENTS_UNAVAILABLE"  - No payment provider is configured
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { getCompetitionRole, hasPermission } = require('../middleware/competitionRole');
+const { PLANS, getActivationState } = require('../services/planService');
+const { getPaymentProvider } = require('../services/paymentProvider');
+const router = express.Router();
+
+// POST endpoint - competition activation is paid by the competition owner; anyone can subscribe for themselves
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { plan, competition_id } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input
+    const selectedPlan = PLANS[plan];
+    if (!selectedPlan) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: `Plan must be one of: ${Object.keys(PLANS).join(', ')}`
+      });
+    }
+
+    if (plan === 'COMPETITION' && !Number.isInteger(competition_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Competition ID is required to activate a competition"
+      });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.json({
+        return_code: "PAYMENTS_UNAVAILABLE",
+        message: "Payments are not available at the moment - please try again later"
+      });
+    }
+
+    // STEP 2: Competition activation - owner only, and only if not already unlocked
+    let returnPath = '/dashboard';
+    if (plan === 'COMPETITION') {
+      const access = await getCompetitionRole(competition_id, user_id);
+      if (!access) {
+        return res.json({
+          return_code: "COMPETITION_NOT_FOUND",
+          message: "Competition not found"
+        });
+      }
+      if (!hasPermission(access.role, 'owner')) {
+        return res.json({
+          return_code: "UNAUTHORIZED",
+          message: "Only the competition owner can activate the competition"
+        });
+      }
+
+      const state = await getActivationState(competition_id);
+      if (state.is_activated) {
+        return res.json({
+          return_code: "ALREADY_ACTIVATED",
+          message: state.activated_via === 'MONTHLY'
+            ? "Your monthly subscription already covers this competition"
+            : "This competition is already activated"
+        });
+      }
+
+      returnPath = `/competition/${competition_id}/dashboard`;
+    }
+
+    // STEP 3: Record the pending payment, then hand over to the provider
+    const paymentResult = await query(`
+      INSERT INTO plan_payment (user_id, competition_id, plan, amount_pence, currency, provider, status, created_at)
+      VALUES ($1, $2, $3, $4, 'GBP', $5, 'PENDING', NOW())
+      RETURNING id, plan, amount_pence, currency, status
+    `, [user_id, plan === 'COMPETITION' ? competition_id : null, plan, selectedPlan.amount_pence, provider.name]);
+
+    const payment = paymentResult.rows[0];
+
+    const checkout = await provider.createCheckout({
+      payment_id: payment.id,
+      amount_pence: payment.amount_pence,
+      currency: payment.currency,
+      description: `LMS Local - ${selectedPlan.name}`,
+      return_path: returnPath
+    });
+
+    await query(`
+      UPDATE plan_payment SET provider_reference = $2 WHERE id = $1
+    `, [payment.id, checkout.provider_reference]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      payment: payment,
+      checkout_url: checkout.checkout_url
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Start checkout error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      plan: req.body?.plan,
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to start checkout"
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,14 @@
 API Route: team-lists
 =======================================================================================================================================
 Method: POST
-Purpose: Retrieve all available team lists for competition creation with team counts and comprehensive filtering
+Purpose: Retrieve all available team lists for competition creation with team counts and comprehensive filtering.
+         Shared lists are visible to everyone, personal lists only to their creator, and an organisation's own lists only
+         to its members. can_edit tells the team list management screen which lists the user may change.
 =======================================================================================================================================
 Request Payload:
 {
-  // No payload required - returns all active team lists
+  "organisation_id": 12,              // integer, optional - Only return shared lists plus this organisation's lists
+  "include_archived": true            // boolean, optional - Also return archived lists (default: false)
 }
 
 Success Response (ALWAYS HTTP 200):
@@ -21,6 +24,11 @@ Success Response (ALWAYS HTTP 200):
       "season": "2024/25",            // string, season identifier
       "team_count": 20,               // integer, number of active teams in this list
       "description": "English Premier League", // string, optional description
+      "organisation_id": null,        // integer, owning organisation (null for shared lists)
+      "organisation_name": null,      // string, owning organisation name (null for shared lists)
+      "is_personal": false,           // boolean, true for the user's own personal list
+      "can_edit": false,              // boolean, true when the user can edit the list and its teams
+      "is_active": true,              // boolean, false for archived lists (only returned with include_archived)
       "created_at": "2024-08-01T10:00:00Z" // string, ISO datetime when list was created
     }
   ],
@@ -46,12 +54,15 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { teamListVisibleSql, teamListEditableSql } = require('../services/teamListService');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication and enhanced team list information
 router.post('/', verifyToken, async (req, res) => {
   try {
     const user_id = req.user.id; // Set by verifyToken middleware
+    const organisation_id = Number.isInteger(req.body?.organisation_id) ? req.body.organisation_id : null;
+    const include_archived = req.body?.include_archived === true;
 
     // Single comprehensive query to get all active team lists with detailed information
     // This query provides team counts, descriptions, and metadata in one optimized database call
@@ -63,6 +74,10 @@ router.post('/', verifyToken, async (req, res) => {
         tl.type,
         tl.season,
         tl.created_at,
+        tl.organisation_id,
+        o.name as organisation_name,
+        tl.created_by,
+        ${teamListEditableSql('tl', '$1')} as can_edit,
         -- Count active teams in each list
         COUNT(t.id) as team_count,
         -- Additional metadata for frontend display
@@ -71,12 +86,17 @@ router.post('/', verifyToken, async (req, res) => {
       FROM team_list tl
       -- LEFT JOIN to include team lists even if they have no teams yet
       LEFT JOIN team t ON t.team_list_id = tl.id AND t.is_active = true
-      WHERE tl.is_active = true  -- Only show active team lists
-      GROUP BY tl.id, tl.name, tl.type, tl.season, tl.created_at, tl.is_active, tl.updated_at
-      ORDER BY tl.name ASC  -- Alphabetical order for consistent frontend display
+      LEFT JOIN organisation o ON tl.organisation_id = o.id
+      WHERE ($3 OR tl.is_active = true)  -- Archived lists only for the management screen
+        -- Shared, own personal and own organisations' lists
+        AND ${teamListVisibleSql('tl', '$1')}
+        -- Only the requested organisation's lists when filtering
+        AND (tl.organisation_id IS NULL OR $2::integer IS NULL OR tl.organisation_id = $2)
+      GROUP BY tl.id, tl.name, tl.type, tl.season, tl.created_at, tl.is_active, tl.updated_at, o.name
+      ORDER BY tl.organisation_id IS NULL, tl.created_by IS NULL, tl.name ASC  -- Organisation, then personal, then shared
     `;
 
-    const result = await query(teamListsQuery, []);
+    const result = await query(teamListsQuery, [user_id, organisation_id, include_archived]);
 
     // Calculate summary statistics for frontend context
     let totalTeams = 0;
@@ -90,6 +110,11 @@ router.post('/', verifyToken, async (req, res) => {
         type: row.type,
         season: row.season,
         team_count: teamCount,
+        organisation_id: row.organisation_id,
+        organisation_name: row.organisation_name,
+        is_personal: row.organisation_id === null && row.created_by !== null,
+        can_edit: row.can_edit,
+        is_active: row.is_active,
         created_at: row.created_at
       };
     });
@@ -4,6 +4,7 @@ API Route: unselect-pick
 =======================================================================================================================================
 Method: POST
 Purpose: Removes a player's pick for a round with atomic transaction safety and team restoration
+         In FIXTURE lock mode a pick can be removed until its own fixture kicks off
 =======================================================================================================================================
 Request Payload:
 {
@@ -37,13 +38,17 @@ Return Codes:
 "ROUND_NOT_FOUND"
 "NO_PICK_FOUND"
 "ROUND_LOCKED"
+"FIXTURE_LOCKED"
 "SERVER_ERROR"
 =======================================================================================================================================
 */
 
 const express = require('express');
-const { query, transaction } = require('../database');
+const { transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { hasPermissionSql } = require('../middleware/competitionRole');
+const { isFixtureLockedSql, lockRoundForPicks } = require('../utils/roundLock');
+const { usedTeamSql } = require('../services/resultsService');
 const router = express.Router();
 router.post('/', verifyToken, async (req, res) => {
   try {
@@ -69,7 +74,8 @@ router.post('/', verifyToken, async (req, res) => {
     // 4. User's lives remaining lookup
     // 5. User authorization check
     // Now performs all validation and data gathering in ONE efficient query
-    const validationResult = await query(`
+    // Runs inside the transaction once the round is locked, so a pick saved or locked meanwhile is seen
+    const validationSql = `
       SELECT 
         -- === ROUND AND COMPETITION INFO ===
         r.id as round_id,                             -- Round identifier for validation
@@ -78,6 +84,7 @@ router.post('/', verifyToken, async (req, res) => {
         r.round_number,                               -- Round number for audit logging
         c.organiser_id,                               -- Competition organiser (for admin permission check)
         c.name as competition_name,                   -- Competition name for audit purposes
+        c.pick_lock_mode,                             -- ROUND (one lock per round) or FIXTURE (each pick locks at kickoff)
         
         -- === PICK DETAILS (IF EXISTS) ===
         p.id as pick_id,                              -- Pick database ID for deletion
@@ -85,7 +92,8 @@ router.post('/', verifyToken, async (req, res) => {
         p.fixture_id as pick_fixture_id,              -- Fixture ID for context
         
         -- === TEAM AND FIXTURE INFO ===
-        t.id as team_id,                              -- Team database ID for allowed_teams restoration
+        t.id as team_id,                              -- Team database ID
+        used_team.id as used_team_id,                 -- Team the pick used up (opponent in LOSER mode) for allowed_teams restoration
         t.name as team_full_name,                     -- Full team name for display
         f.home_team,                                  -- Home team in fixture (for display)
         f.away_team,                                  -- Away team in fixture (for display)
@@ -96,9 +104,9 @@ router.post('/', verifyToken, async (req, res) => {
         cu.user_id as is_member,                      -- Non-null if user is competition member
         
         -- === AUTHORIZATION FLAGS ===
-        CASE WHEN c.organiser_id = $2 THEN true ELSE false END as is_admin,                      -- Authenticated user is organiser
+        ${hasPermissionSql('c', '$2', 'manage')} as is_admin,                                   -- Authenticated user is owner or co-organiser
         CASE WHEN $3 = $2 THEN true ELSE false END as is_own_pick,                               -- User is removing own pick
-        CASE WHEN CURRENT_TIMESTAMP >= r.lock_time THEN true ELSE false END as is_round_locked   -- Round is locked for picks
+        ${isFixtureLockedSql('f', 'r', 'c')} as is_pick_locked -- Round lock, or the picked fixture's kickoff in FIXTURE mode
         
       FROM round r
       INNER JOIN competition c ON r.competition_id = c.id
@@ -109,71 +117,74 @@ router.post('/', verifyToken, async (req, res) => {
       
       -- === TEAM DETAILS ===
       -- Get full team information for the picked team
-      LEFT JOIN team t ON t.short_name = p.team AND t.is_active = true
+      LEFT JOIN team t ON t.short_name = p.team AND t.team_list_id = c.team_list_id AND t.is_active = true
       
       -- === FIXTURE CONTEXT ===
       -- Get fixture details for display context
       LEFT JOIN fixture f ON f.id = p.fixture_id
+      LEFT JOIN team used_team ON used_team.short_name = ${usedTeamSql({
+        team: 'p.team',
+        homeTeam: 'f.home_team_short',
+        awayTeam: 'f.away_team_short',
+        gameMode: 'c.game_mode'
+      })} AND used_team.team_list_id = c.team_list_id AND used_team.is_active = true
       
       -- === USER COMPETITION MEMBERSHIP ===
       -- Verify user is member of this competition and get status info
-      LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $3
+      LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $3 AND cu.removed_at IS NULL
       
       WHERE r.id = $1  -- Filter to requested round only
-    `, [round_id, authenticated_user_id, target_user_id]);
+    `;
+    const validationParams = [round_id, authenticated_user_id, target_user_id];
 
-    // === COMPREHENSIVE VALIDATION CHECKS ===
-    // Check if round exists and all validation data is available
-    if (validationResult.rows.length === 0) {
-      return res.json({
-        return_code: "ROUND_NOT_FOUND",
-        message: "Round not found or access denied"
-      });
-    }
+    // === ATOMIC TRANSACTION EXECUTION ===
+    // Execute all database operations in single transaction to ensure data consistency
+    // If any operation fails, all changes are rolled back automatically
+    let validation = null;
+    let competition_id = null;
+    let is_admin = false;
+    let is_own_pick = false;
+    await transaction(async (client) => {
+      // Serialise with pick transactions for this round, so the last-pick round lock never sees a pick that is being removed
+      await lockRoundForPicks(client, round_id);
 
-    const validation = validationResult.rows[0];
+      const validationResult = await client.query(validationSql, validationParams);
 
-    // Extract key validation data for business logic
-    const competition_id = validation.competition_id;
-    const is_admin = validation.is_admin;
-    const is_own_pick = validation.is_own_pick;
+      // === COMPREHENSIVE VALIDATION CHECKS ===
+      // Check if round exists and all validation data is available
+      if (validationResult.rows.length === 0) {
+        throw { return_code: "ROUND_NOT_FOUND", message: "Round not found or access denied" };
+      }
 
-    // Authorization: Players can only remove own picks, admins can remove any pick
-    if (!is_admin && !is_own_pick) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "You can only remove your own pick unless you are the competition organiser"
-      });
-    }
+      validation = validationResult.rows[0];
 
-    // Verify target user is member of this competition
-    if (!validation.is_member) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Target user is not part of this competition"
-      });
-    }
+      // Extract key validation data for business logic
+      competition_id = validation.competition_id;
+      is_admin = validation.is_admin;
+      is_own_pick = validation.is_own_pick;
 
-    // Check if user has a pick to remove
-    if (!validation.pick_id) {
-      return res.json({
-        return_code: "NO_PICK_FOUND",
-        message: "No pick found for this round"
-      });
-    }
+      // Authorization: Players can only remove own picks, admins can remove any pick
+      if (!is_admin && !is_own_pick) {
+        throw { return_code: "UNAUTHORIZED", message: "You can only remove your own pick unless you are the competition organiser" };
+      }
 
-    // Check round lock status (admins can override)
-    if (!is_admin && validation.is_round_locked) {
-      return res.json({
-        return_code: "ROUND_LOCKED",
-        message: "This round is locked and picks cannot be changed"
-      });
-    }
+      // Verify target user is member of this competition
+      if (!validation.is_member) {
+        throw { return_code: "UNAUTHORIZED", message: "Target user is not part of this competition" };
+      }
+
+      // Check if user has a pick to remove
+      if (!validation.pick_id) {
+        throw { return_code: "NO_PICK_FOUND", message: "No pick found for this round" };
+      }
+
+      // Check lock status (admins can override)
+      if (!is_admin && validation.is_pick_locked) {
+        throw validation.pick_lock_mode === 'FIXTURE'
+          ? { return_code: "FIXTURE_LOCKED", message: "Your pick has already kicked off and cannot be removed" }
+          : { return_code: "ROUND_LOCKED", message: "This round is locked and picks cannot be changed" };
+      }
 
-    // === ATOMIC TRANSACTION EXECUTION ===
-    // Execute all database operations in single transaction to ensure data consistency
-    // If any operation fails, all changes are rolled back automatically
-    await transaction(async (client) => {
       // Step 1: Delete the pick from database
       await client.query(`
         DELETE FROM pick
@@ -181,12 +192,12 @@ router.post('/', verifyToken, async (req, res) => {
       `, [round_id, target_user_id]);
 
       // Step 2: Restore team to allowed_teams (unless admin - they can override rules)
-      if (!is_admin && validation.team_id) {
+      if (!is_admin && validation.used_team_id) {
         await client.query(`
           INSERT INTO allowed_teams (competition_id, user_id, team_id)
           VALUES ($1, $2, $3)
           ON CONFLICT (competition_id, user_id, team_id) DO NOTHING
-        `, [competition_id, target_user_id, validation.team_id]);
+        `, [competition_id, target_user_id, validation.used_team_id]);
       }
 
       // Step 3: Add comprehensive audit log for administrative tracking
@@ -230,6 +241,14 @@ router.post('/', verifyToken, async (req, res) => {
 
   } catch (error) {
     // === ERROR HANDLING ===
+    // Validation failures thrown from inside the transaction
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
     // Log detailed error for debugging but return generic message to client for security
     console.error('Unselect pick error:', error);
     res.json({
@@ -0,0 +1,110 @@
+/*
+=======================================================================================================================================
+API Route: update-organisation
+=======================================================================================================================================
+Method: POST
+Purpose: Allow organisation admins to rename the organisation or change its branding. Only fields sent are changed;
+         send null for logo_url or brand_colour to clear them.
+=======================================================================================================================================
+Request Payload:
+{
+  "organisation_id": 12,              // integer, required - Organisation to update
+  "name": "The Red Lion Group",       // string, optional - New organisation name
+  "logo_url": "https://...",          // string|null, optional - New logo link, or null to remove
+  "brand_colour": "#B91C1C"           // string|null, optional - New #RRGGBB brand colour, or null to remove
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Organisation updated successfully",  // string, success confirmation message
+  "organisation": {
+    "id": 12,                         // integer, organisation ID
+    "name": "The Red Lion Group",     // string, organisation name
+    "logo_url": "https://...",        // string, logo link (null if not set)
+    "brand_colour": "#B91C1C",        // string, brand colour (null if not set)
+    "updated_at": "2025-08-28T12:00:00Z" // string, ISO datetime of this update
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"       - Missing organisation_id, nothing to update, or invalid name/branding
+"UNAUTHORIZED"           - Invalid JWT token or user is not an organisation admin
+"ORGANISATION_NOT_FOUND" - Organisation does not exist in database
+"SERVER_ERROR"           - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query } = require('../database');
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { ORGANISATION_ADMIN_ROLES, requireOrganisationRole } = require('../middleware/organisationRole');
+const { validateOrganisationDetails } = require('../services/organisationService');
+const router = express.Router();
+
+// Fields that can be changed, in the order they are written
+const UPDATABLE_FIELDS = ['name', 'logo_url', 'brand_colour'];
+
+// POST endpoint - organisation admins only
+router.post('/', verifyToken, requireOrganisationRole(ORGANISATION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const { organisation_id } = req.body;
+
+    // STEP 1: Work out which fields were sent and validate them
+    const fields = UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Nothing to update - send name, logo_url or brand_colour"
+      });
+    }
+
+    const validationError = validateOrganisationDetails(req.body);
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    // STEP 2: Update only the fields that were sent
+    const values = fields.map(field => field === 'name' ? req.body.name.trim() : req.body[field]);
+    const result = await query(`
+      UPDATE organisation
+      SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, name, logo_url, brand_colour, updated_at
+    `, [organisation_id, ...values]);
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: "Organisation updated successfully",
+      organisation: result.rows[0]
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Update organisation error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      organisation_id: req.body?.organisation_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to update organisation"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/*
+=======================================================================================================================================
+API Route: update-payment-details
+=======================================================================================================================================
+Method: POST
+Purpose: Set how players pay the organiser - free-text payment instructions (bank details etc.) and a payment link, which players
+         also see as a QR code. Only fields sent are changed; send null or an empty string to clear one.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition to update
+  "payment_instructions": "Sort code 12-34-56, account 12345678", // string|null, optional - Instructions (max 1000 characters)
+  "payment_url": "https://paypal.me/example"  // string|null, optional - http(s) payment link (max 500 characters)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Payment details updated",  // string, success confirmation message
+  "payment": {
+    "payment_instructions": "Sort code 12-34-56, account 12345678", // string, instructions (null if not set)
+    "payment_url": "https://paypal.me/example",  // string, payment link (null if not set)
+    "qr_code": "data:image/png;base64,..."       // string, QR code image for payment_url (null if no link)
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Nothing to update, instructions too long or payment link not an http(s) link
+"UNAUTHORIZED"          - Invalid JWT token or user cannot manage this competition
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { validatePaymentDetails, generatePaymentQrCode } = require('../services/paymentDetailsService');
+const router = express.Router();
+
+// Fields that can be changed, in the order they are written
+const UPDATABLE_FIELDS = ['payment_instructions', 'payment_url'];
+
+// POST endpoint - organiser or co-organiser only
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input - blank values clear the field
+    const fields = UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Nothing to update - send payment_instructions or payment_url"
+      });
+    }
+
+    const values = fields.map(field => {
+      const value = req.body[field];
+      return typeof value === 'string' && !value.trim() ? null : value;
+    });
+    const details = Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+
+    const validationError = validatePaymentDetails(details);
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    const trimmedValues = values.map(value => (value === null ? null : value.trim()));
+
+    // STEP 2: Update and audit atomically
+    const updated = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE competition
+        SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+        WHERE id = $1
+        RETURNING payment_instructions, payment_url
+      `, [competition_id, ...trimmedValues]);
+
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+        VALUES ($1, $2, 'Payment Details Updated', $3, NOW())
+      `, [competition_id, user_id, JSON.stringify({ fields_changed: fields })]);
+
+      return result.rows[0];
+    });
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: "Payment details updated",
+      payment: {
+        payment_instructions: updated.payment_instructions,
+        payment_url: updated.payment_url,
+        qr_code: await generatePaymentQrCode(updated.payment_url)
+      }
+    });
+
+  } catch (error) {
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Update payment details error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to update payment details"
+    });
+  }
+});
+
+module.exports = router;
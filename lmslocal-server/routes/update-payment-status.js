@@ -4,13 +4,14 @@ API Route: update-payment-status
 =======================================================================================================================================
 Method: POST
 Purpose: Allow competition organiser to update payment status for players with atomic transaction safety and comprehensive audit logging
+         Every change in the amount paid is added to the prize pot ledger (ENTRY when first paid, CORRECTION otherwise)
 =======================================================================================================================================
 Request Payload:
 {
   "competition_id": 123,               // integer, required - Competition ID where payment is being updated
   "user_id": 456,                      // integer, required - Player ID to update payment for
   "paid": true,                        // boolean, required - Payment status (true = paid, false = unpaid)
-  "paid_amount": 25.00,                // number, optional - Amount paid (null if not specified)
+  "paid_amount": 25.00,                // number, optional - Amount paid (defaults to the competition entry fee when marking paid)
   "paid_date": "2025-01-15T10:30:00Z"  // string, optional - ISO datetime when paid (defaults to NOW() if paid=true)
 }
 
@@ -47,7 +48,7 @@ Return Codes:
 "SUCCESS"
 "VALIDATION_ERROR"      - Missing or invalid competition_id, user_id, or paid parameters
 "COMPETITION_NOT_FOUND" - Competition does not exist in database
-"UNAUTHORIZED"          - Invalid JWT token or user is not competition organiser
+"UNAUTHORIZED"          - Invalid JWT token or user has no payments permission for this competition
 "PLAYER_NOT_FOUND"      - Specified player is not participating in this competition
 "PAYMENT_UNCHANGED"     - Payment status is already set to the requested value
 "SERVER_ERROR"          - Database error or unexpected server failure
@@ -57,10 +58,12 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database'); // Use central database with transaction support
 const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { toPence, fromPence, recordLedgerEntry } = require('../services/prizePotService');
 const router = express.Router();
 
 // POST endpoint with comprehensive authentication, validation and atomic transaction safety for payment updates
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('payments'), async (req, res) => {
   try {
     const { competition_id, user_id, paid, paid_amount, paid_date } = req.body;
     const admin_id = req.user.id; // Set by verifyToken middleware
@@ -117,7 +120,8 @@ router.post('/', verifyToken, async (req, res) => {
           SELECT 
             c.id as competition_id,
             c.name as competition_name,
-            c.organiser_id
+            c.organiser_id,
+            c.entry_fee
           FROM competition c
           WHERE c.id = $1
         ),
@@ -131,12 +135,13 @@ router.post('/', verifyToken, async (req, res) => {
             cu.paid_date as current_paid_date
           FROM competition_user cu
           INNER JOIN app_user u ON cu.user_id = u.id
-          WHERE cu.competition_id = $1 AND cu.user_id = $2
+          WHERE cu.competition_id = $1 AND cu.user_id = $2 AND cu.removed_at IS NULL
         )
         SELECT 
           cd.competition_id,
           cd.competition_name,
           cd.organiser_id,
+          cd.entry_fee,
           pd.user_id as player_user_id,
           pd.player_name,
           pd.current_paid,
@@ -158,14 +163,6 @@ router.post('/', verifyToken, async (req, res) => {
 
       const data = validationResult.rows[0];
 
-      // Verify user authorization - only competition organiser can update payment status
-      if (data.organiser_id !== admin_id) {
-        throw {
-          return_code: "UNAUTHORIZED",
-          message: "Only the competition organiser can update payment status"
-        };
-      }
-
       // Check if player exists in this competition
       if (!data.player_user_id) {
         throw {
@@ -190,14 +187,14 @@ router.post('/', verifyToken, async (req, res) => {
       }
 
       // Prepare payment data based on business rules
-      // If marking as paid: use provided date or current timestamp
+      // If marking as paid: use provided date or current timestamp, and the entry fee when no amount is sent
       // If marking as unpaid: clear date and amount
       const finalPaidDate = paid 
         ? (paid_date || new Date().toISOString()) 
         : null;
       
       const finalPaidAmount = paid 
-        ? (paid_amount || null)  // Allow null amount even when paid (e.g., free competitions)
+        ? (paid_amount !== undefined ? (paid_amount || null) : (data.entry_fee ?? null))  // Allow null amount even when paid (e.g., free competitions)
         : null;  // Clear amount when marking as unpaid
 
       // Atomic payment status update with optimistic concurrency
@@ -220,6 +217,18 @@ router.post('/', verifyToken, async (req, res) => {
         user_id
       ]);
 
+      // Record the change in money held against the prize pot
+      const deltaPence = toPence(finalPaidAmount) - toPence(data.current_paid_amount);
+      const isNewEntry = paid && !data.current_paid && deltaPence > 0;
+      await recordLedgerEntry(client, {
+        competition_id: competition_id,
+        user_id: user_id,
+        entry_type: isNewEntry ? 'ENTRY' : 'CORRECTION',
+        amount: fromPence(deltaPence),
+        note: isNewEntry ? 'Entry fee paid' : (paid ? 'Payment amount changed' : 'Marked unpaid'),
+        created_by: admin_id
+      });
+
       // Create comprehensive audit log entry for payment change transparency
       // This provides full accountability trail for all payment modifications
       const auditDetails = {
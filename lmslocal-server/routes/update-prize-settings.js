@@ -0,0 +1,151 @@
+/*
+=======================================================================================================================================
+API Route: update-prize-settings
+=======================================================================================================================================
+Method: POST
+Purpose: Set a competition's entry fee, buy-back fee, house cut and charity share. Only fields sent are changed. The fees are
+         the amounts players are expected to pay - get-prize-pot reports who still owes what against them.
+=======================================================================================================================================
+Request Payload:
+{
+  "competition_id": 123,              // integer, required - Competition to update
+  "entry_fee": 10.00,                 // number|null, optional - Entry fee in pounds (null for a free competition)
+  "buyback_fee": 5.00,                // number|null, optional - Buy-back fee in pounds (null if not charged)
+  "house_cut_percent": 10,            // number, optional - Percentage of money collected kept by the house (0-100)
+  "charity_percent": 20,              // number, optional - Percentage of money collected given to charity (0-100)
+  "charity_name": "Air Ambulance"     // string|null, optional - Charity the share goes to
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Prize settings updated",  // string, success confirmation message
+  "settings": {
+    "entry_fee": 10.00,               // number, entry fee (null if free)
+    "buyback_fee": 5.00,              // number, buy-back fee (null if not charged)
+    "house_cut_percent": 10,          // number, house cut percentage
+    "charity_percent": 20,            // number, charity share percentage
+    "charity_name": "Air Ambulance"   // string, charity name (null if not set)
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Nothing to update or invalid amounts/percentages
+"UNAUTHORIZED"          - Invalid JWT token or user cannot manage this competition
+"COMPETITION_NOT_FOUND" - Competition does not exist in database
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { validatePrizeSettings } = require('../services/prizePotService');
+const router = express.Router();
+
+// Fields that can be changed, in the order they are written
+const UPDATABLE_FIELDS = ['entry_fee', 'buyback_fee', 'house_cut_percent', 'charity_percent', 'charity_name'];
+
+// POST endpoint - organiser or co-organiser only
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    const { competition_id } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input
+    const fields = UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Nothing to update - send entry_fee, buyback_fee, house_cut_percent, charity_percent or charity_name"
+      });
+    }
+
+    const validationError = validatePrizeSettings(req.body);
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    const values = fields.map(field => {
+      const value = req.body[field];
+      if (field === 'charity_name') return value && value.trim() ? value.trim() : null;
+      return value;
+    });
+
+    // STEP 2: Update and audit atomically
+    const settings = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE competition
+        SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+        WHERE id = $1
+        RETURNING entry_fee, buyback_fee, house_cut_percent, charity_percent, charity_name,
+                  (house_cut_percent + charity_percent) as deductions_percent
+      `, [competition_id, ...values]);
+
+      // The combined check above only sees fields sent - re-check against the stored values
+      if (parseFloat(result.rows[0].deductions_percent) > 100) {
+        throw {
+          return_code: "VALIDATION_ERROR",
+          message: "House cut and charity share cannot add up to more than 100%"
+        };
+      }
+
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+        VALUES ($1, $2, 'Prize Settings Updated', $3, NOW())
+      `, [competition_id, user_id, JSON.stringify(Object.fromEntries(fields.map((field, i) => [field, values[i]])))]);
+
+      const row = result.rows[0];
+      return {
+        entry_fee: row.entry_fee === null ? null : parseFloat(row.entry_fee),
+        buyback_fee: row.buyback_fee === null ? null : parseFloat(row.buyback_fee),
+        house_cut_percent: parseFloat(row.house_cut_percent) || 0,
+        charity_percent: parseFloat(row.charity_percent) || 0,
+        charity_name: row.charity_name
+      };
+    });
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: "Prize settings updated",
+      settings: settings
+    });
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Update prize settings error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      competition_id: req.body?.competition_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to update prize settings"
+    });
+  }
+});
+
+module.exports = router;
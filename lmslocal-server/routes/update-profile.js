@@ -8,7 +8,8 @@ Purpose: Updates user profile information with comprehensive validation and atom
 Request Payload:
 {
   "display_name": "New Name",                 // string, required - User's new display name (2-50 characters)
-  "email": "new@example.com"                  // string, optional - User's new email address (if changing)
+  "email": "new@example.com",                 // string, optional - User's new email address (if changing)
+  "email_pick_reminders": false               // boolean, optional - Email me before a round locks if I haven't picked
 }
 
 Success Response (ALWAYS HTTP 200):
@@ -20,6 +21,7 @@ Success Response (ALWAYS HTTP 200):
     "display_name": "New Name",              // string, updated display name
     "email": "user@example.com",             // string, current email address
     "email_verified": true,                  // boolean, email verification status
+    "email_pick_reminders": true,            // boolean, whether pick reminder emails are wanted
     "updated_at": "2025-08-31T15:00:00Z"     // string, ISO datetime when profile was last updated
   }
 }
@@ -47,7 +49,7 @@ const router = express.Router();
 router.post('/', verifyToken, async (req, res) => {
   try {
     // Extract request parameters and authenticated user ID
-    const { display_name, email } = req.body;
+    const { display_name, email, email_pick_reminders } = req.body;
     const user_id = req.user.id;
 
     // === INPUT VALIDATION ===
@@ -100,14 +102,24 @@ router.post('/', verifyToken, async (req, res) => {
       }
     }
 
+    // Optional pick reminder preference - left unchanged when not sent
+    if (email_pick_reminders !== undefined && typeof email_pick_reminders !== 'boolean') {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "email_pick_reminders must be true or false"
+      });
+    }
+
     // === SIMPLE UPDATE QUERY ===
-    // Just update the user's display name directly
+    // Update the display name, and the reminder preference if one was sent
     const updateResult = await query(`
       UPDATE app_user 
-      SET display_name = $1, updated_at = CURRENT_TIMESTAMP
+      SET display_name = $1,
+          email_pick_reminders = COALESCE($3, email_pick_reminders),
+          updated_at = CURRENT_TIMESTAMP
       WHERE id = $2
-      RETURNING id, display_name, email, email_verified, updated_at
-    `, [trimmedDisplayName, user_id]);
+      RETURNING id, display_name, email, email_verified, email_pick_reminders, updated_at
+    `, [trimmedDisplayName, user_id, email_pick_reminders === undefined ? null : email_pick_reminders]);
 
     if (updateResult.rows.length === 0) {
       return res.json({
@@ -128,6 +140,7 @@ router.post('/', verifyToken, async (req, res) => {
         display_name: updatedUser.display_name,     // Updated display name
         email: updatedUser.email,                   // Current email address
         email_verified: updatedUser.email_verified, // Email verification status
+        email_pick_reminders: updatedUser.email_pick_reminders, // Pick reminder email preference
         updated_at: updatedUser.updated_at          // When profile was last updated
       }
     });
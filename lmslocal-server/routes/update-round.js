@@ -4,6 +4,7 @@ API Route: update-round
 =======================================================================================================================================
 Method: POST
 Purpose: Updates round lock time and automatically manages competition status and invite codes based on Round 1 lock status
+         Moves the round's ROUND_LOCK background job to the new lock time (services/scheduledJobs.js).
 =======================================================================================================================================
 Request Payload:
 {
@@ -19,6 +20,7 @@ Success Response (ALWAYS HTTP 200):
     "id": 123,                             // integer, round ID
     "round_number": 1,                     // integer, round number
     "lock_time": "2025-08-25T14:00:00Z",   // string, ISO datetime when round locks
+    "effective_lock_time": "2025-08-25T14:00:00Z", // string, ISO datetime picks actually lock (earlier if first kickoff is sooner)
     "created_at": "2025-08-23T10:00:00Z"   // string, ISO datetime when round was created
   }
 }
@@ -41,9 +43,12 @@ Return Codes:
 const express = require('express');
 const { query, transaction } = require('../database');
 const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { effectiveLockTimeSql } = require('../utils/roundLock');
+const { scheduleRoundLock } = require('../services/scheduledJobs');
 const router = express.Router();
 
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
   try {
     // Extract request parameters and authenticated user ID
     const { round_id, lock_time } = req.body;
@@ -68,13 +73,13 @@ router.post('/', verifyToken, async (req, res) => {
 
     // === AUTHORIZATION CHECK ===
     // Verify round exists and get competition ownership details
-    // This single query gets round info AND checks if user is the organiser
+    // Organiser permission is checked by requireCompetitionPermission before the route runs - the round must be in that competition
     const roundCheck = await query(`
       SELECT r.id, r.round_number, c.organiser_id, c.name as competition_name, c.id as competition_id
       FROM round r
       JOIN competition c ON r.competition_id = c.id
-      WHERE r.id = $1
-    `, [round_id]);
+      WHERE r.id = $1 AND r.competition_id = $2
+    `, [round_id, req.competitionAccess.competition_id]);
 
     // Check if round exists in database
     if (roundCheck.rows.length === 0) {
@@ -87,23 +92,15 @@ router.post('/', verifyToken, async (req, res) => {
     // Extract round and competition data for further processing
     const roundData = roundCheck.rows[0];
     
-    // Verify authenticated user is the competition organiser (only organisers can update rounds)
-    if (roundData.organiser_id !== user_id) {
-      return res.json({
-        return_code: "UNAUTHORIZED",
-        message: "Only the competition organiser can update rounds"
-      });
-    }
-
     // === ATOMIC DATABASE OPERATIONS ===
     // Wrap all updates in transaction to ensure data consistency
     const updatedRound = await transaction(async (client) => {
       // Update the round lock_time and return the updated record
       const result = await client.query(`
-        UPDATE round 
+        UPDATE round r
         SET lock_time = $2
-        WHERE id = $1
-        RETURNING *
+        WHERE r.id = $1
+        RETURNING r.*, ${effectiveLockTimeSql('r')} as effective_lock_time
       `, [round_id, lock_time]);
 
       const round = result.rows[0];
@@ -133,6 +130,10 @@ router.post('/', verifyToken, async (req, res) => {
         }
       }
 
+      // === BACKGROUND JOBS ===
+      // Move the round's lock job to the new effective lock time
+      await scheduleRoundLock(client, round_id, roundData.competition_id, user_id);
+
       // === AUDIT LOGGING ===
       // Record this administrative action for competition audit trail
       await client.query(`
@@ -156,6 +157,7 @@ router.post('/', verifyToken, async (req, res) => {
         id: updatedRound.id,
         round_number: updatedRound.round_number,
         lock_time: updatedRound.lock_time,
+        effective_lock_time: updatedRound.effective_lock_time,
         created_at: updatedRound.created_at
       }
     });
@@ -0,0 +1,163 @@
+/*
+=======================================================================================================================================
+API Route: update-team-list
+=======================================================================================================================================
+Method: POST
+Purpose: Rename, relabel, archive or restore a custom team list. Only fields sent are changed. A list cannot be archived
+         while a competition that is still running uses it.
+=======================================================================================================================================
+Request Payload:
+{
+  "team_list_id": 7,                  // integer, required - Team list to update
+  "name": "Championship 2025/26",     // string, optional - New team list name
+  "type": "football",                 // string, optional - New sport type
+  "season": "2025/26",                // string|null, optional - New season label, or null to clear
+  "is_active": false                  // boolean, optional - false archives the list, true restores it
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Team list updated successfully",  // string, success confirmation message
+  "team_list": {
+    "id": 7,                          // integer, team list ID
+    "name": "Championship 2025/26",   // string, team list name
+    "type": "football",               // string, sport type
+    "season": "2025/26",              // string, season label (null if not set)
+    "organisation_id": 12,            // integer, owning organisation (null for personal lists)
+    "is_active": false,               // boolean, false once archived
+    "updated_at": "2025-08-28T12:00:00Z" // string, ISO datetime of this update
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing team_list_id, nothing to update, or invalid fields
+"UNAUTHORIZED"          - Invalid JWT token or user cannot edit this list
+"TEAM_LIST_NOT_FOUND"   - Team list does not exist in database
+"LIST_IN_USE"           - Archiving a list that a running competition uses
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const { validateTeamListFields, loadTeamListForEdit } = require('../services/teamListService');
+const router = express.Router();
+
+// Fields that can be changed, in the order they are written
+const UPDATABLE_FIELDS = ['name', 'type', 'season', 'is_active'];
+
+// POST endpoint - list owner or organisation admin only (checked in loadTeamListForEdit)
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { team_list_id, is_active } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input
+    if (!team_list_id || !Number.isInteger(team_list_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Team list ID is required and must be an integer"
+      });
+    }
+
+    const fields = UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Nothing to update - send name, type, season or is_active"
+      });
+    }
+
+    const validationError = validateTeamListFields(req.body);
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "is_active must be true or false"
+      });
+    }
+
+    // STEP 2: Check ownership, guard archiving and apply the update atomically
+    const teamList = await transaction(async (client) => {
+      await loadTeamListForEdit(client, team_list_id, user_id);
+
+      // Archiving hides the list from competition setup - running competitions would lose their teams
+      if (is_active === false) {
+        const liveResult = await client.query(`
+          SELECT COUNT(*) as live_count
+          FROM competition
+          WHERE team_list_id = $1 AND status <> 'COMPLETE'
+        `, [team_list_id]);
+
+        const liveCount = parseInt(liveResult.rows[0].live_count) || 0;
+        if (liveCount > 0) {
+          throw {
+            return_code: "LIST_IN_USE",
+            message: `This list is used by ${liveCount} running competition${liveCount === 1 ? '' : 's'} and cannot be archived until they finish`
+          };
+        }
+      }
+
+      const values = fields.map(field => {
+        const value = req.body[field];
+        return typeof value === 'string' ? value.trim() : value;
+      });
+
+      const result = await client.query(`
+        UPDATE team_list
+        SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING id, name, type, season, organisation_id, is_active, updated_at
+      `, [team_list_id, ...values]);
+
+      return result.rows[0];
+    });
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: "Team list updated successfully",
+      team_list: teamList
+    });
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Update team list error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      team_list_id: req.body?.team_list_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to update team list"
+    });
+  }
+});
+
+module.exports = router;
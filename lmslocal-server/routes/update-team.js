@@ -0,0 +1,195 @@
+/*
+=======================================================================================================================================
+API Route: update-team
+=======================================================================================================================================
+Method: POST
+Purpose: Edit, archive or restore a team in a custom team list. Only fields sent are changed.
+         A team referenced by fixtures in a competition that is still running keeps its short code and cannot be archived -
+         those fixtures and the picks on them find the team by short code.
+=======================================================================================================================================
+Request Payload:
+{
+  "team_id": 301,                     // integer, required - Team to update
+  "name": "Sheffield Wednesday",      // string, optional - New full team name
+  "short_name": "SWE",                // string, optional - New short code (2-10 letters or digits)
+  "logo_url": "https://...",          // string|null, optional - New badge link, or null to clear
+  "sort_order": 3,                    // integer, optional - New display order
+  "is_active": false                  // boolean, optional - false archives the team, true restores it
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Sheffield Wednesday updated",  // string, success confirmation message
+  "team": {
+    "id": 301,                        // integer, team ID
+    "team_list_id": 7,                // integer, team list ID
+    "name": "Sheffield Wednesday",    // string, full team name
+    "short_name": "SWE",              // string, short code
+    "logo_url": "https://...",        // string, badge link (null if not set)
+    "sort_order": 3,                  // integer, display order
+    "is_active": true                 // boolean, false once archived
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"  // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"      - Missing team_id, nothing to update, or invalid fields
+"UNAUTHORIZED"          - Invalid JWT token or user cannot edit this team's list
+"TEAM_NOT_FOUND"        - Team does not exist in database
+"DUPLICATE_SHORT_NAME"  - Another active team in the same list already uses the short code
+"TEAM_IN_USE"           - Short code change or archive on a team used by fixtures in a running competition
+"SERVER_ERROR"          - Database error or unexpected server failure
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { transaction } = require('../database'); // Use central database with transaction support
+const { verifyToken } = require('../middleware/auth'); // Use standard verifyToken middleware
+const {
+  validateTeamFields,
+  loadTeamListForEdit,
+  assertShortNameAvailable,
+  countLiveFixturesForTeam
+} = require('../services/teamListService');
+const router = express.Router();
+
+// Fields that can be changed, in the order they are written
+const UPDATABLE_FIELDS = ['name', 'short_name', 'logo_url', 'sort_order', 'is_active'];
+
+// POST endpoint - list owner or organisation admin only (checked in loadTeamListForEdit)
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { team_id, is_active } = req.body;
+    const user_id = req.user.id; // Set by verifyToken middleware
+
+    // STEP 1: Validate input
+    if (!team_id || !Number.isInteger(team_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Team ID is required and must be an integer"
+      });
+    }
+
+    const fields = UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Nothing to update - send name, short_name, logo_url, sort_order or is_active"
+      });
+    }
+
+    const validationError = validateTeamFields(req.body);
+    if (validationError) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: validationError
+      });
+    }
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "is_active must be true or false"
+      });
+    }
+
+    const values = fields.map(field => {
+      if (field === 'short_name') return req.body.short_name.trim().toUpperCase();
+      const value = req.body[field];
+      return typeof value === 'string' ? value.trim() : value;
+    });
+    const newShortName = fields.includes('short_name') ? values[fields.indexOf('short_name')] : null;
+
+    // STEP 2: Check ownership and fixture usage, then apply the update atomically
+    const team = await transaction(async (client) => {
+      const teamResult = await client.query(`
+        SELECT id, team_list_id, short_name, is_active
+        FROM team
+        WHERE id = $1
+      `, [team_id]);
+
+      if (teamResult.rows.length === 0) {
+        throw {
+          return_code: "TEAM_NOT_FOUND",
+          message: "Team not found"
+        };
+      }
+
+      const current = teamResult.rows[0];
+      await loadTeamListForEdit(client, current.team_list_id, user_id);
+
+      const shortNameChanging = newShortName !== null && newShortName !== (current.short_name || '').toUpperCase();
+      const archiving = is_active === false && current.is_active;
+
+      // Running competitions find fixture teams and picks by short code - renaming or archiving would orphan them
+      if ((shortNameChanging || archiving) && current.short_name) {
+        const liveFixtures = await countLiveFixturesForTeam(client, current.team_list_id, current.short_name);
+        if (liveFixtures > 0) {
+          throw {
+            return_code: "TEAM_IN_USE",
+            message: `${current.short_name} is used in ${liveFixtures} fixture${liveFixtures === 1 ? '' : 's'} of running competitions - ` +
+              `its short code cannot change and it cannot be archived until they finish`
+          };
+        }
+      }
+
+      // The team ends up active with a (possibly new) short code - it must not clash with another active team
+      const endsActive = is_active !== undefined ? is_active : current.is_active;
+      if (endsActive && (shortNameChanging || (is_active === true && !current.is_active))) {
+        await assertShortNameAvailable(client, current.team_list_id, newShortName || current.short_name.toUpperCase(), team_id);
+      }
+
+      const result = await client.query(`
+        UPDATE team
+        SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+        WHERE id = $1
+        RETURNING id, team_list_id, name, short_name, logo_url, sort_order, is_active
+      `, [team_id, ...values]);
+
+      await client.query(`
+        UPDATE team_list SET updated_at = NOW() WHERE id = $1
+      `, [current.team_list_id]);
+
+      return result.rows[0];
+    });
+
+    return res.json({
+      return_code: "SUCCESS",
+      message: `${team.name} updated`,
+      team: team
+    });
+
+  } catch (error) {
+    // Handle custom business logic errors (thrown from transaction)
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // Log detailed error information for debugging while protecting sensitive data
+    console.error('Update team error:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      team_id: req.body?.team_id,
+      user_id: req.user?.id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Return standardized server error response with HTTP 200
+    return res.json({
+      return_code: "SERVER_ERROR",
+      message: "Failed to update team"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/*
+=======================================================================================================================================
+API Route: void-round
+=======================================================================================================================================
+Method: POST
+Purpose: Voids a whole round (e.g. mass postponements). Every pick in the round is settled as VOID - no lives are lost, picked
+         teams are handed back to allowed_teams and missing picks are not penalised. If the round was already calculated its
+         results are rolled back first so lives and eliminations are restored.
+=======================================================================================================================================
+Request Payload:
+{
+  "round_id": 123,                         // integer, required - ID of the round to void
+  "reason": "Matchweek postponed"          // string, optional - why the round was voided (stored in audit log)
+}
+
+Success Response (ALWAYS HTTP 200):
+{
+  "return_code": "SUCCESS",
+  "message": "Round 3 voided successfully", // string, confirmation message
+  "round": {
+    "id": 123,                             // integer, round ID
+    "round_number": 3,                     // integer, round number
+    "is_void": true                        // boolean, always true on success
+  },
+  "results": {
+    "voided": 12,                          // integer, picks settled as VOID
+    "playersRestored": 2,                  // integer, players whose lives/status were restored by rolling back a previous calculation
+    "activePlayers": 14                    // integer, players still in the competition
+  }
+}
+
+Error Response (ALWAYS HTTP 200):
+{
+  "return_code": "ERROR_TYPE",
+  "message": "Descriptive error message"   // string, user-friendly error description
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VALIDATION_ERROR"
+"UNAUTHORIZED"
+"ROUND_NOT_FOUND"
+"ROUND_ALREADY_VOID"
+"LATER_ROUND_PROCESSED"  - A later round already has calculated results, so this round can no longer be changed
+"COMPETITION_ROLLED_OVER" - This round already rolled the competition over into a new one
+"PLAYERS_ADJUSTED"       - Players' lives or status were changed by hand since the round was calculated
+"PLAYER_STATE_UNAVAILABLE" - The round was calculated before player state was recorded, so it cannot be rolled back
+"SERVER_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const { query, transaction } = require('../database');
+const { verifyToken } = require('../middleware/auth');
+const { requireCompetitionPermission } = require('../middleware/competitionRole');
+const { calculateRoundResults, rollbackRoundResults } = require('../services/resultsService');
+const router = express.Router();
+
+router.post('/', verifyToken, requireCompetitionPermission('manage'), async (req, res) => {
+  try {
+    // Extract request parameters and authenticated user ID
+    const { round_id, reason } = req.body;
+    const user_id = req.user.id;
+
+    // === INPUT VALIDATION ===
+    if (!round_id || !Number.isInteger(round_id)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Round ID is required and must be a number"
+      });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.json({
+        return_code: "VALIDATION_ERROR",
+        message: "Reason must be a string of 500 characters or less"
+      });
+    }
+
+    // === AUTHORIZATION CHECK ===
+    // Verify round exists in the competition requireCompetitionPermission checked organiser permission on
+    const roundCheck = await query(`
+      SELECT r.id, r.round_number, r.is_void, c.organiser_id, c.id as competition_id
+      FROM round r
+      JOIN competition c ON r.competition_id = c.id
+      WHERE r.id = $1 AND r.competition_id = $2
+    `, [round_id, req.competitionAccess.competition_id]);
+
+    if (roundCheck.rows.length === 0) {
+      return res.json({
+        return_code: "ROUND_NOT_FOUND",
+        message: "Round not found"
+      });
+    }
+
+    const roundData = roundCheck.rows[0];
+
+    if (roundData.is_void) {
+      return res.json({
+        return_code: "ROUND_ALREADY_VOID",
+        message: `Round ${roundData.round_number} has already been voided`
+      });
+    }
+
+    // === ATOMIC DATABASE OPERATIONS ===
+    // Rollback (if already calculated), void flag and VOID settlement happen together or not at all
+    const results = await transaction(async (client) => {
+      // Undo any previous calculation so lost lives and eliminations from this round are restored
+      const processedCheck = await client.query(`
+        SELECT r.no_pick_processed, COUNT(f.processed) as processed_fixtures
+        FROM round r
+        LEFT JOIN fixture f ON f.round_id = r.id
+        WHERE r.id = $1
+        GROUP BY r.id
+      `, [round_id]);
+
+      const processed = processedCheck.rows[0];
+      let playersRestored = 0;
+
+      if (processed.no_pick_processed || parseInt(processed.processed_fixtures) > 0) {
+        const rollback = await rollbackRoundResults(client, round_id);
+        playersRestored = rollback.players_restored;
+      }
+
+      await client.query(`
+        UPDATE round
+        SET is_void = true
+        WHERE id = $1
+      `, [round_id]);
+
+      // Settle every pick in the round as VOID and hand the teams back
+      const stats = await calculateRoundResults(client, round_id, user_id);
+
+      // === AUDIT LOGGING ===
+      await client.query(`
+        INSERT INTO audit_log (competition_id, user_id, action, details)
+        VALUES ($1, $2, 'Round Voided', $3)
+      `, [
+        roundData.competition_id,
+        user_id,
+        `Voided Round ${roundData.round_number}: ${stats.voided} picks voided, ${playersRestored} players restored${reason ? `. Reason: ${reason.trim()}` : ''}`
+      ]);
+
+      return { ...stats, playersRestored };
+    });
+
+    // === SUCCESS RESPONSE ===
+    res.json({
+      return_code: "SUCCESS",
+      message: `Round ${roundData.round_number} voided successfully`,
+      round: {
+        id: roundData.id,
+        round_number: roundData.round_number,
+        is_void: true
+      },
+      results: {
+        voided: results.voided,
+        playersRestored: results.playersRestored,
+        activePlayers: results.activePlayers
+      }
+    });
+
+  } catch (error) {
+    // Handle business logic errors thrown from the results service
+    if (error.return_code) {
+      return res.json({
+        return_code: error.return_code,
+        message: error.message
+      });
+    }
+
+    // === ERROR HANDLING ===
+    console.error('Void round error:', error);
+    res.json({
+      return_code: "SERVER_ERROR",
+      message: "Internal server error"
+    });
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { testConnection, getPoolStatus } = require('./database');
+const { PICK_REMINDER_HOURS } = require('./services/pickReminderService');
+const { startJobScheduler, JOB_POLL_INTERVAL_SECONDS } = require('./services/jobScheduler');
 
 // Import routes
 const loginRoute = require('./routes/login');
@@ -43,6 +45,37 @@ const setPickRoute = require('./routes/set-pick');
 const adminSetPickRoute = require('./routes/admin-set-pick');
 const updatePaymentStatusRoute = require('./routes/update-payment-status');
 const calculateResultsRoute = require('./routes/calculate-results');
+const voidRoundRoute = require('./routes/void-round');
+const cloneCompetitionRoute = require('./routes/clone-competition');
+const importFixturesRoute = require('./routes/import-fixtures');
+const setResultsBulkRoute = require('./routes/set-results-bulk');
+const buyBackPlayerRoute = require('./routes/buy-back-player');
+const setPlayerLivesRoute = require('./routes/set-player-lives');
+const eliminatePlayerRoute = require('./routes/eliminate-player');
+const reinstatePlayerRoute = require('./routes/reinstate-player');
+const restorePlayerRoute = require('./routes/restore-player');
+const inviteOrganiserRoute = require('./routes/invite-organiser');
+const revokeOrganiserRoute = require('./routes/revoke-organiser');
+const getCompetitionOrganisersRoute = require('./routes/get-competition-organisers');
+const createOrganisationRoute = require('./routes/create-organisation');
+const updateOrganisationRoute = require('./routes/update-organisation');
+const getOrganisationsRoute = require('./routes/get-organisations');
+const getOrganisationMembersRoute = require('./routes/get-organisation-members');
+const addOrganisationMemberRoute = require('./routes/add-organisation-member');
+const removeOrganisationMemberRoute = require('./routes/remove-organisation-member');
+const createTeamListRoute = require('./routes/create-team-list');
+const updateTeamListRoute = require('./routes/update-team-list');
+const createTeamRoute = require('./routes/create-team');
+const updateTeamRoute = require('./routes/update-team');
+const getBillingStatusRoute = require('./routes/get-billing-status');
+const startCheckoutRoute = require('./routes/start-checkout');
+const completeCheckoutRoute = require('./routes/complete-checkout');
+const updatePrizeSettingsRoute = require('./routes/update-prize-settings');
+const getPrizePotRoute = require('./routes/get-prize-pot');
+const getPaymentDetailsRoute = require('./routes/get-payment-details');
+const updatePaymentDetailsRoute = require('./routes/update-payment-details');
+const getJobsRoute = require('./routes/get-jobs');
+const retryJobRoute = require('./routes/retry-job');
 
 // const playerLoginRoute = require('./routes/player-login'); // DISABLED - using single login
 // const registerAndJoinCompetitionRoute = require('./routes/register-and-join-competition'); // DISABLED - using single login
@@ -180,6 +213,37 @@ app.use('/set-pick', setPickRoute);
 app.use('/admin-set-pick', adminSetPickRoute);
 app.use('/update-payment-status', updatePaymentStatusRoute);
 app.use('/calculate-results', calculateResultsRoute);
+app.use('/void-round', voidRoundRoute);
+app.use('/clone-competition', cloneCompetitionRoute);
+app.use('/import-fixtures', importFixturesRoute);
+app.use('/set-results-bulk', setResultsBulkRoute);
+app.use('/buy-back-player', buyBackPlayerRoute);
+app.use('/set-player-lives', setPlayerLivesRoute);
+app.use('/eliminate-player', eliminatePlayerRoute);
+app.use('/reinstate-player', reinstatePlayerRoute);
+app.use('/restore-player', restorePlayerRoute);
+app.use('/invite-organiser', inviteOrganiserRoute);
+app.use('/revoke-organiser', revokeOrganiserRoute);
+app.use('/get-competition-organisers', getCompetitionOrganisersRoute);
+app.use('/create-organisation', createOrganisationRoute);
+app.use('/update-organisation', updateOrganisationRoute);
+app.use('/get-organisations', getOrganisationsRoute);
+app.use('/get-organisation-members', getOrganisationMembersRoute);
+app.use('/add-organisation-member', addOrganisationMemberRoute);
+app.use('/remove-organisation-member', removeOrganisationMemberRoute);
+app.use('/create-team-list', createTeamListRoute);
+app.use('/update-team-list', updateTeamListRoute);
+app.use('/create-team', createTeamRoute);
+app.use('/update-team', updateTeamRoute);
+app.use('/get-billing-status', getBillingStatusRoute);
+app.use('/start-checkout', startCheckoutRoute);
+app.use('/complete-checkout', completeCheckoutRoute);
+app.use('/update-prize-settings', updatePrizeSettingsRoute);
+app.use('/get-prize-pot', getPrizePotRoute);
+app.use('/get-payment-details', getPaymentDetailsRoute);
+app.use('/update-payment-details', updatePaymentDetailsRoute);
+app.use('/get-jobs', getJobsRoute);
+app.use('/retry-job', retryJobRoute);
 
 // app.use('/player-login', playerLoginRoute); // DISABLED - using single login
 // app.use('/register-and-join-competition', registerAndJoinCompetitionRoute); // DISABLED - using single login
@@ -343,6 +407,17 @@ app.listen(PORT, async () => {
   
   console.log(`Health check: http://${serverIP}:${PORT}/health`);
   console.log(`API endpoint: http://${serverIP}:${PORT}/`);
+
+  // Background jobs - round locks, result polling, reminders and clean-up
+  startJobScheduler();
+  console.log(`Job scheduler: ON (checking every ${JOB_POLL_INTERVAL_SECONDS} seconds)`);
+
+  // Pick reminder emails need the email service configured
+  if (process.env.RESEND_API_KEY) {
+    console.log(`Pick reminders: ON (${PICK_REMINDER_HOURS} hours before lock)`);
+  } else {
+    console.log(`Pick reminders: OFF (RESEND_API_KEY not set)`);
+  }
   
   console.log(`=======================================================================`);
 });
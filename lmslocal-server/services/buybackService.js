@@ -0,0 +1,48 @@
+/*
+=======================================================================================================================================
+Buy-Back Service - Rules for eliminated players re-entering a competition
+=======================================================================================================================================
+Purpose: Organisers (typically of charity competitions) can let eliminated players pay to re-enter. Each competition picks a
+         rule in competition.buyback_mode:
+           NONE           - no buy-backs (default)
+           FIRST_N_ROUNDS - eliminated players can re-enter while the competition is within its first competition.buyback_rounds rounds
+           ONCE           - each player can re-enter once, at any point before the competition finishes
+         Re-entering players get competition.buyback_lives lives. competition_user.buyback_count records how often they re-entered.
+=======================================================================================================================================
+*/
+
+const BUYBACK_MODES = ['NONE', 'FIRST_N_ROUNDS', 'ONCE'];
+
+/**
+ * Explain why a player cannot buy back in right now
+ * @param {Object} state - { buyback_mode, buyback_rounds, competition_status, current_round, player_status, buyback_count }
+ * @returns {string|null} Reason the buy-back is refused, or null if the player can buy back in
+ */
+const buybackBlockedReason = (state) => {
+  if (state.buyback_mode === 'NONE' || !BUYBACK_MODES.includes(state.buyback_mode)) {
+    return 'Buy-backs are not enabled for this competition';
+  }
+
+  if (state.player_status !== 'OUT') {
+    return 'Only eliminated players can buy back in';
+  }
+
+  if (state.competition_status === 'COMPLETE') {
+    return 'The competition has finished';
+  }
+
+  if (state.buyback_mode === 'FIRST_N_ROUNDS' && (state.current_round || 0) > state.buyback_rounds) {
+    return `Buy-backs closed after Round ${state.buyback_rounds}`;
+  }
+
+  if (state.buyback_mode === 'ONCE' && state.buyback_count > 0) {
+    return 'This player has already bought back in';
+  }
+
+  return null;
+};
+
+module.exports = {
+  BUYBACK_MODES,
+  buybackBlockedReason
+};
@@ -0,0 +1,179 @@
+/*
+=======================================================================================================================================
+Competition Service - Shared competition creation helpers
+=======================================================================================================================================
+Purpose: Invite code/slug generation and competition cloning, shared by create-competition, clone-competition and the
+         results service (rollover).
+         Every function takes a transaction client so callers control the atomic boundary.
+=======================================================================================================================================
+*/
+
+const { populateAllowedTeams } = require('../database');
+const { hasRoomForPlayers, assertRoomForPlayer } = require('./planService');
+
+// Settings copied from the source competition when cloning
+const CLONED_SETTINGS = [
+  'description',
+  'logo_url',
+  'team_list_id',
+  'lives_per_player',
+  'no_team_twice',
+  'team_reset_mode',
+  'team_reset_rounds',
+  'no_winner_rule',
+  'draw_policy',
+  'game_mode',
+  'pick_lock_mode',
+  'buyback_mode',
+  'buyback_rounds',
+  'buyback_lives',
+  'organisation_id',
+  'entry_fee',
+  'buyback_fee',
+  'house_cut_percent',
+  'charity_percent',
+  'charity_name',
+  'payment_instructions',
+  'payment_url'
+];
+
+/**
+ * Generate a 4-digit invite code not used by any other competition
+ * @param {Object} client - Transaction client
+ * @returns {string} Unique invite code
+ */
+const generateInviteCode = async (client) => {
+  const maxAttempts = 100;
+
+  for (let attempts = 0; attempts < maxAttempts; attempts++) {
+    // Generate 4-digit random number
+    const inviteCode = Math.floor(1000 + Math.random() * 9000).toString();
+
+    // Check if this code already exists within the same transaction
+    const existingCodeResult = await client.query(
+      'SELECT id FROM competition WHERE invite_code = $1',
+      [inviteCode]
+    );
+
+    if (existingCodeResult.rows.length === 0) {
+      return inviteCode; // Found unique code
+    }
+  }
+
+  throw new Error('SERVER_ERROR: Unable to generate unique invite code after multiple attempts');
+};
+
+/**
+ * Generate a URL slug from the competition name, made unique with the invite code
+ * @param {Object} client - Transaction client
+ * @param {string} name - Competition name
+ * @param {string} inviteCode - The competition's invite code
+ * @returns {string} Unique slug (max 50 characters)
+ */
+const generateSlug = async (client, name, inviteCode) => {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40) || 'competition';
+  let slug = `${base}-${inviteCode}`;
+
+  // Invite codes are unique but can be reused once a competition closes, so double-check
+  for (let attempts = 0; attempts < 100; attempts++) {
+    const existingSlugResult = await client.query('SELECT id FROM competition WHERE slug = $1', [slug]);
+    if (existingSlugResult.rows.length === 0) {
+      return slug;
+    }
+    slug = `${base}-${inviteCode}-${Math.floor(100 + Math.random() * 900)}`;
+  }
+
+  throw new Error('SERVER_ERROR: Unable to generate unique slug after multiple attempts');
+};
+
+/**
+ * Enrol players in a competition with full lives and a fresh set of allowed teams
+ * Players already in the competition are skipped
+ * Throws PLAYER_LIMIT_REACHED if the players would take a competition that is not activated past FREE_PLAYER_LIMIT
+ * @param {Object} client - Transaction client
+ * @param {number} competition_id - Competition to enrol into
+ * @param {number[]} user_ids - Players to enrol
+ * @returns {number[]} IDs of the players actually enrolled
+ */
+const enrolPlayers = async (client, competition_id, user_ids) => {
+  if (user_ids.length === 0) {
+    return [];
+  }
+
+  // Free competitions are limited like any other join - only players not already in the competition take a place
+  const newPlayersResult = await client.query(`
+    SELECT COUNT(DISTINCT u.user_id) as new_players
+    FROM unnest($2::int[]) as u(user_id)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM competition_user cu WHERE cu.competition_id = $1 AND cu.user_id = u.user_id
+    )
+  `, [competition_id, user_ids]);
+
+  const newPlayers = parseInt(newPlayersResult.rows[0].new_players);
+  if (newPlayers > 0) {
+    await assertRoomForPlayer(client, competition_id, newPlayers);
+  }
+
+  const enrolResult = await client.query(`
+    INSERT INTO competition_user (competition_id, user_id, status, lives_remaining, joined_at)
+    SELECT $1, u.user_id, 'active', c.lives_per_player, CURRENT_TIMESTAMP
+    FROM unnest($2::int[]) as u(user_id)
+    JOIN competition c ON c.id = $1
+    WHERE NOT EXISTS (
+      SELECT 1 FROM competition_user cu WHERE cu.competition_id = $1 AND cu.user_id = u.user_id
+    )
+    RETURNING user_id
+  `, [competition_id, user_ids]);
+
+  const enrolledIds = enrolResult.rows.map(row => row.user_id);
+  for (const userId of enrolledIds) {
+    await populateAllowedTeams(competition_id, userId, client);
+  }
+
+  return enrolledIds;
+};
+
+/**
+ * Create a new competition with the same settings as an existing one and a fresh invite code and slug
+ * Optionally enrols players (typically the source competition's participants) via enrolPlayers
+ * When the players would exceed the free player limit: over_limit 'refuse' throws PLAYER_LIMIT_REACHED,
+ * 'invite' enrols nobody so players join with the new invite code instead
+ * @param {Object} client - Transaction client
+ * @param {number} source_competition_id - Competition to copy settings from
+ * @param {Object} options - { name, organiser_id, player_ids, over_limit }
+ * @returns {Object} The new competition row plus players_enrolled count and over_limit (true if nobody was enrolled because of the limit)
+ */
+const cloneCompetition = async (client, source_competition_id, { name, organiser_id, player_ids = [], over_limit = 'refuse' }) => {
+  const sourceResult = await client.query(`
+    SELECT ${CLONED_SETTINGS.join(', ')}
+    FROM competition
+    WHERE id = $1
+  `, [source_competition_id]);
+
+  const source = sourceResult.rows[0];
+  const inviteCode = await generateInviteCode(client);
+  const slug = await generateSlug(client, name, inviteCode);
+
+  const competitionResult = await client.query(`
+    INSERT INTO competition (name, status, organiser_id, invite_code, slug, created_at, ${CLONED_SETTINGS.join(', ')})
+    VALUES ($1, 'LOCKED', $2, $3, $4, CURRENT_TIMESTAMP, ${CLONED_SETTINGS.map((_, i) => `$${i + 5}`).join(', ')})
+    RETURNING *
+  `, [name, organiser_id, inviteCode, slug, ...CLONED_SETTINGS.map(setting => source[setting])]);
+
+  const competition = competitionResult.rows[0];
+
+  if (over_limit === 'invite' && !(await hasRoomForPlayers(client, competition.id, new Set(player_ids).size))) {
+    return { ...competition, players_enrolled: 0, over_limit: true };
+  }
+
+  const enrolledIds = await enrolPlayers(client, competition.id, player_ids);
+
+  return { ...competition, players_enrolled: enrolledIds.length, over_limit: false };
+};
+
+module.exports = {
+  generateInviteCode,
+  generateSlug,
+  enrolPlayers,
+  cloneCompetition
+};
@@ -2,7 +2,8 @@
 =======================================================================================================================================
 Email Service - Resend Integration
 =======================================================================================================================================
-Purpose: Handle email sending for verification and password reset using Resend API
+Purpose: Handle email sending for verification, password reset, player magic links, competition invites and pick reminders
+         using Resend API
 =======================================================================================================================================
 */
 
@@ -284,8 +285,193 @@ const sendPlayerMagicLink = async (email, token, displayName, competitionName, s
   }
 };
 
+/**
+ * Sends an invite to join a restarted competition using its invite code
+ * @param {string} email - Recipient email address
+ * @param {string} displayName - Player's display name
+ * @param {string} competitionName - New competition name
+ * @param {string} inviteCode - Invite code for join-competition-by-code
+ * @param {string} organiserName - Organiser's display name
+ * @returns {Object} Result object with success status
+ */
+const sendCompetitionInvite = async (email, displayName, competitionName, inviteCode, organiserName) => {
+  try {
+    const joinUrl = `${process.env.EMAIL_VERIFICATION_URL}/play`;
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>You're invited to ${competitionName} - LMS Local</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">A new game is starting!</h1>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e9ecef;">
+            <h2 style="color: #343a40; margin-top: 0;">Hi ${displayName}! 👋</h2>
+            
+            <p style="font-size: 16px; margin-bottom: 25px;">
+              ${organiserName} has started <strong>${competitionName}</strong> and would like you to play again.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <p style="font-size: 14px; color: #6c757d; margin-bottom: 5px;">Your invite code</p>
+              <p style="font-size: 32px; font-weight: bold; letter-spacing: 6px; margin: 0 0 20px 0;">${inviteCode}</p>
+              <a href="${joinUrl}" 
+                 style="background: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block; font-size: 16px;">
+                Join Competition
+              </a>
+            </div>
+            
+            <p style="font-size: 14px; color: #6c757d; border-top: 1px solid #dee2e6; padding-top: 20px; margin-top: 30px;">
+              You're receiving this because you played in a previous competition run by ${organiserName}. If you don't want to join, you can safely ignore this email.
+            </p>
+          </div>
+          
+          <div style="text-align: center; margin-top: 20px; font-size: 12px; color: #6c757d;">
+            <p>LMS Local - Admin-first Last Man Standing competitions</p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const textContent = `
+      A new game is starting!
+      
+      Hi ${displayName},
+      
+      ${organiserName} has started ${competitionName} and would like you to play again.
+      
+      Your invite code: ${inviteCode}
+      
+      Join here: ${joinUrl}
+      
+      You're receiving this because you played in a previous competition run by ${organiserName}.
+      
+      ---
+      LMS Local - Admin-first Last Man Standing competitions
+    `;
+
+    const result = await resend.emails.send({
+      from: `${process.env.EMAIL_NAME} <${process.env.EMAIL_FROM}>`,
+      to: [email],
+      subject: `You're invited to ${competitionName} - LMS Local`,
+      html: htmlContent,
+      text: textContent,
+    });
+
+    return { success: true, messageId: result.id };
+
+  } catch (error) {
+    console.error('Failed to send competition invite email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Sends a reminder to a player who has not picked yet for the current round
+ * @param {string} email - Recipient email address
+ * @param {string} displayName - Player's display name
+ * @param {string} competitionName - Competition name
+ * @param {number} roundNumber - Round still needing a pick
+ * @param {Date} deadline - When picks lock
+ * @param {number} competitionId - Competition ID for the play link
+ * @returns {Object} Result object with success status
+ */
+const sendPickReminder = async (email, displayName, competitionName, roundNumber, deadline, competitionId) => {
+  try {
+    const playUrl = `${process.env.EMAIL_VERIFICATION_URL}/play/${competitionId}`;
+    const profileUrl = `${process.env.EMAIL_VERIFICATION_URL}/profile`;
+    const deadlineText = new Date(deadline).toLocaleString('en-GB', {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Europe/London'
+    });
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Make your pick - ${competitionName}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">Don't forget your pick!</h1>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e9ecef;">
+            <h2 style="color: #343a40; margin-top: 0;">Hi ${displayName}! 👋</h2>
+            
+            <p style="font-size: 16px; margin-bottom: 25px;">
+              You haven't made your pick for <strong>round ${roundNumber}</strong> of <strong>${competitionName}</strong> yet.
+              Picks lock on <strong>${deadlineText}</strong> - miss it and you could lose a life.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${playUrl}" 
+                 style="background: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block; font-size: 16px;">
+                Make My Pick
+              </a>
+            </div>
+            
+            <p style="font-size: 14px; color: #6c757d; border-top: 1px solid #dee2e6; padding-top: 20px; margin-top: 30px;">
+              You're receiving this because you're playing in ${competitionName}. You can turn off pick reminders in your
+              <a href="${profileUrl}" style="color: #6c757d;">profile settings</a>.
+            </p>
+          </div>
+          
+          <div style="text-align: center; margin-top: 20px; font-size: 12px; color: #6c757d;">
+            <p>LMS Local - Admin-first Last Man Standing competitions</p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const textContent = `
+      Don't forget your pick!
+      
+      Hi ${displayName},
+      
+      You haven't made your pick for round ${roundNumber} of ${competitionName} yet.
+      Picks lock on ${deadlineText} - miss it and you could lose a life.
+      
+      Make your pick: ${playUrl}
+      
+      You can turn off pick reminders in your profile settings: ${profileUrl}
+      
+      ---
+      LMS Local - Admin-first Last Man Standing competitions
+    `;
+
+    const result = await resend.emails.send({
+      from: `${process.env.EMAIL_NAME} <${process.env.EMAIL_FROM}>`,
+      to: [email],
+      subject: `Make your round ${roundNumber} pick - ${competitionName}`,
+      html: htmlContent,
+      text: textContent,
+    });
+
+    return { success: true, messageId: result.id };
+
+  } catch (error) {
+    console.error('Failed to send pick reminder email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendPlayerMagicLink
+  sendPlayerMagicLink,
+  sendCompetitionInvite,
+  sendPickReminder
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+/*
+=======================================================================================================================================
+Fake Payment Provider - Local stand-in for a real payment service
+=======================================================================================================================================
+Purpose: Development only (see services/paymentProvider.js). Checkouts open the web app's test checkout page instead of a
+         payment service; the page confirms the payment with complete-checkout and the payment is always reported as paid.
+         No money is taken and nothing leaves the server.
+=======================================================================================================================================
+*/
+
+const crypto = require('crypto');
+
+const name = 'fake';
+
+/**
+ * Start a test checkout
+ * @param {Object} checkout - { payment_id, amount_pence, currency, description, return_path }
+ * @returns {Object} { provider_reference, checkout_url }
+ */
+const createCheckout = async ({ payment_id, amount_pence, description, return_path }) => {
+  const providerReference = `fake_${payment_id}_${crypto.randomBytes(8).toString('hex')}`;
+
+  const params = new URLSearchParams({
+    reference: providerReference,
+    amount: String(amount_pence),
+    description: description,
+    return: return_path || '/dashboard'
+  });
+
+  return {
+    provider_reference: providerReference,
+    checkout_url: `${process.env.CLIENT_URL || 'http://localhost:3000'}/billing/checkout?${params.toString()}`
+  };
+};
+
+/**
+ * Report the status of a test checkout - test payments always succeed
+ * @param {string} provider_reference - Reference returned by createCheckout
+ * @returns {string} 'PAID' for references this provider issued, otherwise 'FAILED'
+ */
+const getPaymentStatus = async (provider_reference) => {
+  return typeof provider_reference === 'string' && provider_reference.startsWith('fake_') ? 'PAID' : 'FAILED';
+};
+
+module.exports = {
+  name,
+  createCheckout,
+  getPaymentStatus
+};
@@ -0,0 +1,145 @@
+/*
+=======================================================================================================================================
+Job Scheduler - Runs due scheduled_job rows inside the server process
+=======================================================================================================================================
+Purpose: Every JOB_POLL_INTERVAL_SECONDS (default 30) the scheduler releases jobs lost by a crashed instance, makes sure each
+         recurring job has its next run queued, then claims and runs due jobs one at a time until none are left (or
+         JOB_BATCH_SIZE have run). Claiming goes through services/jobService.js, so any number of server instances can run
+         the scheduler against the same database. Handlers live in services/scheduledJobs.js.
+=======================================================================================================================================
+*/
+
+const {
+  INSTANCE_ID,
+  scheduleJob,
+  claimNextJob,
+  completeJob,
+  rescheduleJob,
+  failJob,
+  releaseStaleJobs
+} = require('./jobService');
+const { JOB_HANDLERS, RECURRING_JOBS } = require('./scheduledJobs');
+
+// Seconds between checks for due jobs
+const parsedPoll = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS, 10);
+const JOB_POLL_INTERVAL_SECONDS = Number.isInteger(parsedPoll) && parsedPoll > 0 ? parsedPoll : 30;
+
+// Most jobs run per check, so one check can never run for ever
+const JOB_BATCH_SIZE = 20;
+
+let checkInProgress = false;
+
+/**
+ * Queue the next run of a recurring job unless one is already queued
+ * @param {Object} recurring - Entry from RECURRING_JOBS
+ * @param {Date|null} run_at - When to run it (null = now)
+ */
+const queueRecurringJob = async (recurring, run_at = null) => {
+  await scheduleJob(recurring.job_type, {
+    run_at,
+    dedupe_key: `recurring:${recurring.job_type}`,
+    replace: false
+  });
+};
+
+/**
+ * Run one claimed job and record the outcome
+ * @param {Object} job - Claimed scheduled_job row
+ */
+const runJob = async (job) => {
+  const handler = JOB_HANDLERS[job.job_type];
+  let willRetry = false;
+  let rescheduled = false;
+
+  if (!handler) {
+    await failJob(job, `No handler for job type ${job.job_type}`, false);
+    return;
+  }
+
+  try {
+    const { reschedule_at, ...result } = (await handler(job)) || {};
+
+    if (reschedule_at) {
+      await rescheduleJob(job.id, reschedule_at, result);
+      rescheduled = true;
+    } else {
+      await completeJob(job.id, result);
+    }
+  } catch (error) {
+    // Business rule errors ({ return_code, message }) will fail the same way every time - no retries
+    const message = error.return_code ? `${error.return_code}: ${error.message}` : (error.message || String(error));
+    willRetry = await failJob(job, message, !error.return_code);
+
+    console.error('Scheduled job failed:', {
+      job_id: job.id,
+      job_type: job.job_type,
+      attempt: job.attempts,
+      will_retry: willRetry,
+      error: message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // A recurring job's next run is queued once this run is finished with (completed or given up on)
+  const recurring = RECURRING_JOBS.find(entry => entry.job_type === job.job_type);
+  if (recurring && recurring.enabled() && !rescheduled && !willRetry) {
+    await queueRecurringJob(recurring, new Date(Date.now() + recurring.every_minutes * 60 * 1000));
+  }
+};
+
+/**
+ * One scheduler check - release stale jobs, queue recurring jobs, run what is due
+ * Checks never overlap within an instance; a slow batch simply delays the next check
+ */
+const runDueJobs = async () => {
+  if (checkInProgress) {
+    return;
+  }
+  checkInProgress = true;
+
+  try {
+    const released = await releaseStaleJobs();
+    if (released > 0) {
+      console.log(`Job scheduler: released ${released} stale jobs`);
+    }
+
+    for (const recurring of RECURRING_JOBS) {
+      if (recurring.enabled()) {
+        await queueRecurringJob(recurring);
+      }
+    }
+
+    for (let i = 0; i < JOB_BATCH_SIZE; i++) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job scheduler check failed:', {
+      error: error.message,
+      stack: error.stack?.substring(0, 500), // Truncate stack trace
+      instance: INSTANCE_ID,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    checkInProgress = false;
+  }
+};
+
+/**
+ * Start checking for due jobs every JOB_POLL_INTERVAL_SECONDS - called once when the server starts
+ */
+const startJobScheduler = () => {
+  const timer = setInterval(runDueJobs, JOB_POLL_INTERVAL_SECONDS * 1000);
+  timer.unref(); // Never keep the process alive just for the scheduler
+  runDueJobs();
+};
+
+module.exports = {
+  JOB_POLL_INTERVAL_SECONDS,
+  runDueJobs,
+  startJobScheduler
+};
@@ -0,0 +1,263 @@
+/*
+=======================================================================================================================================
+Job Service - Persistent background jobs stored in scheduled_job
+=======================================================================================================================================
+Purpose: Anything that has to happen at a time rather than in response to a request (round locks, result polling, reminder
+         emails, clean-up) is written to scheduled_job and run by services/jobScheduler.js.
+           - Jobs are claimed with FOR UPDATE SKIP LOCKED, so when several server instances share the database each job runs
+             on exactly one of them
+           - A failed job is retried with a growing delay until max_attempts is reached, then left as FAILED for the job history
+           - dedupe_key keeps at most one PENDING/RUNNING job per key - scheduling the same key again moves the pending job
+           - A RUNNING job whose instance died is released after JOB_LOCK_TIMEOUT_MINUTES so another instance can pick it up
+         What each job type does lives in services/scheduledJobs.js.
+=======================================================================================================================================
+*/
+
+const os = require('os');
+const { query } = require('../database');
+const { isAdmin } = require('../middleware/auth');
+const { getCompetitionRole, hasPermission } = require('../middleware/competitionRole');
+
+// scheduled_job.status values
+const JOB_STATUSES = ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'];
+
+// Attempts before a failing job is given up on
+const parsedAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10);
+const JOB_MAX_ATTEMPTS = Number.isInteger(parsedAttempts) && parsedAttempts > 0 ? parsedAttempts : 3;
+
+// Minutes a job may stay RUNNING before it is assumed lost - validated as a positive integer so it is safe to inline in SQL
+const parsedTimeout = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES, 10);
+const JOB_LOCK_TIMEOUT_MINUTES = Number.isInteger(parsedTimeout) && parsedTimeout > 0 ? parsedTimeout : 10;
+
+// Identifies this server process in scheduled_job.locked_by
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Must match the predicate of idx_scheduled_job_active_key so ON CONFLICT can use the index
+const ACTIVE_KEY_CONFLICT = `ON CONFLICT (dedupe_key) WHERE status IN ('PENDING', 'RUNNING')`;
+
+/**
+ * Add a job to the queue
+ * With a dedupe_key, an existing PENDING job for the key is moved to the new run_at and payload instead (replace = true)
+ * or left alone (replace = false); a RUNNING job for the key is never touched
+ * @param {string} job_type - Job type from services/scheduledJobs.js
+ * @param {Object} options - { payload, run_at, competition_id, dedupe_key, created_by, max_attempts, replace }
+ * @param {Object} client - Optional transaction client (defaults to the shared pool)
+ * @returns {Object|null} { id, run_at } of the scheduled job, or null if an existing job was kept
+ */
+const scheduleJob = async (job_type, options = {}, client = null) => {
+  const run = client ? client.query.bind(client) : query;
+  const {
+    payload = {},
+    run_at = null,
+    competition_id = null,
+    dedupe_key = null,
+    created_by = null,
+    max_attempts = JOB_MAX_ATTEMPTS,
+    replace = true
+  } = options;
+
+  const conflictAction = replace
+    ? `DO UPDATE SET run_at = EXCLUDED.run_at, payload = EXCLUDED.payload WHERE scheduled_job.status = 'PENDING'`
+    : 'DO NOTHING';
+
+  const result = await run(`
+    INSERT INTO scheduled_job (job_type, payload, run_at, competition_id, dedupe_key, created_by, max_attempts, created_at)
+    VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP), $4, $5, $6, $7, CURRENT_TIMESTAMP)
+    ${ACTIVE_KEY_CONFLICT} ${conflictAction}
+    RETURNING id, run_at
+  `, [job_type, JSON.stringify(payload), run_at, competition_id, dedupe_key, created_by, max_attempts]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Claim the next due job for this instance - SKIP LOCKED means two instances never claim the same job
+ * @returns {Object|null} The claimed scheduled_job row, or null if nothing is due
+ */
+const claimNextJob = async () => {
+  const result = await query(`
+    UPDATE scheduled_job
+    SET status = 'RUNNING', locked_by = $1, locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+    WHERE id = (
+      SELECT id FROM scheduled_job
+      WHERE status = 'PENDING' AND run_at <= CURRENT_TIMESTAMP
+      ORDER BY run_at ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [INSTANCE_ID]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Mark a claimed job as done
+ * @param {number} job_id - Job claimed by this instance
+ * @param {Object} result - Summary stored for the job history
+ */
+const completeJob = async (job_id, result) => {
+  await query(`
+    UPDATE scheduled_job
+    SET status = 'COMPLETED', result = $3, last_error = NULL, completed_at = CURRENT_TIMESTAMP, locked_by = NULL, locked_at = NULL
+    WHERE id = $1 AND locked_by = $2
+  `, [job_id, INSTANCE_ID, JSON.stringify(result || {})]);
+};
+
+/**
+ * Put a claimed job back in the queue for a later run - used by jobs that poll (waiting for a lock or for results)
+ * Attempts are reset because waiting is not a failure
+ * @param {number} job_id - Job claimed by this instance
+ * @param {Date} run_at - When to run it next
+ * @param {Object} result - Summary of this run stored for the job history
+ */
+const rescheduleJob = async (job_id, run_at, result) => {
+  await query(`
+    UPDATE scheduled_job
+    SET status = 'PENDING', run_at = $3, attempts = 0, result = $4, last_error = NULL, locked_by = NULL, locked_at = NULL
+    WHERE id = $1 AND locked_by = $2
+  `, [job_id, INSTANCE_ID, run_at, JSON.stringify(result || {})]);
+};
+
+/**
+ * Record a failed run - retried after attempts² minutes until max_attempts, then FAILED
+ * @param {Object} job - Claimed scheduled_job row
+ * @param {string} message - Error to show in the job history
+ * @param {boolean} retry - False for failures that will not go away on their own (business rule errors)
+ * @returns {boolean} True if the job will be retried
+ */
+const failJob = async (job, message, retry = true) => {
+  const willRetry = retry && job.attempts < job.max_attempts;
+
+  await query(`
+    UPDATE scheduled_job
+    SET status = $3::text,
+        run_at = CASE WHEN $3::text = 'PENDING' THEN CURRENT_TIMESTAMP + (attempts * attempts) * INTERVAL '1 minute' ELSE run_at END,
+        completed_at = CASE WHEN $3::text = 'FAILED' THEN CURRENT_TIMESTAMP ELSE NULL END,
+        last_error = $4,
+        locked_by = NULL,
+        locked_at = NULL
+    WHERE id = $1 AND locked_by = $2
+  `, [job.id, INSTANCE_ID, willRetry ? 'PENDING' : 'FAILED', message.substring(0, 1000)]);
+
+  return willRetry;
+};
+
+/**
+ * Release jobs left RUNNING by an instance that stopped or crashed mid-job
+ * @returns {number} Jobs released
+ */
+const releaseStaleJobs = async () => {
+  const result = await query(`
+    UPDATE scheduled_job
+    SET status = CASE WHEN attempts >= max_attempts THEN 'FAILED' ELSE 'PENDING' END,
+        completed_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+        last_error = 'Timed out on ' || locked_by,
+        locked_by = NULL,
+        locked_at = NULL
+    WHERE status = 'RUNNING'
+      AND locked_at < CURRENT_TIMESTAMP - INTERVAL '${JOB_LOCK_TIMEOUT_MINUTES} minutes'
+    RETURNING id
+  `);
+
+  return result.rows.length;
+};
+
+/**
+ * Load job history, newest first, with a count per status
+ * @param {Object} filters - { competition_id, status, job_type, limit } - competition_id null means every job
+ * @returns {Object} { jobs, counts }
+ */
+const getJobHistory = async ({ competition_id = null, status = null, job_type = null, limit = 100 } = {}) => {
+  const jobsResult = await query(`
+    SELECT j.id, j.job_type, j.payload, j.status, j.run_at, j.attempts, j.max_attempts, j.competition_id,
+           c.name as competition_name, j.locked_by, j.last_error, j.result, j.created_at, j.completed_at,
+           u.display_name as created_by_name
+    FROM scheduled_job j
+    LEFT JOIN competition c ON j.competition_id = c.id
+    LEFT JOIN app_user u ON j.created_by = u.id
+    WHERE ($1::integer IS NULL OR j.competition_id = $1)
+      AND ($2::text IS NULL OR j.status = $2)
+      AND ($3::text IS NULL OR j.job_type = $3)
+    ORDER BY COALESCE(j.completed_at, j.run_at) DESC, j.id DESC
+    LIMIT $4
+  `, [competition_id, status, job_type, limit]);
+
+  const countsResult = await query(`
+    SELECT status, COUNT(*) as count
+    FROM scheduled_job
+    WHERE ($1::integer IS NULL OR competition_id = $1)
+    GROUP BY status
+  `, [competition_id]);
+
+  const counts = Object.fromEntries(JOB_STATUSES.map(jobStatus => [jobStatus, 0]));
+  countsResult.rows.forEach(row => {
+    counts[row.status] = parseInt(row.count);
+  });
+
+  return { jobs: jobsResult.rows, counts };
+};
+
+/**
+ * Queue a FAILED job to run again now with a fresh set of attempts
+ * @param {number} job_id - Job to retry
+ * @returns {Object} { id, run_at } of the re-queued job
+ * @throws {Object} { return_code, message } when the job is not FAILED or its key already has an active job
+ */
+const retryJob = async (job_id) => {
+  try {
+    const result = await query(`
+      UPDATE scheduled_job
+      SET status = 'PENDING', run_at = CURRENT_TIMESTAMP, attempts = 0, last_error = NULL, completed_at = NULL
+      WHERE id = $1 AND status = 'FAILED'
+      RETURNING id, run_at
+    `, [job_id]);
+
+    if (result.rows.length === 0) {
+      throw { return_code: 'JOB_NOT_FAILED', message: 'Only failed jobs can be retried' };
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    // Unique violation on idx_scheduled_job_active_key - a newer job for the same key is already queued
+    if (error.code === '23505') {
+      throw { return_code: 'JOB_ALREADY_SCHEDULED', message: 'A newer job of this kind is already scheduled' };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check whether a user may see and retry jobs - platform administrators see every job,
+ * competition organisers with manage permission see their competition's jobs
+ * @param {Object} user - req.user
+ * @param {number|null} competition_id - Competition the jobs belong to (null for jobs not tied to a competition)
+ * @returns {boolean} True if access is allowed
+ */
+const canManageJobs = async (user, competition_id) => {
+  if (isAdmin(user)) {
+    return true;
+  }
+
+  if (!competition_id) {
+    return false;
+  }
+
+  const access = await getCompetitionRole(competition_id, user.id);
+  return hasPermission(access?.role, 'manage');
+};
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_LOCK_TIMEOUT_MINUTES,
+  INSTANCE_ID,
+  scheduleJob,
+  claimNextJob,
+  completeJob,
+  rescheduleJob,
+  failJob,
+  releaseStaleJobs,
+  getJobHistory,
+  retryJob,
+  canManageJobs
+};
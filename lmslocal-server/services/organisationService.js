@@ -0,0 +1,47 @@
+/*
+=======================================================================================================================================
+Organisation Service - Shared organisation helpers
+=======================================================================================================================================
+Purpose: Validation of organisation name and branding, shared by create-organisation and update-organisation.
+=======================================================================================================================================
+*/
+
+const ORGANISATION_NAME_MAX_LENGTH = 100;
+const LOGO_URL_MAX_LENGTH = 500;
+
+// Brand colour is stored as a #RRGGBB hex string so the web app can use it directly in styles
+const BRAND_COLOUR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Validate organisation details - only fields present in the payload are checked
+ * @param {Object} details - { name, logo_url, brand_colour } (each optional; null clears logo_url/brand_colour)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateOrganisationDetails = ({ name, logo_url, brand_colour }) => {
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return "Organisation name is required";
+    }
+    if (name.trim().length > ORGANISATION_NAME_MAX_LENGTH) {
+      return `Organisation name must be ${ORGANISATION_NAME_MAX_LENGTH} characters or fewer`;
+    }
+  }
+
+  if (logo_url !== undefined && logo_url !== null) {
+    if (typeof logo_url !== 'string' || !/^https?:\/\//i.test(logo_url) || logo_url.length > LOGO_URL_MAX_LENGTH) {
+      return `Logo URL must be an http(s) link of ${LOGO_URL_MAX_LENGTH} characters or fewer`;
+    }
+  }
+
+  if (brand_colour !== undefined && brand_colour !== null) {
+    if (typeof brand_colour !== 'string' || !BRAND_COLOUR_PATTERN.test(brand_colour)) {
+      return "Brand colour must be a hex colour like #1E40AF";
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  validateOrganisationDetails
+};
@@ -0,0 +1,106 @@
+/*
+=======================================================================================================================================
+Payment Details Service - How players pay the organiser
+=======================================================================================================================================
+Purpose: LMSLocal does not collect entry fees or pay prizes. Organisers enter their own payment details per competition -
+         free-text instructions (bank details, who to hand cash to) and/or a payment link (PayPal.me, Monzo, etc.) - and the
+         platform only displays them. A QR code for the payment link is generated here so players can pay from another device.
+=======================================================================================================================================
+*/
+
+const QRCode = require('qrcode');
+const { query } = require('../database');
+const { fromPence, calculateOwed } = require('./prizePotService');
+
+const PAYMENT_INSTRUCTIONS_MAX_LENGTH = 1000;
+const PAYMENT_URL_MAX_LENGTH = 500;
+
+/**
+ * Validate payment details - only fields present are checked
+ * @param {Object} details - { payment_instructions, payment_url }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePaymentDetails = ({ payment_instructions, payment_url }) => {
+  if (payment_instructions !== undefined && payment_instructions !== null &&
+      (typeof payment_instructions !== 'string' || payment_instructions.trim().length > PAYMENT_INSTRUCTIONS_MAX_LENGTH)) {
+    return `Payment instructions must be ${PAYMENT_INSTRUCTIONS_MAX_LENGTH} characters or fewer`;
+  }
+
+  // Only web links - the QR code and the button both open it in the player's browser
+  if (payment_url !== undefined && payment_url !== null) {
+    if (typeof payment_url !== 'string' || !/^https?:\/\/\S+$/i.test(payment_url.trim()) ||
+        payment_url.trim().length > PAYMENT_URL_MAX_LENGTH) {
+      return `Payment link must be an http(s) link of ${PAYMENT_URL_MAX_LENGTH} characters or fewer`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Render a payment link as a QR code image
+ * @param {string|null} payment_url - Payment link
+ * @returns {string|null} PNG data URL, or null when there is no link
+ */
+const generatePaymentQrCode = async (payment_url) => {
+  if (!payment_url) {
+    return null;
+  }
+
+  return QRCode.toDataURL(payment_url, { width: 240, margin: 1 });
+};
+
+/**
+ * Load a competition's payment details and, for players, what they still owe
+ * @param {number} competition_id - Competition to load
+ * @param {number} user_id - Requesting user - their own payment status is included if they are a player
+ * @param {Object} client - Optional transaction client (defaults to the shared pool)
+ * @returns {Object|null} { payment, my_payment, is_member }, or null if the competition does not exist
+ */
+const getPaymentDetails = async (competition_id, user_id, client = null) => {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(`
+    SELECT c.payment_instructions, c.payment_url, c.entry_fee, c.buyback_fee,
+           cu.user_id as member_id, cu.paid, cu.paid_amount, cu.paid_date, cu.buyback_count
+    FROM competition c
+    LEFT JOIN competition_user cu ON c.id = cu.competition_id AND cu.user_id = $2 AND cu.removed_at IS NULL
+    WHERE c.id = $1
+  `, [competition_id, user_id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const settings = { entry_fee: row.entry_fee, buyback_fee: row.buyback_fee };
+
+  let myPayment = null;
+  if (row.member_id) {
+    const owed = calculateOwed(settings, row);
+    myPayment = {
+      paid: row.paid === true,
+      paid_amount: row.paid_amount === null ? null : parseFloat(row.paid_amount),
+      paid_date: row.paid_date,
+      amount_due: fromPence(owed.owes)
+    };
+  }
+
+  return {
+    is_member: !!row.member_id,
+    payment: {
+      payment_instructions: row.payment_instructions,
+      payment_url: row.payment_url,
+      qr_code: await generatePaymentQrCode(row.payment_url),
+      entry_fee: row.entry_fee === null ? null : parseFloat(row.entry_fee),
+      buyback_fee: row.buyback_fee === null ? null : parseFloat(row.buyback_fee)
+    },
+    my_payment: myPayment
+  };
+};
+
+module.exports = {
+  validatePaymentDetails,
+  generatePaymentQrCode,
+  getPaymentDetails
+};
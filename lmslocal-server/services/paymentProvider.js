@@ -0,0 +1,44 @@
+/*
+=======================================================================================================================================
+Payment Provider - Abstraction over the service that takes plan payments
+=======================================================================================================================================
+Purpose: Routes take payments through getPaymentProvider() and never talk to a payment service directly, so a real provider
+         (e.g. Stripe) can be added without touching them. The provider is chosen with PAYMENT_PROVIDER; with it unset payments
+         are unavailable. PAYMENT_PROVIDER=fake enables the local fake provider (never in production) so the activation flow can be
+         tested end to end.
+
+         Every provider implements:
+           name                                  - Stored on plan_payment.provider
+           createCheckout({ payment_id, amount_pence, currency, description, return_path })
+                                                 - Starts a checkout, returns { provider_reference, checkout_url }
+           getPaymentStatus(provider_reference)  - Returns 'PENDING', 'PAID' or 'FAILED'
+=======================================================================================================================================
+*/
+
+const fakePaymentProvider = require('./fakePaymentProvider');
+
+const PROVIDERS = {
+  [fakePaymentProvider.name]: fakePaymentProvider
+};
+
+/**
+ * Get the configured payment provider
+ * @returns {Object|null} Provider, or null if payments are not configured (the fake provider is never used in production)
+ */
+const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+
+  if (!name || !PROVIDERS[name]) {
+    return null;
+  }
+
+  if (name === fakePaymentProvider.name && process.env.NODE_ENV === 'production') {
+    return null;
+  }
+
+  return PROVIDERS[name];
+};
+
+module.exports = {
+  getPaymentProvider
+};
@@ -0,0 +1,111 @@
+/*
+=======================================================================================================================================
+Pick Reminder Service - Emails players who have not picked before the round locks
+=======================================================================================================================================
+Purpose: Most no-pick life losses are players who simply forgot. PICK_REMINDER_HOURS (default 24) before the current round's
+         pick deadline, every active player with no pick for the round gets one email with a link straight to the play page.
+           - Players who turned off app_user.email_pick_reminders are skipped, as are managed players (no login of their own)
+           - pick_reminder records who has been reminded for which round; the row is claimed before sending, so nobody is
+             mailed twice for a round even if two checks overlap
+         The deadline is the round's pick deadline from utils/roundLock.js - the last kickoff in FIXTURE lock mode.
+         sendDueReminders runs as the recurring PICK_REMINDERS job (services/scheduledJobs.js).
+=======================================================================================================================================
+*/
+
+const { query } = require('../database');
+const { pickDeadlineSql } = require('../utils/roundLock');
+const { sendPickReminder } = require('./emailService');
+
+// Hours before the pick deadline that reminders go out - validated as a positive integer so it is safe to inline in SQL
+const parsedHours = parseInt(process.env.PICK_REMINDER_HOURS, 10);
+const PICK_REMINDER_HOURS = Number.isInteger(parsedHours) && parsedHours > 0 ? parsedHours : 24;
+
+// How often the PICK_REMINDERS job looks for players who need reminding
+const parsedInterval = parseInt(process.env.PICK_REMINDER_INTERVAL_MINUTES, 10);
+const PICK_REMINDER_INTERVAL_MINUTES = Number.isInteger(parsedInterval) && parsedInterval > 0 ? parsedInterval : 15;
+
+/**
+ * Find players who are inside the reminder window for their competition's current round and have not picked or been reminded
+ * @returns {Array} Rows of { round_id, round_number, competition_id, competition_name, user_id, email, display_name, deadline }
+ */
+const findDueReminders = async () => {
+  const result = await query(`
+    SELECT *
+    FROM (
+      SELECT
+        r.id as round_id,
+        r.round_number,
+        c.id as competition_id,
+        c.name as competition_name,
+        u.id as user_id,
+        u.email,
+        u.display_name,
+        ${pickDeadlineSql('r', 'c')} as deadline
+      FROM competition c
+      INNER JOIN round r ON r.competition_id = c.id
+        AND r.round_number = (SELECT MAX(latest.round_number) FROM round latest WHERE latest.competition_id = c.id)
+      INNER JOIN competition_user cu ON cu.competition_id = c.id AND cu.status = 'active' AND cu.removed_at IS NULL
+      INNER JOIN app_user u ON cu.user_id = u.id
+      WHERE c.status <> 'COMPLETE'
+        AND u.email IS NOT NULL
+        AND u.email_pick_reminders = true
+        AND u.is_managed IS NOT TRUE
+        AND NOT EXISTS (SELECT 1 FROM pick p WHERE p.round_id = r.id AND p.user_id = u.id)
+        AND NOT EXISTS (SELECT 1 FROM pick_reminder pr WHERE pr.round_id = r.id AND pr.user_id = u.id)
+    ) due
+    WHERE due.deadline > CURRENT_TIMESTAMP
+      AND due.deadline <= CURRENT_TIMESTAMP + INTERVAL '${PICK_REMINDER_HOURS} hours'
+    ORDER BY due.deadline ASC
+  `);
+
+  return result.rows;
+};
+
+/**
+ * Send every reminder that is due - safe to run as often as needed
+ * @returns {Object} { sent, failed } counts
+ */
+const sendDueReminders = async () => {
+  const due = await findDueReminders();
+  let sent = 0;
+  let failed = 0;
+
+  for (const reminder of due) {
+    // Claim the reminder first - if another check already has it, skip
+    const claimResult = await query(`
+      INSERT INTO pick_reminder (round_id, user_id, sent_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (round_id, user_id) DO NOTHING
+      RETURNING id
+    `, [reminder.round_id, reminder.user_id]);
+
+    if (claimResult.rows.length === 0) {
+      continue;
+    }
+
+    const emailResult = await sendPickReminder(
+      reminder.email,
+      reminder.display_name,
+      reminder.competition_name,
+      reminder.round_number,
+      reminder.deadline,
+      reminder.competition_id
+    );
+
+    if (emailResult.success) {
+      sent++;
+    } else {
+      // Release the claim so the next check tries again
+      await query('DELETE FROM pick_reminder WHERE id = $1', [claimResult.rows[0].id]);
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+};
+
+module.exports = {
+  PICK_REMINDER_HOURS,
+  PICK_REMINDER_INTERVAL_MINUTES,
+  sendDueReminders
+};
@@ -0,0 +1,180 @@
+/*
+=======================================================================================================================================
+Plan Service - Pricing plans and competition activation
+=======================================================================================================================================
+Purpose: Competitions are free for up to FREE_PLAYER_LIMIT participants. Beyond that the competition must be unlocked by either:
+           COMPETITION - a one-off £39 payment that activates a single competition (competition.activated_at)
+           MONTHLY     - a £19/month subscription that unlocks every competition the organiser owns while it is current
+         Payments are recorded in plan_payment and taken through the payment provider (services/paymentProvider.js).
+         Subscriptions are tied to the competition owner (competition.organiser_id), one row per organiser in subscription.
+=======================================================================================================================================
+*/
+
+const { query } = require('../database');
+
+// Participants a competition can have before it needs activating
+const FREE_PLAYER_LIMIT = 5;
+
+const PLANS = {
+  COMPETITION: {
+    code: 'COMPETITION',
+    name: 'Single competition',
+    description: 'Unlimited players for one competition',
+    amount_pence: 3900,
+    interval: null
+  },
+  MONTHLY: {
+    code: 'MONTHLY',
+    name: 'Monthly',
+    description: 'Unlimited players across all your competitions',
+    amount_pence: 1900,
+    interval: 'month'
+  }
+};
+
+/**
+ * Format a pence amount for messages, e.g. 3900 -> "£39"
+ * @param {number} amount_pence - Amount in pence
+ * @returns {string} Formatted amount
+ */
+const formatPrice = (amount_pence) => {
+  const pounds = amount_pence / 100;
+  return `£${Number.isInteger(pounds) ? pounds : pounds.toFixed(2)}`;
+};
+
+/**
+ * Load a competition's activation state
+ * @param {number} competition_id - Competition to check
+ * @param {Object} client - Optional transaction client (defaults to the shared pool)
+ * @param {boolean} forUpdate - Lock the competition row so concurrent joins are counted one at a time (needs a client)
+ * @returns {Object|null} Activation state, or null if the competition does not exist
+ */
+const getActivationState = async (competition_id, client = null, forUpdate = false) => {
+  const run = client ? client.query.bind(client) : query;
+
+  const competitionResult = await run(`
+    SELECT id, name, organiser_id, activated_at
+    FROM competition
+    WHERE id = $1
+    ${forUpdate ? 'FOR UPDATE' : ''}
+  `, [competition_id]);
+
+  if (competitionResult.rows.length === 0) {
+    return null;
+  }
+
+  const competition = competitionResult.rows[0];
+
+  // Removed players do not take up a place; eliminated players still do
+  const countsResult = await run(`
+    SELECT
+      (SELECT COUNT(*) FROM competition_user
+       WHERE competition_id = $1 AND removed_at IS NULL) as player_count,
+      (SELECT current_period_end FROM subscription
+       WHERE user_id = $2 AND status = 'ACTIVE' AND current_period_end > NOW()) as subscription_until
+  `, [competition_id, competition.organiser_id]);
+
+  const playerCount = parseInt(countsResult.rows[0].player_count) || 0;
+  const subscriptionUntil = countsResult.rows[0].subscription_until;
+
+  let activatedVia = null;
+  if (competition.activated_at) {
+    activatedVia = 'COMPETITION';
+  } else if (subscriptionUntil) {
+    activatedVia = 'MONTHLY';
+  }
+
+  return {
+    competition_id: competition.id,
+    competition_name: competition.name,
+    organiser_id: competition.organiser_id,
+    player_count: playerCount,
+    free_player_limit: FREE_PLAYER_LIMIT,
+    is_activated: activatedVia !== null,
+    activated_via: activatedVia,
+    activated_at: competition.activated_at,
+    subscription_until: subscriptionUntil,
+    needs_activation: activatedVia === null && playerCount >= FREE_PLAYER_LIMIT
+  };
+};
+
+/**
+ * Check a competition has room for more players, locking the competition row for the rest of the transaction
+ * @param {Object} client - Transaction client
+ * @param {number} competition_id - Competition the players are joining
+ * @param {number} count - Players about to be added
+ * @returns {boolean} True if the competition is activated or stays within FREE_PLAYER_LIMIT
+ */
+const hasRoomForPlayers = async (client, competition_id, count) => {
+  const state = await getActivationState(competition_id, client, true);
+  return !state || state.is_activated || state.player_count + count <= FREE_PLAYER_LIMIT;
+};
+
+/**
+ * Check a competition has room for a number of players (default one), locking the competition row for the rest of the transaction
+ * Throws { return_code, message } business errors for the route to return
+ * @param {Object} client - Transaction client
+ * @param {number} competition_id - Competition the players are joining
+ * @param {number} count - Players about to be added
+ */
+const assertRoomForPlayer = async (client, competition_id, count = 1) => {
+  if (!(await hasRoomForPlayers(client, competition_id, count))) {
+    throw {
+      return_code: "PLAYER_LIMIT_REACHED",
+      message: `This competition is full - free competitions are limited to ${FREE_PLAYER_LIMIT} players until the organiser activates it`
+    };
+  }
+};
+
+/**
+ * Apply a payment the provider has confirmed - activates the competition or starts/extends the subscription
+ * @param {Object} client - Transaction client
+ * @param {Object} payment - plan_payment row (status already set to PAID)
+ * @returns {Object} { activated_competition_id, subscription_until }
+ */
+const applyPaidPayment = async (client, payment) => {
+  if (payment.plan === 'COMPETITION') {
+    await client.query(`
+      UPDATE competition
+      SET activated_at = COALESCE(activated_at, NOW()), activated_by = COALESCE(activated_by, $2)
+      WHERE id = $1
+    `, [payment.competition_id, payment.user_id]);
+
+    await client.query(`
+      INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+      VALUES ($1, $2, 'Competition Activated', $3, NOW())
+    `, [
+      payment.competition_id,
+      payment.user_id,
+      `Competition activated for unlimited players (${formatPrice(payment.amount_pence)}, payment ${payment.id})`
+    ]);
+
+    return { activated_competition_id: payment.competition_id, subscription_until: null };
+  }
+
+  // Monthly - a renewal paid before the current period ends extends it rather than losing the remaining days
+  const subscriptionResult = await client.query(`
+    INSERT INTO subscription (user_id, plan, status, current_period_end, provider, provider_reference, created_at, updated_at)
+    VALUES ($1, $2, 'ACTIVE', NOW() + INTERVAL '1 month', $3, $4, NOW(), NOW())
+    ON CONFLICT (user_id) DO UPDATE SET
+      plan = EXCLUDED.plan,
+      status = 'ACTIVE',
+      current_period_end = GREATEST(subscription.current_period_end, NOW()) + INTERVAL '1 month',
+      provider = EXCLUDED.provider,
+      provider_reference = EXCLUDED.provider_reference,
+      updated_at = NOW()
+    RETURNING current_period_end
+  `, [payment.user_id, payment.plan, payment.provider, payment.provider_reference]);
+
+  return { activated_competition_id: null, subscription_until: subscriptionResult.rows[0].current_period_end };
+};
+
+module.exports = {
+  FREE_PLAYER_LIMIT,
+  PLANS,
+  formatPrice,
+  getActivationState,
+  hasRoomForPlayers,
+  assertRoomForPlayer,
+  applyPaidPayment
+};
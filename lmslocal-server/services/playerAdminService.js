@@ -0,0 +1,113 @@
+/*
+=======================================================================================================================================
+Player Admin Service - Shared checks and audit trail for the organiser's player management tools
+=======================================================================================================================================
+Purpose: set-player-lives, eliminate-player and reinstate-player let organisers settle disputes while picks and history survive.
+         Every change needs a reason, which is written to audit_log together with the player's status and lives before and
+         after the change.
+         remove-player is a soft delete: competition_user.removed_at hides the player from standings, player lists and pick
+         counts while their picks, allowed teams and progress stay in place. restore-player brings them back within
+         REMOVED_PLAYER_RESTORE_DAYS of removal.
+=======================================================================================================================================
+*/
+
+const MAX_REASON_LENGTH = 500;
+const REMOVED_PLAYER_RESTORE_DAYS = 30;
+
+/**
+ * Last moment a removed player can be restored
+ * @param {Date|string} removed_at - When the player was removed
+ * @returns {Date} End of the restore window
+ */
+const restoreDeadline = (removed_at) => {
+  return new Date(new Date(removed_at).getTime() + REMOVED_PLAYER_RESTORE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Validate the mandatory reason for a player status change
+ * @param {string} reason - Reason given by the organiser
+ * @returns {string|null} Error message, or null if the reason is valid
+ */
+const validateReason = (reason) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required for this change';
+  }
+  if (reason.trim().length > MAX_REASON_LENGTH) {
+    return `Reason must be ${MAX_REASON_LENGTH} characters or fewer`;
+  }
+  return null;
+};
+
+/**
+ * Load a player's membership for an organiser action, locking the row for the rest of the transaction
+ * Organiser permission is checked by requireCompetitionPermission before the route runs
+ * Throws { return_code, message } business errors for the route to return
+ * @param {Object} client - Transaction client
+ * @param {number} competition_id - Competition the player belongs to
+ * @param {number} player_id - Player being changed
+ * @returns {Object} { competition_name, player_name, status, lives_remaining }
+ */
+const loadPlayerForAdmin = async (client, competition_id, player_id) => {
+  const competitionResult = await client.query(`
+    SELECT id, name
+    FROM competition
+    WHERE id = $1
+  `, [competition_id]);
+
+  if (competitionResult.rows.length === 0) {
+    throw {
+      return_code: "COMPETITION_NOT_FOUND",
+      message: "Competition not found or does not exist"
+    };
+  }
+
+  const competition = competitionResult.rows[0];
+
+  const playerResult = await client.query(`
+    SELECT cu.status, cu.lives_remaining, u.display_name as player_name
+    FROM competition_user cu
+    INNER JOIN app_user u ON cu.user_id = u.id
+    WHERE cu.competition_id = $1 AND cu.user_id = $2 AND cu.removed_at IS NULL
+    FOR UPDATE OF cu
+  `, [competition_id, player_id]);
+
+  if (playerResult.rows.length === 0) {
+    throw {
+      return_code: "PLAYER_NOT_FOUND",
+      message: "Player not found in this competition"
+    };
+  }
+
+  return { competition_name: competition.name, ...playerResult.rows[0] };
+};
+
+/**
+ * Write the audit entry for a player status change
+ * @param {Object} client - Transaction client
+ * @param {Object} change - { competition_id, player_id, action, player, previous, updated, reason, admin }
+ *                          previous/updated are { status, lives_remaining }; admin is req.user
+ */
+const auditPlayerChange = async (client, { competition_id, player_id, action, player, previous, updated, reason, admin }) => {
+  const auditDetails = {
+    player: player.player_name,
+    competition: player.competition_name,
+    previous: previous,
+    new: updated,
+    reason: reason.trim(),
+    admin_id: admin.id,
+    admin_email: admin.email
+  };
+
+  await client.query(`
+    INSERT INTO audit_log (competition_id, user_id, action, details, created_at)
+    VALUES ($1, $2, $3, $4, NOW())
+  `, [competition_id, player_id, action, JSON.stringify(auditDetails)]);
+};
+
+module.exports = {
+  REMOVED_PLAYER_RESTORE_DAYS,
+  restoreDeadline,
+  validateReason,
+  loadPlayerForAdmin,
+  auditPlayerChange
+};
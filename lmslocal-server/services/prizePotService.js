@@ -0,0 +1,202 @@
+/*
+=======================================================================================================================================
+Prize Pot Service - Entry fees, pot ledger and payouts
+=======================================================================================================================================
+Purpose: Organisers set an entry fee, a buy-back fee, a house cut and a charity share per competition. Every payment taken is
+         written to pot_ledger:
+           ENTRY      - entry fee marked paid (update-payment-status)
+           BUYBACK    - buy-back fee taken on re-entry (buy-back-player)
+           CORRECTION - amount changed or payment marked unpaid again (negative amounts reverse earlier entries)
+         The pot is everything collected plus any prize fund rolled over from a competition with no winner. The house cut and
+         charity share are percentages of the money collected in this competition; the rest of the pot is the prize fund,
+         split equally between the winner(s).
+         Amounts are handled in pence internally so splits never lose or invent a penny.
+=======================================================================================================================================
+*/
+
+const { query } = require('../database');
+
+const MAX_FEE = 10000;
+const CHARITY_NAME_MAX_LENGTH = 100;
+
+/**
+ * Convert a money value (number or numeric string from pg) to whole pence
+ * @param {number|string|null} value - Amount in pounds
+ * @returns {number} Amount in pence (0 for null)
+ */
+const toPence = (value) => Math.round((parseFloat(value) || 0) * 100);
+
+/**
+ * Convert pence back to pounds for responses
+ * @param {number} pence - Amount in pence
+ * @returns {number} Amount in pounds with two decimal places
+ */
+const fromPence = (pence) => pence / 100;
+
+/**
+ * Validate prize settings - only fields present are checked
+ * @param {Object} settings - { entry_fee, buyback_fee, house_cut_percent, charity_percent, charity_name }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePrizeSettings = ({ entry_fee, buyback_fee, house_cut_percent, charity_percent, charity_name }) => {
+  for (const [label, fee] of [['Entry fee', entry_fee], ['Buy-back fee', buyback_fee]]) {
+    if (fee !== undefined && fee !== null &&
+        (typeof fee !== 'number' || fee < 0 || fee > MAX_FEE || Math.abs(fee * 100 - Math.round(fee * 100)) > 0.000001)) {
+      return `${label} must be between £0 and £${MAX_FEE} in whole pence`;
+    }
+  }
+
+  for (const [label, percent] of [['House cut', house_cut_percent], ['Charity share', charity_percent]]) {
+    if (percent !== undefined && (typeof percent !== 'number' || percent < 0 || percent > 100)) {
+      return `${label} must be a percentage between 0 and 100`;
+    }
+  }
+
+  if ((house_cut_percent || 0) + (charity_percent || 0) > 100) {
+    return "House cut and charity share cannot add up to more than 100%";
+  }
+
+  if (charity_name !== undefined && charity_name !== null &&
+      (typeof charity_name !== 'string' || charity_name.trim().length > CHARITY_NAME_MAX_LENGTH)) {
+    return `Charity name must be ${CHARITY_NAME_MAX_LENGTH} characters or fewer`;
+  }
+
+  return null;
+};
+
+/**
+ * Write a payment to the pot ledger - zero amounts are skipped
+ * @param {Object} client - Transaction client
+ * @param {Object} entry - { competition_id, user_id, entry_type, amount, note, created_by }
+ */
+const recordLedgerEntry = async (client, { competition_id, user_id, entry_type, amount, note, created_by }) => {
+  const pence = toPence(amount);
+  if (pence === 0) {
+    return;
+  }
+
+  await client.query(`
+    INSERT INTO pot_ledger (competition_id, user_id, entry_type, amount, note, created_by, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+  `, [competition_id, user_id, entry_type, fromPence(pence), note ? note.substring(0, 200) : null, created_by]);
+};
+
+/**
+ * Work out what a player owes: the entry fee plus a buy-back fee for each re-entry, less what has been recorded as paid
+ * @param {Object} settings - { entry_fee, buyback_fee } from the competition
+ * @param {Object} player - { buyback_count, paid_amount } from competition_user
+ * @returns {Object} { expected, paid, owes } in pence - owes is never negative
+ */
+const calculateOwed = (settings, player) => {
+  const expected = toPence(settings.entry_fee) + (player.buyback_count || 0) * toPence(settings.buyback_fee);
+  const paid = toPence(player.paid_amount);
+  return { expected, paid, owes: Math.max(expected - paid, 0) };
+};
+
+/**
+ * Split a prize fund equally between winners - leftover pennies go to the first winners so the total always matches
+ * @param {number} prizeFundPence - Prize fund in pence
+ * @param {number} winnerCount - Number of (joint) winners
+ * @returns {number[]} Payout per winner in pence
+ */
+const splitPrizeFund = (prizeFundPence, winnerCount) => {
+  if (winnerCount === 0) {
+    return [];
+  }
+
+  const share = Math.floor(prizeFundPence / winnerCount);
+  const leftover = prizeFundPence - share * winnerCount;
+  return Array.from({ length: winnerCount }, (_, i) => share + (i < leftover ? 1 : 0));
+};
+
+/**
+ * Build a competition's pot summary: settings, ledger totals, deductions and winner payouts
+ * @param {number} competition_id - Competition to summarise
+ * @param {Object} client - Optional transaction client (defaults to the shared pool)
+ * @returns {Object|null} Pot summary, or null if the competition does not exist
+ */
+const getPotSummary = async (competition_id, client = null) => {
+  const run = client ? client.query.bind(client) : query;
+
+  const competitionResult = await run(`
+    SELECT c.id, c.rolled_over_to, c.entry_fee, c.buyback_fee, c.house_cut_percent, c.charity_percent, c.charity_name,
+      COALESCE(SUM(pl.amount) FILTER (WHERE pl.entry_type = 'ENTRY'), 0) as entries,
+      COALESCE(SUM(pl.amount) FILTER (WHERE pl.entry_type = 'BUYBACK'), 0) as buybacks,
+      COALESCE(SUM(pl.amount) FILTER (WHERE pl.entry_type = 'CORRECTION'), 0) as corrections
+    FROM competition c
+    LEFT JOIN pot_ledger pl ON pl.competition_id = c.id
+    WHERE c.id = $1
+    GROUP BY c.id
+  `, [competition_id]);
+
+  if (competitionResult.rows.length === 0) {
+    return null;
+  }
+
+  const competition = competitionResult.rows[0];
+
+  // Pots of competitions that ended with no winner and rolled over into this one carry across
+  const rolledInResult = await run(`
+    SELECT id FROM competition WHERE rolled_over_to = $1
+  `, [competition_id]);
+
+  let rolledInPence = 0;
+  for (const source of rolledInResult.rows) {
+    const sourceSummary = await getPotSummary(source.id, client);
+    rolledInPence += toPence(sourceSummary.totals.prize_fund);
+  }
+
+  const collectedPence = toPence(competition.entries) + toPence(competition.buybacks) + toPence(competition.corrections);
+  const potPence = collectedPence + rolledInPence;
+  // Rolled-in money already had its deductions taken in the original competition
+  const houseCutPence = Math.round(collectedPence * (parseFloat(competition.house_cut_percent) || 0) / 100);
+  const charityPence = Math.round(collectedPence * (parseFloat(competition.charity_percent) || 0) / 100);
+  const prizeFundPence = Math.max(potPence - houseCutPence - charityPence, 0);
+
+  const winnersResult = await run(`
+    SELECT cu.user_id, u.display_name
+    FROM competition_user cu
+    INNER JOIN app_user u ON cu.user_id = u.id
+    WHERE cu.competition_id = $1 AND cu.is_winner = true AND cu.removed_at IS NULL
+    ORDER BY u.display_name ASC
+  `, [competition_id]);
+
+  const payouts = splitPrizeFund(prizeFundPence, winnersResult.rows.length);
+
+  return {
+    settings: {
+      entry_fee: competition.entry_fee === null ? null : parseFloat(competition.entry_fee),
+      buyback_fee: competition.buyback_fee === null ? null : parseFloat(competition.buyback_fee),
+      house_cut_percent: parseFloat(competition.house_cut_percent) || 0,
+      charity_percent: parseFloat(competition.charity_percent) || 0,
+      charity_name: competition.charity_name
+    },
+    totals: {
+      entries: fromPence(toPence(competition.entries)),
+      buybacks: fromPence(toPence(competition.buybacks)),
+      corrections: fromPence(toPence(competition.corrections)),
+      collected: fromPence(collectedPence),
+      rolled_in: fromPence(rolledInPence),
+      pot: fromPence(potPence),
+      house_cut: fromPence(houseCutPence),
+      charity: fromPence(charityPence),
+      prize_fund: fromPence(prizeFundPence)
+    },
+    winners: winnersResult.rows.map((winner, i) => ({
+      user_id: winner.user_id,
+      display_name: winner.display_name,
+      payout: fromPence(payouts[i])
+    })),
+    rolled_over_to: competition.rolled_over_to
+  };
+};
+
+module.exports = {
+  toPence,
+  fromPence,
+  validatePrizeSettings,
+  recordLedgerEntry,
+  calculateOwed,
+  splitPrizeFund,
+  getPotSummary
+};
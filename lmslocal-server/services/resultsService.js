@@ -0,0 +1,683 @@
+/*
+=======================================================================================================================================
+Results Service - Round outcome calculation and rollback
+=======================================================================================================================================
+Purpose: Pick outcome logic for calculate-results, split out so a normal calculation and a rollback-and-replay recalculation apply identical rules.
+         Every function takes a transaction client so callers control the atomic boundary.
+         round_player_state records each player's lives and status before a round was first calculated (and after its latest
+         calculation), so a rollback restores exactly what the calculation changed and refuses once an organiser has changed a
+         player since (set-player-lives, eliminate-player, buy-back-player and the like).
+=======================================================================================================================================
+*/
+
+const { cloneCompetition } = require('./competitionService');
+
+// Fixture results that cancel the match - picks on these are VOID (no life lost, team handed back)
+const VOID_RESULTS = ['POSTPONED', 'VOID'];
+
+// Organiser-selectable outcomes for when every remaining player goes out in the same round
+//   NO_WINNER     - competition ends with no winner (original behaviour)
+//   REINSTATE     - everyone who went out this round is restored and the game carries on
+//   JOINT_WINNERS - everyone who went out this round shares the win
+//   ROLLOVER      - competition ends and a new one starts with the same settings and players (the pot carries over)
+const NO_WINNER_RULES = ['NO_WINNER', 'REINSTATE', 'JOINT_WINNERS', 'ROLLOVER'];
+
+// Organiser-selectable treatment of a pick whose match is drawn
+//   LOSE      - a draw is a loss: LOSE outcome, costs a life (original behaviour)
+//   SURVIVE   - a draw is survived: DRAW outcome, no life lost
+//   LOSE_LIFE - a draw costs a life (LOSE outcome) but never the player's last one - then it is a DRAW outcome instead
+// Draws that cost a life are stored as LOSE so lives and rollback only ever count LOSE/NO_PICK outcomes
+const DRAW_POLICIES = ['LOSE', 'SURVIVE', 'LOSE_LIFE'];
+
+// Competition game modes
+//   CLASSIC - pick a team to win, survive if it wins
+//   LOSER   - "pick the loser": pick a team to lose, survive if it loses
+// Outcomes and no team twice both flip: in LOSER mode a pick uses up the team the player needs to win - the picked team's
+// opponent - so allowed_teams holds the teams a player can still back and a team is picked to lose while its opponent is allowed
+// Draws are neither a win nor a loss for the picked team, so the draw policy applies in both modes
+const GAME_MODES = ['CLASSIC', 'LOSER'];
+
+/**
+ * SQL expression for the team a pick uses up under no team twice - the team the player needs to win
+ * CLASSIC: the picked team. LOSER: the other team in the pick's fixture
+ * The mapping is its own inverse, so given a used-up team it also returns the team to pick
+ * @param {Object} refs - SQL expressions for { team, homeTeam, awayTeam, gameMode } - team, homeTeam and awayTeam must be comparable
+ *                        (all names, short codes or IDs)
+ * @returns {string} SQL CASE expression
+ */
+const usedTeamSql = ({ team, homeTeam, awayTeam, gameMode }) => `CASE
+      WHEN ${gameMode} <> 'LOSER' THEN ${team}
+      WHEN ${team} = ${homeTeam} THEN ${awayTeam}
+      ELSE ${homeTeam}
+    END`;
+
+/**
+ * SQL expression deriving a pick's outcome (VOID, DRAW, WIN or LOSE) from its fixture result
+ * Shared by calculateRoundResults and get-round-history (results entered but not yet calculated) so both apply the same rules
+ * @param {Object} refs - SQL expressions for { team, result, roundVoid, voidResults, drawPolicy, gameMode, livesRemaining }
+ *                        voidResults must be a text[] (e.g. a parameter bound to VOID_RESULTS)
+ * @returns {string} SQL CASE expression
+ */
+const pickOutcomeSql = ({ team, result, roundVoid, voidResults, drawPolicy, gameMode, livesRemaining }) => `CASE
+      WHEN ${roundVoid} OR ${result} = ANY(${voidResults}) THEN 'VOID'
+      WHEN ${result} = 'DRAW' AND (${drawPolicy} = 'SURVIVE' OR (${drawPolicy} = 'LOSE_LIFE' AND ${livesRemaining} <= 1)) THEN 'DRAW'
+      WHEN ${result} = 'DRAW' THEN 'LOSE'
+      WHEN ${gameMode} = 'LOSER' AND ${team} <> ${result} THEN 'WIN'
+      WHEN ${gameMode} <> 'LOSER' AND ${team} = ${result} THEN 'WIN'
+      ELSE 'LOSE'
+    END`;
+
+/**
+ * Count players still in the competition
+ * @param {Object} client - Transaction client
+ * @param {number} competition_id - Competition to count
+ * @returns {number} Players whose status is not OUT, excluding players the organiser has removed
+ */
+const countActivePlayers = async (client, competition_id) => {
+  const activePlayersResult = await client.query(`
+    SELECT COUNT(*) as active_count
+    FROM competition_user
+    WHERE competition_id = $1 AND status != 'OUT' AND removed_at IS NULL
+  `, [competition_id]);
+
+  return parseInt(activePlayersResult.rows[0].active_count);
+};
+
+/**
+ * Apply the competition's no-winner rule after the last players all went out in this round
+ * Records the applied rule on round.no_winner_resolution so a rollback knows what to undo
+ * @param {Object} client - Transaction client
+ * @param {Object} round - Round row being calculated
+ * @param {number} user_id - User performing the calculation (for audit trail)
+ * @returns {Object|null} { rule, rolled_over_to } or null if nobody went out this round
+ */
+const resolveNoWinner = async (client, round, user_id) => {
+  const competitionResult = await client.query(`
+    SELECT name, organiser_id, no_winner_rule
+    FROM competition
+    WHERE id = $1
+    FOR UPDATE
+  `, [round.competition_id]);
+
+  const competition = competitionResult.rows[0];
+  const rule = competition.no_winner_rule || 'NO_WINNER';
+
+  // Players alive at the start of the round are the ones who lost a life in it
+  const wentOutResult = await client.query(`
+    SELECT p.user_id, COUNT(*) as lives_lost
+    FROM pick p
+    JOIN competition_user cu ON cu.user_id = p.user_id AND cu.competition_id = $2
+    WHERE p.round_id = $1
+      AND p.outcome IN ('LOSE', 'NO_PICK')
+      AND cu.status = 'OUT'
+      AND cu.removed_at IS NULL
+    GROUP BY p.user_id
+  `, [round.id, round.competition_id]);
+
+  if (wentOutResult.rows.length === 0) {
+    return null; // Competition had already emptied before this round
+  }
+
+  const userIds = wentOutResult.rows.map(row => row.user_id);
+  let rolledOverTo = null;
+  let details;
+
+  if (rule === 'REINSTATE') {
+    // Put everyone who went out back to their lives and status before the round - mirrors rollbackRoundResults STEP 2
+    await client.query(`
+      UPDATE competition_user cu
+      SET lives_remaining = rps.lives_remaining,
+          status = rps.status
+      FROM round_player_state rps
+      WHERE rps.round_id = $3
+        AND cu.competition_id = $1
+        AND cu.user_id = rps.user_id
+        AND cu.user_id = ANY($2)
+    `, [round.competition_id, userIds, round.id]);
+
+    details = `All ${userIds.length} remaining players went out in Round ${round.round_number} - all reinstated`;
+  } else if (rule === 'JOINT_WINNERS') {
+    await client.query(`
+      UPDATE competition_user
+      SET is_winner = true
+      WHERE competition_id = $1 AND user_id = ANY($2)
+    `, [round.competition_id, userIds]);
+
+    details = `All ${userIds.length} remaining players went out in Round ${round.round_number} - declared joint winners`;
+  } else if (rule === 'ROLLOVER') {
+    // Everyone starts the new game on equal terms - players knocked out earlier included
+    const membersResult = await client.query(`
+      SELECT user_id FROM competition_user WHERE competition_id = $1 AND removed_at IS NULL
+    `, [round.competition_id]);
+
+    // Too many players for a free competition - nobody is enrolled and players rejoin with the new invite code
+    const rollover = await cloneCompetition(client, round.competition_id, {
+      name: `${competition.name} - Rollover`.substring(0, 200),
+      organiser_id: competition.organiser_id,
+      player_ids: membersResult.rows.map(row => row.user_id),
+      over_limit: 'invite'
+    });
+
+    await client.query(`
+      UPDATE competition
+      SET rolled_over_to = $2
+      WHERE id = $1
+    `, [round.competition_id, rollover.id]);
+
+    await client.query(`
+      INSERT INTO audit_log (competition_id, user_id, action, details)
+      VALUES ($1, $2, 'Competition Created', $3)
+    `, [rollover.id, user_id, rollover.over_limit
+      ? `Rolled over from "${competition.name}" - too many players for a free competition, players rejoin with invite code ${rollover.invite_code}`
+      : `Rolled over from "${competition.name}" with ${rollover.players_enrolled} players`]);
+
+    rolledOverTo = rollover.id;
+    details = `All ${userIds.length} remaining players went out in Round ${round.round_number} - rolled over into competition ${rollover.id}`;
+  } else {
+    details = `All ${userIds.length} remaining players went out in Round ${round.round_number} - no winner`;
+  }
+
+  await client.query(`
+    UPDATE round
+    SET no_winner_resolution = $2
+    WHERE id = $1
+  `, [round.id, rule]);
+
+  await client.query(`
+    INSERT INTO audit_log (competition_id, user_id, action, details)
+    VALUES ($1, $2, 'No Winner Rule Applied', $3)
+  `, [round.competition_id, user_id, details]);
+
+  return { rule, rolled_over_to: rolledOverTo };
+};
+
+/**
+ * Calculate pick outcomes for a round and apply lives, eliminations and no-pick penalties
+ * Picks on POSTPONED/VOID fixtures, or on any fixture in a voided round, get outcome VOID
+ * Must run inside database.transaction() - all statements use the supplied client
+ * @param {Object} client - Transaction client
+ * @param {number} round_id - Round to calculate
+ * @param {number} user_id - User performing the calculation (for audit trail)
+ * @returns {Object} Calculation statistics for the API response
+ */
+const calculateRoundResults = async (client, round_id, user_id) => {
+  // Lock the round row so two calculations for the same round cannot interleave
+  const roundResult = await client.query(`
+    SELECT r.id, r.round_number, r.competition_id, r.no_pick_processed, r.is_void, r.no_winner_resolution,
+      c.no_team_twice, c.draw_policy, c.game_mode
+    FROM round r
+    JOIN competition c ON r.competition_id = c.id
+    WHERE r.id = $1
+    FOR UPDATE OF r
+  `, [round_id]);
+
+  const round = roundResult.rows[0];
+
+  // PHASE 0: RECORD PLAYER STATE BEFORE THE ROUND
+  // Players changed by an organiser since this round's last calculation are flagged - the round can no longer be rolled back
+  await client.query(`
+    UPDATE round_player_state rps
+    SET adjusted = true
+    FROM competition_user cu
+    WHERE rps.round_id = $1
+      AND rps.lives_after IS NOT NULL
+      AND cu.competition_id = $2
+      AND cu.user_id = rps.user_id
+      AND (cu.lives_remaining <> rps.lives_after OR cu.status <> rps.status_after)
+  `, [round_id, round.competition_id]);
+
+  // The first calculation of the round records every player's starting state; later partial calculations only add new players
+  await client.query(`
+    INSERT INTO round_player_state (round_id, user_id, lives_remaining, status)
+    SELECT $1, cu.user_id, cu.lives_remaining, cu.status
+    FROM competition_user cu
+    WHERE cu.competition_id = $2
+    ON CONFLICT (round_id, user_id) DO NOTHING
+  `, [round_id, round.competition_id]);
+
+  // PHASE 1: BULK CALCULATE ALL PICK OUTCOMES
+  // A voided round settles every pick as VOID whether or not its fixture has a result
+  // Draws follow the competition's draw policy - lives are read before this round's losses are deducted
+  // In LOSER mode the pick wins when the picked team lost, i.e. the other team won
+  const pickResults = await client.query(`
+    UPDATE pick p
+    SET outcome = ${pickOutcomeSql({
+      team: 'p.team',
+      result: 'f.result',
+      roundVoid: '$2',
+      voidResults: '$3',
+      drawPolicy: '$4',
+      gameMode: '$6',
+      livesRemaining: 'cu.lives_remaining'
+    })}
+    FROM fixture f, competition_user cu
+    WHERE p.fixture_id = f.id
+      AND f.round_id = $1
+      AND (f.result IS NOT NULL OR $2)
+      AND f.processed IS NULL
+      AND p.outcome IS NULL
+      AND cu.competition_id = $5
+      AND cu.user_id = p.user_id
+    RETURNING p.id, p.outcome, f.result
+  `, [round_id, round.is_void, VOID_RESULTS, round.draw_policy, round.competition_id, round.game_mode]);
+
+  // PHASE 2: BULK UPDATE PLAYER LIVES BASED ON LOSSES
+  // Only count losses on fixtures not yet processed so repeated calls never deduct the same loss twice
+  const livesResults = await client.query(`
+    WITH losing_picks AS (
+      SELECT p.user_id, COUNT(*) as losses
+      FROM pick p
+      JOIN fixture f ON p.fixture_id = f.id
+      WHERE f.round_id = $1
+        AND f.processed IS NULL
+        AND p.outcome = 'LOSE'
+      GROUP BY p.user_id
+    )
+    UPDATE competition_user cu
+    SET
+      lives_remaining = GREATEST(0, cu.lives_remaining - COALESCE(lp.losses, 0)),
+      status = CASE
+        WHEN cu.lives_remaining - COALESCE(lp.losses, 0) <= 0 THEN 'OUT'
+        ELSE cu.status
+      END
+    FROM losing_picks lp
+    WHERE cu.competition_id = $2
+      AND cu.user_id = lp.user_id
+    RETURNING cu.user_id, cu.lives_remaining, cu.status
+  `, [round_id, round.competition_id]);
+
+  // PHASE 3: HAND BACK TEAMS FROM VOID PICKS
+  // The player never got to use the team, so it goes back into their allowed_teams (the opponent in LOSER mode)
+  // Skipped when teams can be reused - they were never removed in the first place
+  if (round.no_team_twice) {
+    await client.query(`
+      INSERT INTO allowed_teams (competition_id, user_id, team_id)
+      SELECT $2, p.user_id, t.id
+      FROM pick p
+      JOIN fixture f ON p.fixture_id = f.id
+      JOIN team t ON t.short_name = ${usedTeamSql({
+        team: 'p.team',
+        homeTeam: 'f.home_team_short',
+        awayTeam: 'f.away_team_short',
+        gameMode: '$3'
+      })} AND t.is_active = true
+                  AND t.team_list_id = (SELECT team_list_id FROM competition WHERE id = $2)
+      WHERE f.round_id = $1
+        AND f.processed IS NULL
+        AND p.outcome = 'VOID'
+      ON CONFLICT (competition_id, user_id, team_id) DO NOTHING
+    `, [round_id, round.competition_id, round.game_mode]);
+  }
+
+  // PHASE 4: MARK FIXTURES AS PROCESSED
+  await client.query(`
+    UPDATE fixture
+    SET processed = CURRENT_TIMESTAMP
+    WHERE round_id = $1
+      AND (result IS NOT NULL OR $2)
+      AND processed IS NULL
+  `, [round_id, round.is_void]);
+
+  // PHASE 5: CHECK IF ALL FIXTURES COMPLETE FOR NO_PICK PROCESSING
+  const fixtureCountResults = await client.query(`
+    SELECT
+      COUNT(*) as total_fixtures,
+      COUNT(CASE WHEN result IS NOT NULL THEN 1 END) as fixtures_with_results
+    FROM fixture
+    WHERE round_id = $1
+  `, [round_id]);
+
+  // Calculate statistics from results
+  const picks = pickResults.rows;
+  const winners = picks.filter(p => p.outcome === 'WIN').length;
+  const losers = picks.filter(p => p.outcome === 'LOSE').length;
+  const draws = picks.filter(p => p.result === 'DRAW').length; // Draws that cost a life are also included in losers
+  const drawsSurvived = picks.filter(p => p.outcome === 'DRAW').length;
+  const voided = picks.filter(p => p.outcome === 'VOID').length;
+  const processed = picks.length;
+  const playersEliminated = livesResults.rows.filter(p => p.status === 'OUT').length;
+
+  // NO_PICK PROCESSING - Only if all fixtures complete and not already processed
+  // A voided round never counts a missing pick against anyone
+  const totalFixtures = parseInt(fixtureCountResults.rows[0].total_fixtures);
+  const fixturesWithResults = parseInt(fixtureCountResults.rows[0].fixtures_with_results);
+
+  let noPickProcessed = 0;
+
+  if (!round.is_void && totalFixtures > 0 && totalFixtures === fixturesWithResults && !round.no_pick_processed) {
+    // PHASE 6: BULK NO_PICK PROCESSING
+
+    // Insert NO_PICK records for players who didn't make picks
+    // Removed players are frozen until restored, so they are not penalised for missing rounds
+    const noPickResult = await client.query(`
+      INSERT INTO pick (round_id, user_id, outcome)
+      SELECT $1, cu.user_id, 'NO_PICK'
+      FROM competition_user cu
+      WHERE cu.competition_id = $2
+        AND cu.status != 'OUT'
+        AND cu.removed_at IS NULL
+        AND cu.user_id NOT IN (
+          SELECT p.user_id FROM pick p WHERE p.round_id = $1
+        )
+      RETURNING user_id
+    `, [round_id, round.competition_id]);
+
+    // Insert player_progress records for NO_PICK
+    await client.query(`
+      INSERT INTO player_progress (player_id, competition_id, round_id, fixture_id, chosen_team, outcome)
+      SELECT p.user_id, $2, $1, null, null, 'NO_PICK'
+      FROM pick p
+      WHERE p.round_id = $1
+        AND p.outcome = 'NO_PICK'
+    `, [round_id, round.competition_id]);
+
+    // Reduce lives for NO_PICK players
+    await client.query(`
+      UPDATE competition_user cu
+      SET
+        lives_remaining = GREATEST(0, cu.lives_remaining - 1),
+        status = CASE
+          WHEN cu.lives_remaining - 1 <= 0 THEN 'OUT'
+          ELSE cu.status
+        END
+      FROM pick p
+      WHERE p.round_id = $2
+        AND p.outcome = 'NO_PICK'
+        AND cu.competition_id = $1
+        AND cu.user_id = p.user_id
+    `, [round.competition_id, round_id]);
+
+    // Mark NO_PICK processing as complete
+    await client.query(`
+      UPDATE round
+      SET no_pick_processed = true
+      WHERE id = $1
+    `, [round_id]);
+
+    noPickProcessed = noPickResult.rows.length;
+  }
+
+  // PHASE 7: BULK INSERT PLAYER_PROGRESS FOR REGULAR PICKS
+  await client.query(`
+    INSERT INTO player_progress (player_id, competition_id, round_id, fixture_id, chosen_team, outcome)
+    SELECT p.user_id, $2, $1, p.fixture_id, p.team, p.outcome
+    FROM pick p
+    JOIN fixture f ON p.fixture_id = f.id
+    WHERE f.round_id = $1
+      AND p.outcome IS NOT NULL
+      AND p.outcome != 'NO_PICK'
+      AND NOT EXISTS (
+        SELECT 1 FROM player_progress pp
+        WHERE pp.round_id = $1 AND pp.player_id = p.user_id
+      )
+  `, [round_id, round.competition_id]);
+
+  // PHASE 8: CHECK IF COMPETITION SHOULD BE MARKED AS COMPLETE
+  let activePlayers = await countActivePlayers(client, round.competition_id);
+  let competitionComplete = false;
+  let noWinnerRule = null;
+  let rolledOverTo = null;
+
+  // Everyone still alive went out together this round - the organiser's no-winner rule decides what happens
+  if (activePlayers === 0 && !round.no_winner_resolution) {
+    const resolution = await resolveNoWinner(client, round, user_id);
+    if (resolution) {
+      noWinnerRule = resolution.rule;
+      rolledOverTo = resolution.rolled_over_to;
+      activePlayers = await countActivePlayers(client, round.competition_id);
+    }
+  }
+
+  // If 0 or 1 active players remain, mark competition as complete (REINSTATE leaves several active)
+  if (activePlayers <= 1) {
+    await client.query(`
+      UPDATE competition
+      SET status = 'COMPLETE'
+      WHERE id = $1
+    `, [round.competition_id]);
+    competitionComplete = true;
+
+    // A lone survivor is the winner
+    if (activePlayers === 1) {
+      await client.query(`
+        UPDATE competition_user
+        SET is_winner = true
+        WHERE competition_id = $1 AND status != 'OUT' AND removed_at IS NULL
+      `, [round.competition_id]);
+    }
+
+    // Log competition completion
+    const completionMessage = activePlayers === 1
+      ? 'Competition ended - single winner determined'
+      : noWinnerRule === 'JOINT_WINNERS'
+        ? 'Competition ended - joint winners declared'
+        : noWinnerRule === 'ROLLOVER'
+          ? `Competition ended - all players eliminated, rolled over into competition ${rolledOverTo}`
+          : 'Competition ended - all players eliminated';
+
+    await client.query(`
+      INSERT INTO audit_log (competition_id, user_id, action, details)
+      VALUES ($1, $2, 'Competition Completed', $3)
+    `, [round.competition_id, user_id, completionMessage]);
+  }
+
+  // PHASE 9: RECORD PLAYER STATE AFTER THE CALCULATION - any later difference is an organiser change
+  await client.query(`
+    UPDATE round_player_state rps
+    SET lives_after = cu.lives_remaining, status_after = cu.status
+    FROM competition_user cu
+    WHERE rps.round_id = $1
+      AND cu.competition_id = $2
+      AND cu.user_id = rps.user_id
+  `, [round_id, round.competition_id]);
+
+  return {
+    round_number: round.round_number,
+    competition_id: round.competition_id,
+    winners,
+    losers,
+    draws,
+    drawsSurvived,
+    voided,
+    processed: processed + noPickProcessed,
+    skipped: 0,
+    playersEliminated,
+    noPickProcessed,
+    total: winners + losers + noPickProcessed,
+    activePlayers,
+    competitionComplete,
+    noWinnerRule,
+    rolledOverTo
+  };
+};
+
+/**
+ * Undo every effect calculateRoundResults had on a round so it can be replayed against corrected results
+ * Restores lives/status from round_player_state, takes back teams handed back by VOID picks, clears pick outcomes,
+ * removes NO_PICK rows and player_progress, and unmarks fixtures
+ * Refuses (PLAYERS_ADJUSTED) once an organiser has changed a player's lives or status since the round was first calculated
+ * Must run inside database.transaction() - all statements use the supplied client
+ * @param {Object} client - Transaction client
+ * @param {number} round_id - Round to roll back
+ * @returns {Object} Rollback statistics
+ */
+const rollbackRoundResults = async (client, round_id) => {
+  // Lock the round row for the duration of the rollback
+  const roundResult = await client.query(`
+    SELECT r.id, r.round_number, r.competition_id, r.no_winner_resolution, c.status as competition_status, c.no_team_twice,
+      c.game_mode,
+      r.no_pick_processed OR EXISTS (SELECT 1 FROM fixture f WHERE f.round_id = r.id AND f.processed IS NOT NULL) as is_calculated
+    FROM round r
+    JOIN competition c ON r.competition_id = c.id
+    WHERE r.id = $1
+    FOR UPDATE OF r
+  `, [round_id]);
+
+  const round = roundResult.rows[0];
+
+  // Rolling back an earlier round would leave later rounds calculated against the wrong player states
+  const laterRoundsResult = await client.query(`
+    SELECT COUNT(*) as processed_later
+    FROM round r
+    LEFT JOIN fixture f ON f.round_id = r.id
+    WHERE r.competition_id = $1
+      AND r.round_number > $2
+      AND (f.processed IS NOT NULL OR r.no_pick_processed = true)
+  `, [round.competition_id, round.round_number]);
+
+  if (parseInt(laterRoundsResult.rows[0].processed_later) > 0) {
+    throw {
+      return_code: "LATER_ROUND_PROCESSED",
+      message: `Cannot recalculate Round ${round.round_number} - a later round already has calculated results`
+    };
+  }
+
+  // A rollover has already started a new competition with these players - it cannot be taken back
+  if (round.no_winner_resolution === 'ROLLOVER') {
+    throw {
+      return_code: "COMPETITION_ROLLED_OVER",
+      message: `Cannot recalculate Round ${round.round_number} - the competition has already rolled over into a new competition`
+    };
+  }
+
+  // STEP 1: Restoring the state before the round would silently undo organiser changes made since (a player eliminated,
+  // bought back or given lives by hand), and rounds calculated before round_player_state existed have nothing to restore
+  const stateResult = await client.query(`
+    SELECT
+      COUNT(rps.id) as recorded,
+      COALESCE(string_agg(u.display_name, ', ' ORDER BY u.display_name) FILTER (
+        WHERE rps.adjusted OR cu.lives_remaining <> rps.lives_after OR cu.status <> rps.status_after
+      ), '') as adjusted_players
+    FROM round_player_state rps
+    JOIN competition_user cu ON cu.competition_id = $2 AND cu.user_id = rps.user_id
+    JOIN app_user u ON u.id = rps.user_id
+    WHERE rps.round_id = $1
+  `, [round_id, round.competition_id]);
+
+  const { recorded, adjusted_players } = stateResult.rows[0];
+
+  if (round.is_calculated && parseInt(recorded) === 0) {
+    throw {
+      return_code: "PLAYER_STATE_UNAVAILABLE",
+      message: `Cannot recalculate Round ${round.round_number} - it was calculated before player state was recorded, so lives cannot be restored safely`
+    };
+  }
+
+  if (adjusted_players) {
+    throw {
+      return_code: "PLAYERS_ADJUSTED",
+      message: `Cannot recalculate Round ${round.round_number} - lives or status were changed by hand since it was calculated for: ${adjusted_players}`
+    };
+  }
+
+  // STEP 2: Put every player back to their lives and status before the round, reviving players it eliminated
+  const livesResult = await client.query(`
+    UPDATE competition_user cu
+    SET lives_remaining = rps.lives_remaining,
+        status = rps.status
+    FROM round_player_state rps
+    WHERE rps.round_id = $1
+      AND cu.competition_id = $2
+      AND cu.user_id = rps.user_id
+      AND (cu.lives_remaining <> rps.lives_remaining OR cu.status <> rps.status)
+    RETURNING cu.user_id
+  `, [round_id, round.competition_id]);
+
+  // The replay records the starting state again
+  await client.query(`
+    DELETE FROM round_player_state
+    WHERE round_id = $1
+  `, [round_id]);
+
+  // STEP 3: Take back the teams VOID picks handed back - replay hands them back again if still void
+  // Nothing was handed back when teams can be reused, so nothing to take back
+  if (round.no_team_twice) {
+    await client.query(`
+      DELETE FROM allowed_teams at
+      USING pick p, fixture f, team t
+      WHERE p.round_id = $1
+        AND p.outcome = 'VOID'
+        AND f.id = p.fixture_id
+        AND t.short_name = ${usedTeamSql({
+          team: 'p.team',
+          homeTeam: 'f.home_team_short',
+          awayTeam: 'f.away_team_short',
+          gameMode: '$3'
+        })}
+        AND t.team_list_id = (SELECT team_list_id FROM competition WHERE id = $2)
+        AND t.is_active = true
+        AND at.competition_id = $2
+        AND at.user_id = p.user_id
+        AND at.team_id = t.id
+    `, [round_id, round.competition_id, round.game_mode]);
+  }
+
+  // STEP 4: Remove the placeholder NO_PICK rows created by no-pick processing
+  const noPickResult = await client.query(`
+    DELETE FROM pick
+    WHERE round_id = $1 AND outcome = 'NO_PICK'
+  `, [round_id]);
+
+  // STEP 5: Clear the outcomes on real picks so they are recalculated
+  const picksResult = await client.query(`
+    UPDATE pick
+    SET outcome = NULL
+    WHERE round_id = $1 AND outcome IS NOT NULL
+  `, [round_id]);
+
+  // STEP 6: Remove player_progress history written for this round
+  const progressResult = await client.query(`
+    DELETE FROM player_progress
+    WHERE round_id = $1
+  `, [round_id]);
+
+  // STEP 7: Unmark fixtures and no-pick processing so the calculation runs from scratch
+  await client.query(`
+    UPDATE fixture
+    SET processed = NULL
+    WHERE round_id = $1
+  `, [round_id]);
+
+  await client.query(`
+    UPDATE round
+    SET no_pick_processed = false, no_winner_resolution = NULL
+    WHERE id = $1
+  `, [round_id]);
+
+  // STEP 8: Reopen the competition if this round's calculation had completed it
+  if (round.competition_status === 'COMPLETE') {
+    await client.query(`
+      UPDATE competition
+      SET status = 'active'
+      WHERE id = $1
+    `, [round.competition_id]);
+
+    // Winners are decided again by the replay
+    await client.query(`
+      UPDATE competition_user
+      SET is_winner = false
+      WHERE competition_id = $1 AND is_winner = true
+    `, [round.competition_id]);
+  }
+
+  return {
+    round_number: round.round_number,
+    competition_id: round.competition_id,
+    players_restored: livesResult.rows.length,
+    outcomes_cleared: picksResult.rowCount || 0,
+    no_picks_removed: noPickResult.rowCount || 0,
+    progress_removed: progressResult.rowCount || 0,
+    competition_reopened: round.competition_status === 'COMPLETE'
+  };
+};
+
+module.exports = {
+  VOID_RESULTS,
+  NO_WINNER_RULES,
+  DRAW_POLICIES,
+  GAME_MODES,
+  pickOutcomeSql,
+  usedTeamSql,
+  calculateRoundResults,
+  rollbackRoundResults
+};
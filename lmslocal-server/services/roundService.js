@@ -0,0 +1,145 @@
+/*
+=======================================================================================================================================
+Round Service - Creates the next round of a competition
+=======================================================================================================================================
+Purpose: Shared by create-round and import-fixtures so every new round gets the same side effects:
+           - the next round number, taken under the caller's competition row lock
+           - fixtures for the earliest matchweek waiting in pending_fixture (imported ahead of time) are moved into it
+           - players with no allowed teams left get every active team back (teams_reset_round is set for no team twice)
+           - the round's ROUND_LOCK background job is scheduled (services/scheduledJobs.js)
+=======================================================================================================================================
+*/
+
+const { LOCK_OFFSET_MINUTES } = require('../utils/roundLock');
+const { scheduleRoundLock } = require('./scheduledJobs');
+
+/**
+ * Create the competition's next round
+ * Must run inside database.transaction() with the competition row already locked (SELECT ... FOR UPDATE)
+ * @param {Object} client - Transaction client
+ * @param {Object} competition - Locked competition row { id, name, team_list_id }
+ * @param {string|null} lock_time - ISO datetime picks lock, or null to lock ahead of the first kickoff
+ * @param {number} user_id - User creating the round (for audit trail and job history)
+ * @returns {Object} { round, matchweek, fixture_count } - matchweek is null when no pending fixtures were moved in
+ */
+const createNextRound = async (client, competition, lock_time, user_id) => {
+  const competition_id = competition.id;
+
+  // 1. Create round with the next round number
+  const roundResult = await client.query(`
+    INSERT INTO round (
+      competition_id,
+      round_number,
+      lock_time,
+      created_at
+    )
+    SELECT
+      $1,
+      COALESCE(MAX(r.round_number), 0) + 1,
+      $2,
+      CURRENT_TIMESTAMP
+    FROM competition c
+    LEFT JOIN round r ON r.competition_id = c.id
+    WHERE c.id = $1
+    GROUP BY c.id
+    RETURNING *
+  `, [competition_id, lock_time || null]);
+
+  const round = roundResult.rows[0];
+
+  // 2. Move in the fixtures for the earliest imported matchweek, if any are waiting
+  const movedResult = await client.query(`
+    WITH next_matchweek AS (
+      SELECT MIN(matchweek) as matchweek FROM pending_fixture WHERE competition_id = $1
+    ), moved AS (
+      DELETE FROM pending_fixture pf
+      USING next_matchweek nm
+      WHERE pf.competition_id = $1 AND pf.matchweek = nm.matchweek
+      RETURNING pf.matchweek, pf.home_team, pf.away_team, pf.home_team_short, pf.away_team_short, pf.kickoff_time
+    ), inserted AS (
+      INSERT INTO fixture (round_id, home_team, away_team, home_team_short, away_team_short, kickoff_time, created_at)
+      SELECT $2, home_team, away_team, home_team_short, away_team_short, kickoff_time, CURRENT_TIMESTAMP
+      FROM moved
+      RETURNING id
+    )
+    SELECT (SELECT MIN(matchweek) FROM moved) as matchweek, (SELECT COUNT(*) FROM inserted) as fixture_count
+  `, [competition_id, round.id]);
+
+  const matchweek = movedResult.rows[0].matchweek;
+  const fixture_count = parseInt(movedResult.rows[0].fixture_count);
+
+  // 3. Create audit log entry
+  await client.query(`
+    INSERT INTO audit_log (competition_id, user_id, action, details)
+    VALUES ($1, $2, 'Round Created', $3)
+  `, [
+    competition_id,
+    user_id,
+    `Created Round ${round.round_number} for "${competition.name}" with lock time ${lock_time || `${LOCK_OFFSET_MINUTES} minutes before first kickoff`}` +
+      (matchweek !== null ? ` and ${fixture_count} imported fixtures from matchweek ${matchweek}` : '')
+  ]);
+
+  // 4. Schedule the round's lock job (committed with the round, so it never runs for a round that was rolled back)
+  await scheduleRoundLock(client, round.id, competition_id, user_id);
+
+  // 5. Auto-reset teams for players with no remaining teams
+  if (competition.team_list_id) {
+
+    // Insert all active teams for players who have zero allowed_teams
+    const teamResetResult = await client.query(`
+      INSERT INTO allowed_teams (competition_id, user_id, team_id, created_at)
+      SELECT $1, cu.user_id, t.id, NOW()
+      FROM competition_user cu
+      CROSS JOIN team t
+      WHERE cu.competition_id = $1
+      AND cu.status = 'active'
+      AND cu.removed_at IS NULL
+      AND t.team_list_id = $2
+      AND t.is_active = true
+      AND NOT EXISTS (
+        SELECT 1 FROM allowed_teams at
+        WHERE at.competition_id = $1 AND at.user_id = cu.user_id
+      )
+      RETURNING user_id
+    `, [competition_id, competition.team_list_id]);
+
+    // Log team resets for affected players
+    if (teamResetResult.rows.length > 0) {
+      const uniqueUserIds = [...new Set(teamResetResult.rows.map(row => row.user_id))];
+
+      // Picks before this round no longer count against no team twice (see services/teamResetService.js)
+      await client.query(`
+        UPDATE competition_user
+        SET teams_reset_round = $3
+        WHERE competition_id = $1 AND user_id = ANY($2)
+      `, [competition_id, uniqueUserIds, round.round_number]);
+
+      for (const userId of uniqueUserIds) {
+        // Get user display name for audit log
+        const userResult = await client.query(
+          'SELECT display_name FROM app_user WHERE id = $1',
+          [userId]
+        );
+
+        const displayName = userResult.rows[0]?.display_name || `User ${userId}`;
+
+        await client.query(`
+          INSERT INTO audit_log (competition_id, user_id, action, details)
+          VALUES ($1, $2, 'Teams Auto-Reset', $3)
+        `, [
+          competition_id,
+          userId,
+          `Teams automatically reset for ${displayName} at start of Round ${round.round_number}`
+        ]);
+      }
+
+      console.log(`Auto-reset teams for ${uniqueUserIds.length} players in competition ${competition_id} for Round ${round.round_number}`);
+    }
+  }
+
+  return { round, matchweek, fixture_count };
+};
+
+module.exports = {
+  createNextRound
+};
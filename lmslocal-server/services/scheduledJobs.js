@@ -0,0 +1,266 @@
+/*
+=======================================================================================================================================
+Scheduled Jobs - What each background job type does
+=======================================================================================================================================
+Purpose: Handlers run by services/jobScheduler.js, one per scheduled_job.job_type.
+           ROUND_LOCK          - scheduled by create-round/update-round for the round's lock time. Closes registration when
+                                 Round 1 locks, then starts ROUND_RESULTS for the round
+           ROUND_RESULTS       - polls a locked round until every fixture has a result, then runs the same calculation as
+                                 calculate-results (outcomes, lives, no-pick penalties) acting as the competition organiser
+           PICK_REMINDERS      - recurring, emails players who have not picked (services/pickReminderService.js)
+           TOKEN_CLEANUP       - recurring, clears email verification and password reset tokens that expired a week ago
+           JOB_HISTORY_CLEANUP - recurring, deletes finished jobs older than JOB_HISTORY_DAYS
+         A handler receives the claimed scheduled_job row and returns a summary for the job history. Returning
+         { reschedule_at } puts the job back in the queue for that time instead of completing it. Throwing
+         { return_code, message } fails the job without retries; any other error is retried.
+=======================================================================================================================================
+*/
+
+const { transaction, query } = require('../database');
+const { scheduleJob } = require('./jobService');
+const { calculateRoundResults } = require('./resultsService');
+const { sendDueReminders, PICK_REMINDER_INTERVAL_MINUTES } = require('./pickReminderService');
+const { effectiveLockTimeSql, isRoundLockedSql } = require('../utils/roundLock');
+
+// How often to look again at a round whose lock time is not known yet or that is still waiting for results
+const parsedPoll = parseInt(process.env.JOB_ROUND_POLL_MINUTES, 10);
+const JOB_ROUND_POLL_MINUTES = Number.isInteger(parsedPoll) && parsedPoll > 0 ? parsedPoll : 60;
+
+// Days finished jobs are kept for the job history - validated as a positive integer so it is safe to inline in SQL
+const parsedHistory = parseInt(process.env.JOB_HISTORY_DAYS, 10);
+const JOB_HISTORY_DAYS = Number.isInteger(parsedHistory) && parsedHistory > 0 ? parsedHistory : 30;
+
+/**
+ * Time of the next poll for a round
+ * @returns {Date} JOB_ROUND_POLL_MINUTES from now
+ */
+const nextRoundPoll = () => new Date(Date.now() + JOB_ROUND_POLL_MINUTES * 60 * 1000);
+
+/**
+ * Schedule (or move) the ROUND_LOCK job for a round - call after creating a round or changing its lock time
+ * Runs at the round's effective lock time; when that is not known yet (no lock_time, no fixtures) the job polls until it is
+ * @param {Object} client - Transaction client (the job is only scheduled if the round change commits)
+ * @param {number} round_id - Round to watch
+ * @param {number} competition_id - Competition the round belongs to
+ * @param {number} user_id - User whose change scheduled the job
+ * @returns {Object|null} { id, run_at } of the scheduled job
+ */
+const scheduleRoundLock = async (client, round_id, competition_id, user_id) => {
+  const lockResult = await client.query(`
+    SELECT ${effectiveLockTimeSql('r')} as lock_at
+    FROM round r
+    WHERE r.id = $1
+  `, [round_id]);
+
+  return scheduleJob('ROUND_LOCK', {
+    payload: { round_id },
+    run_at: lockResult.rows[0]?.lock_at || nextRoundPoll(),
+    competition_id,
+    dedupe_key: `round:${round_id}:lock`,
+    created_by: user_id
+  }, client);
+};
+
+/**
+ * ROUND_LOCK - act on a round reaching its lock time
+ * @param {Object} job - Claimed scheduled_job row, payload { round_id }
+ * @returns {Object} Summary, or { reschedule_at } while the round is still open
+ */
+const runRoundLock = async (job) => {
+  const { round_id } = job.payload;
+
+  const roundResult = await query(`
+    SELECT r.id, r.round_number, r.competition_id, c.status, c.organiser_id,
+           ${effectiveLockTimeSql('r')} as lock_at,
+           ${isRoundLockedSql('r')} as is_locked
+    FROM round r
+    JOIN competition c ON r.competition_id = c.id
+    WHERE r.id = $1
+  `, [round_id]);
+
+  if (roundResult.rows.length === 0) {
+    return { skipped: 'Round no longer exists' };
+  }
+
+  const round = roundResult.rows[0];
+
+  if (round.status === 'COMPLETE') {
+    return { skipped: 'Competition is complete' };
+  }
+
+  // Lock time moved later, or is not known yet - look again at the lock time (or at the next poll)
+  if (!round.is_locked) {
+    const lockAt = round.lock_at ? new Date(round.lock_at) : null;
+    return {
+      reschedule_at: lockAt && lockAt > new Date() ? lockAt : nextRoundPoll(),
+      waiting: lockAt ? 'Round not locked yet' : 'Lock time not known yet'
+    };
+  }
+
+  let registrationClosed = false;
+
+  await transaction(async (client) => {
+    // Round 1 locking starts the competition - same status change update-round makes for a lock time in the past
+    // New competitions start as 'LOCKED' or 'setup', so "not started yet" is any competition still taking registrations
+    if (round.round_number === 1) {
+      const closeResult = await client.query(`
+        UPDATE competition
+        SET invite_code = NULL, status = 'active'
+        WHERE id = $1 AND status <> 'COMPLETE' AND invite_code IS NOT NULL
+        RETURNING id
+      `, [round.competition_id]);
+
+      registrationClosed = closeResult.rows.length > 0;
+
+      if (registrationClosed) {
+        await client.query(`
+          INSERT INTO audit_log (competition_id, user_id, action, details)
+          VALUES ($1, $2, 'Round Locked', $3)
+        `, [round.competition_id, round.organiser_id, 'Round 1 locked - competition started and registration closed']);
+      }
+    }
+
+    // Results can be entered from now on - start watching for them
+    await scheduleJob('ROUND_RESULTS', {
+      payload: { round_id },
+      run_at: nextRoundPoll(),
+      competition_id: round.competition_id,
+      dedupe_key: `round:${round_id}:results`,
+      created_by: job.created_by,
+      replace: false
+    }, client);
+  });
+
+  return { round_number: round.round_number, registration_closed: registrationClosed };
+};
+
+/**
+ * ROUND_RESULTS - calculate a round once every fixture has a result
+ * Stops without calculating if the round was already calculated or the competition has moved on to a later round
+ * @param {Object} job - Claimed scheduled_job row, payload { round_id }
+ * @returns {Object} Calculation summary, or { reschedule_at } while results are outstanding
+ */
+const runRoundResults = async (job) => {
+  const { round_id } = job.payload;
+
+  const roundResult = await query(`
+    SELECT r.id, r.round_number, r.competition_id, r.no_pick_processed, r.is_void, c.status, c.organiser_id,
+           ${isRoundLockedSql('r')} as is_locked,
+           (SELECT COUNT(*) FROM fixture f WHERE f.round_id = r.id) as fixture_count,
+           (SELECT COUNT(*) FROM fixture f WHERE f.round_id = r.id AND f.result IS NULL) as awaiting_results,
+           (SELECT COUNT(*) FROM fixture f WHERE f.round_id = r.id AND f.processed IS NULL) as unprocessed,
+           EXISTS (
+             SELECT 1 FROM round later WHERE later.competition_id = r.competition_id AND later.round_number > r.round_number
+           ) as has_later_round
+    FROM round r
+    JOIN competition c ON r.competition_id = c.id
+    WHERE r.id = $1
+  `, [round_id]);
+
+  if (roundResult.rows.length === 0) {
+    return { skipped: 'Round no longer exists' };
+  }
+
+  const round = roundResult.rows[0];
+
+  if (round.status === 'COMPLETE') {
+    return { skipped: 'Competition is complete' };
+  }
+
+  // The organiser has already moved the competition on - leave this round's results to them
+  if (round.has_later_round) {
+    return { skipped: 'A later round has been created' };
+  }
+
+  if (parseInt(round.unprocessed) === 0 && (round.no_pick_processed || round.is_void)) {
+    return { skipped: 'Round already calculated' };
+  }
+
+  // Still waiting for the lock (lock time moved later) or for results - a void round needs no results
+  if (!round.is_locked || parseInt(round.fixture_count) === 0 || (!round.is_void && parseInt(round.awaiting_results) > 0)) {
+    return {
+      reschedule_at: nextRoundPoll(),
+      waiting: round.is_locked ? `${round.awaiting_results} of ${round.fixture_count} results outstanding` : 'Round not locked yet'
+    };
+  }
+
+  const stats = await transaction(async (client) => {
+    const roundStats = await calculateRoundResults(client, round_id, round.organiser_id);
+
+    await client.query(`
+      INSERT INTO audit_log (competition_id, user_id, action, details)
+      VALUES ($1, $2, 'Results Calculated', $3)
+    `, [
+      round.competition_id,
+      round.organiser_id,
+      `Calculated outcomes for Round ${round.round_number} automatically once every result was in: ` +
+        `${roundStats.processed} picks processed, ${roundStats.activePlayers} players remaining`
+    ]);
+
+    return roundStats;
+  });
+
+  return {
+    round_number: round.round_number,
+    processed: stats.processed,
+    playersEliminated: stats.playersEliminated,
+    noPickProcessed: stats.noPickProcessed,
+    activePlayers: stats.activePlayers,
+    competitionComplete: stats.competitionComplete
+  };
+};
+
+/**
+ * TOKEN_CLEANUP - clear verification and reset tokens a week after they expired
+ * The week's grace keeps the "link expired" message working for recent links instead of "invalid link"
+ * @returns {Object} { tokens_cleared }
+ */
+const runTokenCleanup = async () => {
+  const result = await query(`
+    UPDATE app_user
+    SET auth_token = NULL, auth_token_expires = NULL
+    WHERE auth_token IS NOT NULL
+      AND auth_token_expires < CURRENT_TIMESTAMP - INTERVAL '7 days'
+    RETURNING id
+  `);
+
+  return { tokens_cleared: result.rows.length };
+};
+
+/**
+ * JOB_HISTORY_CLEANUP - delete finished jobs older than JOB_HISTORY_DAYS
+ * @returns {Object} { jobs_deleted }
+ */
+const runJobHistoryCleanup = async () => {
+  const result = await query(`
+    DELETE FROM scheduled_job
+    WHERE status IN ('COMPLETED', 'FAILED')
+      AND completed_at < CURRENT_TIMESTAMP - INTERVAL '${JOB_HISTORY_DAYS} days'
+    RETURNING id
+  `);
+
+  return { jobs_deleted: result.rows.length };
+};
+
+// job_type -> handler
+const JOB_HANDLERS = {
+  ROUND_LOCK: runRoundLock,
+  ROUND_RESULTS: runRoundResults,
+  PICK_REMINDERS: sendDueReminders,
+  TOKEN_CLEANUP: runTokenCleanup,
+  JOB_HISTORY_CLEANUP: runJobHistoryCleanup
+};
+
+// Jobs that always have their next run queued - the scheduler queues the next one each time a run finishes
+// Pick reminders need the email service configured
+const RECURRING_JOBS = [
+  { job_type: 'PICK_REMINDERS', every_minutes: PICK_REMINDER_INTERVAL_MINUTES, enabled: () => !!process.env.RESEND_API_KEY },
+  { job_type: 'TOKEN_CLEANUP', every_minutes: 24 * 60, enabled: () => true },
+  { job_type: 'JOB_HISTORY_CLEANUP', every_minutes: 24 * 60, enabled: () => true }
+];
+
+module.exports = {
+  JOB_HANDLERS,
+  RECURRING_JOBS,
+  scheduleRoundLock
+};
@@ -0,0 +1,185 @@
+/*
+=======================================================================================================================================
+Team List Service - Shared checks for custom team list management
+=======================================================================================================================================
+Purpose: create-team-list, update-team-list, create-team and update-team let organisers build their own lists (rugby,
+         Championship, ...). Ownership:
+           Shared lists   - no organisation and no creator, maintained by LMS Local, read-only through the API
+           Personal lists - created_by the user, editable and usable only by them
+           Organisation   - organisation_id set, usable by members and editable by organisation admins
+         Fixtures and picks refer to teams by short_name and look teams up by short_name within the competition's
+         team list (competition.team_list_id), so short codes must be unique among the active teams of a list, and a
+         team referenced by a fixture in a competition that is still running cannot change its short code or be archived.
+=======================================================================================================================================
+*/
+
+const { ORGANISATION_ADMIN_ROLES } = require('../middleware/organisationRole');
+
+const TEAM_LIST_NAME_MAX_LENGTH = 100;
+const TEAM_LIST_TYPE_MAX_LENGTH = 50;
+const TEAM_LIST_SEASON_MAX_LENGTH = 20;
+const TEAM_NAME_MAX_LENGTH = 100;
+const LOGO_URL_MAX_LENGTH = 500;
+
+// Short codes are shown on fixture cards and stored on picks - letters and digits only, stored upper case
+const SHORT_NAME_PATTERN = /^[A-Za-z0-9]{2,10}$/;
+
+/**
+ * SQL condition: the team list can be used by the user (shared, their own, or one of their organisations')
+ * @param {string} tl - Alias of the team_list table
+ * @param {string} userParam - Placeholder holding the user ID (e.g. '$1')
+ * @returns {string} SQL boolean expression
+ */
+const teamListVisibleSql = (tl, userParam) => `(
+  (${tl}.organisation_id IS NULL AND (${tl}.created_by IS NULL OR ${tl}.created_by = ${userParam}))
+  OR EXISTS (
+    SELECT 1 FROM organisation_member vis_om
+    WHERE vis_om.organisation_id = ${tl}.organisation_id AND vis_om.user_id = ${userParam}
+  )
+)`;
+
+/**
+ * SQL condition: the user can edit the team list (their personal list, or an organisation list they administer)
+ * @param {string} tl - Alias of the team_list table
+ * @param {string} userParam - Placeholder holding the user ID (e.g. '$1')
+ * @returns {string} SQL boolean expression
+ */
+const teamListEditableSql = (tl, userParam) => `(
+  (${tl}.organisation_id IS NULL AND ${tl}.created_by = ${userParam})
+  OR EXISTS (
+    SELECT 1 FROM organisation_member edit_om
+    WHERE edit_om.organisation_id = ${tl}.organisation_id AND edit_om.user_id = ${userParam}
+      AND edit_om.role IN (${ORGANISATION_ADMIN_ROLES.map(role => `'${role}'`).join(', ')})
+  )
+)`;
+
+/**
+ * Validate team list fields - only fields present are checked
+ * @param {Object} fields - { name, type, season }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTeamListFields = ({ name, type, season }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > TEAM_LIST_NAME_MAX_LENGTH)) {
+    return `Team list name is required and must be ${TEAM_LIST_NAME_MAX_LENGTH} characters or fewer`;
+  }
+  if (type !== undefined && (typeof type !== 'string' || !type.trim() || type.trim().length > TEAM_LIST_TYPE_MAX_LENGTH)) {
+    return `Sport type is required and must be ${TEAM_LIST_TYPE_MAX_LENGTH} characters or fewer`;
+  }
+  if (season !== undefined && season !== null && (typeof season !== 'string' || season.trim().length > TEAM_LIST_SEASON_MAX_LENGTH)) {
+    return `Season must be ${TEAM_LIST_SEASON_MAX_LENGTH} characters or fewer`;
+  }
+  return null;
+};
+
+/**
+ * Validate team fields - only fields present are checked
+ * @param {Object} fields - { name, short_name, logo_url, sort_order }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTeamFields = ({ name, short_name, logo_url, sort_order }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > TEAM_NAME_MAX_LENGTH)) {
+    return `Team name is required and must be ${TEAM_NAME_MAX_LENGTH} characters or fewer`;
+  }
+  if (short_name !== undefined && (typeof short_name !== 'string' || !SHORT_NAME_PATTERN.test(short_name.trim()))) {
+    return "Short code must be 2-10 letters or digits, e.g. ARS";
+  }
+  if (logo_url !== undefined && logo_url !== null) {
+    if (typeof logo_url !== 'string' || !/^https?:\/\//i.test(logo_url) || logo_url.length > LOGO_URL_MAX_LENGTH) {
+      return `Logo URL must be an http(s) link of ${LOGO_URL_MAX_LENGTH} characters or fewer`;
+    }
+  }
+  if (sort_order !== undefined && !Number.isInteger(sort_order)) {
+    return "Sort order must be a whole number";
+  }
+  return null;
+};
+
+/**
+ * Load a team list for editing, locking it so concurrent team edits on the list run one at a time
+ * Throws { return_code, message } business errors for the route to return
+ * @param {Object} client - Transaction client
+ * @param {number} team_list_id - Team list to edit
+ * @param {number} user_id - User making the change
+ * @returns {Object} { id, name, organisation_id, is_active }
+ */
+const loadTeamListForEdit = async (client, team_list_id, user_id) => {
+  const result = await client.query(`
+    SELECT tl.id, tl.name, tl.organisation_id, tl.is_active, ${teamListEditableSql('tl', '$2')} as can_edit
+    FROM team_list tl
+    WHERE tl.id = $1
+    FOR UPDATE
+  `, [team_list_id, user_id]);
+
+  if (result.rows.length === 0) {
+    throw {
+      return_code: "TEAM_LIST_NOT_FOUND",
+      message: "Team list not found"
+    };
+  }
+
+  const teamList = result.rows[0];
+
+  if (!teamList.can_edit) {
+    throw {
+      return_code: "UNAUTHORIZED",
+      message: "You can only edit your own team lists or your organisation's lists"
+    };
+  }
+
+  return teamList;
+};
+
+/**
+ * Check no other active team in the same team list already uses a short code
+ * Throws DUPLICATE_SHORT_NAME if it does
+ * @param {Object} client - Transaction client
+ * @param {number} team_list_id - Team list the team belongs to
+ * @param {string} short_name - Upper-cased short code
+ * @param {number|null} exclude_team_id - Team being edited (ignored in the check)
+ */
+const assertShortNameAvailable = async (client, team_list_id, short_name, exclude_team_id = null) => {
+  const result = await client.query(`
+    SELECT t.name
+    FROM team t
+    WHERE t.team_list_id = $1 AND UPPER(t.short_name) = $2 AND t.is_active = true AND t.id IS DISTINCT FROM $3
+    LIMIT 1
+  `, [team_list_id, short_name, exclude_team_id]);
+
+  if (result.rows.length > 0) {
+    throw {
+      return_code: "DUPLICATE_SHORT_NAME",
+      message: `Short code ${short_name} is already used by ${result.rows[0].name} in this team list`
+    };
+  }
+};
+
+/**
+ * Count fixtures in competitions that are still running which refer to a team's short code
+ * @param {Object} client - Transaction client
+ * @param {number} team_list_id - Team list the team belongs to (only competitions using it are counted)
+ * @param {string} short_name - Team short code
+ * @returns {number} Number of live fixtures using the team
+ */
+const countLiveFixturesForTeam = async (client, team_list_id, short_name) => {
+  const result = await client.query(`
+    SELECT COUNT(*) as fixture_count
+    FROM fixture f
+    INNER JOIN round r ON f.round_id = r.id
+    INNER JOIN competition c ON r.competition_id = c.id
+    WHERE c.status <> 'COMPLETE'
+      AND c.team_list_id = $1
+      AND (f.home_team_short = $2 OR f.away_team_short = $2)
+  `, [team_list_id, short_name]);
+
+  return parseInt(result.rows[0].fixture_count) || 0;
+};
+
+module.exports = {
+  teamListVisibleSql,
+  teamListEditableSql,
+  validateTeamListFields,
+  validateTeamFields,
+  loadTeamListForEdit,
+  assertShortNameAvailable,
+  countLiveFixturesForTeam
+};
@@ -0,0 +1,138 @@
+/*
+=======================================================================================================================================
+Team Reset Service - Refills a player's allowed_teams when the competition's reset rule says so
+=======================================================================================================================================
+Purpose: Long competitions with lives leave survivors with no allowed teams (or none playing this round), which stalls the game.
+         Each competition picks a rule in competition.team_reset_mode:
+           EXHAUSTED      - reset once none of the player's allowed teams has a fixture in the current round (default)
+           EVERY_N_ROUNDS - reset every competition.team_reset_rounds rounds, counted from the player's last reset
+         competition_user.teams_reset_round records the round of the last reset; picks before it no longer count against
+         no team twice. Only applies when competition.no_team_twice is true - otherwise teams are never used up.
+=======================================================================================================================================
+*/
+
+const { usedTeamSql } = require('./resultsService');
+
+const TEAM_RESET_MODES = ['EXHAUSTED', 'EVERY_N_ROUNDS'];
+
+/**
+ * Reset the player's allowed teams if the competition's reset rule is due
+ * Must run inside database.transaction() - the membership row is locked so concurrent requests reset at most once
+ * @param {Object} client - Transaction client
+ * @param {number} competition_id - Competition to check
+ * @param {number} user_id - Player whose teams may be reset (audit entry is recorded against them)
+ * @returns {boolean} True if this call reset the player's teams
+ */
+const applyTeamReset = async (client, competition_id, user_id) => {
+  // Lock the membership row and gather everything the rule needs in one query
+  const stateResult = await client.query(`
+    SELECT
+      c.no_team_twice,
+      c.team_list_id,
+      c.team_reset_mode,
+      c.team_reset_rounds,
+      c.game_mode,
+      cu.status,
+      cu.teams_reset_round,
+      latest_round.id as round_id,
+      latest_round.round_number,
+      EXISTS (
+        SELECT 1 FROM pick p WHERE p.round_id = latest_round.id AND p.user_id = $2
+      ) as has_current_pick,
+      EXISTS (
+        SELECT 1
+        FROM allowed_teams at
+        JOIN team t ON at.team_id = t.id AND t.is_active = true
+        JOIN fixture f ON f.round_id = latest_round.id
+                       AND (f.home_team_short = t.short_name OR f.away_team_short = t.short_name)
+        WHERE at.competition_id = $1 AND at.user_id = $2
+      ) as has_playable_team
+    FROM competition_user cu
+    JOIN competition c ON cu.competition_id = c.id
+    LEFT JOIN LATERAL (
+      SELECT r.id, r.round_number
+      FROM round r
+      WHERE r.competition_id = c.id
+      ORDER BY r.round_number DESC
+      LIMIT 1
+    ) latest_round ON true
+    WHERE cu.competition_id = $1 AND cu.user_id = $2
+    FOR UPDATE OF cu
+  `, [competition_id, user_id]);
+
+  if (stateResult.rows.length === 0) {
+    return false; // Not a member - callers report that themselves
+  }
+
+  const state = stateResult.rows[0];
+
+  // Nothing to reset: teams are never used up, no team list/round yet, or the player is already out
+  if (!state.no_team_twice || !state.team_list_id || !state.round_id || state.status === 'OUT') {
+    return false;
+  }
+
+  // Already reset this round (e.g. get-allowed-teams then set-pick)
+  if (state.teams_reset_round !== null && state.teams_reset_round >= state.round_number) {
+    return false;
+  }
+
+  let reason = null;
+
+  if (state.team_reset_mode === 'EVERY_N_ROUNDS') {
+    // Count from the player's last reset, or round 1 when they have never been reset
+    const lastReset = state.teams_reset_round || 1;
+    if (state.team_reset_rounds > 0 && state.round_number - lastReset >= state.team_reset_rounds) {
+      reason = `scheduled reset every ${state.team_reset_rounds} rounds`;
+    }
+  } else if (!state.has_playable_team && !state.has_current_pick) {
+    // A player who already picked this round can always switch back to that team, so they are not stuck
+    reason = 'player ran out of available teams';
+  }
+
+  if (!reason) {
+    return false;
+  }
+
+  // Refill with every active team in the list, except the team already used up by a pick in the current round
+  await client.query(`
+    DELETE FROM allowed_teams
+    WHERE competition_id = $1 AND user_id = $2
+  `, [competition_id, user_id]);
+
+  await client.query(`
+    INSERT INTO allowed_teams (competition_id, user_id, team_id, created_at)
+    SELECT $1, $2, t.id, NOW()
+    FROM team t
+    WHERE t.team_list_id = $3 AND t.is_active = true
+      AND NOT EXISTS (
+        SELECT 1
+        FROM pick p
+        LEFT JOIN fixture f ON f.id = p.fixture_id
+        WHERE p.round_id = $4 AND p.user_id = $2
+          AND ${usedTeamSql({ team: 'p.team', homeTeam: 'f.home_team_short', awayTeam: 'f.away_team_short', gameMode: '$5' })} = t.short_name
+      )
+  `, [competition_id, user_id, state.team_list_id, state.round_id, state.game_mode]);
+
+  // Picks before this round no longer count against no team twice
+  await client.query(`
+    UPDATE competition_user
+    SET teams_reset_round = $3
+    WHERE competition_id = $1 AND user_id = $2
+  `, [competition_id, user_id, state.round_number]);
+
+  await client.query(`
+    INSERT INTO audit_log (competition_id, user_id, action, details)
+    VALUES ($1, $2, 'Teams Auto-Reset', $3)
+  `, [
+    competition_id,
+    user_id,
+    `Teams reset to all teams in Round ${state.round_number} - ${reason}`
+  ]);
+
+  return true;
+};
+
+module.exports = {
+  TEAM_RESET_MODES,
+  applyTeamReset
+};
@@ -0,0 +1,86 @@
+/*
+=======================================================================================================================================
+CSV Parser Utility
+=======================================================================================================================================
+Purpose: Minimal RFC 4180 CSV parsing for uploaded files (fixture imports) - quoted fields, escaped quotes ("") and
+         commas/newlines inside quotes are supported. The first row is the header row.
+=======================================================================================================================================
+*/
+
+/**
+ * Split CSV text into rows of raw string fields
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} Rows of fields (blank lines skipped)
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'; // Escaped quote
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++; // CRLF line ending
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV file contents
+ * @returns {Object[]} One object per data row, values trimmed
+ */
+const parseCsv = (text) => {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  return rows.slice(1).map(fields => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (fields[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv
+};
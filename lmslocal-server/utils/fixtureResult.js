@@ -0,0 +1,98 @@
+/*
+=======================================================================================================================================
+Fixture Result Utility
+=======================================================================================================================================
+Purpose: Converts results entered by organisers ("home_win", "H", "2-1", FTHG/FTAG scores) into the value stored in fixture.result -
+         the winning team's short code, "DRAW", "POSTPONED" or "VOID" - so single and bulk result entry store identical values.
+         Final scores are kept in fixture.home_score/away_score alongside the derived result.
+=======================================================================================================================================
+*/
+
+const RESULT_OPTIONS = ['home_win', 'away_win', 'draw', 'postponed', 'void'];
+
+// Short codes used by results feeds (football-data FTR column: H/D/A)
+const RESULT_CODES = {
+  h: 'home_win',
+  a: 'away_win',
+  d: 'draw',
+  p: 'postponed',
+  v: 'void'
+};
+
+/**
+ * Normalise a result value to one of RESULT_OPTIONS
+ * @param {string} value - "home_win", "HOME_WIN", "H", "postponed", ...
+ * @returns {string|null} Result option or null if unrecognised
+ */
+const normaliseResult = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const lower = value.trim().toLowerCase();
+  if (RESULT_OPTIONS.includes(lower)) return lower;
+  return RESULT_CODES[lower] || null;
+};
+
+/**
+ * Derive a result option from a final score
+ * @param {number} homeScore - Home goals
+ * @param {number} awayScore - Away goals
+ * @returns {string} "home_win", "away_win" or "draw"
+ */
+const scoreToResult = (homeScore, awayScore) => {
+  if (homeScore > awayScore) return 'home_win';
+  if (awayScore > homeScore) return 'away_win';
+  return 'draw';
+};
+
+/**
+ * Parse a score value (number or numeric string)
+ * @param {number|string} value - Goals
+ * @returns {number|null} Non-negative integer or null if invalid
+ */
+const parseGoals = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const goals = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isInteger(goals) && goals >= 0 && goals <= 99 ? goals : null;
+};
+
+/**
+ * Convert a result option to the value stored in fixture.result
+ * @param {string} result - One of RESULT_OPTIONS
+ * @param {Object} fixture - Fixture row with home_team_short and away_team_short
+ * @returns {string} Winning team short code, "DRAW", "POSTPONED" or "VOID"
+ */
+const toStoredResult = (result, fixture) => {
+  if (result === 'home_win') return fixture.home_team_short;
+  if (result === 'away_win') return fixture.away_team_short;
+  return result.toUpperCase(); // "DRAW", "POSTPONED" or "VOID"
+};
+
+/**
+ * Postponed/void results can be entered before the round locks - they only void picks
+ * @param {string} result - One of RESULT_OPTIONS
+ * @returns {boolean} True for postponed or void
+ */
+const isVoidResult = (result) => result === 'postponed' || result === 'void';
+
+/**
+ * Describe a finished fixture for players, e.g. "Arsenal 2-1 Chelsea"
+ * @param {Object} fixture - Row with home_team, away_team, home_score, away_score
+ * @returns {string|null} Score line, or null when no score is stored
+ */
+const scoreLine = (fixture) => {
+  if (fixture.home_score === null || fixture.home_score === undefined ||
+      fixture.away_score === null || fixture.away_score === undefined) {
+    return null;
+  }
+  return `${fixture.home_team} ${fixture.home_score}-${fixture.away_score} ${fixture.away_team}`;
+};
+
+module.exports = {
+  RESULT_OPTIONS,
+  normaliseResult,
+  scoreToResult,
+  parseGoals,
+  toStoredResult,
+  isVoidResult,
+  scoreLine
+};
@@ -0,0 +1,145 @@
+/*
+=======================================================================================================================================
+Round Lock Utilities - Single definition of when a round stops accepting picks
+=======================================================================================================================================
+Purpose: A round locks at the earliest of: the organiser's lock_time, the moment every active player has picked
+         (round.auto_locked_at), or LOCK_OFFSET_MINUTES (default 60) before the round's first fixture kicks off.
+         Routes must build their lock checks from these helpers so every endpoint agrees on whether a round is locked.
+         Competitions with pick_lock_mode 'FIXTURE' lock each pick at its own fixture's kickoff instead (or at the organiser's
+         lock_time if that comes first), so a Monday night game can still be picked on Sunday. The round-level lock above still
+         governs results entry; the pick helpers below decide whether players can pick.
+=======================================================================================================================================
+*/
+
+// Minutes before the first kickoff that picks lock - validated as a non-negative integer so it is safe to inline in SQL
+const parsedOffset = parseInt(process.env.LOCK_OFFSET_MINUTES, 10);
+const LOCK_OFFSET_MINUTES = Number.isInteger(parsedOffset) && parsedOffset >= 0 ? parsedOffset : 60;
+
+// competition.pick_lock_mode values: ROUND = one lock for the whole round, FIXTURE = each pick locks at its fixture's kickoff
+const PICK_LOCK_MODES = ['ROUND', 'FIXTURE'];
+
+/**
+ * SQL expression for a round's effective lock time (earliest of all lock triggers)
+ * LEAST ignores NULLs, so an unset trigger (no lock_time, no fixtures yet) never locks the round on its own
+ * @param {string} roundAlias - Alias of the round table in the calling query (default: 'r')
+ * @returns {string} SQL expression evaluating to a timestamp (NULL if no trigger is set)
+ */
+const effectiveLockTimeSql = (roundAlias = 'r') => `LEAST(
+  ${roundAlias}.lock_time,
+  ${roundAlias}.auto_locked_at,
+  (SELECT MIN(lock_f.kickoff_time) FROM fixture lock_f WHERE lock_f.round_id = ${roundAlias}.id) - INTERVAL '${LOCK_OFFSET_MINUTES} minutes'
+)`;
+
+/**
+ * SQL expression that is true when a round is locked for picks
+ * @param {string} roundAlias - Alias of the round table in the calling query (default: 'r')
+ * @returns {string} SQL boolean expression
+ */
+const isRoundLockedSql = (roundAlias = 'r') => `COALESCE(CURRENT_TIMESTAMP >= ${effectiveLockTimeSql(roundAlias)}, false)`;
+
+/**
+ * SQL expression that is true when a pick on a fixture can no longer be made, changed or removed
+ * @param {string} fixtureAlias - Alias of the fixture table in the calling query
+ * @param {string} roundAlias - Alias of the fixture's round
+ * @param {string} competitionAlias - Alias of the round's competition
+ * @returns {string} SQL boolean expression
+ */
+const isFixtureLockedSql = (fixtureAlias = 'f', roundAlias = 'r', competitionAlias = 'c') => `(CASE
+  WHEN ${competitionAlias}.pick_lock_mode = 'FIXTURE'
+    THEN COALESCE(CURRENT_TIMESTAMP >= ${roundAlias}.lock_time, false) OR COALESCE(CURRENT_TIMESTAMP >= ${fixtureAlias}.kickoff_time, false)
+  ELSE ${isRoundLockedSql(roundAlias)}
+END)`;
+
+/**
+ * SQL expression for when the last pick in a round locks - the round's lock time in ROUND mode,
+ * the last kickoff (or the organiser's lock_time if earlier) in FIXTURE mode
+ * @param {string} roundAlias - Alias of the round table in the calling query
+ * @param {string} competitionAlias - Alias of the round's competition
+ * @returns {string} SQL expression evaluating to a timestamp (NULL if no trigger is set)
+ */
+const pickDeadlineSql = (roundAlias = 'r', competitionAlias = 'c') => `(CASE
+  WHEN ${competitionAlias}.pick_lock_mode = 'FIXTURE'
+    THEN LEAST(
+      ${roundAlias}.lock_time,
+      (SELECT MAX(deadline_f.kickoff_time) FROM fixture deadline_f WHERE deadline_f.round_id = ${roundAlias}.id)
+    )
+  ELSE ${effectiveLockTimeSql(roundAlias)}
+END)`;
+
+/**
+ * SQL expression that is true once no more picks can be made in a round (every fixture locked in FIXTURE mode)
+ * @param {string} roundAlias - Alias of the round table in the calling query
+ * @param {string} competitionAlias - Alias of the round's competition
+ * @returns {string} SQL boolean expression
+ */
+const arePicksClosedSql = (roundAlias = 'r', competitionAlias = 'c') => `COALESCE(CURRENT_TIMESTAMP >= ${pickDeadlineSql(roundAlias, competitionAlias)}, false)`;
+
+/**
+ * Take the round's row lock so pick transactions for the same round run one after another
+ * Call at the start of the pick transaction, before the pick is saved - without it two players making the last two picks
+ * at the same time each miss the other's uncommitted pick and neither locks the round
+ * @param {Object} client - Transaction client
+ * @param {number} round_id - Round the pick is being made in
+ */
+const lockRoundForPicks = async (client, round_id) => {
+  await client.query('SELECT id FROM round WHERE id = $1 FOR UPDATE', [round_id]);
+};
+
+/**
+ * Lock a round early if every active player in the competition now has a pick for it (ROUND lock mode only)
+ * Call inside the pick transaction after the pick is saved (and after lockRoundForPicks); a no-op if the round is already locked
+ * @param {Object} client - Transaction client
+ * @param {number} round_id - Round the pick was made in
+ * @param {number} competition_id - Competition the round belongs to
+ * @param {number} user_id - User who made the triggering pick (for audit trail)
+ * @returns {boolean} True if this call locked the round
+ */
+const lockRoundIfAllPicked = async (client, round_id, competition_id, user_id) => {
+  const lockResult = await client.query(`
+    UPDATE round r
+    SET auto_locked_at = CURRENT_TIMESTAMP
+    WHERE r.id = $1
+      AND r.auto_locked_at IS NULL
+      AND EXISTS (
+        SELECT 1 FROM competition c WHERE c.id = $2 AND c.pick_lock_mode = 'ROUND' -- FIXTURE mode picks stay open until kickoff
+      )
+      AND NOT ${isRoundLockedSql('r')}
+      AND EXISTS (
+        SELECT 1 FROM competition_user cu
+        WHERE cu.competition_id = $2 AND cu.status != 'OUT' AND cu.removed_at IS NULL
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM competition_user cu
+        WHERE cu.competition_id = $2
+          AND cu.status != 'OUT'
+          AND cu.removed_at IS NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM pick p WHERE p.round_id = $1 AND p.user_id = cu.user_id
+          )
+      )
+    RETURNING r.round_number
+  `, [round_id, competition_id]);
+
+  if (lockResult.rows.length === 0) {
+    return false;
+  }
+
+  await client.query(`
+    INSERT INTO audit_log (competition_id, user_id, action, details)
+    VALUES ($1, $2, 'Round Auto-Locked', $3)
+  `, [competition_id, user_id, `Round ${lockResult.rows[0].round_number} locked early - all active players have picked`]);
+
+  return true;
+};
+
+module.exports = {
+  LOCK_OFFSET_MINUTES,
+  PICK_LOCK_MODES,
+  effectiveLockTimeSql,
+  isRoundLockedSql,
+  isFixtureLockedSql,
+  pickDeadlineSql,
+  arePicksClosedSql,
+  lockRoundForPicks,
+  lockRoundIfAllPicked
+};
@@ -0,0 +1,135 @@
+/*
+=======================================================================================================================================
+Team Matcher Utility
+=======================================================================================================================================
+Purpose: Maps team names from external fixture feeds ("Man Utd", "Brighton & Hove Albion FC", "Spurs") onto the teams of a
+         team list. Tries, in order: exact name/short_name, team_alias entries, then fuzzy matching on normalised names.
+         Fuzzy matches must be unambiguous - a name close to two teams is left unmatched so the organiser can add an alias.
+=======================================================================================================================================
+*/
+
+// Words that carry no meaning when comparing club names
+const STOP_WORDS = ['fc', 'afc', 'cf', 'sc', 'the', 'football', 'club'];
+
+// Common abbreviations in fixture feeds, expanded before comparing
+const ABBREVIATIONS = {
+  man: 'manchester',
+  utd: 'united',
+  nottm: 'nottingham',
+  nott: 'nottingham',
+  sheff: 'sheffield',
+  wed: 'wednesday',
+  qpr: 'queens park rangers'
+};
+
+// Minimum similarity (0-1) for a fuzzy match
+const FUZZY_THRESHOLD = 0.8;
+
+/**
+ * Normalise a team name for comparison
+ * "Brighton & Hove Albion FC" -> "brighton and hove albion"
+ * @param {string} name - Raw team name
+ * @returns {string} Normalised name
+ */
+const normaliseTeamName = (name) => String(name)
+  .toLowerCase()
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Strip accents
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && !STOP_WORDS.includes(word))
+  .map(word => ABBREVIATIONS[word] || word)
+  .join(' ');
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,                                   // Deletion
+        current[j - 1] + 1,                                // Insertion
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)  // Substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity score between two normalised names (1 = identical)
+ * A name contained whole-word in the other ("brighton" in "brighton and hove albion") scores just above the threshold
+ * @param {string} a - Normalised name
+ * @param {string} b - Normalised name
+ * @returns {number} Score between 0 and 1
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+
+  const editScore = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const containsScore = shorter.length >= 4 && ` ${longer} `.includes(` ${shorter} `) ? FUZZY_THRESHOLD + 0.05 : 0;
+
+  return Math.max(editScore, containsScore);
+};
+
+/**
+ * Build a matcher for one team list
+ * @param {Object[]} teams - Team rows { id, name, short_name }
+ * @param {Object[]} aliases - team_alias rows { team_id, alias }
+ * @returns {Function} match(name) -> { team, method, score } or null when unmatched/ambiguous
+ */
+const createTeamMatcher = (teams, aliases = []) => {
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  const exact = new Map();
+  const aliasMap = new Map();
+
+  teams.forEach(team => {
+    exact.set(team.name.toLowerCase(), team);
+    if (team.short_name) exact.set(team.short_name.toLowerCase(), team);
+  });
+
+  aliases.forEach(({ team_id, alias }) => {
+    const team = teamsById.get(team_id);
+    if (team) aliasMap.set(normaliseTeamName(alias), team);
+  });
+
+  const normalisedTeams = teams.map(team => ({ team, normalised: normaliseTeamName(team.name) }));
+
+  return (name) => {
+    const raw = String(name || '').trim();
+    if (!raw) return null;
+
+    const exactTeam = exact.get(raw.toLowerCase());
+    if (exactTeam) return { team: exactTeam, method: 'exact', score: 1 };
+
+    const normalised = normaliseTeamName(raw);
+    const aliasTeam = aliasMap.get(normalised);
+    if (aliasTeam) return { team: aliasTeam, method: 'alias', score: 1 };
+
+    // Fuzzy: best score wins, but only if no other team is equally close
+    const scored = normalisedTeams
+      .map(candidate => ({ team: candidate.team, score: similarity(normalised, candidate.normalised) }))
+      .filter(candidate => candidate.score >= FUZZY_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) return null;
+    if (scored.length > 1 && scored[1].score === scored[0].score) return null; // Ambiguous
+
+    return { team: scored[0].team, method: 'fuzzy', score: Math.round(scored[0].score * 100) / 100 };
+  };
+};
+
+module.exports = {
+  normaliseTeamName,
+  createTeamMatcher
+};
@@ -0,0 +1,44 @@
+'use client';
+
+import { useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { ArrowLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
+import JobHistory from '@/components/JobHistory';
+
+// Platform job history - the server only returns it to accounts listed in ADMIN_EMAILS
+export default function AdminJobsPage() {
+  const router = useRouter();
+
+  useEffect(() => {
+    const token = localStorage.getItem('jwt_token');
+    if (!token) {
+      router.push(`/login?redirect=${encodeURIComponent('/admin/jobs')}`);
+    }
+  }, [router]);
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b border-slate-200">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-4">
+            <Link
+              href="/dashboard"
+              className="inline-flex items-center text-slate-500 hover:text-slate-700 mr-4"
+            >
+              <ArrowLeftIcon className="h-5 w-5 mr-1" />
+              Back to Dashboard
+            </Link>
+            <ClockIcon className="h-8 w-8 text-slate-700" />
+            <span className="ml-2 text-xl font-bold text-slate-900">Background Jobs</span>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
+        <JobHistory />
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { CreditCardIcon } from '@heroicons/react/24/outline';
+import { billingApi } from '@/lib/api';
+import { formatPence } from '@/components/CompetitionActivationCard';
+
+// Test checkout for the development payment provider - stands in for the payment service's hosted checkout page
+function CheckoutForm() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [paying, setPaying] = useState(false);
+  const [error, setError] = useState('');
+
+  const reference = searchParams.get('reference') || '';
+  const amount = parseInt(searchParams.get('amount') || '0') || 0;
+  const description = searchParams.get('description') || 'LMS Local';
+  // Only follow paths within the app
+  const requestedReturn = searchParams.get('return') || '/dashboard';
+  const returnPath = requestedReturn.startsWith('/') && !requestedReturn.startsWith('//') ? requestedReturn : '/dashboard';
+
+  useEffect(() => {
+    const token = localStorage.getItem('jwt_token');
+    if (!token) {
+      router.push('/login');
+    }
+  }, [router]);
+
+  const handlePay = async () => {
+    setPaying(true);
+    setError('');
+
+    try {
+      const response = await billingApi.completeCheckout(reference);
+      if (response.data.return_code === 'SUCCESS') {
+        router.push(returnPath);
+        return;
+      }
+      setError(response.data.message || 'Payment failed');
+    } catch (payError) {
+      console.error('Complete checkout error:', payError);
+      setError('Payment failed');
+    }
+    setPaying(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-md bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <div className="flex items-center mb-4">
+          <CreditCardIcon className="h-8 w-8 text-slate-700" />
+          <h1 className="ml-2 text-xl font-bold text-slate-900">Test Checkout</h1>
+        </div>
+        <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-md p-3 mb-4">
+          Development payment provider - no card is charged and the payment always succeeds.
+        </p>
+        <div className="flex items-center justify-between py-3 border-y border-slate-100 mb-4">
+          <span className="text-sm text-slate-700">{description}</span>
+          <span className="text-lg font-bold text-slate-900">{formatPence(amount)}</span>
+        </div>
+
+        {error && (
+          <p className="mb-4 text-sm text-red-600">{error}</p>
+        )}
+
+        <button
+          onClick={handlePay}
+          disabled={paying || !reference}
+          className="w-full px-4 py-2 bg-slate-800 text-white rounded-lg font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {paying ? 'Paying...' : `Pay ${formatPence(amount)}`}
+        </button>
+        <Link
+          href={returnPath}
+          className="block text-center mt-3 text-sm text-slate-500 hover:text-slate-700"
+        >
+          Cancel
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export default function CheckoutPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <CheckoutForm />
+    </Suspense>
+  );
+}
@@ -10,9 +10,12 @@ import {
   ArrowLeftIcon,
   Cog6ToothIcon,
   CalendarDaysIcon,
+  BanknotesIcon,
 } from '@heroicons/react/24/outline';
 import { Competition as CompetitionType, competitionApi, DashboardStats } from '@/lib/api';
+import { invalidateCache } from '@/lib/cache';
 import { useAppData } from '@/contexts/AppDataContext';
+import CompetitionActivationCard from '@/components/CompetitionActivationCard';
 
 
 
@@ -22,7 +25,7 @@ export default function AdminDashboard() {
   const competitionId = params.id as string;
   
   // Use AppDataProvider context for competitions data
-  const { competitions, loading: contextLoading } = useAppData();
+  const { competitions, loading: contextLoading, refreshCompetitions } = useAppData();
   
   // Memoize the specific competition to prevent unnecessary re-renders
   const competition = useMemo(() => {
@@ -34,6 +37,37 @@ export default function AdminDashboard() {
   const [loading, setLoading] = useState(true);
   const hasLoadedData = useRef(false);
 
+  // Clone & Restart state (completed competitions only)
+  const [cloneParticipants, setCloneParticipants] = useState<'none' | 'invite' | 'enrol'>('enrol');
+  const [cloning, setCloning] = useState(false);
+  const [cloneError, setCloneError] = useState('');
+
+  const handleCloneCompetition = async () => {
+    setCloning(true);
+    setCloneError('');
+
+    try {
+      const response = await competitionApi.clone(parseInt(competitionId), cloneParticipants);
+
+      if (response.data.return_code === 'SUCCESS') {
+        const newCompetition = response.data.competition as { id: number };
+        localStorage.setItem('new_competition_id', newCompetition.id.toString());
+
+        // New competition must appear in the dashboard list
+        invalidateCache.competitions();
+        await refreshCompetitions();
+        router.push(`/competition/${newCompetition.id}/dashboard`);
+      } else {
+        setCloneError(response.data.message || 'Failed to restart competition');
+      }
+    } catch (error) {
+      console.error('Failed to clone competition:', error);
+      setCloneError('Failed to restart competition');
+    } finally {
+      setCloning(false);
+    }
+  };
+
   useEffect(() => {
     const loadData = async () => {
       try {
@@ -195,6 +229,11 @@ export default function AdminDashboard() {
           )}
         </div>
 
+        {/* Free plan allowance and activation */}
+        {competition.status !== 'COMPLETE' && (
+          <CompetitionActivationCard competitionId={competition.id} />
+        )}
+
         {/* Invite Code - Only show for competitions that haven't started */}
         {competition.invite_code && competition.status !== 'COMPLETE' && (
           <div className="mb-6 sm:mb-8 bg-slate-50 border border-slate-200 rounded-xl p-4 sm:p-6">
@@ -344,7 +383,7 @@ export default function AdminDashboard() {
                 <h3 className="text-xl sm:text-2xl font-bold text-slate-900 mb-2">Tournament Complete! 🎉</h3>
                 <p className="text-sm sm:text-base text-slate-600">View final results and tournament summary</p>
               </div>
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8 sm:gap-12">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8 sm:gap-12">
                 <Link
                   href={`/play/${competitionId}/standings?from=admin`}
                   className="group text-center hover:opacity-80 transition-opacity duration-200"
@@ -367,12 +406,43 @@ export default function AdminDashboard() {
                   <p className="text-sm text-slate-600">View and manage players</p>
                 </Link>
                 
-                <div className="group text-center opacity-50 cursor-not-allowed">
+                <Link
+                  href={`/competition/${competitionId}/pot`}
+                  className="group text-center hover:opacity-80 transition-opacity duration-200"
+                >
+                  <div className="mb-4">
+                    <BanknotesIcon className="h-12 w-12 text-slate-600 mx-auto group-hover:text-slate-800 transition-colors" />
+                  </div>
+                  <h3 className="text-lg font-semibold text-slate-900 mb-2">Prize Pot</h3>
+                  <p className="text-sm text-slate-600">Payouts and who still owes</p>
+                </Link>
+                
+                <div className="group text-center">
                   <div className="mb-4">
-                    <Cog6ToothIcon className="h-12 w-12 text-slate-400 mx-auto" />
+                    <Cog6ToothIcon className="h-12 w-12 text-slate-600 mx-auto" />
                   </div>
-                  <h3 className="text-lg font-semibold text-slate-500 mb-2">Settings</h3>
-                  <p className="text-sm text-slate-400">Restart or copy competition</p>
+                  <h3 className="text-lg font-semibold text-slate-900 mb-2">Clone & Restart</h3>
+                  <p className="text-sm text-slate-600 mb-3">Start a new game with the same settings</p>
+                  <select
+                    value={cloneParticipants}
+                    onChange={(e) => setCloneParticipants(e.target.value as 'none' | 'invite' | 'enrol')}
+                    disabled={cloning}
+                    className="w-full mb-3 rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500"
+                  >
+                    <option value="enrol">Add all previous players</option>
+                    <option value="invite">Email previous players an invite</option>
+                    <option value="none">Start with no players</option>
+                  </select>
+                  <button
+                    onClick={handleCloneCompetition}
+                    disabled={cloning}
+                    className="w-full px-4 py-2 bg-slate-800 text-white rounded-lg text-sm font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {cloning ? 'Restarting...' : 'Restart Competition'}
+                  </button>
+                  {cloneError && (
+                    <p className="mt-2 text-sm text-red-600">{cloneError}</p>
+                  )}
                 </div>
               </div>
             </>
@@ -416,13 +486,16 @@ export default function AdminDashboard() {
                   <p className="text-sm text-slate-600">View competition results</p>
                 </Link>
                 
-                <div className="group text-center opacity-50 cursor-not-allowed">
+                <Link
+                  href={`/competition/${competitionId}/pot`}
+                  className="group text-center hover:opacity-80 transition-opacity duration-200"
+                >
                   <div className="mb-4">
-                    <Cog6ToothIcon className="h-12 w-12 text-slate-400 mx-auto" />
+                    <BanknotesIcon className="h-12 w-12 text-slate-600 mx-auto group-hover:text-slate-800 transition-colors" />
                   </div>
-                  <h3 className="text-lg font-semibold text-slate-500 mb-2">Settings</h3>
-                  <p className="text-sm text-slate-400">Coming soon</p>
-                </div>
+                  <h3 className="text-lg font-semibold text-slate-900 mb-2">Prize Pot</h3>
+                  <p className="text-sm text-slate-600">Entry fees, payments and payouts</p>
+                </Link>
               </div>
             </>
           )}
@@ -0,0 +1,49 @@
+'use client';
+
+import { useEffect } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import Link from 'next/link';
+import { ArrowLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
+import JobHistory from '@/components/JobHistory';
+
+export default function CompetitionJobsPage() {
+  const router = useRouter();
+  const params = useParams();
+  const competitionId = parseInt(params.id as string);
+
+  useEffect(() => {
+    const token = localStorage.getItem('jwt_token');
+    if (!token) {
+      router.push('/login');
+    }
+  }, [router]);
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b border-slate-200">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-4">
+            <Link
+              href={`/competition/${competitionId}/manage`}
+              className="inline-flex items-center text-slate-500 hover:text-slate-700 mr-4"
+            >
+              <ArrowLeftIcon className="h-5 w-5 mr-1" />
+              Back to Fixtures
+            </Link>
+            <ClockIcon className="h-8 w-8 text-slate-700" />
+            <span className="ml-2 text-xl font-bold text-slate-900">Scheduled Jobs</span>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        <p className="text-sm text-slate-600">
+          Each round is watched in the background: when Round 1 locks registration closes, and once every result is in
+          the round is calculated automatically. Failed jobs can be retried here.
+        </p>
+        <JobHistory competitionId={competitionId} />
+      </main>
+    </div>
+  );
+}
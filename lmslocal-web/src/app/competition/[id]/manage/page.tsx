@@ -29,6 +29,8 @@ interface Round {
   id: number;
   round_number: number;
   lock_time?: string;
+  effective_lock_time?: string;
+  is_locked?: boolean;
   status?: string;
   fixture_count?: number;
   is_current?: boolean;
@@ -397,8 +399,9 @@ export default function ManageCompetitionPage() {
       const response = await roundApi.update(currentRound.id.toString(), isoDateTime);
       
       if (response.data.return_code === 'SUCCESS') {
-        // Update local state
-        setCurrentRound(prev => prev ? { ...prev, lock_time: isoDateTime } : null);
+        // Update local state - effective deadline may still be earlier if the first kickoff is sooner
+        const effectiveLockTime = (response.data.round as { effective_lock_time?: string } | undefined)?.effective_lock_time;
+        setCurrentRound(prev => prev ? { ...prev, lock_time: isoDateTime, effective_lock_time: effectiveLockTime || isoDateTime } : null);
         setIsEditingCutoff(false);
       } else {
         alert('Failed to update cut-off time: ' + (response.data.message || 'Unknown error'));
@@ -551,6 +554,13 @@ export default function ManageCompetitionPage() {
                   <h1 className="text-lg font-semibold text-slate-900">Competition Management</h1>
                 </div>
               </div>
+              <Link
+                href={`/competition/${competitionId}/jobs`}
+                className="flex items-center space-x-2 text-sm text-slate-600 hover:text-slate-800 transition-colors"
+              >
+                <ClockIcon className="h-5 w-5" />
+                <span className="font-medium">Scheduled Jobs</span>
+              </Link>
             </div>
           </div>
         </header>
@@ -630,7 +640,7 @@ export default function ManageCompetitionPage() {
                       ) : (
                         <div className="flex items-center space-x-3">
                           <span className="text-sm">
-                            Pick deadline: {currentRound.lock_time ? new Date(currentRound.lock_time).toLocaleString(undefined, { 
+                            Pick deadline: {(currentRound.effective_lock_time || currentRound.lock_time) ? new Date((currentRound.effective_lock_time || currentRound.lock_time)!).toLocaleString(undefined, { 
                               weekday: 'short',
                               year: 'numeric', 
                               month: 'short', 
@@ -653,7 +663,7 @@ export default function ManageCompetitionPage() {
                   <div className="flex items-center space-x-3">
                     {currentRound && 
                      (currentRound.fixture_count || 0) > 0 && 
-                     currentRound.lock_time && new Date() < new Date(currentRound.lock_time) && (
+                     !currentRound.is_locked && (currentRound.effective_lock_time || currentRound.lock_time) && (
                       <button
                         onClick={openAdminPickModal}
                         className="inline-flex items-center px-4 py-2 bg-slate-100 text-slate-700 rounded-xl font-medium hover:bg-slate-200 hover:text-slate-900 transition-all duration-200 border border-slate-200 shadow-sm hover:shadow-md"
@@ -8,9 +8,13 @@ import {
   ArrowLeftIcon,
   UserIcon,
   TrashIcon,
-  CurrencyDollarIcon
+  CurrencyDollarIcon,
+  ArrowPathIcon,
+  HeartIcon,
+  NoSymbolIcon,
+  ArrowUturnLeftIcon
 } from '@heroicons/react/24/outline';
-import { competitionApi, adminApi, offlinePlayerApi, Competition, Player } from '@/lib/api';
+import { competitionApi, adminApi, offlinePlayerApi, cacheUtils, Competition, Player, RemovedPlayer } from '@/lib/api';
 import { useAppData } from '@/contexts/AppDataContext';
 import ConfirmationModal from '@/components/ConfirmationModal';
 
@@ -25,6 +29,8 @@ export default function CompetitionPlayersPage() {
   // Use AppDataProvider context to avoid redundant API calls
   const { competitions } = useAppData();
   const [players, setPlayers] = useState<Player[]>([]);
+  const [removedPlayers, setRemovedPlayers] = useState<RemovedPlayer[]>([]);
+  const [restoring, setRestoring] = useState<Set<number>>(new Set());
   const [loading, setLoading] = useState(true);
   const [removing, setRemoving] = useState<Set<number>>(new Set());
   const [showConfirmModal, setShowConfirmModal] = useState(false);
@@ -34,6 +40,13 @@ export default function CompetitionPlayersPage() {
   const [showAddPlayerModal, setShowAddPlayerModal] = useState(false);
   const [addingPlayer, setAddingPlayer] = useState(false);
   const [addPlayerForm, setAddPlayerForm] = useState({ display_name: '', email: '' });
+  const [playerToBuyBack, setPlayerToBuyBack] = useState<{ id: number; name: string } | null>(null);
+  const [buyBackAmount, setBuyBackAmount] = useState('');
+  const [buyingBack, setBuyingBack] = useState(false);
+  const [playerAction, setPlayerAction] = useState<{ type: 'lives' | 'eliminate' | 'reinstate'; id: number; name: string } | null>(null);
+  const [actionLives, setActionLives] = useState('0');
+  const [actionReason, setActionReason] = useState('');
+  const [applyingAction, setApplyingAction] = useState(false);
   const abortControllerRef = useRef<AbortController | null>(null);
 
   useEffect(() => {
@@ -91,6 +104,7 @@ export default function CompetitionPlayersPage() {
         const competitionFromContext = competitions?.find(c => c.id === competitionId);
         setCompetition(competitionFromContext || response.data.competition as Competition);
         setPlayers(response.data.players as Player[]);
+        setRemovedPlayers((response.data.removed_players as RemovedPlayer[]) || []);
       } else {
         console.error('Failed to load players:', response.data.message);
         router.push(`/competition/${competitionId}/dashboard`);
@@ -131,6 +145,10 @@ export default function CompetitionPlayersPage() {
           ...prev, 
           player_count: (prev.player_count || 0) - 1 
         } : null);
+
+        // Reload so the player shows up in the removed list, ready to restore
+        cacheUtils.invalidateKey(`competition-players-${competitionId}`);
+        await loadPlayers();
       } else {
         console.error('Failed to remove player:', response.data.message);
         alert(`Failed to remove player: ${response.data.message}`);
@@ -225,6 +243,117 @@ export default function CompetitionPlayersPage() {
     }
   };
 
+  const handleBuyBack = async () => {
+    if (!playerToBuyBack) return;
+
+    // Fee is optional - blank records the competition's buy-back fee, if one is set
+    const amount = buyBackAmount.trim() ? parseFloat(buyBackAmount) : undefined;
+    if (amount !== undefined && (isNaN(amount) || amount < 0)) {
+      alert('Please enter a valid amount');
+      return;
+    }
+
+    setBuyingBack(true);
+
+    try {
+      const response = await competitionApi.buyBackPlayer(competitionId, playerToBuyBack.id, amount);
+
+      if (response.data.return_code === 'SUCCESS') {
+        // Player is active again with restored lives and teams - reload from the server
+        cacheUtils.invalidateKey(`competition-players-${competitionId}`);
+        await loadPlayers();
+        setPlayerToBuyBack(null);
+        setBuyBackAmount('');
+      } else {
+        alert(`Failed to buy player back in: ${response.data.message || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Failed to buy player back in:', error);
+      alert('Failed to buy player back in. Please try again.');
+    } finally {
+      setBuyingBack(false);
+    }
+  };
+
+  const handleRestorePlayer = async (playerId: number) => {
+    setRestoring(prev => new Set(prev).add(playerId));
+
+    try {
+      const response = await competitionApi.restorePlayer(competitionId, playerId);
+
+      if (response.data.return_code === 'SUCCESS') {
+        // Player is back with their picks and history - reload from the server
+        cacheUtils.invalidateKey(`competition-players-${competitionId}`);
+        await loadPlayers();
+      } else {
+        alert(`Failed to restore player: ${response.data.message || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Failed to restore player:', error);
+      alert('Failed to restore player. Please try again.');
+    } finally {
+      setRestoring(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(playerId);
+        return newSet;
+      });
+    }
+  };
+
+  const openPlayerAction = (type: 'lives' | 'eliminate' | 'reinstate', player: Player) => {
+    setPlayerAction({ type, id: player.id, name: player.display_name });
+    // Lives form starts from the player's current lives; reinstated players come back on 0 extra lives by default
+    setActionLives(type === 'lives' ? String(player.lives_remaining ?? 0) : '0');
+    setActionReason('');
+  };
+
+  const closePlayerAction = () => {
+    setPlayerAction(null);
+    setActionLives('0');
+    setActionReason('');
+  };
+
+  const handlePlayerAction = async () => {
+    if (!playerAction) return;
+
+    // Every manual change needs a reason - it is written to the audit log
+    const reason = actionReason.trim();
+    if (!reason) {
+      alert('Please enter a reason for this change');
+      return;
+    }
+
+    const lives = parseInt(actionLives);
+    if (playerAction.type !== 'eliminate' && (isNaN(lives) || lives < 0)) {
+      alert('Please enter a valid number of lives');
+      return;
+    }
+
+    setApplyingAction(true);
+
+    try {
+      const response = playerAction.type === 'lives'
+        ? await competitionApi.setPlayerLives(competitionId, playerAction.id, lives, reason)
+        : playerAction.type === 'eliminate'
+          ? await competitionApi.eliminatePlayer(competitionId, playerAction.id, reason)
+          : await competitionApi.reinstatePlayer(competitionId, playerAction.id, reason, lives);
+
+      if (response.data.return_code === 'SUCCESS') {
+        // Status and lives changed on the server - reload the player list
+        cacheUtils.invalidateKey(`competition-players-${competitionId}`);
+        await loadPlayers();
+        closePlayerAction();
+      } else {
+        alert(`Failed to update player: ${response.data.message || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Failed to update player:', error);
+      alert('Failed to update player. Please try again.');
+    } finally {
+      setApplyingAction(false);
+    }
+  };
+
   // Filter players based on payment status
   const filteredPlayers = players.filter(player => {
     if (paymentFilter === 'paid') return player.paid;
@@ -398,6 +527,42 @@ export default function CompetitionPlayersPage() {
                   
                   {/* Actions */}
                   <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => openPlayerAction('lives', player)}
+                      className="p-1 text-slate-500 hover:text-slate-700 rounded transition-colors"
+                      title="Set lives"
+                    >
+                      <HeartIcon className="h-4 w-4" strokeWidth={1.5} />
+                    </button>
+
+                    {player.status === 'eliminated' ? (
+                      <button
+                        onClick={() => openPlayerAction('reinstate', player)}
+                        className="p-1 text-slate-500 hover:text-slate-700 rounded transition-colors"
+                        title="Reinstate player"
+                      >
+                        <ArrowUturnLeftIcon className="h-4 w-4" strokeWidth={1.5} />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => openPlayerAction('eliminate', player)}
+                        className="p-1 text-slate-500 hover:text-red-600 rounded transition-colors"
+                        title="Mark as out"
+                      >
+                        <NoSymbolIcon className="h-4 w-4" strokeWidth={1.5} />
+                      </button>
+                    )}
+
+                    {player.can_buy_back && (
+                      <button
+                        onClick={() => setPlayerToBuyBack({ id: player.id, name: player.display_name })}
+                        className="p-1 text-slate-500 hover:text-slate-700 rounded transition-colors"
+                        title="Buy back in"
+                      >
+                        <ArrowPathIcon className="h-4 w-4" strokeWidth={1.5} />
+                      </button>
+                    )}
+
                     <button
                       onClick={() => handlePaymentToggle(player.id, player.paid)}
                       disabled={updatingPayment.has(player.id)}
@@ -430,6 +595,39 @@ export default function CompetitionPlayersPage() {
           ))}
         </div>
 
+        {/* Removed Players - restorable within the restore window */}
+        {removedPlayers.length > 0 && (
+          <div className="bg-white rounded-lg border border-slate-200 divide-y divide-slate-200 mt-6">
+            <div className="p-4">
+              <h3 className="text-sm font-medium text-slate-900">Removed Players</h3>
+              <p className="text-xs text-slate-500">Hidden from standings and pick counts. Restoring brings back their picks and history.</p>
+            </div>
+            {removedPlayers.map((player) => (
+              <div key={player.id} className="p-4 flex items-center justify-between">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-slate-500 truncate">{player.display_name}</p>
+                  <p className="text-xs text-slate-500">
+                    Removed {new Date(player.removed_at).toLocaleDateString()}
+                    {player.can_restore
+                      ? ` · can be restored until ${new Date(player.restore_until).toLocaleDateString()}`
+                      : ' · restore window closed'}
+                  </p>
+                </div>
+                {player.can_restore && (
+                  <button
+                    onClick={() => handleRestorePlayer(player.id)}
+                    disabled={restoring.has(player.id)}
+                    className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-slate-700 bg-slate-100 rounded-md hover:bg-slate-200 disabled:opacity-50 transition-colors"
+                  >
+                    <ArrowUturnLeftIcon className="h-4 w-4 mr-1" strokeWidth={1.5} />
+                    {restoring.has(player.id) ? 'Restoring...' : 'Restore'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* No Players State */}
         {players.length === 0 && (
           <div className="bg-white rounded-lg border border-slate-200 p-12 text-center">
@@ -459,11 +657,150 @@ export default function CompetitionPlayersPage() {
         onClose={handleCancelRemove}
         onConfirm={handleConfirmRemove}
         title="Remove Player"
-        message={playerToRemove ? `Are you sure you want to remove ${playerToRemove.name} from the competition? This will delete all their picks and progress data and cannot be undone.` : ''}
+        message={playerToRemove ? `Are you sure you want to remove ${playerToRemove.name} from the competition? They will be hidden from standings and player lists, but their picks and history are kept so you can restore them from this page.` : ''}
         confirmText="Remove Player"
         isLoading={playerToRemove ? removing.has(playerToRemove.id) : false}
       />
 
+      {/* Buy-Back Modal */}
+      {playerToBuyBack && (
+        <div className="fixed inset-0 bg-slate-900/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full border border-slate-200">
+            <div className="p-8">
+              <div className="flex items-center mb-6">
+                <div className="w-12 h-12 bg-slate-100 rounded-xl flex items-center justify-center mr-4">
+                  <ArrowPathIcon className="h-6 w-6 text-slate-600" />
+                </div>
+                <h3 className="text-2xl font-bold text-slate-900">Buy Back In</h3>
+              </div>
+
+              <div className="space-y-6">
+                <p className="text-sm text-slate-600">
+                  {playerToBuyBack.name} will re-enter the competition with {competition?.buyback_lives ?? 0} extra{' '}
+                  {competition?.buyback_lives === 1 ? 'life' : 'lives'} and all their teams available again.
+                </p>
+
+                <div>
+                  <label htmlFor="buyback_amount" className="block text-sm font-semibold text-slate-700 mb-2">
+                    Amount Paid <span className="text-slate-400 font-normal">(optional - defaults to the buy-back fee)</span>
+                  </label>
+                  <input
+                    id="buyback_amount"
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    value={buyBackAmount}
+                    onChange={(e) => setBuyBackAmount(e.target.value)}
+                    placeholder="0.00"
+                    className="block w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-slate-500 focus:border-slate-500 text-sm transition-colors"
+                    disabled={buyingBack}
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-4 mt-8">
+                <button
+                  onClick={() => {
+                    setPlayerToBuyBack(null);
+                    setBuyBackAmount('');
+                  }}
+                  disabled={buyingBack}
+                  className="px-6 py-3 text-sm font-semibold text-slate-700 bg-slate-100 rounded-xl hover:bg-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-500 disabled:opacity-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleBuyBack}
+                  disabled={buyingBack}
+                  className="px-6 py-3 text-sm font-semibold text-white bg-slate-800 rounded-xl hover:bg-slate-900 focus:outline-none focus:ring-2 focus:ring-slate-500 disabled:opacity-50 transition-colors shadow-sm"
+                >
+                  {buyingBack ? 'Buying Back...' : 'Buy Back In'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Player Status Modal - set lives, eliminate or reinstate with a reason */}
+      {playerAction && (
+        <div className="fixed inset-0 bg-slate-900/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full border border-slate-200">
+            <div className="p-8">
+              <div className="flex items-center mb-6">
+                <div className="w-12 h-12 bg-slate-100 rounded-xl flex items-center justify-center mr-4">
+                  {playerAction.type === 'lives' && <HeartIcon className="h-6 w-6 text-slate-600" />}
+                  {playerAction.type === 'eliminate' && <NoSymbolIcon className="h-6 w-6 text-slate-600" />}
+                  {playerAction.type === 'reinstate' && <ArrowUturnLeftIcon className="h-6 w-6 text-slate-600" />}
+                </div>
+                <h3 className="text-2xl font-bold text-slate-900">
+                  {playerAction.type === 'lives' ? 'Set Lives' : playerAction.type === 'eliminate' ? 'Mark as Out' : 'Reinstate Player'}
+                </h3>
+              </div>
+
+              <div className="space-y-6">
+                <p className="text-sm text-slate-600">
+                  {playerAction.type === 'lives' && `Change the number of extra lives ${playerAction.name} has left. 0 lives marks them as out; giving an eliminated player lives brings them back in.`}
+                  {playerAction.type === 'eliminate' && `${playerAction.name} will be marked as out. Their picks and history are kept.`}
+                  {playerAction.type === 'reinstate' && `${playerAction.name} will be back in the competition. Teams they have already used stay used.`}
+                </p>
+
+                {playerAction.type !== 'eliminate' && (
+                  <div>
+                    <label htmlFor="action_lives" className="block text-sm font-semibold text-slate-700 mb-2">
+                      Lives Remaining
+                    </label>
+                    <input
+                      id="action_lives"
+                      type="number"
+                      min={0}
+                      step={1}
+                      value={actionLives}
+                      onChange={(e) => setActionLives(e.target.value)}
+                      className="block w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-slate-500 focus:border-slate-500 text-sm transition-colors"
+                      disabled={applyingAction}
+                    />
+                  </div>
+                )}
+
+                <div>
+                  <label htmlFor="action_reason" className="block text-sm font-semibold text-slate-700 mb-2">
+                    Reason
+                  </label>
+                  <textarea
+                    id="action_reason"
+                    rows={3}
+                    maxLength={500}
+                    value={actionReason}
+                    onChange={(e) => setActionReason(e.target.value)}
+                    placeholder="Recorded in the competition audit log"
+                    className="block w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-slate-500 focus:border-slate-500 text-sm transition-colors"
+                    disabled={applyingAction}
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-4 mt-8">
+                <button
+                  onClick={closePlayerAction}
+                  disabled={applyingAction}
+                  className="px-6 py-3 text-sm font-semibold text-slate-700 bg-slate-100 rounded-xl hover:bg-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-500 disabled:opacity-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handlePlayerAction}
+                  disabled={applyingAction || !actionReason.trim()}
+                  className="px-6 py-3 text-sm font-semibold text-white bg-slate-800 rounded-xl hover:bg-slate-900 focus:outline-none focus:ring-2 focus:ring-slate-500 disabled:opacity-50 transition-colors shadow-sm"
+                >
+                  {applyingAction ? 'Saving...' : 'Save Change'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Add Offline Player Modal */}
       {showAddPlayerModal && (
         <div className="fixed inset-0 bg-slate-900/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
@@ -0,0 +1,488 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import Link from 'next/link';
+import { ArrowLeftIcon, BanknotesIcon } from '@heroicons/react/24/outline';
+import { prizePotApi, paymentDetailsApi, cacheUtils, PaymentDetails, PrizePotReport, PrizeSettings } from '@/lib/api';
+import { formatPounds } from '@/components/PrizePotCard';
+import { PAYMENT_DISCLAIMER } from '@/components/PaymentDetailsCard';
+
+const inputClass = 'block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm';
+
+// Settings form holds raw input text so fields can be cleared while typing
+interface SettingsForm {
+  entry_fee: string;
+  buyback_fee: string;
+  house_cut_percent: string;
+  charity_percent: string;
+  charity_name: string;
+}
+
+const toForm = (settings: PrizeSettings): SettingsForm => ({
+  entry_fee: settings.entry_fee === null ? '' : settings.entry_fee.toFixed(2),
+  buyback_fee: settings.buyback_fee === null ? '' : settings.buyback_fee.toFixed(2),
+  house_cut_percent: String(settings.house_cut_percent),
+  charity_percent: String(settings.charity_percent),
+  charity_name: settings.charity_name || ''
+});
+
+const ledgerLabel = {
+  ENTRY: 'Entry',
+  BUYBACK: 'Buy-back',
+  CORRECTION: 'Correction'
+};
+
+export default function CompetitionPrizePotPage() {
+  const router = useRouter();
+  const params = useParams();
+  const competitionId = parseInt(params.id as string);
+
+  const [report, setReport] = useState<PrizePotReport | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [form, setForm] = useState<SettingsForm | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+
+  // Organiser's payment details shown to players
+  const [paymentInstructions, setPaymentInstructions] = useState('');
+  const [paymentUrl, setPaymentUrl] = useState('');
+  const [qrCode, setQrCode] = useState<string | null>(null);
+  const [savingPayment, setSavingPayment] = useState(false);
+  const [paymentError, setPaymentError] = useState('');
+
+  const loadPot = useCallback(async () => {
+    try {
+      const response = await prizePotApi.getPot(competitionId);
+      if (response.data.return_code === 'SUCCESS') {
+        const loaded = response.data as unknown as PrizePotReport;
+        setReport(loaded);
+        setForm(toForm(loaded.settings));
+      } else {
+        setLoadError(response.data.message || 'Failed to load prize pot');
+      }
+    } catch (error) {
+      console.error('Failed to load prize pot:', error);
+      setLoadError('Failed to load prize pot');
+    } finally {
+      setLoading(false);
+    }
+  }, [competitionId]);
+
+  useEffect(() => {
+    const token = localStorage.getItem('jwt_token');
+    if (!token) {
+      router.push('/login');
+      return;
+    }
+
+    loadPot();
+
+    paymentDetailsApi.get(competitionId)
+      .then(response => {
+        if (response.data.return_code === 'SUCCESS') {
+          const payment = response.data.payment as PaymentDetails;
+          setPaymentInstructions(payment.payment_instructions || '');
+          setPaymentUrl(payment.payment_url || '');
+          setQrCode(payment.qr_code);
+        }
+      })
+      .catch(error => console.error('Failed to load payment details:', error));
+  }, [router, loadPot, competitionId]);
+
+  const handleSaveSettings = async () => {
+    if (!form) return;
+
+    const entryFee = form.entry_fee.trim() ? parseFloat(form.entry_fee) : null;
+    const buybackFee = form.buyback_fee.trim() ? parseFloat(form.buyback_fee) : null;
+    const houseCut = form.house_cut_percent.trim() ? parseFloat(form.house_cut_percent) : 0;
+    const charity = form.charity_percent.trim() ? parseFloat(form.charity_percent) : 0;
+
+    if ([entryFee, buybackFee, houseCut, charity].some(value => value !== null && isNaN(value))) {
+      setSaveError('Please enter valid amounts');
+      return;
+    }
+
+    setSaving(true);
+    setSaveError('');
+
+    try {
+      const response = await prizePotApi.updateSettings(competitionId, {
+        entry_fee: entryFee === null ? null : Math.round(entryFee * 100) / 100,
+        buyback_fee: buybackFee === null ? null : Math.round(buybackFee * 100) / 100,
+        house_cut_percent: houseCut,
+        charity_percent: charity,
+        charity_name: form.charity_name.trim() || null
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        // Standings show the pot to players
+        cacheUtils.invalidateKey(`competition-standings-${competitionId}`);
+        await loadPot();
+      } else {
+        setSaveError(response.data.message || 'Failed to save prize settings');
+      }
+    } catch (error) {
+      console.error('Update prize settings error:', error);
+      setSaveError('Failed to save prize settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSavePaymentDetails = async () => {
+    setSavingPayment(true);
+    setPaymentError('');
+
+    try {
+      const response = await paymentDetailsApi.update(competitionId, {
+        payment_instructions: paymentInstructions.trim() || null,
+        payment_url: paymentUrl.trim() || null
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        const payment = response.data.payment as Pick<PaymentDetails, 'payment_instructions' | 'payment_url' | 'qr_code'>;
+        setPaymentInstructions(payment.payment_instructions || '');
+        setPaymentUrl(payment.payment_url || '');
+        setQrCode(payment.qr_code);
+      } else {
+        setPaymentError(response.data.message || 'Failed to save payment details');
+      }
+    } catch (error) {
+      console.error('Update payment details error:', error);
+      setPaymentError('Failed to save payment details');
+    } finally {
+      setSavingPayment(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b border-slate-700"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b border-slate-200">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-4">
+            <Link
+              href={`/competition/${competitionId}/dashboard`}
+              className="inline-flex items-center text-slate-500 hover:text-slate-700 mr-4"
+            >
+              <ArrowLeftIcon className="h-5 w-5 mr-1" />
+              Back to Competition
+            </Link>
+            <BanknotesIcon className="h-8 w-8 text-slate-700" />
+            <span className="ml-2 text-xl font-bold text-slate-900">Prize Pot</span>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        {!report || !form ? (
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 text-center text-slate-600">
+            {loadError || 'Prize pot not available'}
+          </div>
+        ) : (
+          <>
+            {/* Pot totals and payouts */}
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+              <h2 className="text-2xl font-bold text-slate-900 mb-4">Pot</h2>
+              <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4">
+                <div>
+                  <dt className="text-xs text-slate-500">Entry fees</dt>
+                  <dd className="text-lg font-semibold text-slate-900">{formatPounds(report.totals.entries)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Buy-backs</dt>
+                  <dd className="text-lg font-semibold text-slate-900">{formatPounds(report.totals.buybacks)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Corrections</dt>
+                  <dd className="text-lg font-semibold text-slate-900">{formatPounds(report.totals.corrections)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Rolled in</dt>
+                  <dd className="text-lg font-semibold text-slate-900">{formatPounds(report.totals.rolled_in)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Total pot</dt>
+                  <dd className="text-lg font-semibold text-slate-900">{formatPounds(report.totals.pot)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">House cut</dt>
+                  <dd className="text-lg font-semibold text-slate-900">{formatPounds(report.totals.house_cut)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">{report.settings.charity_name || 'Charity'}</dt>
+                  <dd className="text-lg font-semibold text-slate-900">{formatPounds(report.totals.charity)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Prize fund</dt>
+                  <dd className="text-lg font-semibold text-emerald-700">{formatPounds(report.totals.prize_fund)}</dd>
+                </div>
+              </dl>
+
+              {report.winners.length > 0 ? (
+                <div className="border-t border-slate-200 pt-4">
+                  <h3 className="text-sm font-semibold text-slate-700 mb-2">
+                    {report.winners.length > 1 ? 'Payouts - joint winners' : 'Payout'}
+                  </h3>
+                  <ul className="space-y-1">
+                    {report.winners.map(winner => (
+                      <li key={winner.user_id} className="flex justify-between text-sm">
+                        <span className="text-slate-900">{winner.display_name}</span>
+                        <span className="font-medium text-emerald-700">{formatPounds(winner.payout)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : report.rolled_over_to ? (
+                <p className="text-sm text-slate-600">
+                  No winner - the prize fund rolled over to{' '}
+                  <Link href={`/competition/${report.rolled_over_to}/pot`} className="text-slate-900 underline">
+                    the next competition
+                  </Link>.
+                </p>
+              ) : (
+                <p className="text-sm text-slate-600">The prize fund is split equally between the winners when the competition ends.</p>
+              )}
+            </div>
+
+            {/* Fees and deductions */}
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+              <h2 className="text-2xl font-bold text-slate-900 mb-2">Fees</h2>
+              <p className="text-sm text-slate-600 mb-4">
+                Marking a player paid records the entry fee, and buy-backs record the buy-back fee, unless you enter a different amount.
+                The house cut and charity share come out of the money collected in this competition.
+              </p>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="entry_fee" className="block text-sm font-medium text-slate-700 mb-1">Entry fee (£)</label>
+                  <input
+                    id="entry_fee"
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    value={form.entry_fee}
+                    onChange={(e) => setForm({ ...form, entry_fee: e.target.value })}
+                    placeholder="Free"
+                    className={inputClass}
+                    disabled={saving}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="buyback_fee" className="block text-sm font-medium text-slate-700 mb-1">Buy-back fee (£)</label>
+                  <input
+                    id="buyback_fee"
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    value={form.buyback_fee}
+                    onChange={(e) => setForm({ ...form, buyback_fee: e.target.value })}
+                    placeholder="None"
+                    className={inputClass}
+                    disabled={saving}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="house_cut_percent" className="block text-sm font-medium text-slate-700 mb-1">House cut (%)</label>
+                  <input
+                    id="house_cut_percent"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={form.house_cut_percent}
+                    onChange={(e) => setForm({ ...form, house_cut_percent: e.target.value })}
+                    className={inputClass}
+                    disabled={saving}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="charity_percent" className="block text-sm font-medium text-slate-700 mb-1">Charity share (%)</label>
+                  <input
+                    id="charity_percent"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={form.charity_percent}
+                    onChange={(e) => setForm({ ...form, charity_percent: e.target.value })}
+                    className={inputClass}
+                    disabled={saving}
+                  />
+                </div>
+                <div className="sm:col-span-2">
+                  <label htmlFor="charity_name" className="block text-sm font-medium text-slate-700 mb-1">Charity name</label>
+                  <input
+                    id="charity_name"
+                    type="text"
+                    maxLength={100}
+                    value={form.charity_name}
+                    onChange={(e) => setForm({ ...form, charity_name: e.target.value })}
+                    className={inputClass}
+                    disabled={saving}
+                  />
+                </div>
+              </div>
+
+              {saveError && (
+                <p className="mt-3 text-sm text-red-600">{saveError}</p>
+              )}
+
+              <div className="mt-4 flex justify-end">
+                <button
+                  onClick={handleSaveSettings}
+                  disabled={saving}
+                  className="inline-flex items-center justify-center px-4 py-2 bg-slate-800 text-white rounded-md font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {saving ? 'Saving...' : 'Save Fees'}
+                </button>
+              </div>
+            </div>
+
+            {/* Payment details shown to players */}
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+              <h2 className="text-2xl font-bold text-slate-900 mb-2">Payment Details</h2>
+              <p className="text-sm text-slate-600 mb-4">
+                Players see these when they join and on their competition page. {PAYMENT_DISCLAIMER}
+              </p>
+
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="payment_instructions" className="block text-sm font-medium text-slate-700 mb-1">How to pay</label>
+                  <textarea
+                    id="payment_instructions"
+                    rows={3}
+                    maxLength={1000}
+                    value={paymentInstructions}
+                    onChange={(e) => setPaymentInstructions(e.target.value)}
+                    placeholder="e.g. Bank transfer to J Smith, sort code 12-34-56, account 12345678, reference your name"
+                    className={inputClass}
+                    disabled={savingPayment}
+                  />
+                </div>
+                <div className="flex flex-col sm:flex-row gap-4">
+                  <div className="flex-1">
+                    <label htmlFor="payment_url" className="block text-sm font-medium text-slate-700 mb-1">Payment link</label>
+                    <input
+                      id="payment_url"
+                      type="url"
+                      maxLength={500}
+                      value={paymentUrl}
+                      onChange={(e) => setPaymentUrl(e.target.value)}
+                      placeholder="https://paypal.me/yourname"
+                      className={inputClass}
+                      disabled={savingPayment}
+                    />
+                    <p className="mt-1 text-xs text-slate-500">Players also get a QR code for this link.</p>
+                  </div>
+                  {qrCode && (
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img src={qrCode} alt="QR code for the payment link" className="h-28 w-28 border border-slate-200 rounded" />
+                  )}
+                </div>
+              </div>
+
+              {paymentError && (
+                <p className="mt-3 text-sm text-red-600">{paymentError}</p>
+              )}
+
+              <div className="mt-4 flex justify-end">
+                <button
+                  onClick={handleSavePaymentDetails}
+                  disabled={savingPayment}
+                  className="inline-flex items-center justify-center px-4 py-2 bg-slate-800 text-white rounded-md font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {savingPayment ? 'Saving...' : 'Save Payment Details'}
+                </button>
+              </div>
+            </div>
+
+            {/* Who owes what */}
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+              <div className="flex flex-col sm:flex-row sm:items-baseline sm:justify-between mb-4">
+                <h2 className="text-2xl font-bold text-slate-900">Who Owes What</h2>
+                <p className="text-sm text-slate-600">
+                  {report.outstanding.players_owing === 0
+                    ? 'Everyone is paid up'
+                    : `${report.outstanding.players_owing} owing ${formatPounds(report.outstanding.total_owed)}`}
+                </p>
+              </div>
+
+              {report.players.length === 0 ? (
+                <p className="text-sm text-slate-600">No players yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-slate-200">
+                        <th className="text-left py-2 font-medium text-slate-700">Player</th>
+                        <th className="text-right py-2 font-medium text-slate-700">Due</th>
+                        <th className="text-right py-2 font-medium text-slate-700">Paid</th>
+                        <th className="text-right py-2 font-medium text-slate-700">Owes</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.players.map(player => (
+                        <tr key={player.user_id} className="border-b border-slate-100">
+                          <td className="py-2 text-slate-900">
+                            {player.display_name}
+                            {player.buyback_count > 0 && (
+                              <span className="ml-2 text-xs text-slate-500">
+                                {player.buyback_count} buy-back{player.buyback_count === 1 ? '' : 's'}
+                              </span>
+                            )}
+                          </td>
+                          <td className="py-2 text-right text-slate-700">{formatPounds(player.expected)}</td>
+                          <td className="py-2 text-right text-slate-700">{formatPounds(player.paid)}</td>
+                          <td className={`py-2 text-right font-medium ${player.owes > 0 ? 'text-red-600' : 'text-slate-400'}`}>
+                            {formatPounds(player.owes)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <p className="mt-3 text-xs text-slate-500">
+                Record payments on the <Link href={`/competition/${competitionId}/players`} className="underline">Players</Link> page.
+              </p>
+            </div>
+
+            {/* Ledger */}
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+              <h2 className="text-2xl font-bold text-slate-900 mb-4">Recent Payments</h2>
+              {report.ledger.length === 0 ? (
+                <p className="text-sm text-slate-600">No payments recorded yet.</p>
+              ) : (
+                <ul className="divide-y divide-slate-100">
+                  {report.ledger.map(entry => (
+                    <li key={entry.id} className="py-2 flex items-center justify-between text-sm">
+                      <div className="min-w-0">
+                        <p className="text-slate-900 truncate">
+                          {ledgerLabel[entry.entry_type]}{entry.player_name ? ` - ${entry.player_name}` : ''}
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          {new Date(entry.created_at).toLocaleString('en-GB')}{entry.note ? ` · ${entry.note}` : ''}
+                        </p>
+                      </div>
+                      <span className={`font-medium ${entry.amount < 0 ? 'text-red-600' : 'text-slate-900'}`}>
+                        {formatPounds(entry.amount)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -6,13 +6,16 @@ import Link from 'next/link';
 import { 
   ArrowLeftIcon,
 } from '@heroicons/react/24/outline';
-import { roundApi, fixtureApi } from '@/lib/api';
+import { roundApi, fixtureApi, playerActionApi, cacheUtils } from '@/lib/api';
 import { useAppData } from '@/contexts/AppDataContext';
 
 interface Round {
   id: number;
   round_number: number;
-  lock_time?: string;
+  lock_time?: string | null;
+  effective_lock_time?: string | null; // Earliest of lock_time, auto-lock and first kickoff minus the lock offset
+  is_locked?: boolean;
+  is_void?: boolean; // Whole round voided by the organiser - every pick settled as VOID
 }
 
 interface Fixture {
@@ -23,8 +26,45 @@ interface Fixture {
   away_team_short: string;
   kickoff_time: string;
   result?: string;
+  home_score?: number | null;
+  away_score?: number | null;
 }
 
+type ResultOption = 'home_win' | 'away_win' | 'draw' | 'postponed' | 'void';
+
+// Map a stored fixture result (winning short code, DRAW, POSTPONED, VOID) back to its result option
+const toResultOption = (fixture: Fixture): ResultOption | '' => {
+  if (!fixture.result) return '';
+  if (fixture.result === fixture.home_team_short) return 'home_win';
+  if (fixture.result === fixture.away_team_short) return 'away_win';
+  return fixture.result.toLowerCase() as ResultOption;
+};
+
+// Result entry for one fixture - a score when both goals are filled in, otherwise the selected result
+interface PendingResult {
+  result: ResultOption | '';
+  home_score: string;
+  away_score: string;
+}
+
+const toPendingResult = (fixture: Fixture): PendingResult => ({
+  result: toResultOption(fixture),
+  home_score: fixture.home_score?.toString() ?? '',
+  away_score: fixture.away_score?.toString() ?? ''
+});
+
+const isScoreEntered = (pending: PendingResult | undefined) =>
+  !!pending && pending.home_score !== '' && pending.away_score !== '';
+
+// Build the bulk result line for a fixture, or null if nothing has been entered
+const toResultLine = (fixtureId: number, pending: PendingResult | undefined) => {
+  if (!pending) return null;
+  if (isScoreEntered(pending)) {
+    return { fixture_id: fixtureId, home_score: parseInt(pending.home_score), away_score: parseInt(pending.away_score) };
+  }
+  return pending.result ? { fixture_id: fixtureId, result: pending.result } : null;
+};
+
 export default function CompetitionResultsPage() {
   const router = useRouter();
   const params = useParams();
@@ -44,6 +84,21 @@ export default function CompetitionResultsPage() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
+  // Bulk result entry state - one pending result per fixture, saved together
+  const [pendingResults, setPendingResults] = useState<Record<number, PendingResult>>({});
+  const [calculateAfterSave, setCalculateAfterSave] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  // Set when a saved change alters a result the round was already calculated with
+  const [needsRecalculation, setNeedsRecalculation] = useState(false);
+  const [recalculateReason, setRecalculateReason] = useState('');
+  const [recalculating, setRecalculating] = useState(false);
+
+  // Voiding the whole round (mass postponements) - the reason is kept in the audit log
+  const [voidReason, setVoidReason] = useState('');
+  const [voiding, setVoiding] = useState(false);
+
   // Load round and fixture data when competition is available
   const loadData = useCallback(async () => {
     if (!competition) return;
@@ -58,7 +113,8 @@ export default function CompetitionResultsPage() {
         // eslint-disable-next-line @typescript-eslint/no-explicit-any
         const rounds = (roundsResponse.data.rounds as any[]) || [];
         if (rounds.length > 0) {
-          const latestRound = rounds[rounds.length - 1];
+          // get-rounds returns newest first - take the highest round number rather than relying on order
+          const latestRound = rounds.reduce((latest, round) => round.round_number > latest.round_number ? round : latest);
           
           // Load fixtures for current round
           const fixturesResponse = await fixtureApi.get(latestRound.id.toString());
@@ -67,7 +123,9 @@ export default function CompetitionResultsPage() {
           setCurrentRound(latestRound);
           if (fixturesResponse.data.return_code === 'SUCCESS') {
             // eslint-disable-next-line @typescript-eslint/no-explicit-any
-            setFixtures((fixturesResponse.data.fixtures as any[]) || []);
+            const roundFixtures = (fixturesResponse.data.fixtures as any[]) || [];
+            setFixtures(roundFixtures);
+            setPendingResults(Object.fromEntries(roundFixtures.map((fixture: Fixture) => [fixture.id, toPendingResult(fixture)])));
           }
         }
       }
@@ -94,11 +152,124 @@ export default function CompetitionResultsPage() {
   }, [router]);
 
   // Helper functions
+  // The server decides when a round locks (lock_time, auto-lock or first kickoff) - rounds are cached,
+  // so also treat the round as locked once its effective lock time has passed since it was loaded
   const isRoundLocked = useCallback(() => {
-    if (!currentRound?.lock_time) return false;
-    return new Date() >= new Date(currentRound.lock_time);
+    if (!currentRound) return false;
+    if (currentRound.is_locked) return true;
+    return !!currentRound.effective_lock_time && new Date() >= new Date(currentRound.effective_lock_time);
   }, [currentRound]);
 
+  // Save every entered result in one request, optionally calculating the round straight after
+  const handleSaveResults = async () => {
+    if (!currentRound) return;
+
+    const allLines = fixtures.map(fixture => toResultLine(fixture.id, pendingResults[fixture.id])).filter(line => line !== null);
+    const results = allLines.filter(line => {
+      const fixture = fixtures.find(f => f.id === line.fixture_id);
+      return fixture && JSON.stringify(toResultLine(fixture.id, toPendingResult(fixture))) !== JSON.stringify(line);
+    });
+
+    if (results.length === 0 && !calculateAfterSave) {
+      setSaveMessage({ type: 'error', text: 'No results have changed' });
+      return;
+    }
+
+    setSaving(true);
+    setSaveMessage(null);
+
+    try {
+      // Nothing changed but calculation requested - send the current results so the round is still calculated
+      const payload = results.length > 0 ? results : allLines;
+
+      const response = await fixtureApi.setResultsBulk(currentRound.id, payload, calculateAfterSave);
+
+      if (response.data.return_code === 'SUCCESS') {
+        const calculation = response.data.calculation as { return_code: string; message: string } | undefined;
+        setSaveMessage(calculation && calculation.return_code !== 'SUCCESS'
+          ? { type: 'error', text: `${response.data.message}, but results were not calculated: ${calculation.message}` }
+          : { type: 'success', text: calculation ? `${response.data.message}. ${calculation.message}` : response.data.message || 'Results saved' });
+        setNeedsRecalculation(!!response.data.requires_recalculation);
+
+        cacheUtils.invalidateKey(`fixtures-${currentRound.id}`);
+        cacheUtils.invalidateKey(`calculated-fixtures-${currentRound.id}`);
+        await loadData();
+      } else {
+        const lineErrors = (response.data.errors as { line: number; message: string }[] | undefined)?.map(lineError => `Line ${lineError.line}: ${lineError.message}`).join('; ');
+        setSaveMessage({ type: 'error', text: lineErrors || response.data.message || 'Failed to save results' });
+      }
+    } catch (err) {
+      console.error('Error saving results:', err);
+      setSaveMessage({ type: 'error', text: 'Failed to save results' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Re-run the round's calculation so lives and eliminations use the corrected results
+  const handleRecalculate = async () => {
+    if (!currentRound) return;
+
+    setRecalculating(true);
+    setSaveMessage(null);
+
+    try {
+      const response = await playerActionApi.recalculateResults(currentRound.id, recalculateReason.trim() || undefined);
+
+      if (response.data.return_code === 'SUCCESS') {
+        setSaveMessage({ type: 'success', text: response.data.message || 'Round recalculated' });
+        setNeedsRecalculation(false);
+        setRecalculateReason('');
+
+        cacheUtils.invalidateKey(`fixtures-${currentRound.id}`);
+        cacheUtils.invalidateKey(`calculated-fixtures-${currentRound.id}`);
+        await loadData();
+      } else {
+        setSaveMessage({ type: 'error', text: response.data.message || 'Failed to recalculate round' });
+      }
+    } catch (err) {
+      console.error('Error recalculating round:', err);
+      setSaveMessage({ type: 'error', text: 'Failed to recalculate round' });
+    } finally {
+      setRecalculating(false);
+    }
+  };
+
+  // Void the whole round - picks are settled as VOID and any calculated results are rolled back
+  const handleVoidRound = async () => {
+    if (!currentRound || !competition) return;
+
+    if (!confirm(`Void Round ${currentRound.round_number}? No player will lose a life this round and their picked teams are handed back.`)) {
+      return;
+    }
+
+    setVoiding(true);
+    setSaveMessage(null);
+
+    try {
+      const response = await roundApi.voidRound(currentRound.id, voidReason.trim() || undefined);
+
+      if (response.data.return_code === 'SUCCESS') {
+        setSaveMessage({ type: 'success', text: response.data.message || 'Round voided' });
+        setNeedsRecalculation(false);
+        setVoidReason('');
+
+        cacheUtils.invalidateKey(`rounds-${competition.id}`);
+        cacheUtils.invalidateKey(`fixtures-${currentRound.id}`);
+        cacheUtils.invalidateKey(`calculated-fixtures-${currentRound.id}`);
+        cacheUtils.invalidateCompetitions();
+        await loadData();
+      } else {
+        setSaveMessage({ type: 'error', text: response.data.message || 'Failed to void round' });
+      }
+    } catch (err) {
+      console.error('Error voiding round:', err);
+      setSaveMessage({ type: 'error', text: 'Failed to void round' });
+    } finally {
+      setVoiding(false);
+    }
+  };
+
   // CLEAN LOADING STATES
   
   // Show loading while context is loading OR data is loading
@@ -197,8 +368,9 @@ export default function CompetitionResultsPage() {
             <div className="mt-4">
               <p className="text-sm text-gray-600">
                 <strong>Round {currentRound.round_number}</strong>
-                {currentRound.lock_time && (
-                  <span> - {new Date(currentRound.lock_time).toLocaleDateString('en-GB', { 
+                {currentRound.is_void && <span className="ml-2 px-2 py-0.5 rounded bg-gray-100 text-gray-700 text-xs font-medium">Voided</span>}
+                {currentRound.effective_lock_time && (
+                  <span> - {new Date(currentRound.effective_lock_time).toLocaleDateString('en-GB', { 
                     weekday: 'long', 
                     day: 'numeric', 
                     month: 'long', 
@@ -231,15 +403,128 @@ export default function CompetitionResultsPage() {
                         minute: '2-digit'
                       })}
                     </span>
-                    {fixture.result && (
-                      <span className="px-2 py-1 bg-green-100 text-green-800 rounded text-sm font-medium">
-                        {fixture.result}
-                      </span>
+                    {isRoundLocked() && (
+                      <div className="flex items-center space-x-1">
+                        {(['home_score', 'away_score'] as const).map((side, index) => (
+                          <span key={side} className="flex items-center">
+                            {index === 1 && <span className="text-gray-400 mr-1">-</span>}
+                            <input
+                              type="number"
+                              min={0}
+                              max={99}
+                              inputMode="numeric"
+                              value={pendingResults[fixture.id]?.[side] ?? ''}
+                              onChange={(e) => setPendingResults(prev => ({
+                                ...prev,
+                                [fixture.id]: { ...(prev[fixture.id] ?? toPendingResult(fixture)), [side]: e.target.value }
+                              }))}
+                              disabled={saving}
+                              aria-label={side === 'home_score' ? `${fixture.home_team} goals` : `${fixture.away_team} goals`}
+                              className="w-12 px-2 py-1 border border-gray-300 rounded text-sm text-center focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                            />
+                          </span>
+                        ))}
+                      </div>
                     )}
+                    <select
+                      value={pendingResults[fixture.id]?.result ?? ''}
+                      onChange={(e) => setPendingResults(prev => ({
+                        ...prev,
+                        [fixture.id]: { ...(prev[fixture.id] ?? toPendingResult(fixture)), result: e.target.value as ResultOption | '' }
+                      }))}
+                      disabled={saving || isScoreEntered(pendingResults[fixture.id])}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                    >
+                      <option value="">No result</option>
+                      <option value="home_win" disabled={!isRoundLocked()}>{fixture.home_team_short} win</option>
+                      <option value="draw" disabled={!isRoundLocked()}>Draw</option>
+                      <option value="away_win" disabled={!isRoundLocked()}>{fixture.away_team_short} win</option>
+                      <option value="postponed">Postponed</option>
+                      <option value="void">Void</option>
+                    </select>
                   </div>
                 </div>
               ))}
             </div>
+
+            {/* Save all results in one go */}
+            <div className="mt-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={calculateAfterSave}
+                  onChange={(e) => setCalculateAfterSave(e.target.checked)}
+                  disabled={saving}
+                  className="mr-2 h-4 w-4 text-green-600 border-gray-300 rounded"
+                />
+                Calculate player results after saving
+              </label>
+              <button
+                onClick={handleSaveResults}
+                disabled={saving || recalculating || voiding}
+                className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Results'}
+              </button>
+            </div>
+            {needsRecalculation && (
+              <div className="mt-4 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+                <p className="text-sm text-amber-800 mb-3">
+                  A result changed after this round was calculated. Recalculate the round so players&apos; lives and eliminations use the corrected result.
+                </p>
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={recalculateReason}
+                    onChange={(e) => setRecalculateReason(e.target.value)}
+                    maxLength={500}
+                    placeholder="Reason (optional, recorded in the audit log)"
+                    disabled={recalculating}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                  />
+                  <button
+                    onClick={handleRecalculate}
+                    disabled={recalculating || saving}
+                    className="bg-amber-600 text-white px-4 py-2 rounded-lg hover:bg-amber-700 disabled:opacity-50"
+                  >
+                    {recalculating ? 'Recalculating...' : 'Recalculate Round'}
+                  </button>
+                </div>
+              </div>
+            )}
+            {saveMessage && (
+              <p className={`mt-3 text-sm ${saveMessage.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+                {saveMessage.text}
+              </p>
+            )}
+
+            {/* Void the whole round */}
+            {!currentRound?.is_void && (
+              <div className="mt-6 pt-6 border-t border-gray-200">
+                <h4 className="text-sm font-semibold text-slate-900 mb-1">Void this round</h4>
+                <p className="text-sm text-gray-600 mb-3">
+                  For mass postponements. Every pick is settled as void - no lives are lost and picked teams can be used again.
+                </p>
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={voidReason}
+                    onChange={(e) => setVoidReason(e.target.value)}
+                    maxLength={500}
+                    placeholder="Reason (recorded in the audit log)"
+                    disabled={voiding}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                  />
+                  <button
+                    onClick={handleVoidRound}
+                    disabled={voiding || saving || recalculating}
+                    className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                  >
+                    {voiding ? 'Voiding...' : 'Void Round'}
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         ) : (
           <div className="bg-white rounded-lg border border-gray-200 p-6 text-center">
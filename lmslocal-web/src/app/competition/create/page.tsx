@@ -13,30 +13,67 @@ import {
   ShieldCheckIcon,
   CheckCircleIcon
 } from '@heroicons/react/24/outline';
-import { competitionApi, teamApi } from '@/lib/api';
+import { competitionApi, teamApi, organisationApi, Organisation, TeamList, DrawPolicy, GameMode, PickLockMode, BuybackMode } from '@/lib/api';
 import { invalidateCache } from '@/lib/cache';
 import { useAppData } from '@/contexts/AppDataContext';
 
-interface TeamList {
-  id: number;
-  name: string;
-  description?: string;
-  team_count?: number;
-}
-
 interface CreateCompetitionForm {
   name: string;
   description?: string;
   team_list_id: number;
   lives_per_player: number;
   no_team_twice: boolean;
+  team_reset_mode: 'EXHAUSTED' | 'EVERY_N_ROUNDS';
+  team_reset_rounds: number;
+  no_winner_rule: 'NO_WINNER' | 'REINSTATE' | 'JOINT_WINNERS' | 'ROLLOVER';
+  draw_policy: DrawPolicy;
+  game_mode: GameMode;
+  pick_lock_mode: PickLockMode;
+  buyback_mode: BuybackMode;
+  buyback_rounds: number;
+  buyback_lives: number;
   organiser_joins_as_player: boolean;
+  organisation_id?: number;
 }
 
+// What happens when every remaining player goes out in the same round
+const NO_WINNER_RULE_LABELS: Record<CreateCompetitionForm['no_winner_rule'], string> = {
+  NO_WINNER: 'No winner - the competition ends',
+  REINSTATE: 'Reinstate everyone who went out that round',
+  JOINT_WINNERS: 'Everyone who went out that round shares the win',
+  ROLLOVER: 'Roll over into a new competition with the same players'
+};
+
+const GAME_MODE_LABELS: Record<GameMode, string> = {
+  CLASSIC: 'Classic - pick a team to win',
+  LOSER: 'Pick the loser - pick a team to lose'
+};
+
+// When picks stop being accepted or changed
+const PICK_LOCK_MODE_LABELS: Record<PickLockMode, string> = {
+  ROUND: 'All picks lock before the round starts',
+  FIXTURE: 'Each pick locks when its match kicks off'
+};
+
+// Whether eliminated players can pay to re-enter
+const BUYBACK_MODE_LABELS: Record<BuybackMode, string> = {
+  NONE: 'No buy-backs',
+  FIRST_N_ROUNDS: 'Allowed during the first few rounds',
+  ONCE: 'Allowed once per player'
+};
+
+// What happens to a player whose team draws
+const DRAW_POLICY_LABELS: Record<DrawPolicy, string> = {
+  LOSE: 'A draw counts as a loss',
+  SURVIVE: 'A draw is survived - no life lost',
+  LOSE_LIFE: 'A draw costs a life, but never the last one'
+};
+
 export default function CreateCompetitionPage() {
   const router = useRouter();
   const { refreshCompetitions } = useAppData();
   const [teamLists, setTeamLists] = useState<TeamList[]>([]);
+  const [organisations, setOrganisations] = useState<Organisation[]>([]);
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(false);
   const [error, setError] = useState('');
@@ -51,6 +88,15 @@ export default function CreateCompetitionPage() {
     defaultValues: {
       lives_per_player: 0,
       no_team_twice: true,
+      team_reset_mode: 'EXHAUSTED',
+      team_reset_rounds: 10,
+      no_winner_rule: 'NO_WINNER',
+      draw_policy: 'LOSE',
+      game_mode: 'CLASSIC',
+      pick_lock_mode: 'ROUND',
+      buyback_mode: 'NONE',
+      buyback_rounds: 3,
+      buyback_lives: 0,
       organiser_joins_as_player: true
     }
   });
@@ -66,6 +112,7 @@ export default function CreateCompetitionPage() {
     }
 
     loadTeamLists();
+    loadOrganisations();
   }, [router]);
 
   const loadTeamLists = async () => {
@@ -79,6 +126,23 @@ export default function CreateCompetitionPage() {
     }
   };
 
+  const loadOrganisations = async () => {
+    try {
+      const response = await organisationApi.getOrganisations();
+      if (response.data.return_code === 'SUCCESS') {
+        setOrganisations((response.data.organisations as Organisation[]) || []);
+      }
+    } catch (error) {
+      console.error('Failed to load organisations:', error);
+    }
+  };
+
+  // Shared lists plus the chosen organisation's own lists (an unset select gives NaN)
+  const selectedOrganisationId = watchedValues.organisation_id || null;
+  const availableTeamLists = teamLists.filter(teamList =>
+    !teamList.organisation_id || teamList.organisation_id === selectedOrganisationId
+  );
+
   const onSubmit = async (data: CreateCompetitionForm) => {
     setLoading(true);
     setError('');
@@ -90,7 +154,17 @@ export default function CreateCompetitionPage() {
         team_list_id: data.team_list_id,
         lives_per_player: data.lives_per_player,
         no_team_twice: data.no_team_twice,
-        organiser_joins_as_player: data.organiser_joins_as_player
+        team_reset_mode: data.team_reset_mode,
+        team_reset_rounds: data.team_reset_mode === 'EVERY_N_ROUNDS' ? data.team_reset_rounds : undefined,
+        no_winner_rule: data.no_winner_rule,
+        draw_policy: data.draw_policy,
+        game_mode: data.game_mode,
+        pick_lock_mode: data.pick_lock_mode,
+        buyback_mode: data.buyback_mode,
+        buyback_rounds: data.buyback_mode === 'FIRST_N_ROUNDS' ? data.buyback_rounds : undefined,
+        buyback_lives: data.buyback_mode !== 'NONE' ? data.buyback_lives : undefined,
+        organiser_joins_as_player: data.organiser_joins_as_player,
+        organisation_id: data.organisation_id || undefined
       });
 
       if (response.data.return_code === 'SUCCESS') {
@@ -245,6 +319,28 @@ export default function CreateCompetitionPage() {
                   />
                 </div>
 
+                {organisations.length > 0 && (
+                  <div>
+                    <label htmlFor="organisation_id" className="block text-sm font-medium text-slate-700 mb-2">
+                      Organisation <span className="text-slate-400">(optional)</span>
+                    </label>
+                    <select
+                      {...register('organisation_id', { valueAsNumber: true })}
+                      className="block w-full appearance-none rounded-xl border border-slate-300 px-3 sm:px-4 py-3 shadow-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500 text-sm sm:text-base"
+                    >
+                      <option value="">None - run it myself</option>
+                      {organisations.map((organisation) => (
+                        <option key={organisation.id} value={organisation.id}>
+                          {organisation.name}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-sm text-slate-500">
+                      Organisation admins can help run it, and its own team lists become available
+                    </p>
+                  </div>
+                )}
+
                 <div>
                   <label htmlFor="team_list_id" className="block text-sm font-medium text-slate-700 mb-2">
                     Team List *
@@ -257,9 +353,10 @@ export default function CreateCompetitionPage() {
                     className="block w-full appearance-none rounded-xl border border-slate-300 px-3 sm:px-4 py-3 shadow-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500 text-sm sm:text-base"
                   >
                     <option value="">Choose team list...</option>
-                    {teamLists.map((teamList) => (
+                    {availableTeamLists.map((teamList) => (
                       <option key={teamList.id} value={teamList.id}>
                         {teamList.name} {teamList.team_count && `(${teamList.team_count} teams)`}
+                        {teamList.organisation_name && ` - ${teamList.organisation_name}`}
                       </option>
                     ))}
                   </select>
@@ -338,14 +435,175 @@ export default function CreateCompetitionPage() {
                       </div>
                       <div className="text-sm text-slate-500">
                         Players cannot pick the same team in different rounds
-                        {watchedValues.no_team_twice && (
-                          <span className="block mt-1">
-                            Teams automatically reset when players run out of options.
-                          </span>
-                        )}
                       </div>
                     </div>
                   </label>
+
+                  {/* Team reset rule - only relevant when teams get used up */}
+                  {watchedValues.no_team_twice && (
+                    <div className="mt-3 ml-7 space-y-2">
+                      <label className="flex items-center space-x-2 text-sm text-slate-700">
+                        <input
+                          {...register('team_reset_mode')}
+                          type="radio"
+                          value="EXHAUSTED"
+                          className="h-4 w-4 text-slate-600 focus:ring-slate-500 border-slate-300"
+                        />
+                        <span>Reset a player&apos;s teams when they run out of options</span>
+                      </label>
+                      <label className="flex items-center space-x-2 text-sm text-slate-700">
+                        <input
+                          {...register('team_reset_mode')}
+                          type="radio"
+                          value="EVERY_N_ROUNDS"
+                          className="h-4 w-4 text-slate-600 focus:ring-slate-500 border-slate-300"
+                        />
+                        <span>Reset every</span>
+                        <input
+                          {...register('team_reset_rounds', {
+                            valueAsNumber: true,
+                            validate: (value) =>
+                              watchedValues.team_reset_mode !== 'EVERY_N_ROUNDS' || (Number.isInteger(value) && value >= 1) ||
+                              'Enter a whole number of rounds'
+                          })}
+                          type="number"
+                          min={1}
+                          disabled={watchedValues.team_reset_mode !== 'EVERY_N_ROUNDS'}
+                          className="w-16 px-2 py-1 border border-slate-300 rounded-lg text-sm disabled:bg-slate-100"
+                        />
+                        <span>rounds</span>
+                      </label>
+                      {errors.team_reset_rounds && (
+                        <p className="text-sm text-red-600">{errors.team_reset_rounds.message}</p>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {/* Game mode */}
+                <div>
+                  <label htmlFor="game_mode" className="block text-sm font-medium text-slate-700 mb-2">
+                    Game mode
+                  </label>
+                  <select
+                    {...register('game_mode')}
+                    id="game_mode"
+                    className="block w-full rounded-xl border border-slate-300 px-3 sm:px-4 py-3 shadow-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500 text-sm sm:text-base"
+                  >
+                    {Object.entries(GAME_MODE_LABELS).map(([mode, label]) => (
+                      <option key={mode} value={mode}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="mt-2 text-sm text-slate-500">
+                    In &quot;pick the loser&quot; players survive only if the team they pick loses.
+                  </p>
+                </div>
+
+                {/* Pick deadlines */}
+                <div>
+                  <label htmlFor="pick_lock_mode" className="block text-sm font-medium text-slate-700 mb-2">
+                    Pick deadline
+                  </label>
+                  <select
+                    {...register('pick_lock_mode')}
+                    id="pick_lock_mode"
+                    className="block w-full rounded-xl border border-slate-300 px-3 sm:px-4 py-3 shadow-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500 text-sm sm:text-base"
+                  >
+                    {Object.entries(PICK_LOCK_MODE_LABELS).map(([mode, label]) => (
+                      <option key={mode} value={mode}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="mt-2 text-sm text-slate-500">
+                    With per-match deadlines players can still pick a Monday night game on Sunday.
+                  </p>
+                </div>
+
+                {/* Draw policy */}
+                <div>
+                  <label htmlFor="draw_policy" className="block text-sm font-medium text-slate-700 mb-2">
+                    If a player&apos;s team draws
+                  </label>
+                  <select
+                    {...register('draw_policy')}
+                    id="draw_policy"
+                    className="block w-full rounded-xl border border-slate-300 px-3 sm:px-4 py-3 shadow-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500 text-sm sm:text-base"
+                  >
+                    {Object.entries(DRAW_POLICY_LABELS).map(([policy, label]) => (
+                      <option key={policy} value={policy}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Buy-back rule */}
+                <div>
+                  <label htmlFor="buyback_mode" className="block text-sm font-medium text-slate-700 mb-2">
+                    Buy-backs for eliminated players
+                  </label>
+                  <select
+                    {...register('buyback_mode')}
+                    id="buyback_mode"
+                    className="block w-full rounded-xl border border-slate-300 px-3 sm:px-4 py-3 shadow-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500 text-sm sm:text-base"
+                  >
+                    {Object.entries(BUYBACK_MODE_LABELS).map(([mode, label]) => (
+                      <option key={mode} value={mode}>{label}</option>
+                    ))}
+                  </select>
+                  {watchedValues.buyback_mode !== 'NONE' && (
+                    <div className="mt-3 space-y-2">
+                      {watchedValues.buyback_mode === 'FIRST_N_ROUNDS' && (
+                        <label className="flex items-center space-x-2 text-sm text-slate-700">
+                          <span>Open until the end of round</span>
+                          <input
+                            {...register('buyback_rounds', {
+                              valueAsNumber: true,
+                              validate: (value) =>
+                                watchedValues.buyback_mode !== 'FIRST_N_ROUNDS' || (Number.isInteger(value) && value >= 1) ||
+                                'Enter a whole number of rounds'
+                            })}
+                            type="number"
+                            min={1}
+                            className="w-16 px-2 py-1 border border-slate-300 rounded-lg text-sm"
+                          />
+                        </label>
+                      )}
+                      <label className="flex items-center space-x-2 text-sm text-slate-700">
+                        <span>Lives on re-entry</span>
+                        <select
+                          {...register('buyback_lives', { valueAsNumber: true })}
+                          className="px-2 py-1 border border-slate-300 rounded-lg text-sm"
+                        >
+                          {[0, 1, 2, 3].map((lives) => (
+                            <option key={lives} value={lives}>{lives}</option>
+                          ))}
+                        </select>
+                      </label>
+                      {errors.buyback_rounds && (
+                        <p className="text-sm text-red-600">{errors.buyback_rounds.message}</p>
+                      )}
+                    </div>
+                  )}
+                  <p className="mt-2 text-sm text-slate-500">
+                    You record each buy-back and its payment from the players page - a popular fundraiser for charity competitions.
+                  </p>
+                </div>
+
+                {/* No-winner rule */}
+                <div>
+                  <label htmlFor="no_winner_rule" className="block text-sm font-medium text-slate-700 mb-2">
+                    If everyone left goes out in the same round
+                  </label>
+                  <select
+                    {...register('no_winner_rule')}
+                    id="no_winner_rule"
+                    className="block w-full rounded-xl border border-slate-300 px-3 sm:px-4 py-3 shadow-sm focus:border-slate-500 focus:outline-none focus:ring-slate-500 text-sm sm:text-base"
+                  >
+                    {Object.entries(NO_WINNER_RULE_LABELS).map(([rule, label]) => (
+                      <option key={rule} value={rule}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="mt-2 text-sm text-slate-500">
+                    Applied automatically when results are calculated.
+                  </p>
                 </div>
 
                 {/* Organiser joins as player */}
@@ -425,6 +683,48 @@ export default function CreateCompetitionPage() {
                         {watchedValues.no_team_twice ? 'Yes' : 'No'}
                       </dd>
                     </div>
+                    {watchedValues.no_team_twice && (
+                      <div className="flex flex-col sm:flex-row sm:justify-between gap-1 sm:gap-0">
+                        <dt className="text-xs sm:text-sm text-slate-600">Team Reset:</dt>
+                        <dd className="text-xs sm:text-sm font-medium text-slate-900 sm:text-right">
+                          {watchedValues.team_reset_mode === 'EVERY_N_ROUNDS'
+                            ? `Every ${watchedValues.team_reset_rounds} rounds`
+                            : 'When a player runs out of teams'}
+                        </dd>
+                      </div>
+                    )}
+                    <div className="flex flex-col sm:flex-row sm:justify-between gap-1 sm:gap-0">
+                      <dt className="text-xs sm:text-sm text-slate-600">Game Mode:</dt>
+                      <dd className="text-xs sm:text-sm font-medium text-slate-900 sm:text-right">
+                        {GAME_MODE_LABELS[watchedValues.game_mode]}
+                      </dd>
+                    </div>
+                    <div className="flex flex-col sm:flex-row sm:justify-between gap-1 sm:gap-0">
+                      <dt className="text-xs sm:text-sm text-slate-600">Pick Deadline:</dt>
+                      <dd className="text-xs sm:text-sm font-medium text-slate-900 sm:text-right">
+                        {PICK_LOCK_MODE_LABELS[watchedValues.pick_lock_mode]}
+                      </dd>
+                    </div>
+                    <div className="flex flex-col sm:flex-row sm:justify-between gap-1 sm:gap-0">
+                      <dt className="text-xs sm:text-sm text-slate-600">Draws:</dt>
+                      <dd className="text-xs sm:text-sm font-medium text-slate-900 sm:text-right">
+                        {DRAW_POLICY_LABELS[watchedValues.draw_policy]}
+                      </dd>
+                    </div>
+                    <div className="flex flex-col sm:flex-row sm:justify-between gap-1 sm:gap-0">
+                      <dt className="text-xs sm:text-sm text-slate-600">Buy-backs:</dt>
+                      <dd className="text-xs sm:text-sm font-medium text-slate-900 sm:text-right">
+                        {watchedValues.buyback_mode === 'FIRST_N_ROUNDS'
+                          ? `Allowed until the end of round ${watchedValues.buyback_rounds}`
+                          : BUYBACK_MODE_LABELS[watchedValues.buyback_mode]}
+                      </dd>
+                    </div>
+                    <div className="flex flex-col sm:flex-row sm:justify-between gap-1 sm:gap-0">
+                      <dt className="text-xs sm:text-sm text-slate-600">If Everyone Goes Out:</dt>
+                      <dd className="text-xs sm:text-sm font-medium text-slate-900 sm:text-right">
+                        {NO_WINNER_RULE_LABELS[watchedValues.no_winner_rule]}
+                      </dd>
+                    </div>
                     <div className="flex flex-col sm:flex-row sm:justify-between gap-1 sm:gap-0">
                       <dt className="text-xs sm:text-sm text-slate-600">You&apos;re Playing:</dt>
                       <dd className="text-xs sm:text-sm font-medium text-slate-900 sm:text-right">
@@ -27,7 +27,15 @@ export default function DashboardPage() {
   const { competitions, user, loading } = useAppData();
   
   // Filter to only show competitions where user is organiser
-  const organizedCompetitions = competitions?.filter(comp => comp.is_organiser) || [];
+  const allOrganizedCompetitions = competitions?.filter(comp => comp.is_organiser) || [];
+  // Organisations the user's competitions belong to, for the filter
+  const organisationFilters = Array.from(
+    new Map(allOrganizedCompetitions.filter(comp => comp.organisation).map(comp => [comp.organisation!.id, comp.organisation!])).values()
+  );
+  const [organisationFilter, setOrganisationFilter] = useState<number | null>(null);
+  const organizedCompetitions = organisationFilter === null
+    ? allOrganizedCompetitions
+    : allOrganizedCompetitions.filter(comp => comp.organisation?.id === organisationFilter);
   const [newCompetitionId, setNewCompetitionId] = useState<string | null>(null);
   // eslint-disable-next-line @typescript-eslint/no-unused-vars
   const [userType, setUserType] = useState<string | null>(null);
@@ -175,6 +183,18 @@ export default function DashboardPage() {
               </Link>
             </div>
             <div className="flex items-center space-x-2 sm:space-x-4">
+              <Link
+                href="/organisations"
+                className="text-sm font-medium text-slate-700 hover:text-slate-900 px-2 sm:px-3 py-2 rounded-lg hover:bg-slate-100 transition-colors"
+              >
+                Organisations
+              </Link>
+              <Link
+                href="/team-lists"
+                className="text-sm font-medium text-slate-700 hover:text-slate-900 px-2 sm:px-3 py-2 rounded-lg hover:bg-slate-100 transition-colors"
+              >
+                Team Lists
+              </Link>
               <Link
                 href="/profile"
                 className="text-sm font-medium text-slate-700 hover:text-slate-900 px-2 sm:px-3 py-2 rounded-lg hover:bg-slate-100 transition-colors"
@@ -210,6 +230,32 @@ export default function DashboardPage() {
         <div className="mb-8">
           <h3 className="text-2xl font-bold text-slate-900">My Competitions</h3>
           <p className="text-slate-600 mt-1">Create and manage engaging competitions for your community</p>
+          {organisationFilters.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-4">
+              <button
+                onClick={() => setOrganisationFilter(null)}
+                className={`px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors ${
+                  organisationFilter === null ? 'bg-slate-800 text-white border-slate-800' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'
+                }`}
+              >
+                All
+              </button>
+              {organisationFilters.map(organisation => (
+                <button
+                  key={organisation.id}
+                  onClick={() => setOrganisationFilter(organisation.id)}
+                  className={`inline-flex items-center px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors ${
+                    organisationFilter === organisation.id ? 'bg-slate-800 text-white border-slate-800' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'
+                  }`}
+                >
+                  {organisation.brand_colour && (
+                    <span className="h-2.5 w-2.5 rounded-full mr-2" style={{ backgroundColor: organisation.brand_colour }} />
+                  )}
+                  {organisation.name}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Competitions Grid */}
@@ -271,6 +317,9 @@ export default function DashboardPage() {
                           </div>
                         )}
                       </div>
+                      {competition.organisation && (
+                        <p className="text-xs text-slate-500 mt-1">{competition.organisation.name}</p>
+                      )}
                     </div>
                     {/* Removed status badge as requested */}
                   </div>
@@ -53,6 +53,13 @@ function LoginForm() {
         // Trigger AppDataProvider to reload data
         window.dispatchEvent(new CustomEvent('auth-success'));
         
+        // Send the user back where they came from (e.g. a pick reminder link) - same-site paths only
+        const redirect = searchParams.get('redirect');
+        if (redirect && redirect.startsWith('/') && !redirect.startsWith('//')) {
+          router.push(redirect);
+          return;
+        }
+
         // Check user type to determine redirect
         try {
           const userTypeResponse = await userApi.checkUserType();
@@ -0,0 +1,444 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import {
+  BuildingStorefrontIcon,
+  ArrowLeftIcon,
+  PlusIcon,
+  TrashIcon,
+  UserGroupIcon,
+  ChartBarIcon
+} from '@heroicons/react/24/outline';
+import {
+  organisationApi,
+  cacheUtils,
+  Organisation,
+  OrganisationMember,
+  OrganisationRole,
+  OrganisationStats
+} from '@/lib/api';
+import { logout } from '@/lib/auth';
+
+const ROLE_LABELS: Record<OrganisationRole, string> = {
+  OWNER: 'Owner',
+  ADMIN: 'Admin - runs every competition',
+  MEMBER: 'Member - creates their own competitions'
+};
+
+const isAdminRole = (role: OrganisationRole | null | undefined) => role === 'OWNER' || role === 'ADMIN';
+
+export default function OrganisationsPage() {
+  const router = useRouter();
+  const [organisations, setOrganisations] = useState<Organisation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const [members, setMembers] = useState<OrganisationMember[]>([]);
+  const [stats, setStats] = useState<OrganisationStats | null>(null);
+
+  // New organisation form
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  // Branding form for the selected organisation
+  const [brandName, setBrandName] = useState('');
+  const [brandLogoUrl, setBrandLogoUrl] = useState('');
+  const [brandColour, setBrandColour] = useState('');
+  const [savingBranding, setSavingBranding] = useState(false);
+
+  // Add member form
+  const [memberEmail, setMemberEmail] = useState('');
+  const [memberRole, setMemberRole] = useState<Exclude<OrganisationRole, 'OWNER'>>('MEMBER');
+  const [addingMember, setAddingMember] = useState(false);
+
+  const selected = organisations.find(organisation => organisation.id === selectedId) || null;
+  const canAdminister = isAdminRole(selected?.role);
+
+  const loadOrganisations = useCallback(async () => {
+    try {
+      const response = await organisationApi.getOrganisations();
+      if (response.data.return_code === 'SUCCESS') {
+        const loaded = (response.data.organisations as Organisation[]) || [];
+        setOrganisations(loaded);
+        setSelectedId(current => current ?? loaded[0]?.id ?? null);
+      }
+    } catch (error) {
+      console.error('Failed to load organisations:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadSelected = useCallback(async (organisation: Organisation) => {
+    setBrandName(organisation.name);
+    setBrandLogoUrl(organisation.logo_url || '');
+    setBrandColour(organisation.brand_colour || '');
+    setStats(null);
+
+    try {
+      const membersResponse = await organisationApi.getMembers(organisation.id);
+      if (membersResponse.data.return_code === 'SUCCESS') {
+        setMembers((membersResponse.data.members as OrganisationMember[]) || []);
+      }
+
+      // Roll-up is only available to organisation admins
+      if (isAdminRole(organisation.role)) {
+        const statsResponse = await organisationApi.getStats(organisation.id);
+        if (statsResponse.data.return_code === 'SUCCESS') {
+          setStats(statsResponse.data.data as OrganisationStats);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load organisation details:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const token = localStorage.getItem('jwt_token');
+    if (!token) {
+      router.push('/login');
+      return;
+    }
+
+    loadOrganisations();
+  }, [router, loadOrganisations]);
+
+  useEffect(() => {
+    if (selected) {
+      loadSelected(selected);
+    }
+    // Reload only when a different organisation is picked, not when its counts refresh
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedId, loadSelected]);
+
+  const refreshOrganisations = async () => {
+    cacheUtils.invalidateKey('organisations');
+    await loadOrganisations();
+  };
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+
+    setCreating(true);
+    try {
+      const response = await organisationApi.create(newName.trim());
+      if (response.data.return_code === 'SUCCESS') {
+        const created = response.data.organisation as { id: number };
+        setNewName('');
+        setSelectedId(created.id);
+        await refreshOrganisations();
+      } else {
+        alert(response.data.message || 'Failed to create organisation');
+      }
+    } catch (error) {
+      console.error('Create organisation error:', error);
+      alert('Failed to create organisation');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleSaveBranding = async () => {
+    if (!selected) return;
+
+    setSavingBranding(true);
+    try {
+      const response = await organisationApi.update(selected.id, {
+        name: brandName.trim(),
+        logo_url: brandLogoUrl.trim() || null,
+        brand_colour: brandColour.trim() || null
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        await refreshOrganisations();
+        cacheUtils.invalidateCompetitions(); // Competition cards show organisation branding
+      } else {
+        alert(response.data.message || 'Failed to save branding');
+      }
+    } catch (error) {
+      console.error('Update organisation error:', error);
+      alert('Failed to save branding');
+    } finally {
+      setSavingBranding(false);
+    }
+  };
+
+  const handleAddMember = async () => {
+    if (!selected || !memberEmail.trim()) return;
+
+    setAddingMember(true);
+    try {
+      const response = await organisationApi.addMember(selected.id, memberEmail.trim(), memberRole);
+      if (response.data.return_code === 'SUCCESS') {
+        setMemberEmail('');
+        await loadSelected(selected);
+        await refreshOrganisations();
+      } else {
+        alert(response.data.message || 'Failed to add member');
+      }
+    } catch (error) {
+      console.error('Add organisation member error:', error);
+      alert('Failed to add member');
+    } finally {
+      setAddingMember(false);
+    }
+  };
+
+  const handleRemoveMember = async (member: OrganisationMember) => {
+    if (!selected) return;
+    if (!confirm(`Remove ${member.display_name} from ${selected.name}? Competitions they created stay in the organisation.`)) return;
+
+    try {
+      const response = await organisationApi.removeMember(selected.id, member.user_id);
+      if (response.data.return_code === 'SUCCESS') {
+        await loadSelected(selected);
+        await refreshOrganisations();
+      } else {
+        alert(response.data.message || 'Failed to remove member');
+      }
+    } catch (error) {
+      console.error('Remove organisation member error:', error);
+      alert('Failed to remove member');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b border-slate-700"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b border-slate-200">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between py-4">
+            <div className="flex items-center">
+              <Link
+                href="/dashboard"
+                className="inline-flex items-center text-slate-500 hover:text-slate-700 mr-4"
+              >
+                <ArrowLeftIcon className="h-5 w-5 mr-1" />
+                Back to Dashboard
+              </Link>
+              <BuildingStorefrontIcon className="h-8 w-8 text-slate-700" />
+              <span className="ml-2 text-xl font-bold text-slate-900">Organisations</span>
+            </div>
+            <button
+              onClick={() => logout(router)}
+              className="text-slate-500 hover:text-slate-700 text-sm"
+            >
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        {/* Organisation picker and create form */}
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+          <h2 className="text-2xl font-bold text-slate-900 mb-2">Your Organisations</h2>
+          <p className="text-sm text-slate-600 mb-4">
+            Group the competitions at your pub, club or workplace under one login, with shared team lists and branding.
+          </p>
+
+          {organisations.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {organisations.map(organisation => (
+                <button
+                  key={organisation.id}
+                  onClick={() => setSelectedId(organisation.id)}
+                  className={`inline-flex items-center px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                    organisation.id === selectedId
+                      ? 'bg-slate-800 text-white border-slate-800'
+                      : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'
+                  }`}
+                >
+                  {organisation.brand_colour && (
+                    <span className="h-3 w-3 rounded-full mr-2" style={{ backgroundColor: organisation.brand_colour }} />
+                  )}
+                  {organisation.name}
+                  <span className="ml-2 text-xs opacity-75">{organisation.competition_count} comps</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={100}
+              placeholder="New organisation name, e.g. The Red Lion"
+              className="flex-1 px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm"
+            />
+            <button
+              onClick={handleCreate}
+              disabled={creating || !newName.trim()}
+              className="inline-flex items-center justify-center px-4 py-2 bg-slate-800 text-white rounded-md font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              {creating ? 'Creating...' : 'Create'}
+            </button>
+          </div>
+        </div>
+
+        {selected && (
+          <>
+            {/* Roll-up across every competition in the organisation */}
+            {stats && (
+              <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+                <h3 className="text-lg font-medium text-slate-900 mb-4 flex items-center">
+                  <ChartBarIcon className="h-5 w-5 mr-2 text-slate-600" />
+                  All Competitions
+                </h3>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4">
+                  <div>
+                    <p className="text-2xl font-bold text-slate-900">{stats.totals.competitions}</p>
+                    <p className="text-xs text-slate-500">Competitions</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-bold text-slate-900">{stats.totals.total_players}</p>
+                    <p className="text-xs text-slate-500">Players</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-bold text-emerald-700">{stats.totals.still_active}</p>
+                    <p className="text-xs text-slate-500">Still in</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-bold text-amber-700">{stats.totals.missing_picks_count}</p>
+                    <p className="text-xs text-slate-500">Picks missing this round</p>
+                  </div>
+                </div>
+                <div className="divide-y divide-slate-100">
+                  {stats.competitions.map(competition => (
+                    <Link
+                      key={competition.competition_id}
+                      href={`/competition/${competition.competition_id}/dashboard`}
+                      className="flex items-center justify-between py-2 text-sm hover:bg-slate-50 rounded px-2"
+                    >
+                      <span className="font-medium text-slate-900">{competition.name}</span>
+                      <span className="text-slate-600">
+                        {competition.current_round ? `Round ${competition.current_round.round_number} · ` : ''}
+                        {competition.still_active} in · {competition.missing_picks_count} to pick
+                      </span>
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Branding */}
+            {canAdminister && (
+              <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+                <h3 className="text-lg font-medium text-slate-900 mb-4">Branding</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={brandName}
+                      onChange={(e) => setBrandName(e.target.value)}
+                      maxLength={100}
+                      className="block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Logo URL</label>
+                    <input
+                      type="url"
+                      value={brandLogoUrl}
+                      onChange={(e) => setBrandLogoUrl(e.target.value)}
+                      maxLength={500}
+                      placeholder="https://..."
+                      className="block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Brand colour</label>
+                    <input
+                      type="text"
+                      value={brandColour}
+                      onChange={(e) => setBrandColour(e.target.value)}
+                      maxLength={7}
+                      placeholder="#1E40AF"
+                      className="block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm"
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end mt-4">
+                  <button
+                    onClick={handleSaveBranding}
+                    disabled={savingBranding || !brandName.trim()}
+                    className="inline-flex items-center px-4 py-2 bg-slate-800 text-white rounded-md font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {savingBranding ? 'Saving...' : 'Save Branding'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Members */}
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+              <h3 className="text-lg font-medium text-slate-900 mb-4 flex items-center">
+                <UserGroupIcon className="h-5 w-5 mr-2 text-slate-600" />
+                Members
+              </h3>
+              <div className="divide-y divide-slate-100 mb-4">
+                {members.map(member => (
+                  <div key={member.user_id} className="flex items-center justify-between py-2">
+                    <div>
+                      <p className="text-sm font-medium text-slate-900">{member.display_name}</p>
+                      <p className="text-xs text-slate-500">{member.email} · {ROLE_LABELS[member.role]}</p>
+                    </div>
+                    {canAdminister && member.role !== 'OWNER' && (
+                      <button
+                        onClick={() => handleRemoveMember(member)}
+                        className="p-2 text-slate-400 hover:text-red-600 transition-colors"
+                        title="Remove member"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {canAdminister && (
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="email"
+                    value={memberEmail}
+                    onChange={(e) => setMemberEmail(e.target.value)}
+                    placeholder="Email of an existing account"
+                    className="flex-1 px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm"
+                  />
+                  <select
+                    value={memberRole}
+                    onChange={(e) => setMemberRole(e.target.value as Exclude<OrganisationRole, 'OWNER'>)}
+                    className="px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm"
+                  >
+                    <option value="MEMBER">{ROLE_LABELS.MEMBER}</option>
+                    <option value="ADMIN">{ROLE_LABELS.ADMIN}</option>
+                  </select>
+                  <button
+                    onClick={handleAddMember}
+                    disabled={addingMember || !memberEmail.trim()}
+                    className="inline-flex items-center justify-center px-4 py-2 bg-slate-800 text-white rounded-md font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <PlusIcon className="h-4 w-4 mr-2" />
+                    {addingMember ? 'Adding...' : 'Add'}
+                  </button>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
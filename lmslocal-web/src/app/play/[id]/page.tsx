@@ -9,9 +9,10 @@ import {
   ExclamationTriangleIcon,
   ClockIcon,
 } from '@heroicons/react/24/outline';
-import { fixtureApi, userApi, roundApi, playerActionApi, Fixture, Team, Round } from '@/lib/api';
+import { fixtureApi, userApi, roundApi, playerActionApi, cacheUtils, Fixture, Team, Round, DrawPolicy, GameMode, PickLockMode } from '@/lib/api';
 import { useAppData } from '@/contexts/AppDataContext';
 import { logout } from '@/lib/auth';
+import PaymentDetailsCard from '@/components/PaymentDetailsCard';
 
 interface User {
   id: number;
@@ -23,9 +24,19 @@ interface Competition {
   id: number;
   name: string;
   current_round?: number;
+  draw_policy?: DrawPolicy;
+  game_mode?: GameMode;
+  pick_lock_mode?: PickLockMode;
   history?: RoundHistory[];
 }
 
+// House rule for drawn matches, shown to players under the round title
+const DRAW_POLICY_TEXT: Record<DrawPolicy, string> = {
+  LOSE: 'Draws count as a loss',
+  SURVIVE: 'Draws are survived - no life lost',
+  LOSE_LIFE: 'Draws cost a life, but never your last one'
+};
+
 interface RoundHistory {
   round_id: number;
   round_number: number;
@@ -38,7 +49,7 @@ interface RoundHistory {
   home_team: string | null;
   away_team: string | null;
   result: string | null;
-  pick_result: 'no_pick' | 'pending' | 'win' | 'draw' | 'loss';
+  pick_result: 'no_pick' | 'pending' | 'win' | 'draw' | 'loss' | 'void';
   lives_remaining?: number;
   player_status?: string; // 'active' or 'OUT'
 }
@@ -108,7 +119,18 @@ export default function CompetitionPickPage() {
   const abortControllerRef = useRef<AbortController | null>(null);
   const previousRoundAbortControllerRef = useRef<AbortController | null>(null);
 
-  const getRoundId = useCallback(async (competitionId: number, roundNumber: number) => {
+  // FIXTURE lock mode: each fixture locks at its own kickoff instead of one lock for the whole round
+  const isFixtureLocked = (fixtureId: number): boolean => {
+    if (competition?.pick_lock_mode !== 'FIXTURE') return false;
+    const fixture = fixtures.find(f => f.id === fixtureId);
+    return !!fixture && new Date(fixture.kickoff_time).getTime() <= Date.now();
+  };
+
+  // A current pick whose fixture has kicked off can no longer be removed or changed
+  const currentPickFixture = fixtures.find(f => f.home_team_short === currentPick || f.away_team_short === currentPick);
+  const isCurrentPickLocked = !!currentPickFixture && isFixtureLocked(currentPickFixture.id);
+
+  const getRoundId = useCallback(async (competitionId: number, roundNumber: number, pickLockMode?: PickLockMode) => {
     try {
       // Get all rounds for this competition to find the correct round ID
       const response = await roundApi.getRounds(competitionId);
@@ -118,17 +140,23 @@ export default function CompetitionPickPage() {
         const currentRound = rounds.find(r => r.round_number === roundNumber);
         if (currentRound) {
           setCurrentRoundId(currentRound.id);
-          setRoundLockTime(currentRound.lock_time);
           
-          // Check if round is locked
-          const now = new Date();
-          const lockTime = new Date(currentRound.lock_time);
-          const locked = now >= lockTime;
-          setIsRoundLocked(locked);
+          // Server decides lock status - rounds also lock early once every player has picked
+          let locked = !!currentRound.is_locked;
+          let lockTime = currentRound.effective_lock_time || currentRound.lock_time;
           
           // Now load fixtures and current pick with the correct round ID
-          loadFixtures(currentRound.id);
+          const roundFixtures = await loadFixtures(currentRound.id);
           loadCurrentPick(currentRound.id);
+
+          // FIXTURE lock mode: picks stay open until the last fixture kicks off
+          if (pickLockMode === 'FIXTURE' && roundFixtures.length > 0) {
+            const lastKickoff = Math.max(...roundFixtures.map(f => new Date(f.kickoff_time).getTime()));
+            lockTime = new Date(lastKickoff).toISOString();
+            locked = lastKickoff <= Date.now();
+          }
+          setRoundLockTime(lockTime);
+          setIsRoundLocked(locked);
           
           // Load pick counts only when round is locked (for fairness)
           if (locked) {
@@ -169,7 +197,7 @@ export default function CompetitionPickPage() {
       loadAllowedTeams(contextCompetition.id);
       if (contextCompetition.current_round) {
         // First get the actual round ID from round number
-        getRoundId(contextCompetition.id, contextCompetition.current_round);
+        getRoundId(contextCompetition.id, contextCompetition.current_round, contextCompetition.pick_lock_mode);
       }
     } catch (error) {
       console.error('Failed to load competition data:', error);
@@ -190,7 +218,8 @@ export default function CompetitionPickPage() {
       const userData = localStorage.getItem('user');
       
       if (!token || !userData) {
-        if (!controller.signal.aborted) router.push('/login');
+        // Come back here after logging in - pick reminder emails link straight to this page
+        if (!controller.signal.aborted) router.push(`/login?redirect=${encodeURIComponent(`/play/${competitionId}`)}`);
         return;
       }
 
@@ -230,16 +259,19 @@ export default function CompetitionPickPage() {
     };
   }, [competitionId, router, loadCompetitionData]);
 
-  const loadFixtures = async (roundId: number) => {
+  const loadFixtures = async (roundId: number): Promise<Fixture[]> => {
     try {
       const response = await fixtureApi.get(roundId.toString());
       if (response.data.return_code === 'SUCCESS') {
-        setFixtures((response.data.fixtures as Fixture[]) || []);
+        const roundFixtures = (response.data.fixtures as Fixture[]) || [];
+        setFixtures(roundFixtures);
+        return roundFixtures;
       }
     } catch (error) {
       console.error('Failed to load fixtures:', error);
       setFixtures([]);
     }
+    return [];
   };
 
 
@@ -316,10 +348,13 @@ export default function CompetitionPickPage() {
                 f.home_team_short === previousRoundData.player_pick || f.away_team_short === previousRoundData.player_pick
               );
               if (playerFixture?.result) {
-                if (playerFixture.result === previousRoundData.player_pick) {
-                  previousRoundData.player_outcome = 'won';
-                } else if (playerFixture.result === 'draw') {
-                  previousRoundData.player_outcome = 'lost'; // Draw counts as loss in Last Man Standing
+                if (playerFixture.result === 'POSTPONED' || playerFixture.result === 'VOID') {
+                  previousRoundData.player_outcome = 'void'; // Survived - team handed back
+                } else if (playerFixture.result === 'DRAW') {
+                  // Only the default policy treats a draw as a plain loss - otherwise a draw never eliminates on its own
+                  previousRoundData.player_outcome = contextCompetition?.draw_policy && contextCompetition.draw_policy !== 'LOSE' ? 'draw' : 'lost';
+                } else if ((playerFixture.result === previousRoundData.player_pick) !== (contextCompetition?.game_mode === 'LOSER')) {
+                  previousRoundData.player_outcome = 'won'; // Picked team won, or lost in "pick the loser" mode
                 } else {
                   previousRoundData.player_outcome = 'lost';
                 }
@@ -427,8 +462,8 @@ export default function CompetitionPickPage() {
   };
 
   const handleTeamSelect = (teamShort: string, fixtureId: number, position: 'home' | 'away', event: React.MouseEvent | React.TouchEvent) => {
-    // Prevent if round is locked  
-    if (isRoundLocked) return;
+    // Prevent if round is locked (or this fixture has kicked off in FIXTURE mode)
+    if (isRoundLocked || isFixtureLocked(fixtureId)) return;
     
     // LIGHTER: Only block interactions during active scrolling (much more permissive)
     if (isScrolling) {
@@ -480,7 +515,7 @@ export default function CompetitionPickPage() {
   };
 
   const handleUnselectPick = async () => {
-    if (!currentRoundId || submitting || isRoundLocked) return;
+    if (!currentRoundId || submitting || isRoundLocked || isCurrentPickLocked) return;
 
     // Reset all touch states when cancelling selection
     resetTouchStates();
@@ -523,6 +558,12 @@ export default function CompetitionPickPage() {
           await loadAllowedTeams(competition.id);
           await loadCurrentPick(currentRoundId);
         }
+        // Last player to pick locks the round - reveal everyone's picks straight away
+        if (response.data.round_locked && competition && currentRoundId) {
+          cacheUtils.invalidateKey(`rounds-${competition.id}`);
+          setIsRoundLocked(true);
+          loadTeamPickCounts(currentRoundId);
+        }
         // Clear selection
         setSelectedTeam(null);
       } else {
@@ -600,7 +641,7 @@ export default function CompetitionPickPage() {
             <div>
               <h1 className="text-2xl font-bold text-gray-900">{competition.name}</h1>
               <p className="text-gray-600">
-                Round {competition.current_round} - {isRoundLocked ? 'In Play' : 'Make Your Pick'}
+                Round {competition.current_round} - {isRoundLocked ? 'In Play' : competition.game_mode === 'LOSER' ? 'Pick a Team to Lose' : 'Make Your Pick'}
                 {roundLockTime && isRoundLocked && (
                   <span className="text-xs text-gray-500 ml-2">
                     (Locked: {new Date(roundLockTime).toLocaleString('en-GB', {
@@ -613,9 +654,12 @@ export default function CompetitionPickPage() {
                   </span>
                 )}
               </p>
+              <p className="text-sm text-gray-500 mt-1">
+                {DRAW_POLICY_TEXT[competition.draw_policy ?? 'LOSE']}
+              </p>
               {roundLockTime && !isRoundLocked && (
                 <p className="text-lg text-gray-700 mt-1">
-                  Picks lock at: {new Date(roundLockTime).toLocaleString('en-GB', {
+                  {competition.pick_lock_mode === 'FIXTURE' ? 'Each pick locks at kick-off - last game:' : 'Picks lock at:'} {new Date(roundLockTime).toLocaleString('en-GB', {
                     year: 'numeric',
                     month: '2-digit', 
                     day: '2-digit',
@@ -636,6 +680,8 @@ export default function CompetitionPickPage() {
           </div>
         </div>
 
+        {/* How to pay the organiser, with a reminder while unpaid */}
+        <PaymentDetailsCard competitionId={parseInt(competitionId)} />
 
         {/* No Fixtures Message - when waiting for fixtures */}
         {fixtures.length === 0 && !isRoundLocked && (
@@ -679,11 +725,13 @@ export default function CompetitionPickPage() {
                 const isAllowed = allowedTeams.includes(team.short);
                 const isSelected = selectedTeam?.teamShort === team.short;
                 const isCurrentPick = currentPick === team.short;
+                const isKickedOff = isFixtureLocked(team.fixtureId);
                 
                 // Disable teams if:
                 // 1. Team not in allowed list
                 // 2. There's already a current pick (user must remove it first)
-                const isDisabled = !isAllowed || !!(currentPick && !isCurrentPick);
+                // 3. The fixture has kicked off (FIXTURE lock mode)
+                const isDisabled = !isAllowed || isKickedOff || !!(currentPick && !isCurrentPick);
                 
                 return (
                   <button
@@ -700,7 +748,7 @@ export default function CompetitionPickPage() {
                     className={`team-card-no-touch p-4 rounded-lg border-2 select-none ${
                       isCurrentPick
                         ? 'border-blue-500 bg-blue-50 text-blue-900'
-                        : currentPick || !isAllowed
+                        : currentPick || !isAllowed || isKickedOff
                           ? 'border-gray-300 bg-gray-100 text-gray-400 cursor-not-allowed opacity-50'
                           : isSelected
                             ? 'border-green-500 bg-green-50 transition-colors' 
@@ -712,7 +760,7 @@ export default function CompetitionPickPage() {
                     <div className={`text-lg font-bold mb-2 ${
                       isCurrentPick 
                         ? 'text-blue-900' 
-                        : currentPick || !isAllowed ? 'text-gray-400' : 'text-gray-900'
+                        : currentPick || !isAllowed || isKickedOff ? 'text-gray-400' : 'text-gray-900'
                     }`}>
                       {team.full}
                     </div>
@@ -721,7 +769,7 @@ export default function CompetitionPickPage() {
                     <div className={`text-xs leading-tight ${
                       isCurrentPick 
                         ? 'text-blue-700'
-                        : currentPick || !isAllowed ? 'text-gray-400' : 'text-gray-500'
+                        : currentPick || !isAllowed || isKickedOff ? 'text-gray-400' : 'text-gray-500'
                     }`}>
                       {team.fixtureDisplay}
                     </div>
@@ -741,17 +789,23 @@ export default function CompetitionPickPage() {
                           </div>
                         )}
                         
-                        {currentPick && !isCurrentPick && isAllowed && (
+                        {currentPick && !isCurrentPick && isAllowed && !isKickedOff && (
                           <div className="text-xs text-gray-400 mt-2 font-medium">
                             Remove current pick to select
                           </div>
                         )}
                         
-                        {!isAllowed && !isCurrentPick && (
+                        {!isAllowed && !isCurrentPick && !isKickedOff && (
                           <div className="text-xs text-gray-400 mt-2 font-medium">
                             Already Picked
                           </div>
                         )}
+
+                        {isKickedOff && !isCurrentPick && (
+                          <div className="text-xs text-gray-400 mt-2 font-medium">
+                            Kicked Off
+                          </div>
+                        )}
                       </>
                     )}
                   </div>
@@ -798,16 +852,24 @@ export default function CompetitionPickPage() {
                   <div className="text-gray-800 font-medium mb-2">
                     Current Pick: <span className="font-bold">{getFullTeamName(currentPick)}</span>
                   </div>
-                  <div className="text-gray-600 text-sm mb-4">
-                    Want to change your pick? Remove it first to select a different team.
-                  </div>
-                  <button
-                    onClick={handleUnselectPick}
-                    disabled={submitting}
-                    className="bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white px-6 py-3 rounded-lg font-medium transition-colors min-w-[140px]"
-                  >
-                    {submitting ? 'Removing...' : 'Remove Pick'}
-                  </button>
+                  {isCurrentPickLocked ? (
+                    <div className="text-gray-600 text-sm">
+                      Your match has kicked off - this pick is locked in.
+                    </div>
+                  ) : (
+                    <>
+                      <div className="text-gray-600 text-sm mb-4">
+                        Want to change your pick? Remove it first to select a different team.
+                      </div>
+                      <button
+                        onClick={handleUnselectPick}
+                        disabled={submitting}
+                        className="bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white px-6 py-3 rounded-lg font-medium transition-colors min-w-[140px]"
+                      >
+                        {submitting ? 'Removing...' : 'Remove Pick'}
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             )}
@@ -852,7 +914,9 @@ export default function CompetitionPickPage() {
                 if (fixture && fixture.result) {
                   const teamWon = fixture.result === team.short;
                   
-                  if (teamWon) {
+                  if (fixture.result === 'POSTPONED' || fixture.result === 'VOID') {
+                    resultState = 'void'; // Pick survives and team is handed back
+                  } else if (teamWon) {
                     resultState = 'won';
                   } else {
                     resultState = 'lost'; // Either lost or drew
@@ -866,10 +930,12 @@ export default function CompetitionPickPage() {
                       isCurrentPick ? (
                         resultState === 'won' ? 'bg-green-100 border-green-500 shadow-md' :
                         resultState === 'lost' ? 'bg-red-100 border-red-500 shadow-md' :
+                        resultState === 'void' ? 'bg-yellow-100 border-yellow-500 shadow-md' :
                         'bg-blue-100 border-blue-500 shadow-md'
                       ) : (
                         resultState === 'won' ? 'bg-green-50 border-green-300' :
                         resultState === 'lost' ? 'bg-red-50 border-red-300' :
+                        resultState === 'void' ? 'bg-yellow-50 border-yellow-300' :
                         'bg-gray-50 border-gray-200 opacity-70'
                       )
                     }`}
@@ -917,13 +983,19 @@ export default function CompetitionPickPage() {
                       {/* Result indicator for all teams */}
                       {resultState === 'won' && (
                         <div className="text-xs text-green-700 mt-2 font-bold">
-                          {isCurrentPick ? '🎉 YOU WON!' : '✓ WON'}
+                          {isCurrentPick ? (competition.game_mode === 'LOSER' ? '❌ YOUR TEAM WON' : '🎉 YOU WON!') : '✓ WON'}
                         </div>
                       )}
                       
                       {resultState === 'lost' && (
                         <div className="text-xs text-red-700 mt-2 font-bold">
-                          {isCurrentPick ? '❌ YOU LOST' : '✗ LOST'}
+                          {isCurrentPick ? (competition.game_mode === 'LOSER' ? '🎉 YOUR TEAM LOST - YOU SURVIVE' : '❌ YOU LOST') : '✗ LOST'}
+                        </div>
+                      )}
+                      
+                      {resultState === 'void' && (
+                        <div className="text-xs text-yellow-700 mt-2 font-bold">
+                          {isCurrentPick ? '↩ VOID - TEAM RETURNED' : fixture?.result}
                         </div>
                       )}
                       
@@ -1028,6 +1100,7 @@ export default function CompetitionPickPage() {
                       const resultState = fixture?.result ? (
                         fixture.result === team.short ? 'won' : 
                         fixture.result === 'DRAW' ? 'draw' :
+                        fixture.result === 'POSTPONED' || fixture.result === 'VOID' ? 'void' :
                         'lost'
                       ) : 'no-result';
                       const pickCount = previousRoundData.pick_counts[team.short] || 0;
@@ -1041,12 +1114,12 @@ export default function CompetitionPickPage() {
                               isPlayerPick ? (
                                 resultState === 'won' ? 'bg-green-100 border-green-500 shadow-md' :
                                 resultState === 'lost' ? 'bg-red-100 border-red-500 shadow-md' :
-                                resultState === 'draw' ? 'bg-yellow-100 border-yellow-500 shadow-md' :
+                                resultState === 'draw' || resultState === 'void' ? 'bg-yellow-100 border-yellow-500 shadow-md' :
                                 'bg-blue-100 border-blue-500 shadow-md'
                               ) : (
                                 resultState === 'won' ? 'bg-green-50 border-green-300' :
                                 resultState === 'lost' ? 'bg-red-50 border-red-300' :
-                                resultState === 'draw' ? 'bg-yellow-50 border-yellow-300' :
+                                resultState === 'draw' || resultState === 'void' ? 'bg-yellow-50 border-yellow-300' :
                                 'bg-gray-50 border-gray-200'
                               )
                             }
@@ -1079,19 +1152,27 @@ export default function CompetitionPickPage() {
                             {/* Result indicators */}
                             {resultState === 'won' && (
                               <div className="text-xs text-green-700 font-bold">
-                                {isPlayerPick ? '🎉 YOU WON!' : '✓ WON'}
+                                {isPlayerPick ? (competition.game_mode === 'LOSER' ? '❌ YOUR TEAM WON' : '🎉 YOU WON!') : '✓ WON'}
                               </div>
                             )}
                             
                             {resultState === 'lost' && (
                               <div className="text-xs text-red-700 font-bold">
-                                {isPlayerPick ? '❌ YOU LOST' : '✗ LOST'}
+                                {isPlayerPick ? (competition.game_mode === 'LOSER' ? '🎉 YOUR TEAM LOST - YOU SURVIVE' : '❌ YOU LOST') : '✗ LOST'}
                               </div>
                             )}
                             
                             {resultState === 'draw' && (
                               <div className="text-xs text-yellow-700 font-bold">
-                                {isPlayerPick ? '➖ DRAW' : '= DRAW'}
+                                {isPlayerPick
+                                  ? (competition.draw_policy === 'SURVIVE' ? '➖ DRAW - YOU SURVIVE' : '➖ DRAW')
+                                  : '= DRAW'}
+                              </div>
+                            )}
+                            
+                            {resultState === 'void' && (
+                              <div className="text-xs text-yellow-700 font-bold">
+                                {isPlayerPick ? '↩ VOID - TEAM RETURNED' : fixture.result}
                               </div>
                             )}
                             
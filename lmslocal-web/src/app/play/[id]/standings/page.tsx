@@ -9,8 +9,9 @@ import {
   ChevronDownIcon,
   ChevronRightIcon
 } from '@heroicons/react/24/outline';
-import { userApi } from '@/lib/api';
+import { userApi, GameMode, PickLockMode, StandingsPrizePot } from '@/lib/api';
 import { getCurrentUser } from '@/lib/auth';
+import PrizePotCard from '@/components/PrizePotCard';
 
 interface Competition {
   id: number;
@@ -18,6 +19,8 @@ interface Competition {
   current_round: number;
   is_locked: boolean;
   access_code?: string;
+  game_mode?: GameMode;
+  pick_lock_mode?: PickLockMode;
 }
 
 interface RoundHistory {
@@ -31,7 +34,8 @@ interface RoundHistory {
   home_team: string | null;
   away_team: string | null;
   result: string | null;
-  pick_result: 'no_pick' | 'pending' | 'win' | 'draw' | 'loss';
+  score?: string | null; // "Arsenal 2-1 Chelsea" once the final score is entered
+  pick_result: 'no_pick' | 'pending' | 'win' | 'draw' | 'loss' | 'void';
 }
 
 interface CurrentPick {
@@ -39,6 +43,7 @@ interface CurrentPick {
   team_full_name?: string | null;
   outcome: string | null;
   fixture: string | null;
+  is_revealed?: boolean; // Locked and visible to everyone - per fixture kickoff in FIXTURE lock mode
 }
 
 interface Player {
@@ -50,6 +55,16 @@ interface Player {
   history: RoundHistory[];
 }
 
+// Badge text for a round outcome - in "pick the loser" mode a win means the picked team lost
+const pickResultLabel = (pickResult: RoundHistory['pick_result'], gameMode?: GameMode) => {
+  if (pickResult === 'win') return gameMode === 'LOSER' ? 'SURVIVED' : 'WIN';
+  if (pickResult === 'loss') return gameMode === 'LOSER' ? 'FAILED' : 'LOSE';
+  if (pickResult === 'no_pick') return 'NO PICK';
+  if (pickResult === 'void') return 'VOID';
+  if (pickResult === 'draw') return 'DRAW';
+  return 'PENDING';
+};
+
 export default function CompetitionStandingsPage() {
   const router = useRouter();
   const params = useParams();
@@ -65,6 +80,7 @@ export default function CompetitionStandingsPage() {
   
   const [competition, setCompetition] = useState<Competition | null>(null);
   const [players, setPlayers] = useState<Player[]>([]);
+  const [prizePot, setPrizePot] = useState<StandingsPrizePot | null>(null);
   const [loading, setLoading] = useState(true);
   const [expandedPlayers, setExpandedPlayers] = useState<Set<number>>(new Set());
   const abortControllerRef = useRef<AbortController | null>(null);
@@ -79,6 +95,7 @@ export default function CompetitionStandingsPage() {
       if (response.data.return_code === 'SUCCESS') {
         setCompetition(response.data.competition as Competition);
         setPlayers(response.data.players as Player[]);
+        setPrizePot((response.data.prize_pot as StandingsPrizePot) || null);
       } else {
         console.error('Failed to load standings:', response.data.message);
         router.push(fromAdmin ? `/competition/${competitionId}/dashboard` : '/play');
@@ -149,14 +166,15 @@ export default function CompetitionStandingsPage() {
   };
 
   // Determine if a player's current pick should be visible
-  const isPickVisible = (playerId: number) => {
+  const isPickVisible = (player: Player) => {
     const currentUser = getCurrentUser();
     const isAdmin = fromAdmin;
-    const isOwnPlayer = currentUser && currentUser.id === playerId;
+    const isOwnPlayer = currentUser && currentUser.id === player.id;
     const isRoundLocked = competition?.is_locked || false;
     
     // Show pick if: Admin (always) OR own player (always) OR deadline passed (everyone sees all)
-    return isAdmin || isOwnPlayer || isRoundLocked;
+    // In FIXTURE lock mode each pick is revealed as its fixture kicks off
+    return isAdmin || isOwnPlayer || isRoundLocked || !!player.current_pick?.is_revealed;
   };
 
 
@@ -238,6 +256,9 @@ export default function CompetitionStandingsPage() {
           </div>
         </div>
 
+        {/* Prize pot - only for competitions that take entry fees */}
+        {prizePot && <PrizePotCard prizePot={prizePot} />}
+
         {/* Players List - Simplified */}
         <div className="bg-white rounded-lg border border-slate-200 divide-y divide-slate-100">
           {/* Active Players */}
@@ -258,7 +279,7 @@ export default function CompetitionStandingsPage() {
                           )}
                         </p>
                       </div>
-                      {isPickVisible(player.id) && player.current_pick && (
+                      {isPickVisible(player) && player.current_pick && (
                         <p className="text-sm text-slate-600 truncate">
                           {player.current_pick.outcome === 'NO_PICK' ? (
                             <span className="text-slate-500">No Pick</span>
@@ -267,7 +288,7 @@ export default function CompetitionStandingsPage() {
                           )}
                         </p>
                       )}
-                      {isPickVisible(player.id) && !player.current_pick && (
+                      {isPickVisible(player) && !player.current_pick && (
                         <p className="text-sm text-slate-500">No Pick</p>
                       )}
                     </div>
@@ -325,7 +346,7 @@ export default function CompetitionStandingsPage() {
                               </td>
                               <td className="py-2">
                                 {round.home_team && round.away_team ? (
-                                  <span className="text-slate-700">{round.home_team} vs {round.away_team}</span>
+                                  <span className="text-slate-700">{round.score || `${round.home_team} vs ${round.away_team}`}</span>
                                 ) : (
                                   <span className="text-slate-400">-</span>
                                 )}
@@ -348,10 +369,7 @@ export default function CompetitionStandingsPage() {
                                   round.pick_result === 'no_pick' ? 'bg-slate-100 text-slate-600' :
                                   'bg-slate-100 text-slate-600'
                                 }`}>
-                                  {round.pick_result === 'win' ? 'WIN' :
-                                   round.pick_result === 'loss' ? 'LOSE' :
-                                   round.pick_result === 'no_pick' ? 'NO PICK' :
-                                   'PENDING'}
+                                  {pickResultLabel(round.pick_result, competition?.game_mode)}
                                 </span>
                               </td>
                             </tr>
@@ -380,10 +398,7 @@ export default function CompetitionStandingsPage() {
                               round.pick_result === 'no_pick' ? 'bg-slate-100 text-slate-600' :
                               'bg-slate-100 text-slate-600'
                             }`}>
-                              {round.pick_result === 'win' ? 'WIN' :
-                               round.pick_result === 'loss' ? 'LOSE' :
-                               round.pick_result === 'no_pick' ? 'NO PICK' :
-                               'PENDING'}
+                              {pickResultLabel(round.pick_result, competition?.game_mode)}
                             </span>
                           </div>
                           
@@ -400,7 +415,7 @@ export default function CompetitionStandingsPage() {
                             {round.home_team && round.away_team && (
                               <div className="flex justify-between">
                                 <span className="text-slate-600">Fixture:</span>
-                                <span className="text-slate-700 text-right">{round.home_team} vs {round.away_team}</span>
+                                <span className="text-slate-700 text-right">{round.score || `${round.home_team} vs ${round.away_team}`}</span>
                               </div>
                             )}
 
@@ -442,7 +457,7 @@ export default function CompetitionStandingsPage() {
                         <p className="font-medium text-slate-600 truncate">{player.display_name}</p>
                         <span className="text-xs text-slate-500 bg-slate-100 px-2 py-0.5 rounded">OUT</span>
                       </div>
-                      {isPickVisible(player.id) && player.current_pick && (
+                      {isPickVisible(player) && player.current_pick && (
                         <p className="text-sm text-slate-500 truncate">
                           {player.current_pick.outcome === 'NO_PICK' ? (
                             <span>No Pick</span>
@@ -451,7 +466,7 @@ export default function CompetitionStandingsPage() {
                           )}
                         </p>
                       )}
-                      {isPickVisible(player.id) && !player.current_pick && (
+                      {isPickVisible(player) && !player.current_pick && (
                         <p className="text-sm text-slate-500">No Pick</p>
                       )}
                     </div>
@@ -504,7 +519,7 @@ export default function CompetitionStandingsPage() {
                               </td>
                               <td className="py-2">
                                 {round.home_team && round.away_team ? (
-                                  <span className="text-slate-600">{round.home_team} vs {round.away_team}</span>
+                                  <span className="text-slate-600">{round.score || `${round.home_team} vs ${round.away_team}`}</span>
                                 ) : (
                                   <span className="text-slate-400">-</span>
                                 )}
@@ -527,10 +542,7 @@ export default function CompetitionStandingsPage() {
                                   round.pick_result === 'no_pick' ? 'bg-slate-100 text-slate-600' :
                                   'bg-slate-100 text-slate-600'
                                 }`}>
-                                  {round.pick_result === 'win' ? 'WIN' :
-                                   round.pick_result === 'loss' ? 'LOSE' :
-                                   round.pick_result === 'no_pick' ? 'NO PICK' :
-                                   'PENDING'}
+                                  {pickResultLabel(round.pick_result, competition?.game_mode)}
                                 </span>
                               </td>
                             </tr>
@@ -559,10 +571,7 @@ export default function CompetitionStandingsPage() {
                               round.pick_result === 'no_pick' ? 'bg-slate-100 text-slate-600' :
                               'bg-slate-100 text-slate-600'
                             }`}>
-                              {round.pick_result === 'win' ? 'WIN' :
-                               round.pick_result === 'loss' ? 'LOSE' :
-                               round.pick_result === 'no_pick' ? 'NO PICK' :
-                               'PENDING'}
+                              {pickResultLabel(round.pick_result, competition?.game_mode)}
                             </span>
                           </div>
                           
@@ -579,7 +588,7 @@ export default function CompetitionStandingsPage() {
                             {round.home_team && round.away_team && (
                               <div className="flex justify-between">
                                 <span className="text-slate-600">Fixture:</span>
-                                <span className="text-slate-600 text-right">{round.home_team} vs {round.away_team}</span>
+                                <span className="text-slate-600 text-right">{round.score || `${round.home_team} vs ${round.away_team}`}</span>
                               </div>
                             )}
 
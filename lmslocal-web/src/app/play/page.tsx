@@ -15,6 +15,7 @@ import {
 import { userApi } from '@/lib/api';
 import { useAppData } from '@/contexts/AppDataContext';
 import { logout } from '@/lib/auth';
+import PaymentDetailsCard, { PAYMENT_DISCLAIMER } from '@/components/PaymentDetailsCard';
 
 interface User {
   id: number;
@@ -66,6 +67,7 @@ export default function PlayerDashboardPage() {
   const [joinCode, setJoinCode] = useState('');
   const [joinLoading, setJoinLoading] = useState(false);
   const [joinError, setJoinError] = useState<string>('');
+  const [joinedCompetition, setJoinedCompetition] = useState<{ id: number; name: string } | null>(null);
 
   useEffect(() => {
     const token = localStorage.getItem('jwt_token');
@@ -118,7 +120,8 @@ export default function PlayerDashboardPage() {
       const response = await userApi.joinCompetitionByCode(joinCode);
       
       if (response.data.return_code === 'SUCCESS') {
-        setShowJoinDialog(false);
+        // Keep the dialog open to show how to pay the organiser
+        setJoinedCompetition(response.data.competition as { id: number; name: string });
         setJoinCode('');
         setJoinError('');
         await loadPlayerCompetitions();
@@ -131,6 +134,8 @@ export default function PlayerDashboardPage() {
           errorMessage = 'Competition has already started';
         } else if (response.data.return_code === 'ROUND_LOCKED') {
           errorMessage = 'Round 1 has already started';
+        } else if (response.data.return_code === 'PLAYER_LIMIT_REACHED') {
+          errorMessage = 'This competition is full - ask the organiser to activate it for more players';
         } else if (response.data.return_code === 'VALIDATION_ERROR') {
           errorMessage = 'Please enter a valid competition code';
         }
@@ -149,6 +154,13 @@ export default function PlayerDashboardPage() {
     }
   };
 
+  const closeJoinDialog = () => {
+    setShowJoinDialog(false);
+    setJoinCode('');
+    setJoinError('');
+    setJoinedCompetition(null);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-slate-50">
@@ -409,14 +421,12 @@ export default function PlayerDashboardPage() {
                   <div className="p-2 bg-blue-50 rounded-2xl">
                     <UserGroupIcon className="h-6 w-6 text-blue-600" />
                   </div>
-                  <h3 className="text-xl font-bold text-slate-900">Join Competition</h3>
+                  <h3 className="text-xl font-bold text-slate-900">
+                    {joinedCompetition ? `You've joined ${joinedCompetition.name}` : 'Join Competition'}
+                  </h3>
                 </div>
                 <button
-                  onClick={() => {
-                    setShowJoinDialog(false);
-                    setJoinCode('');
-                    setJoinError('');
-                  }}
+                  onClick={closeJoinDialog}
                   className="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-50 rounded-2xl transition-colors"
                 >
                   <XMarkIcon className="h-5 w-5" />
@@ -424,57 +434,85 @@ export default function PlayerDashboardPage() {
               </div>
             </div>
             
-            <div className="px-8 py-6">
-              <p className="text-slate-600 text-base mb-6">
-                Enter your competition access code:
-              </p>
+            {joinedCompetition ? (
+              <>
+                <div className="px-8 py-6">
+                  <p className="text-slate-600 text-base mb-6">
+                    You&apos;re in. Make your pick from the competition page once fixtures are up.
+                  </p>
+                  <PaymentDetailsCard competitionId={joinedCompetition.id} />
+                </div>
+
+                <div className="px-8 py-6 bg-gradient-to-r from-slate-50 to-slate-100 rounded-b-3xl">
+                  <div className="flex space-x-4">
+                    <button
+                      onClick={closeJoinDialog}
+                      className="flex-1 px-6 py-3 bg-white border-2 border-slate-300 text-slate-700 rounded-2xl font-semibold hover:bg-slate-50 hover:border-slate-400 transition-all duration-200"
+                    >
+                      Close
+                    </button>
+                    <Link
+                      href={`/play/${joinedCompetition.id}`}
+                      className="flex-1 px-6 py-3 text-center bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-2xl font-semibold hover:from-blue-700 hover:to-blue-800 transition-all duration-200 shadow-sm hover:shadow-md"
+                    >
+                      Make Your Pick
+                    </Link>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="px-8 py-6">
+                  <p className="text-slate-600 text-base mb-6">
+                    Enter your competition access code:
+                  </p>
               
-              <input
-                type="text"
-                value={joinCode}
-                onChange={(e) => {
-                  setJoinCode(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ''));
-                  setJoinError('');
-                }}
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter' && joinCode.trim().length > 0 && !joinLoading) {
-                    handleJoinCompetition();
-                  }
-                }}
-                placeholder="ABC123"
-                className="w-full px-6 py-4 border-2 border-slate-200 rounded-2xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-center text-xl font-mono tracking-widest font-semibold bg-slate-50 focus:bg-white transition-all"
-                autoFocus
-              />
+                  <input
+                    type="text"
+                    value={joinCode}
+                    onChange={(e) => {
+                      setJoinCode(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+                      setJoinError('');
+                    }}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && joinCode.trim().length > 0 && !joinLoading) {
+                        handleJoinCompetition();
+                      }
+                    }}
+                    placeholder="ABC123"
+                    className="w-full px-6 py-4 border-2 border-slate-200 rounded-2xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-center text-xl font-mono tracking-widest font-semibold bg-slate-50 focus:bg-white transition-all"
+                    autoFocus
+                  />
               
-              {joinError && (
-                <div className="mt-4 p-4 bg-gradient-to-r from-red-50 to-red-100 border-2 border-red-200 rounded-2xl">
-                  <p className="text-sm text-red-700 font-medium">{joinError}</p>
+                  {joinError && (
+                    <div className="mt-4 p-4 bg-gradient-to-r from-red-50 to-red-100 border-2 border-red-200 rounded-2xl">
+                      <p className="text-sm text-red-700 font-medium">{joinError}</p>
+                    </div>
+                  )}
+
+                  <p className="mt-4 text-xs text-slate-500 text-center">{PAYMENT_DISCLAIMER}</p>
                 </div>
-              )}
-            </div>
             
-            <div className="px-8 py-6 bg-gradient-to-r from-slate-50 to-slate-100 rounded-b-3xl">
-              <div className="flex space-x-4">
-                <button
-                  onClick={() => {
-                    setShowJoinDialog(false);
-                    setJoinCode('');
-                    setJoinError('');
-                  }}
-                  className="flex-1 px-6 py-3 bg-white border-2 border-slate-300 text-slate-700 rounded-2xl font-semibold hover:bg-slate-50 hover:border-slate-400 transition-all duration-200"
-                  disabled={joinLoading}
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={handleJoinCompetition}
-                  disabled={joinCode.trim().length === 0 || joinLoading}
-                  className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-2xl font-semibold hover:from-blue-700 hover:to-blue-800 disabled:from-slate-300 disabled:to-slate-400 disabled:cursor-not-allowed transition-all duration-200 shadow-sm hover:shadow-md"
-                >
-                  {joinLoading ? 'Joining...' : 'Join Competition'}
-                </button>
-              </div>
-            </div>
+                <div className="px-8 py-6 bg-gradient-to-r from-slate-50 to-slate-100 rounded-b-3xl">
+                  <div className="flex space-x-4">
+                    <button
+                      onClick={closeJoinDialog}
+                      className="flex-1 px-6 py-3 bg-white border-2 border-slate-300 text-slate-700 rounded-2xl font-semibold hover:bg-slate-50 hover:border-slate-400 transition-all duration-200"
+                      disabled={joinLoading}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={handleJoinCompetition}
+                      disabled={joinCode.trim().length === 0 || joinLoading}
+                      className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-2xl font-semibold hover:from-blue-700 hover:to-blue-800 disabled:from-slate-300 disabled:to-slate-400 disabled:cursor-not-allowed transition-all duration-200 shadow-sm hover:shadow-md"
+                    >
+                      {joinLoading ? 'Joining...' : 'Join Competition'}
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
           </div>
         </div>
       )}
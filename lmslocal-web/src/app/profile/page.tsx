@@ -28,6 +28,7 @@ interface User {
   email?: string;
   display_name: string;
   is_managed: boolean;
+  email_pick_reminders?: boolean;
 }
 
 export default function ProfilePage() {
@@ -38,6 +39,7 @@ export default function ProfilePage() {
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [changingPassword, setChangingPassword] = useState(false);
   const [passwordSuccess, setPasswordSuccess] = useState(false);
+  const [savingReminders, setSavingReminders] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deleteConfirmation, setDeleteConfirmation] = useState('');
   const [deletingAccount, setDeletingAccount] = useState(false);
@@ -115,6 +117,32 @@ export default function ProfilePage() {
     }
   };
 
+  const onToggleReminders = async (enabled: boolean) => {
+    if (!user) return;
+
+    setSavingReminders(true);
+
+    try {
+      const response = await userApi.updateProfile({
+        display_name: user.display_name,
+        email_pick_reminders: enabled
+      });
+
+      if (response.data.return_code === 'SUCCESS') {
+        const updatedUser = { ...user, email_pick_reminders: enabled };
+        setUser(updatedUser);
+        localStorage.setItem('user', JSON.stringify(updatedUser));
+      } else {
+        alert(`Failed to update reminders: ${response.data.message || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Reminder preference update error:', error);
+      alert('Failed to update reminders. Please try again.');
+    } finally {
+      setSavingReminders(false);
+    }
+  };
+
   const onPasswordSubmit = async (data: PasswordForm) => {
     if (!user || user.is_managed) return;
 
@@ -285,6 +313,31 @@ export default function ProfilePage() {
           </div>
         </div>
 
+        {/* Email Reminders Section - Only for online users */}
+        {!user.is_managed && (
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 mt-6">
+            <div className="p-4 sm:p-6">
+              <h3 className="text-lg font-medium text-slate-900 mb-4">Email Reminders</h3>
+
+              <label className="flex items-start cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={user.email_pick_reminders !== false}
+                  onChange={(e) => onToggleReminders(e.target.checked)}
+                  disabled={savingReminders}
+                  className="mt-1 h-4 w-4 rounded border-slate-300 text-slate-800 focus:ring-slate-500"
+                />
+                <span className="ml-3">
+                  <span className="block text-sm font-medium text-slate-700">Pick reminders</span>
+                  <span className="block text-sm text-slate-500">
+                    Email me before a round locks if I haven&apos;t made my pick yet
+                  </span>
+                </span>
+              </label>
+            </div>
+          </div>
+        )}
+
         {/* Change Password Section - Only for online users */}
         {!user.is_managed && (
           <div className="bg-white rounded-lg shadow-sm border border-slate-200 mt-6">
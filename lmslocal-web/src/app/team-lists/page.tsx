@@ -0,0 +1,605 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import {
+  ListBulletIcon,
+  ArrowLeftIcon,
+  PlusIcon,
+  PencilIcon,
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon
+} from '@heroicons/react/24/outline';
+import {
+  teamApi,
+  organisationApi,
+  cacheUtils,
+  Organisation,
+  Team,
+  TeamList,
+  TeamInput
+} from '@/lib/api';
+import { logout } from '@/lib/auth';
+
+const EMPTY_TEAM: TeamInput = { name: '', short_name: '', logo_url: '', sort_order: 0 };
+
+const inputClass = 'block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-slate-500 focus:border-slate-500 sm:text-sm';
+const primaryButtonClass = 'inline-flex items-center justify-center px-4 py-2 bg-slate-800 text-white rounded-md font-medium hover:bg-slate-900 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Who owns a list, shown next to its name
+const ownerLabel = (list: TeamList) => {
+  if (list.organisation_name) return list.organisation_name;
+  if (list.is_personal) return 'Personal';
+  return 'LMS Local';
+};
+
+export default function TeamListsPage() {
+  const router = useRouter();
+  const [teamLists, setTeamLists] = useState<TeamList[]>([]);
+  const [adminOrganisations, setAdminOrganisations] = useState<Organisation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const [teams, setTeams] = useState<Team[]>([]);
+
+  // New list form
+  const [newListName, setNewListName] = useState('');
+  const [newListType, setNewListType] = useState('football');
+  const [newListSeason, setNewListSeason] = useState('');
+  const [newListOrganisationId, setNewListOrganisationId] = useState<number | null>(null);
+  const [creatingList, setCreatingList] = useState(false);
+
+  // Details form for the selected list
+  const [listName, setListName] = useState('');
+  const [listType, setListType] = useState('');
+  const [listSeason, setListSeason] = useState('');
+  const [savingList, setSavingList] = useState(false);
+
+  // Add team form, and the team being edited in place
+  const [newTeam, setNewTeam] = useState<TeamInput>(EMPTY_TEAM);
+  const [addingTeam, setAddingTeam] = useState(false);
+  const [editingTeamId, setEditingTeamId] = useState<number | null>(null);
+  const [editTeam, setEditTeam] = useState<TeamInput>(EMPTY_TEAM);
+  const [savingTeam, setSavingTeam] = useState(false);
+
+  const selected = teamLists.find(list => list.id === selectedId) || null;
+  const canEdit = selected?.can_edit === true;
+
+  const loadTeamLists = useCallback(async () => {
+    try {
+      const response = await teamApi.getManageableTeamLists();
+      if (response.data.return_code === 'SUCCESS') {
+        const loaded = (response.data.team_lists as TeamList[]) || [];
+        setTeamLists(loaded);
+        // Start on the first list the user can edit, falling back to the first shared list
+        setSelectedId(current => current ?? (loaded.find(list => list.can_edit) || loaded[0])?.id ?? null);
+      }
+    } catch (error) {
+      console.error('Failed to load team lists:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadTeams = useCallback(async (teamListId: number) => {
+    try {
+      const response = await teamApi.getTeamsForList(teamListId);
+      if (response.data.return_code === 'SUCCESS') {
+        setTeams((response.data.teams as Team[]) || []);
+      }
+    } catch (error) {
+      console.error('Failed to load teams:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const token = localStorage.getItem('jwt_token');
+    if (!token) {
+      router.push('/login');
+      return;
+    }
+
+    loadTeamLists();
+
+    // Organisation admins can add lists to their organisation's library
+    organisationApi.getOrganisations()
+      .then(response => {
+        if (response.data.return_code === 'SUCCESS') {
+          const organisations = (response.data.organisations as Organisation[]) || [];
+          setAdminOrganisations(organisations.filter(organisation => organisation.role === 'OWNER' || organisation.role === 'ADMIN'));
+        }
+      })
+      .catch(error => console.error('Failed to load organisations:', error));
+  }, [router, loadTeamLists]);
+
+  useEffect(() => {
+    if (selected) {
+      setListName(selected.name);
+      setListType(selected.type || '');
+      setListSeason(selected.season || '');
+      setEditingTeamId(null);
+      setNewTeam(EMPTY_TEAM);
+      loadTeams(selected.id);
+    }
+    // Reload only when a different list is picked, not when its counts refresh
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedId, loadTeams]);
+
+  // Competition setup caches team lists and teams - clear them after every change
+  const refreshAfterChange = async () => {
+    cacheUtils.invalidateTeams();
+    await loadTeamLists();
+    if (selectedId !== null) {
+      await loadTeams(selectedId);
+    }
+  };
+
+  const handleCreateList = async () => {
+    if (!newListName.trim() || !newListType.trim()) return;
+
+    setCreatingList(true);
+    try {
+      const response = await teamApi.createTeamList({
+        name: newListName.trim(),
+        type: newListType.trim(),
+        season: newListSeason.trim() || null,
+        organisation_id: newListOrganisationId
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        const created = response.data.team_list as TeamList;
+        setNewListName('');
+        setNewListSeason('');
+        setSelectedId(created.id);
+        cacheUtils.invalidateTeams();
+        await loadTeamLists();
+      } else {
+        alert(response.data.message || 'Failed to create team list');
+      }
+    } catch (error) {
+      console.error('Create team list error:', error);
+      alert('Failed to create team list');
+    } finally {
+      setCreatingList(false);
+    }
+  };
+
+  const handleSaveList = async () => {
+    if (!selected) return;
+
+    setSavingList(true);
+    try {
+      const response = await teamApi.updateTeamList(selected.id, {
+        name: listName.trim(),
+        type: listType.trim(),
+        season: listSeason.trim() || null
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        await refreshAfterChange();
+      } else {
+        alert(response.data.message || 'Failed to save team list');
+      }
+    } catch (error) {
+      console.error('Update team list error:', error);
+      alert('Failed to save team list');
+    } finally {
+      setSavingList(false);
+    }
+  };
+
+  const handleToggleListArchived = async () => {
+    if (!selected) return;
+    const archiving = selected.is_active !== false;
+    if (archiving && !confirm(`Archive ${selected.name}? It will no longer be offered when creating competitions.`)) return;
+
+    try {
+      const response = await teamApi.updateTeamList(selected.id, { is_active: !archiving });
+      if (response.data.return_code === 'SUCCESS') {
+        await refreshAfterChange();
+      } else {
+        alert(response.data.message || 'Failed to update team list');
+      }
+    } catch (error) {
+      console.error('Archive team list error:', error);
+      alert('Failed to update team list');
+    }
+  };
+
+  const handleAddTeam = async () => {
+    if (!selected || !newTeam.name.trim() || !newTeam.short_name.trim()) return;
+
+    setAddingTeam(true);
+    try {
+      const response = await teamApi.createTeam(selected.id, {
+        name: newTeam.name.trim(),
+        short_name: newTeam.short_name.trim(),
+        logo_url: newTeam.logo_url?.trim() || null,
+        sort_order: newTeam.sort_order || 0
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        setNewTeam(EMPTY_TEAM);
+        await refreshAfterChange();
+      } else {
+        alert(response.data.message || 'Failed to add team');
+      }
+    } catch (error) {
+      console.error('Create team error:', error);
+      alert('Failed to add team');
+    } finally {
+      setAddingTeam(false);
+    }
+  };
+
+  const startEditTeam = (team: Team) => {
+    setEditingTeamId(team.id);
+    setEditTeam({
+      name: team.name,
+      short_name: team.short_name,
+      logo_url: team.logo_url || '',
+      sort_order: team.sort_order || 0
+    });
+  };
+
+  const handleSaveTeam = async (team: Team) => {
+    setSavingTeam(true);
+    try {
+      // Only send the short code when it changes - the server blocks changes for teams in running competitions
+      const shortName = editTeam.short_name.trim().toUpperCase();
+      const response = await teamApi.updateTeam(team.id, {
+        name: editTeam.name.trim(),
+        ...(shortName !== team.short_name ? { short_name: shortName } : {}),
+        logo_url: editTeam.logo_url?.trim() || null,
+        sort_order: editTeam.sort_order || 0
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        setEditingTeamId(null);
+        await refreshAfterChange();
+      } else {
+        alert(response.data.message || 'Failed to save team');
+      }
+    } catch (error) {
+      console.error('Update team error:', error);
+      alert('Failed to save team');
+    } finally {
+      setSavingTeam(false);
+    }
+  };
+
+  const handleToggleTeamArchived = async (team: Team) => {
+    const archiving = team.is_active !== false;
+
+    try {
+      const response = await teamApi.updateTeam(team.id, { is_active: !archiving });
+      if (response.data.return_code === 'SUCCESS') {
+        await refreshAfterChange();
+      } else {
+        alert(response.data.message || 'Failed to update team');
+      }
+    } catch (error) {
+      console.error('Archive team error:', error);
+      alert('Failed to update team');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b border-slate-700"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b border-slate-200">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between py-4">
+            <div className="flex items-center">
+              <Link
+                href="/dashboard"
+                className="inline-flex items-center text-slate-500 hover:text-slate-700 mr-4"
+              >
+                <ArrowLeftIcon className="h-5 w-5 mr-1" />
+                Back to Dashboard
+              </Link>
+              <ListBulletIcon className="h-8 w-8 text-slate-700" />
+              <span className="ml-2 text-xl font-bold text-slate-900">Team Lists</span>
+            </div>
+            <button
+              onClick={() => logout(router)}
+              className="text-slate-500 hover:text-slate-700 text-sm"
+            >
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        {/* List picker and create form */}
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+          <h2 className="text-2xl font-bold text-slate-900 mb-2">Your Team Lists</h2>
+          <p className="text-sm text-slate-600 mb-4">
+            Build your own lists for other leagues or sports. Lists from LMS Local are read-only.
+          </p>
+
+          {teamLists.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {teamLists.map(list => (
+                <button
+                  key={list.id}
+                  onClick={() => setSelectedId(list.id)}
+                  className={`inline-flex items-center px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                    list.id === selectedId
+                      ? 'bg-slate-800 text-white border-slate-800'
+                      : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'
+                  } ${list.is_active === false ? 'opacity-60' : ''}`}
+                >
+                  {list.name}
+                  <span className="ml-2 text-xs opacity-75">
+                    {ownerLabel(list)}{list.is_active === false ? ' · archived' : ''}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              maxLength={100}
+              placeholder="New list name, e.g. Championship 2025/26"
+              className={`sm:col-span-2 ${inputClass}`}
+            />
+            <input
+              type="text"
+              value={newListType}
+              onChange={(e) => setNewListType(e.target.value)}
+              maxLength={50}
+              placeholder="Sport"
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={newListSeason}
+              onChange={(e) => setNewListSeason(e.target.value)}
+              maxLength={20}
+              placeholder="Season (optional)"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2 mt-2">
+            {adminOrganisations.length > 0 && (
+              <select
+                value={newListOrganisationId ?? ''}
+                onChange={(e) => setNewListOrganisationId(e.target.value ? parseInt(e.target.value) : null)}
+                className={`sm:flex-1 ${inputClass}`}
+              >
+                <option value="">Personal - only you can use it</option>
+                {adminOrganisations.map(organisation => (
+                  <option key={organisation.id} value={organisation.id}>
+                    {organisation.name} - shared with its members
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={handleCreateList}
+              disabled={creatingList || !newListName.trim() || !newListType.trim()}
+              className={primaryButtonClass}
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              {creatingList ? 'Creating...' : 'Create List'}
+            </button>
+          </div>
+        </div>
+
+        {selected && (
+          <>
+            {/* List details */}
+            {canEdit && (
+              <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-medium text-slate-900">List Details</h3>
+                  <button
+                    onClick={handleToggleListArchived}
+                    className="inline-flex items-center text-sm text-slate-600 hover:text-slate-900"
+                  >
+                    {selected.is_active === false ? (
+                      <><ArrowUturnLeftIcon className="h-4 w-4 mr-1" />Restore list</>
+                    ) : (
+                      <><ArchiveBoxIcon className="h-4 w-4 mr-1" />Archive list</>
+                    )}
+                  </button>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={listName}
+                      onChange={(e) => setListName(e.target.value)}
+                      maxLength={100}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Sport</label>
+                    <input
+                      type="text"
+                      value={listType}
+                      onChange={(e) => setListType(e.target.value)}
+                      maxLength={50}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Season</label>
+                    <input
+                      type="text"
+                      value={listSeason}
+                      onChange={(e) => setListSeason(e.target.value)}
+                      maxLength={20}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end mt-4">
+                  <button
+                    onClick={handleSaveList}
+                    disabled={savingList || !listName.trim() || !listType.trim()}
+                    className={primaryButtonClass}
+                  >
+                    {savingList ? 'Saving...' : 'Save Details'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Teams */}
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 sm:p-6">
+              <h3 className="text-lg font-medium text-slate-900 mb-1">Teams</h3>
+              <p className="text-xs text-slate-500 mb-4">
+                Short codes appear on fixtures and picks, so they must be unique and cannot change while a running competition uses the team.
+              </p>
+
+              <div className="divide-y divide-slate-100 mb-4">
+                {teams.length === 0 && (
+                  <p className="text-sm text-slate-500 py-2">No teams yet.</p>
+                )}
+                {teams.map(team => editingTeamId === team.id ? (
+                  <div key={team.id} className="grid grid-cols-1 sm:grid-cols-6 gap-2 py-2">
+                    <input
+                      type="text"
+                      value={editTeam.name}
+                      onChange={(e) => setEditTeam({ ...editTeam, name: e.target.value })}
+                      maxLength={100}
+                      className={`sm:col-span-2 ${inputClass}`}
+                    />
+                    <input
+                      type="text"
+                      value={editTeam.short_name}
+                      onChange={(e) => setEditTeam({ ...editTeam, short_name: e.target.value.toUpperCase() })}
+                      maxLength={10}
+                      className={inputClass}
+                    />
+                    <input
+                      type="url"
+                      value={editTeam.logo_url || ''}
+                      onChange={(e) => setEditTeam({ ...editTeam, logo_url: e.target.value })}
+                      maxLength={500}
+                      placeholder="Logo URL"
+                      className={inputClass}
+                    />
+                    <input
+                      type="number"
+                      value={editTeam.sort_order ?? 0}
+                      onChange={(e) => setEditTeam({ ...editTeam, sort_order: parseInt(e.target.value) || 0 })}
+                      className={inputClass}
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleSaveTeam(team)}
+                        disabled={savingTeam || !editTeam.name.trim() || !editTeam.short_name.trim()}
+                        className={primaryButtonClass}
+                      >
+                        {savingTeam ? 'Saving...' : 'Save'}
+                      </button>
+                      <button
+                        onClick={() => setEditingTeamId(null)}
+                        className="text-sm text-slate-500 hover:text-slate-700"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div key={team.id} className={`flex items-center justify-between py-2 ${team.is_active === false ? 'opacity-60' : ''}`}>
+                    <div className="flex items-center">
+                      {team.logo_url && (
+                        // eslint-disable-next-line @next/next/no-img-element
+                        <img src={team.logo_url} alt="" className="h-6 w-6 mr-3 object-contain" />
+                      )}
+                      <div>
+                        <p className="text-sm font-medium text-slate-900">{team.name}</p>
+                        <p className="text-xs text-slate-500">
+                          {team.short_name} · order {team.sort_order ?? 0}{team.is_active === false ? ' · archived' : ''}
+                        </p>
+                      </div>
+                    </div>
+                    {canEdit && (
+                      <div className="flex items-center">
+                        <button
+                          onClick={() => startEditTeam(team)}
+                          className="p-2 text-slate-400 hover:text-slate-700 transition-colors"
+                          title="Edit team"
+                        >
+                          <PencilIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleToggleTeamArchived(team)}
+                          className="p-2 text-slate-400 hover:text-slate-700 transition-colors"
+                          title={team.is_active === false ? 'Restore team' : 'Archive team'}
+                        >
+                          {team.is_active === false
+                            ? <ArrowUturnLeftIcon className="h-4 w-4" />
+                            : <ArchiveBoxIcon className="h-4 w-4" />}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {canEdit && (
+                <div className="grid grid-cols-1 sm:grid-cols-6 gap-2">
+                  <input
+                    type="text"
+                    value={newTeam.name}
+                    onChange={(e) => setNewTeam({ ...newTeam, name: e.target.value })}
+                    maxLength={100}
+                    placeholder="Team name"
+                    className={`sm:col-span-2 ${inputClass}`}
+                  />
+                  <input
+                    type="text"
+                    value={newTeam.short_name}
+                    onChange={(e) => setNewTeam({ ...newTeam, short_name: e.target.value.toUpperCase() })}
+                    maxLength={10}
+                    placeholder="Code, e.g. SHW"
+                    className={inputClass}
+                  />
+                  <input
+                    type="url"
+                    value={newTeam.logo_url || ''}
+                    onChange={(e) => setNewTeam({ ...newTeam, logo_url: e.target.value })}
+                    maxLength={500}
+                    placeholder="Logo URL (optional)"
+                    className={inputClass}
+                  />
+                  <input
+                    type="number"
+                    value={newTeam.sort_order ?? 0}
+                    onChange={(e) => setNewTeam({ ...newTeam, sort_order: parseInt(e.target.value) || 0 })}
+                    title="Sort order"
+                    className={inputClass}
+                  />
+                  <button
+                    onClick={handleAddTeam}
+                    disabled={addingTeam || !newTeam.name.trim() || !newTeam.short_name.trim()}
+                    className={primaryButtonClass}
+                  >
+                    <PlusIcon className="h-4 w-4 mr-2" />
+                    {addingTeam ? 'Adding...' : 'Add'}
+                  </button>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { CheckBadgeIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { billingApi, BillingPlan, BillingPlanCode, CompetitionActivation } from '@/lib/api';
+
+interface CompetitionActivationCardProps {
+  competitionId: number;
+}
+
+// Whole pounds without decimals, e.g. 3900 -> £39
+export const formatPence = (amountPence: number) => {
+  const pounds = amountPence / 100;
+  return `£${Number.isInteger(pounds) ? pounds : pounds.toFixed(2)}`;
+};
+
+export default function CompetitionActivationCard({ competitionId }: CompetitionActivationCardProps) {
+  const [activation, setActivation] = useState<CompetitionActivation | null>(null);
+  const [plans, setPlans] = useState<BillingPlan[]>([]);
+  const [paymentsAvailable, setPaymentsAvailable] = useState(false);
+  const [startingPlan, setStartingPlan] = useState<BillingPlanCode | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    billingApi.getStatus(competitionId)
+      .then(response => {
+        if (response.data.return_code === 'SUCCESS') {
+          setActivation((response.data.activation as CompetitionActivation) || null);
+          setPlans((response.data.plans as BillingPlan[]) || []);
+          setPaymentsAvailable(response.data.payments_available === true);
+        }
+      })
+      .catch(loadError => console.error('Failed to load activation status:', loadError));
+  }, [competitionId]);
+
+  const handleCheckout = async (plan: BillingPlanCode) => {
+    setStartingPlan(plan);
+    setError('');
+
+    try {
+      const response = await billingApi.startCheckout(plan, plan === 'COMPETITION' ? competitionId : undefined);
+      if (response.data.return_code === 'SUCCESS') {
+        // Hand over to the payment provider - it sends the user back when done
+        window.location.href = response.data.checkout_url as string;
+        return;
+      }
+      setError(response.data.message || 'Failed to start checkout');
+    } catch (checkoutError) {
+      console.error('Start checkout error:', checkoutError);
+      setError('Failed to start checkout');
+    }
+    setStartingPlan(null);
+  };
+
+  if (!activation) {
+    return null;
+  }
+
+  if (activation.is_activated) {
+    return (
+      <div className="mb-6 sm:mb-8 flex items-center text-sm text-emerald-700">
+        <CheckBadgeIcon className="h-5 w-5 mr-2" />
+        {activation.activated_via === 'MONTHLY'
+          ? 'Unlimited players - covered by your monthly subscription'
+          : 'Activated - unlimited players'}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`mb-6 sm:mb-8 rounded-xl border p-4 sm:p-6 ${
+      activation.needs_activation ? 'bg-amber-50 border-amber-200' : 'bg-white border-slate-200'
+    }`}>
+      <div className="flex items-start">
+        <LockClosedIcon className={`h-6 w-6 mr-3 flex-shrink-0 ${activation.needs_activation ? 'text-amber-600' : 'text-slate-500'}`} />
+        <div className="flex-1">
+          <h3 className="text-base sm:text-lg font-semibold text-slate-900 mb-1">
+            Free plan: {activation.player_count} of {activation.free_player_limit} players
+          </h3>
+          <p className="text-sm text-slate-600">
+            {activation.needs_activation
+              ? 'New players are being turned away until the competition is activated.'
+              : `Competitions with ${activation.free_player_limit} or fewer players are free. Activate to let more players join.`}
+          </p>
+
+          {activation.can_activate && paymentsAvailable && (
+            <div className="flex flex-col sm:flex-row gap-2 mt-4">
+              {plans.map(plan => (
+                <button
+                  key={plan.code}
+                  onClick={() => handleCheckout(plan.code)}
+                  disabled={startingPlan !== null}
+                  className={`inline-flex items-center justify-center px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                    plan.code === 'COMPETITION'
+                      ? 'bg-slate-800 text-white hover:bg-slate-900'
+                      : 'bg-white text-slate-700 border border-slate-300 hover:bg-slate-50'
+                  }`}
+                  title={plan.description}
+                >
+                  {startingPlan === plan.code
+                    ? 'Opening checkout...'
+                    : plan.interval
+                      ? `Subscribe ${formatPence(plan.amount_pence)}/${plan.interval}`
+                      : `Activate for ${formatPence(plan.amount_pence)}`}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {!activation.can_activate && activation.needs_activation && (
+            <p className="text-xs text-slate-500 mt-2">Only the competition owner can activate it.</p>
+          )}
+
+          {error && (
+            <p className="mt-2 text-sm text-red-600">{error}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
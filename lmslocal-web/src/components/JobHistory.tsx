@@ -0,0 +1,177 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { jobsApi, ScheduledJob, JobStatus, JobStatusCounts } from '@/lib/api';
+
+interface JobHistoryProps {
+  // Omit for every job (platform admins only)
+  competitionId?: number;
+}
+
+const JOB_STATUSES: JobStatus[] = ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'];
+
+const jobTypeLabel: Record<string, string> = {
+  ROUND_LOCK: 'Round lock',
+  ROUND_RESULTS: 'Result calculation',
+  PICK_REMINDERS: 'Pick reminders',
+  TOKEN_CLEANUP: 'Token clean-up',
+  JOB_HISTORY_CLEANUP: 'Job history clean-up'
+};
+
+const statusClass: Record<JobStatus, string> = {
+  PENDING: 'bg-slate-100 text-slate-700',
+  RUNNING: 'bg-blue-100 text-blue-800',
+  COMPLETED: 'bg-emerald-100 text-emerald-800',
+  FAILED: 'bg-red-100 text-red-800'
+};
+
+// Job results are small flat objects, e.g. { round_number: 3, processed: 12 } -> "round number 3, processed 12"
+const describeResult = (result: Record<string, unknown> | null) => result
+  ? Object.entries(result).map(([key, value]) => `${key.replace(/_/g, ' ')} ${value}`).join(', ')
+  : '';
+
+export default function JobHistory({ competitionId }: JobHistoryProps) {
+  const [jobs, setJobs] = useState<ScheduledJob[]>([]);
+  const [counts, setCounts] = useState<JobStatusCounts | null>(null);
+  const [statusFilter, setStatusFilter] = useState<JobStatus | ''>('');
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [retryingId, setRetryingId] = useState<number | null>(null);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const response = await jobsApi.getJobs({
+        competition_id: competitionId,
+        status: statusFilter || undefined
+      });
+      if (response.data.return_code === 'SUCCESS') {
+        setJobs((response.data.jobs as ScheduledJob[]) || []);
+        setCounts((response.data.counts as JobStatusCounts) || null);
+        setLoadError('');
+      } else {
+        setLoadError(response.data.message || 'Failed to load jobs');
+      }
+    } catch (error) {
+      console.error('Failed to load jobs:', error);
+      setLoadError('Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, [competitionId, statusFilter]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const handleRetry = async (job: ScheduledJob) => {
+    setRetryingId(job.id);
+
+    try {
+      const response = await jobsApi.retryJob(job.id);
+      if (response.data.return_code === 'SUCCESS') {
+        await loadJobs();
+      } else {
+        alert(response.data.message || 'Failed to retry job');
+      }
+    } catch (error) {
+      console.error('Retry job error:', error);
+      alert('Failed to retry job. Please try again.');
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b border-slate-700"></div>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 text-center text-slate-600">
+        {loadError}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Status counts double as the filter */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+        {JOB_STATUSES.map(jobStatus => (
+          <button
+            key={jobStatus}
+            onClick={() => setStatusFilter(statusFilter === jobStatus ? '' : jobStatus)}
+            className={`bg-white rounded-lg border p-4 text-left transition-colors ${
+              statusFilter === jobStatus ? 'border-slate-800' : 'border-slate-200 hover:border-slate-400'
+            }`}
+          >
+            <div className="text-xs text-slate-500">{jobStatus.charAt(0) + jobStatus.slice(1).toLowerCase()}</div>
+            <div className="text-2xl font-semibold text-slate-900">{counts?.[jobStatus] ?? 0}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+        <div className="flex items-center justify-between px-4 sm:px-6 py-4 border-b border-slate-200">
+          <h2 className="text-lg font-semibold text-slate-900">
+            {statusFilter ? `${statusFilter.charAt(0) + statusFilter.slice(1).toLowerCase()} jobs` : 'All jobs'}
+          </h2>
+          <button
+            onClick={() => loadJobs()}
+            className="inline-flex items-center text-sm text-slate-600 hover:text-slate-800"
+          >
+            <ArrowPathIcon className="h-4 w-4 mr-1" />
+            Refresh
+          </button>
+        </div>
+
+        {jobs.length === 0 ? (
+          <p className="px-4 sm:px-6 py-8 text-center text-sm text-slate-500">No jobs to show</p>
+        ) : (
+          <ul className="divide-y divide-slate-100">
+            {jobs.map(job => (
+              <li key={job.id} className="px-4 sm:px-6 py-4">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${statusClass[job.status]}`}>{job.status}</span>
+                      <span className="font-medium text-slate-900">{jobTypeLabel[job.job_type] || job.job_type}</span>
+                      <span className="text-xs text-slate-400">#{job.id}</span>
+                    </div>
+                    <p className="mt-1 text-xs text-slate-500">
+                      {job.status === 'PENDING' ? 'Due' : job.completed_at ? 'Finished' : 'Started'}{' '}
+                      {new Date(job.completed_at || job.run_at).toLocaleString('en-GB')}
+                      {!competitionId && job.competition_name ? ` · ${job.competition_name}` : ''}
+                      {job.created_by_name ? ` · scheduled by ${job.created_by_name}` : ''}
+                      {job.attempts > 0 ? ` · attempt ${job.attempts} of ${job.max_attempts}` : ''}
+                    </p>
+                    {job.result && Object.keys(job.result).length > 0 && (
+                      <p className="mt-1 text-sm text-slate-600">{describeResult(job.result)}</p>
+                    )}
+                    {job.last_error && (
+                      <p className="mt-1 text-sm text-red-600 break-words">{job.last_error}</p>
+                    )}
+                  </div>
+                  {job.status === 'FAILED' && (
+                    <button
+                      onClick={() => handleRetry(job)}
+                      disabled={retryingId === job.id}
+                      className="px-3 py-1.5 bg-slate-800 text-white rounded-md text-sm font-medium hover:bg-slate-900 disabled:opacity-50"
+                    >
+                      {retryingId === job.id ? 'Retrying...' : 'Retry'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
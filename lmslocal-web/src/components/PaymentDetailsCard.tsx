@@ -0,0 +1,95 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { BanknotesIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { paymentDetailsApi, PaymentDetails, MyPayment } from '@/lib/api';
+import { formatPounds } from '@/components/PrizePotCard';
+
+interface PaymentDetailsCardProps {
+  competitionId: number;
+}
+
+// Must be shown wherever players are told how to pay
+export const PAYMENT_DISCLAIMER = 'LMSLocal does not collect entry fees or pay prizes. Payments are made directly to the organiser.';
+
+export default function PaymentDetailsCard({ competitionId }: PaymentDetailsCardProps) {
+  const [payment, setPayment] = useState<PaymentDetails | null>(null);
+  const [myPayment, setMyPayment] = useState<MyPayment | null>(null);
+
+  useEffect(() => {
+    paymentDetailsApi.get(competitionId)
+      .then(response => {
+        if (response.data.return_code === 'SUCCESS') {
+          setPayment((response.data.payment as PaymentDetails) || null);
+          setMyPayment((response.data.my_payment as MyPayment) || null);
+        }
+      })
+      .catch(loadError => console.error('Failed to load payment details:', loadError));
+  }, [competitionId]);
+
+  if (!payment) {
+    return null;
+  }
+
+  const hasDetails = !!payment.payment_instructions || !!payment.payment_url;
+
+  // Free competitions with no payment details have nothing to show
+  if (!hasDetails && payment.entry_fee === null) {
+    return null;
+  }
+
+  const showReminder = myPayment !== null && !myPayment.paid;
+
+  return (
+    <div className="mb-6 bg-white rounded-lg border border-slate-200 overflow-hidden">
+      {showReminder && (
+        <div className="flex items-start px-4 py-3 bg-amber-50 border-b border-amber-200">
+          <ExclamationTriangleIcon className="h-5 w-5 text-amber-600 mr-2 flex-shrink-0" />
+          <p className="text-sm text-amber-800">
+            {myPayment.amount_due > 0
+              ? `You haven't paid yet - ${formatPounds(myPayment.amount_due)} is due to the organiser.`
+              : "The organiser hasn't marked your entry as paid yet."}
+          </p>
+        </div>
+      )}
+
+      <div className="p-4">
+        <div className="flex items-start">
+          <BanknotesIcon className="h-6 w-6 text-slate-600 mr-3 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <h2 className="text-lg font-semibold text-slate-900">
+              How to pay{payment.entry_fee !== null ? ` - ${formatPounds(payment.entry_fee)} entry` : ''}
+            </h2>
+
+            {payment.payment_instructions && (
+              <p className="mt-2 text-sm text-slate-700 whitespace-pre-line break-words">{payment.payment_instructions}</p>
+            )}
+
+            {payment.payment_url && (
+              <div className="mt-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                <a
+                  href={payment.payment_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center justify-center px-4 py-2 bg-slate-800 text-white rounded-lg text-sm font-medium hover:bg-slate-900 transition-colors"
+                >
+                  Pay the organiser
+                </a>
+                {payment.qr_code && (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img src={payment.qr_code} alt="QR code for the payment link" className="h-32 w-32 border border-slate-200 rounded" />
+                )}
+              </div>
+            )}
+
+            {!hasDetails && (
+              <p className="mt-2 text-sm text-slate-600">Ask the organiser how to pay.</p>
+            )}
+
+            <p className="mt-3 text-xs text-slate-500">{PAYMENT_DISCLAIMER}</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
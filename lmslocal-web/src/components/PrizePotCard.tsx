@@ -0,0 +1,50 @@
+'use client';
+
+import { BanknotesIcon } from '@heroicons/react/24/outline';
+import { StandingsPrizePot } from '@/lib/api';
+
+interface PrizePotCardProps {
+  prizePot: StandingsPrizePot;
+}
+
+// Pounds with pence, e.g. 112.5 -> £112.50
+export const formatPounds = (amount: number) => `£${amount.toFixed(2)}`;
+
+export default function PrizePotCard({ prizePot }: PrizePotCardProps) {
+  return (
+    <div className="mb-6 bg-white rounded-lg border border-slate-200 p-4">
+      <div className="flex items-start">
+        <BanknotesIcon className="h-6 w-6 text-slate-600 mr-3 flex-shrink-0" />
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-baseline gap-x-3">
+            <h2 className="text-lg font-semibold text-slate-900">Prize fund {formatPounds(prizePot.prize_fund)}</h2>
+            {prizePot.entry_fee !== null && (
+              <span className="text-sm text-slate-600">{formatPounds(prizePot.entry_fee)} entry</span>
+            )}
+          </div>
+
+          <div className="mt-1 text-sm text-slate-600 space-y-0.5">
+            <p>Total pot {formatPounds(prizePot.pot)}</p>
+            {prizePot.rolled_in > 0 && (
+              <p>Includes {formatPounds(prizePot.rolled_in)} rolled over from a previous competition</p>
+            )}
+            {prizePot.charity > 0 && (
+              <p>{formatPounds(prizePot.charity)} goes to {prizePot.charity_name || 'charity'}</p>
+            )}
+          </div>
+
+          {prizePot.winners.length > 0 && (
+            <ul className="mt-3 space-y-1">
+              {prizePot.winners.map(winner => (
+                <li key={winner.user_id} className="flex justify-between text-sm">
+                  <span className="font-medium text-slate-900">{winner.display_name}</span>
+                  <span className="text-emerald-700 font-medium">{formatPounds(winner.payout)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -119,6 +119,7 @@ export interface User {
   display_name: string;
   name?: string;
   is_managed?: boolean;
+  email_pick_reminders?: boolean;
 }
 
 // Competition interfaces  
@@ -130,11 +131,42 @@ export interface Competition {
   invite_code?: string;
   slug?: string;
   is_organiser: boolean;
+  organiser_role?: OrganiserRole | null;
   organiser_id: number;
+  organisation?: OrganisationBranding | null;
   player_count?: number;
   current_round?: number;
   status: 'LOCKED' | 'UNLOCKED' | 'SETUP' | 'COMPLETE';
   team_list_id?: number;
+  draw_policy?: DrawPolicy;
+  game_mode?: GameMode;
+  pick_lock_mode?: PickLockMode;
+  buyback_mode?: BuybackMode;
+  buyback_rounds?: number | null;
+  buyback_lives?: number;
+}
+
+// CLASSIC: pick a team to win. LOSER: "pick the loser" - pick a team to lose
+export type GameMode = 'CLASSIC' | 'LOSER';
+
+// How a drawn pick is treated: a loss, survived, or costs a life but never the last one
+export type DrawPolicy = 'LOSE' | 'SURVIVE' | 'LOSE_LIFE';
+
+// ROUND: every pick locks with the round. FIXTURE: each pick locks at its own fixture's kickoff
+export type PickLockMode = 'ROUND' | 'FIXTURE';
+
+// When eliminated players can pay to re-enter: never, within the first N rounds, or once per player
+export type BuybackMode = 'NONE' | 'FIRST_N_ROUNDS' | 'ONCE';
+
+// OWNER created the competition; helpers are added by the owner with a narrower role
+export type OrganiserRole = 'OWNER' | 'CO_ORGANISER' | 'RESULTS' | 'PAYMENTS';
+
+export interface CompetitionOrganiser {
+  user_id: number;
+  display_name: string;
+  email: string;
+  role: OrganiserRole;
+  created_at: string | null;
 }
 
 // Round interfaces
@@ -142,9 +174,61 @@ export interface Round {
   id: number;
   round_number: number;
   lock_time: string;
+  effective_lock_time?: string;
   status: string;
   created_at?: string;
   fixture_count?: number;
+  is_void?: boolean;
+  is_locked?: boolean;
+}
+
+// Organisation interfaces - a pub, club or workplace running several competitions
+export type OrganisationRole = 'OWNER' | 'ADMIN' | 'MEMBER';
+
+export interface OrganisationBranding {
+  id: number;
+  name: string;
+  logo_url: string | null;
+  brand_colour: string | null;
+}
+
+export interface Organisation extends OrganisationBranding {
+  role: OrganisationRole;
+  competition_count: number;
+  member_count: number;
+  team_list_count: number;
+}
+
+export interface OrganisationMember {
+  user_id: number;
+  display_name: string;
+  email: string;
+  role: OrganisationRole;
+  created_at: string;
+}
+
+// Roll-up of every competition in an organisation (get-dashboard-stats with organisation_id)
+export interface OrganisationStats {
+  organisation: { id: number; name: string };
+  totals: {
+    competitions: number;
+    total_players: number;
+    still_active: number;
+    eliminated: number;
+    picks_made: number;
+    picks_required: number;
+    missing_picks_count: number;
+  };
+  competitions: {
+    competition_id: number;
+    name: string;
+    status: string;
+    current_round: DashboardStats['competition_info']['current_round'];
+    still_active: number;
+    eliminated: number;
+    picks_made: number;
+    missing_picks_count: number;
+  }[];
 }
 
 // Dashboard stats interfaces
@@ -187,6 +271,21 @@ export interface Player {
   paid_amount?: number;
   paid_date?: string;
   joined_at: string;
+  // Buy-back (re-entry) tracking
+  buyback_count?: number;
+  can_buy_back?: boolean;
+}
+
+// Player the organiser removed - kept with their history until restored
+export interface RemovedPlayer {
+  id: number;
+  display_name: string;
+  email?: string;
+  status: string;
+  lives_remaining: number;
+  removed_at: string;
+  restore_until: string;
+  can_restore: boolean;
 }
 
 // Fixture interfaces
@@ -197,7 +296,9 @@ export interface Fixture {
   home_team_short: string;
   away_team_short: string;
   kickoff_time: string;
-  result?: 'home_win' | 'away_win' | 'draw';
+  result?: string; // Winning team short code, 'DRAW', 'POSTPONED' or 'VOID'
+  home_score?: number | null; // Final score, null when only a result was entered
+  away_score?: number | null;
 }
 
 // Team interfaces
@@ -205,6 +306,8 @@ export interface Team {
   id: number;
   name: string;
   short_name: string;
+  logo_url?: string | null;
+  sort_order?: number;
   is_active?: boolean;
   team_list_id?: number;
 }
@@ -212,7 +315,169 @@ export interface Team {
 export interface TeamList {
   id: number;
   name: string;
+  type?: string;
+  season?: string | null;
   description?: string;
+  team_count?: number;
+  organisation_id?: number | null;
+  organisation_name?: string | null;
+  is_personal?: boolean;
+  can_edit?: boolean;
+  is_active?: boolean;
+}
+
+export interface TeamListInput {
+  name: string;
+  type: string;
+  season?: string | null;
+}
+
+export interface TeamInput {
+  name: string;
+  short_name: string;
+  logo_url?: string | null;
+  sort_order?: number;
+}
+
+export type BillingPlanCode = 'COMPETITION' | 'MONTHLY';
+
+export interface BillingPlan {
+  code: BillingPlanCode;
+  name: string;
+  description: string;
+  amount_pence: number;
+  interval: 'month' | null;
+}
+
+export interface Subscription {
+  plan: BillingPlanCode;
+  status: string;
+  current_period_end: string;
+  is_current: boolean;
+}
+
+export interface CompetitionActivation {
+  competition_id: number;
+  player_count: number;
+  free_player_limit: number;
+  is_activated: boolean;
+  activated_via: BillingPlanCode | null;
+  activated_at: string | null;
+  needs_activation: boolean;
+  can_activate: boolean;
+}
+
+export interface BillingStatus {
+  payments_available: boolean;
+  free_player_limit: number;
+  plans: BillingPlan[];
+  subscription: Subscription | null;
+  activation?: CompetitionActivation;
+}
+
+export interface PrizeSettings {
+  entry_fee: number | null;
+  buyback_fee: number | null;
+  house_cut_percent: number;
+  charity_percent: number;
+  charity_name: string | null;
+}
+
+export interface PrizePotWinner {
+  user_id: number;
+  display_name: string;
+  payout: number;
+}
+
+export interface PrizePotTotals {
+  entries: number;
+  buybacks: number;
+  corrections: number;
+  collected: number;
+  rolled_in: number;
+  pot: number;
+  house_cut: number;
+  charity: number;
+  prize_fund: number;
+}
+
+export interface PrizePotPlayer {
+  user_id: number;
+  display_name: string;
+  status: string;
+  buyback_count: number;
+  expected: number;
+  paid: number;
+  owes: number;
+}
+
+export interface PrizePotLedgerEntry {
+  id: number;
+  entry_type: 'ENTRY' | 'BUYBACK' | 'CORRECTION';
+  amount: number;
+  player_name: string | null;
+  note: string | null;
+  created_at: string;
+}
+
+export interface PrizePotReport {
+  settings: PrizeSettings;
+  totals: PrizePotTotals;
+  winners: PrizePotWinner[];
+  rolled_over_to: number | null;
+  players: PrizePotPlayer[];
+  outstanding: { players_owing: number; total_owed: number };
+  ledger: PrizePotLedgerEntry[];
+}
+
+// Organiser's own payment details - LMSLocal only displays them
+export interface PaymentDetails {
+  payment_instructions: string | null;
+  payment_url: string | null;
+  qr_code: string | null;
+  entry_fee: number | null;
+  buyback_fee: number | null;
+}
+
+export interface MyPayment {
+  paid: boolean;
+  paid_amount: number | null;
+  paid_date: string | null;
+  amount_due: number;
+}
+
+// Background jobs run by the server's job scheduler
+export type JobStatus = 'PENDING' | 'RUNNING' | 'COMPLETED' | 'FAILED';
+
+export interface ScheduledJob {
+  id: number;
+  job_type: string;
+  payload: Record<string, unknown>;
+  status: JobStatus;
+  run_at: string;
+  attempts: number;
+  max_attempts: number;
+  competition_id: number | null;
+  competition_name: string | null;
+  locked_by: string | null;
+  last_error: string | null;
+  result: Record<string, unknown> | null;
+  created_at: string;
+  completed_at: string | null;
+  created_by_name: string | null;
+}
+
+export type JobStatusCounts = Record<JobStatus, number>;
+
+// Pot summary shown to players on the standings page
+export interface StandingsPrizePot {
+  entry_fee: number | null;
+  pot: number;
+  rolled_in: number;
+  prize_fund: number;
+  charity: number;
+  charity_name: string | null;
+  winners: PrizePotWinner[];
 }
 
 // Generic response types
@@ -243,7 +508,17 @@ export interface CreateCompetitionRequest {
   team_list_id: number;
   lives_per_player: number;
   no_team_twice: boolean;
+  team_reset_mode?: 'EXHAUSTED' | 'EVERY_N_ROUNDS';
+  team_reset_rounds?: number;
+  no_winner_rule?: 'NO_WINNER' | 'REINSTATE' | 'JOINT_WINNERS' | 'ROLLOVER';
+  draw_policy?: DrawPolicy;
+  game_mode?: GameMode;
+  pick_lock_mode?: PickLockMode;
+  buyback_mode?: BuybackMode;
+  buyback_rounds?: number;
+  buyback_lives?: number;
   organiser_joins_as_player: boolean;
+  organisation_id?: number;
 }
 
 // Auth API calls
@@ -266,6 +541,11 @@ export const playerApi = {
 // Competition API calls
 export const competitionApi = {
   create: (data: CreateCompetitionRequest) => api.post<ApiResponse<{ competition_id: string }>>('/create-competition', data),
+  clone: (competition_id: number, participants: 'none' | 'invite' | 'enrol', name?: string) => api.post<ApiResponse<{
+    competition: { id: number; name: string; invite_code: string; slug: string };
+    players_enrolled: number;
+    invites_sent: number;
+  }>>('/clone-competition', { competition_id, participants, name }),
   getMyCompetitions: () => withCache(
     'my-competitions',
     1 * 24 * 60 * 60 * 1000, // 1 day cache - competitions change infrequently
@@ -279,9 +559,43 @@ export const competitionApi = {
   getPlayers: (competition_id: number) => withCache(
     `competition-players-${competition_id}`,
     1 * 60 * 60 * 1000, // 1 hour cache - player data rarely changes during admin sessions
-    () => api.post<ApiResponse<{ competition: Competition; players: Player[] }>>('/get-competition-players', { competition_id })
+    () => api.post<ApiResponse<{ competition: Competition; players: Player[]; removed_players: RemovedPlayer[] }>>('/get-competition-players', { competition_id })
   ),
-  removePlayer: (competition_id: number, player_id: number) => api.post<ApiResponse<{ removed_data: Player }>>('/remove-player', { competition_id, player_id }),
+  removePlayer: (competition_id: number, player_id: number) => api.post<ApiResponse<{
+    removed_player: { id: number; name: string; email: string; removed_at: string; restore_until: string }
+  }>>('/remove-player', { competition_id, player_id }),
+  restorePlayer: (competition_id: number, player_id: number) => api.post<ApiResponse<{
+    player: { id: number; name: string; status: string; lives_remaining: number }
+  }>>('/restore-player', { competition_id, player_id }),
+  getOrganisers: (competition_id: number) => api.post<ApiResponse<{
+    your_role: OrganiserRole;
+    organisers: CompetitionOrganiser[]
+  }>>('/get-competition-organisers', { competition_id }),
+  inviteOrganiser: (competition_id: number, email: string, role: Exclude<OrganiserRole, 'OWNER'>) => api.post<ApiResponse<{
+    organiser: CompetitionOrganiser
+  }>>('/invite-organiser', { competition_id, email, role }),
+  revokeOrganiser: (competition_id: number, user_id: number) => api.post<ApiResponse>('/revoke-organiser', { competition_id, user_id }),
+  buyBackPlayer: (competition_id: number, player_id: number, paid_amount?: number) => api.post<ApiResponse<{
+    player: {
+      id: number;
+      name: string;
+      status: string;
+      lives_remaining: number;
+      buyback_count: number;
+      paid: boolean;
+      paid_amount: number | null;
+      teams_restored: number;
+    }
+  }>>('/buy-back-player', { competition_id, player_id, paid_amount }),
+  setPlayerLives: (competition_id: number, player_id: number, lives_remaining: number, reason: string) => api.post<ApiResponse<{
+    player: { id: number; name: string; status: string; previous_status: string; previous_lives: number; lives_remaining: number }
+  }>>('/set-player-lives', { competition_id, player_id, lives_remaining, reason }),
+  eliminatePlayer: (competition_id: number, player_id: number, reason: string) => api.post<ApiResponse<{
+    player: { id: number; name: string; status: string; lives_remaining: number; previous_lives: number }
+  }>>('/eliminate-player', { competition_id, player_id, reason }),
+  reinstatePlayer: (competition_id: number, player_id: number, reason: string, lives_remaining?: number) => api.post<ApiResponse<{
+    player: { id: number; name: string; status: string; lives_remaining: number }
+  }>>('/reinstate-player', { competition_id, player_id, lives_remaining, reason }),
   getPickStatistics: (competition_id: number) => withCache(
     `pick-statistics-${competition_id}`,
     1 * 60 * 60 * 1000, // 1 hour cache - pick stats less critical for admin work
@@ -310,19 +624,47 @@ export const roundApi = {
   ),
   update: (round_id: string, lock_time: string) => api.post<ApiResponse<MessageResponse>>('/update-round', { round_id: parseInt(round_id), lock_time }),
   getPlayerCurrentRound: (competition_id: string) => api.post<ApiResponse<{ round: Round }>>('/get-player-current-round', { competition_id }),
+  voidRound: (round_id: number, reason?: string) => api.post<ApiResponse<MessageResponse>>('/void-round', { round_id, reason }),
 };
 
 // Fixture API calls
 export const fixtureApi = {
   addBulk: (round_id: string, fixtures: { home_team: string; away_team: string; kickoff_time: string }[]) => 
     api.post<ApiResponse<MessageResponse>>('/add-fixtures-bulk', { round_id: parseInt(round_id), fixtures }),
+  importFile: (params: {
+    competition_id: number;
+    format: 'csv' | 'json';
+    data: string;
+    round_id?: number;
+    create_rounds?: boolean;
+    aliases?: Record<string, string>;
+    dry_run?: boolean;
+  }) => api.post<ApiResponse<{
+    dry_run: boolean;
+    team_matches: { name: string; team_short: string; team_name: string; method: 'exact' | 'alias' | 'fuzzy'; score: number }[];
+    unmatched: string[];
+    fixtures_imported: number;
+    fixtures_skipped: number;
+    rounds_created: { id: number; round_number: number; matchweek: number | null; fixture_count: number }[];
+    pending_matchweeks: { matchweek: number; fixture_count: number }[];
+  }>>('/import-fixtures', params),
   get: (round_id: string) => withCache(
     `fixtures-${round_id}`,
     30 * 60 * 1000, // 30 minutes cache - new round fixtures happen weekly
     () => api.post<ApiResponse<{ fixtures: Fixture[] }>>('/get-fixtures', { round_id: parseInt(round_id) })
   ),
-  setResult: (fixture_id: number, result: 'home_win' | 'away_win' | 'draw') =>
-    api.post<ApiResponse<MessageResponse>>('/set-fixture-result', { fixture_id, result }),
+  setResult: (fixture_id: number, result?: 'home_win' | 'away_win' | 'draw' | 'postponed' | 'void', score?: { home_score: number; away_score: number }) =>
+    api.post<ApiResponse<MessageResponse & { requires_recalculation?: boolean }>>('/set-fixture-result', { fixture_id, result, ...score }),
+  setResultsBulk: (
+    round_id: number,
+    results: { fixture_id: number; result?: 'home_win' | 'away_win' | 'draw' | 'postponed' | 'void'; home_score?: number; away_score?: number }[],
+    calculate: boolean
+  ) => api.post<ApiResponse<MessageResponse & {
+    results_saved: number;
+    requires_recalculation: boolean;
+    errors?: { line: number; message: string }[];
+    calculation?: { return_code: string; message: string };
+  }>>('/set-results-bulk', { round_id, results, calculate }),
   getCalculated: (round_id: number) => withCache(
     `calculated-fixtures-${round_id}`,
     30 * 60 * 1000, // 30 minutes cache - new round fixtures happen weekly
@@ -331,6 +673,7 @@ export const fixtureApi = {
   getPickCounts: (round_id: number) => api.post<ApiResponse<{ pick_counts: Record<string, number> }>>('/get-fixture-pick-count', { round_id }),
   getRoundHistory: (round_id: number) => api.post<ApiResponse<{ round_data: {
     round_number: number;
+    is_void?: boolean;
     fixtures: Array<{
       id: number;
       home_team: string;
@@ -357,14 +700,22 @@ export const teamApi = {
     1 * 60 * 60 * 1000, // 1 hour cache - team lists for competitions, may be edited
     () => api.post<ApiResponse<{ team_lists: TeamList[] }>>('/team-lists', {})
   ),
+  // Team list management - uncached so edits show straight away
+  getManageableTeamLists: () => api.post<ApiResponse<{ team_lists: TeamList[] }>>('/team-lists', { include_archived: true }),
+  getTeamsForList: (team_list_id: number) => api.post<ApiResponse<{ teams: Team[] }>>('/get-teams', { team_list_id, include_archived: true }),
+  createTeamList: (list: TeamListInput & { organisation_id?: number | null }) => api.post<ApiResponse<{ team_list: TeamList }>>('/create-team-list', list),
+  updateTeamList: (team_list_id: number, updates: Partial<TeamListInput> & { is_active?: boolean }) => api.post<ApiResponse<{ team_list: TeamList }>>('/update-team-list', { team_list_id, ...updates }),
+  createTeam: (team_list_id: number, team: TeamInput) => api.post<ApiResponse<{ team: Team }>>('/create-team', { team_list_id, ...team }),
+  updateTeam: (team_id: number, updates: Partial<TeamInput> & { is_active?: boolean }) => api.post<ApiResponse<{ team: Team }>>('/update-team', { team_id, ...updates }),
 };
 
 // Player actions
 export const playerActionApi = {
-  setPick: (fixture_id: number, team: string) => api.post<ApiResponse<MessageResponse>>('/set-pick', { fixture_id, team }),
+  setPick: (fixture_id: number, team: string) => api.post<ApiResponse<MessageResponse & { round_locked?: boolean }>>('/set-pick', { fixture_id, team }),
   unselectPick: (round_id: number) => api.post<ApiResponse<{ warning?: string }>>('/unselect-pick', { round_id }),
   getCurrentPick: (round_id: number) => api.post<ApiResponse<{ pick?: { team: string, fixture_id: number } }>>('/get-current-pick', { round_id }),
   calculateResults: (round_id: number) => api.post<ApiResponse<MessageResponse>>('/calculate-results', { round_id: parseInt(round_id.toString()) }),
+  recalculateResults: (round_id: number, reason?: string) => api.post<ApiResponse<MessageResponse>>('/calculate-results', { round_id: parseInt(round_id.toString()), recalculate: true, reason }),
 };
 
 // Offline player management
@@ -429,11 +780,78 @@ export const userApi = {
   getCompetitionStandings: (competition_id: number) => withCache(
     `competition-standings-${competition_id}`,
     1 * 60 * 60 * 1000, // 1 hour cache - standings rarely needed during typical admin work
-    () => api.post<ApiResponse<{ competition: Competition; players: Player[] }>>('/get-competition-standings', { competition_id })
+    () => api.post<ApiResponse<{ competition: Competition; prize_pot: StandingsPrizePot | null; players: Player[] }>>('/get-competition-standings', { competition_id })
   ),
   joinCompetitionByCode: (competition_code: string) => api.post<ApiResponse<{ competition: { id: number; name: string } }>>('/join-competition-by-code', { competition_code }),
 };
 
+// Organisations
+export const organisationApi = {
+  getOrganisations: () => withCache(
+    'organisations',
+    1 * 60 * 60 * 1000, // 1 hour cache - organisations change rarely
+    () => api.post<ApiResponse<{ organisations: Organisation[] }>>('/get-organisations', {})
+  ),
+  create: (name: string, logo_url?: string, brand_colour?: string) => api.post<ApiResponse<{
+    organisation: OrganisationBranding & { role: OrganisationRole; created_at: string }
+  }>>('/create-organisation', { name, logo_url, brand_colour }),
+  update: (organisation_id: number, updates: { name?: string; logo_url?: string | null; brand_colour?: string | null }) => api.post<ApiResponse<{
+    organisation: OrganisationBranding & { updated_at: string }
+  }>>('/update-organisation', { organisation_id, ...updates }),
+  getMembers: (organisation_id: number) => api.post<ApiResponse<{
+    your_role: OrganisationRole;
+    members: OrganisationMember[]
+  }>>('/get-organisation-members', { organisation_id }),
+  addMember: (organisation_id: number, email: string, role: Exclude<OrganisationRole, 'OWNER'>) => api.post<ApiResponse<{
+    member: OrganisationMember
+  }>>('/add-organisation-member', { organisation_id, email, role }),
+  removeMember: (organisation_id: number, user_id: number) => api.post<ApiResponse>('/remove-organisation-member', { organisation_id, user_id }),
+  getStats: (organisation_id: number) => api.post<ApiResponse<OrganisationStats>>('/get-dashboard-stats', { organisation_id }),
+};
+
+// Plans, competition activation and checkout
+export const billingApi = {
+  getStatus: (competition_id?: number) => api.post<ApiResponse<BillingStatus>>('/get-billing-status', competition_id ? { competition_id } : {}),
+  startCheckout: (plan: BillingPlanCode, competition_id?: number) => api.post<ApiResponse<{
+    payment: { id: number; plan: BillingPlanCode; amount_pence: number; currency: string; status: string };
+    checkout_url: string;
+  }>>('/start-checkout', { plan, competition_id }),
+  completeCheckout: (provider_reference: string) => api.post<ApiResponse<{
+    payment: { id: number; plan: BillingPlanCode; competition_id: number | null; amount_pence: number; status: string; paid_at: string };
+    subscription_until: string | null;
+  }>>('/complete-checkout', { provider_reference }),
+};
+
+// Entry fees, prize pot and payouts
+export const prizePotApi = {
+  getPot: (competition_id: number) => api.post<ApiResponse<PrizePotReport>>('/get-prize-pot', { competition_id }),
+  updateSettings: (competition_id: number, settings: Partial<PrizeSettings>) => api.post<ApiResponse<{
+    settings: PrizeSettings
+  }>>('/update-prize-settings', { competition_id, ...settings }),
+};
+
+// How players pay the organiser
+export const paymentDetailsApi = {
+  get: (competition_id: number) => api.post<ApiResponse<{
+    payment: PaymentDetails;
+    my_payment: MyPayment | null;
+  }>>('/get-payment-details', { competition_id }),
+  update: (competition_id: number, details: { payment_instructions?: string | null; payment_url?: string | null }) => api.post<ApiResponse<{
+    payment: Pick<PaymentDetails, 'payment_instructions' | 'payment_url' | 'qr_code'>
+  }>>('/update-payment-details', { competition_id, ...details }),
+};
+
+// Background job history - a competition's jobs for its organisers, every job for platform admins
+export const jobsApi = {
+  getJobs: (filters: { competition_id?: number; status?: JobStatus; job_type?: string; limit?: number } = {}) => api.post<ApiResponse<{
+    jobs: ScheduledJob[];
+    counts: JobStatusCounts;
+  }>>('/get-jobs', filters),
+  retryJob: (job_id: number) => api.post<ApiResponse<{
+    job: { id: number; run_at: string }
+  }>>('/retry-job', { job_id }),
+};
+
 // Cache utilities
 export const cacheUtils = {
   // Clear competition-related cache when competitions change
@@ -441,6 +859,12 @@ export const cacheUtils = {
     apiCache.delete('my-competitions');
   },
   
+  // Clear team caches when custom team lists or teams change
+  invalidateTeams: () => {
+    apiCache.delete('teams');
+    apiCache.delete('team-lists');
+  },
+  
   // Clear specific cache key
   invalidateKey: (key: string) => {
     apiCache.delete(key);